@@ -29,7 +29,8 @@ var workerGlob = [
     '!./third_party/cesium/Source/Workers/*.profile.js',
     '!./third_party/cesium/Source/Workers/cesiumWorkerBootstrapper.js',
     '!./third_party/cesium/Source/Workers/transferTypedArrayTest.js',
-    '!./third_party/cesium/Source/Workers/createTaskProcessorWorker.js'
+    '!./third_party/cesium/Source/Workers/createTaskProcessorWorker.js',
+    './src/Workers/*.js'
 ];
 var specGlob = './spec/**/*.js';
 
@@ -181,7 +182,7 @@ function watch(name, files, minify) {
 }
 
 function requireWebWorkers(bundler) {
-    // Explicitly require the Cesium Web Workers, and expose them with the name the cesiumWorkerBootstrapper will use for them.
+    // Explicitly require the Cesium and National Map Web Workers, and expose them with the name the cesiumWorkerBootstrapper will use for them.
     var workers = glob.sync(workerGlob);
     for (var i = 0; i < workers.length; ++i) {
         var workerFilename = workers[i];
@@ -0,0 +1,272 @@
+"use strict";
+
+/*global require,module*/
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var convertToGeoJson = require('./convertToGeoJson');
+var GeoJsonTiler = require('./GeoJsonTiler');
+
+var validIdRegex = /^[0-9a-f]{32}$/;
+
+/**
+ * Converts files to GeoJSON in the background, so that a client can submit a large file and then ask whether its
+ * conversion has finished rather than waiting for the conversion in a single request.  The status and result of
+ * each job are kept as files in a directory, so that every server process can report on the jobs of the others.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.directory The directory in which to keep the jobs.  It is created if it does not exist.
+ * @param {Number} options.timeout The longest time to let a conversion run, in milliseconds.  A job that has been
+ *                 running for longer than this, perhaps because its server process exited, is reported as failed.
+ * @param {Number} options.expiry How long to keep the result of a job, in milliseconds.
+ * @param {Object} [options.tiler] The options of the {@link GeoJsonTiler} that cuts the results of jobs into tiles.
+ * @param {Number} [options.maxTilers=4] The number of results to keep ready to be cut into tiles in each server
+ *                 process.
+ */
+var ConversionJobs = function(options) {
+    this.directory = options.directory;
+    this.timeout = options.timeout;
+    this.expiry = options.expiry;
+    this.tiler = options.tiler;
+    this.maxTilers = options.maxTilers !== undefined ? options.maxTilers : 4;
+
+    // The most recently used tilers, most recent first, each as { id, tiler, callbacks }, where callbacks are
+    // waiting for the tiler while it is created.
+    this._tilers = [];
+};
+
+/**
+ * Starts converting a file.  The file is removed once it has been converted.
+ *
+ * @param {String} filename The file to convert.  Its name must end with the extension of the original file.
+ * @param {Function} callback Called with an error, or with null and the ID of the job once it has started.
+ */
+ConversionJobs.prototype.submit = function(filename, callback) {
+    var that = this;
+    var id = crypto.randomBytes(16).toString('hex');
+
+    this.removeExpired(function(err) {
+        if (err) {
+            console.error('Unable to remove expired conversion jobs', err);
+        }
+    });
+
+    fs.mkdir(this.directory, function(err) {
+        if (err && err.code !== 'EEXIST') {
+            return callback(err);
+        }
+
+        that._writeStatus(id, { status : 'running', started : Date.now() }, function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            callback(null, id);
+
+            // The result is written to another file first, so that it is never read while it is partly written.
+            var resultFilename = that.getResultFilename(id);
+            var temporaryFilename = getTemporaryFilename(resultFilename);
+            var options = {
+                timeout : that.timeout,
+                outputFilename : temporaryFilename
+            };
+
+            convertToGeoJson(filename, options, function(err, size) {
+                fs.unlink(filename, function() {});
+
+                if (err) {
+                    fs.unlink(temporaryFilename, function() {});
+                    return that._writeStatus(id, { status : 'failed', code : err.code, message : err.message }, logError);
+                }
+
+                fs.rename(temporaryFilename, resultFilename, function(err) {
+                    if (err) {
+                        fs.unlink(temporaryFilename, function() {});
+                        return that._writeStatus(id, { status : 'failed', code : 'CONVERSION_FAILED', message : 'Unable to store the converted data.' }, logError);
+                    }
+                    that._writeStatus(id, { status : 'done', size : size }, logError);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Gets the status of a job.
+ *
+ * @param {String} id The ID of the job, as given by {@link ConversionJobs#submit}.
+ * @param {Function} callback Called with an error, or with null and an object with a status property, which is
+ *                   'running', 'done' or 'failed'.  A job that is done also has the size of its result in bytes,
+ *                   and a failed job has code and message properties describing why it failed.  If there is no job
+ *                   with the ID, both the error and the object are undefined.
+ */
+ConversionJobs.prototype.getStatus = function(id, callback) {
+    var that = this;
+    if (!validIdRegex.test(id)) {
+        return callback();
+    }
+
+    fs.readFile(this._getStatusFilename(id), 'utf8', function(err, content) {
+        if (err) {
+            return err.code === 'ENOENT' ? callback() : callback(err);
+        }
+
+        var status;
+        try {
+            status = JSON.parse(content);
+        } catch (e) {
+            return callback(e);
+        }
+
+        if (status.status === 'running' && Date.now() - status.started > that.timeout) {
+            status = {
+                status : 'failed',
+                code : 'TIMEOUT',
+                message : 'The conversion did not finish in time.'
+            };
+        }
+
+        delete status.started;
+        callback(null, status);
+    });
+};
+
+/**
+ * Gets the file that contains the GeoJSON produced by a job that is done.
+ *
+ * @param {String} id The ID of the job, as given by {@link ConversionJobs#submit}.
+ * @return {String} The filename, or undefined if the ID is not valid.
+ */
+ConversionJobs.prototype.getResultFilename = function(id) {
+    if (!validIdRegex.test(id)) {
+        return undefined;
+    }
+    return path.join(this.directory, id + '.geojson');
+};
+
+/**
+ * Gets a {@link GeoJsonTiler} that cuts the result of a job that is done into tiles.  The tilers of the most recently
+ * used results are kept, so that the result is not read again for each tile.
+ *
+ * @param {String} id The ID of the job, as given by {@link ConversionJobs#submit}.
+ * @param {Function} callback Called with an error, or with null and the tiler.  If the job does not exist or is not
+ *                   done, both the error and the tiler are undefined.
+ */
+ConversionJobs.prototype.getTiler = function(id, callback) {
+    var that = this;
+    var filename = this.getResultFilename(id);
+    if (filename === undefined) {
+        return callback();
+    }
+
+    for (var i = 0; i < this._tilers.length; ++i) {
+        var entry = this._tilers[i];
+        if (entry.id === id) {
+            this._tilers.splice(i, 1);
+            this._tilers.unshift(entry);
+            if (entry.tiler !== undefined) {
+                return callback(null, entry.tiler);
+            }
+            return entry.callbacks.push(callback);
+        }
+    }
+
+    var created = {
+        id : id,
+        tiler : undefined,
+        callbacks : [callback]
+    };
+    this._tilers.unshift(created);
+    this._tilers.length = Math.min(this._tilers.length, this.maxTilers);
+
+    function finish(err, tiler) {
+        if (tiler === undefined) {
+            var index = that._tilers.indexOf(created);
+            if (index >= 0) {
+                that._tilers.splice(index, 1);
+            }
+        }
+        created.tiler = tiler;
+        created.callbacks.forEach(function(waiting) {
+            waiting(err, tiler);
+        });
+        created.callbacks = undefined;
+    }
+
+    fs.readFile(filename, 'utf8', function(err, content) {
+        if (err) {
+            return err.code === 'ENOENT' ? finish() : finish(err);
+        }
+
+        var tiler;
+        try {
+            tiler = new GeoJsonTiler(JSON.parse(content), that.tiler);
+        } catch (e) {
+            return finish(e);
+        }
+        finish(null, tiler);
+    });
+};
+
+/**
+ * Removes the jobs that were submitted longer ago than the expiry.
+ *
+ * @param {Function} callback Called with an error, or with null once the jobs have been removed.
+ */
+ConversionJobs.prototype.removeExpired = function(callback) {
+    var that = this;
+    fs.readdir(this.directory, function(err, filenames) {
+        if (err) {
+            return err.code === 'ENOENT' ? callback(null) : callback(err);
+        }
+
+        var remaining = filenames.length + 1;
+        function done() {
+            if (--remaining === 0) {
+                callback(null);
+            }
+        }
+
+        filenames.forEach(function(filename) {
+            var filePath = path.join(that.directory, filename);
+            fs.stat(filePath, function(err, stats) {
+                if (!err && Date.now() - stats.mtime.getTime() > that.expiry) {
+                    return fs.unlink(filePath, done);
+                }
+                done();
+            });
+        });
+        done();
+    });
+};
+
+ConversionJobs.prototype._getStatusFilename = function(id) {
+    return path.join(this.directory, id + '.json');
+};
+
+// Writes the status to another file first, so that a status is never read while it is partly written.
+ConversionJobs.prototype._writeStatus = function(id, status, callback) {
+    var filename = this._getStatusFilename(id);
+    var temporaryFilename = getTemporaryFilename(filename);
+    fs.writeFile(temporaryFilename, JSON.stringify(status), function(err) {
+        if (err) {
+            return callback(err);
+        }
+        fs.rename(temporaryFilename, filename, callback);
+    });
+};
+
+// The name is random, because a job's status may be written again before an earlier write has finished.
+function getTemporaryFilename(filename) {
+    return filename + '.' + crypto.randomBytes(8).toString('hex');
+}
+
+function logError(err) {
+    if (err) {
+        console.error('Unable to store the status of a conversion job', err);
+    }
+}
+
+module.exports = ConversionJobs;
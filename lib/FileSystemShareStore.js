@@ -0,0 +1,87 @@
+"use strict";
+
+/*global require,module*/
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var validIdRegex = /^[0-9a-f]+$/;
+var minimumIdLength = 10;
+
+/**
+ * Stores share records as files in a directory on the local file system.  The ID of a record
+ * is a prefix of the SHA-1 hash of its content, so sharing the same view twice yields the same ID.
+ * Any other store passed to the server via --share-store must expose the same save and load functions.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.directory The directory in which to store share records.  It is created if it does not exist.
+ */
+var FileSystemShareStore = function(options) {
+    this.directory = options.directory;
+};
+
+/**
+ * Saves a share record.
+ *
+ * @param {String} content The share record, typically a JSON string.
+ * @param {Function} callback Called with an error, or with null and the ID of the saved record.
+ */
+FileSystemShareStore.prototype.save = function(content, callback) {
+    var that = this;
+    var hash = crypto.createHash('sha1').update(content).digest('hex');
+
+    fs.mkdir(this.directory, function(err) {
+        if (err && err.code !== 'EEXIST') {
+            return callback(err);
+        }
+
+        // Lengthen the ID until it doesn't collide with a different record.
+        function tryLength(length) {
+            if (length > hash.length) {
+                return callback(new Error('Unable to find a unique ID for share record.'));
+            }
+
+            var id = hash.substring(0, length);
+            var filename = path.join(that.directory, id + '.json');
+            fs.readFile(filename, 'utf8', function(err, existing) {
+                if (!err) {
+                    if (existing === content) {
+                        return callback(null, id);
+                    }
+                    return tryLength(length + 2);
+                } else if (err.code !== 'ENOENT') {
+                    return callback(err);
+                }
+
+                fs.writeFile(filename, content, 'utf8', function(err) {
+                    callback(err || null, id);
+                });
+            });
+        }
+
+        tryLength(minimumIdLength);
+    });
+};
+
+/**
+ * Loads a share record.
+ *
+ * @param {String} id The ID of the record, as returned by {@link FileSystemShareStore#save}.
+ * @param {Function} callback Called with an error, or with null and the content of the record.  If no record
+ *                            exists with the given ID, both the error and the content are undefined.
+ */
+FileSystemShareStore.prototype.load = function(id, callback) {
+    if (!validIdRegex.test(id)) {
+        return callback();
+    }
+
+    fs.readFile(path.join(this.directory, id + '.json'), 'utf8', function(err, content) {
+        if (err) {
+            return err.code === 'ENOENT' ? callback() : callback(err);
+        }
+        callback(null, content);
+    });
+};
+
+module.exports = FileSystemShareStore;
@@ -0,0 +1,180 @@
+"use strict";
+
+/*global require,module*/
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var validFileIdRegex = /^[0-9a-f]{40}$/;
+
+/**
+ * Stores named workspaces, and the files uploaded for them, as files in a directory on the local file system.
+ * A workspace is kept in a file named by the SHA-1 hash of its name, ignoring case, so any name can be stored
+ * safely.  An uploaded file is identified by the SHA-1 hash of its content, so uploading the same file twice yields
+ * the same ID.  Any other store passed to the server via --workspace-store must expose the same functions.
+ *
+ * The first save of a workspace creates a random edit token, which must be given to replace the workspace later.
+ * Only a hash of the token is stored, in a file beside the workspace.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.directory The directory in which to store workspaces.  It is created if it does not exist.
+ */
+var FileSystemWorkspaceStore = function(options) {
+    this.directory = options.directory;
+};
+
+/**
+ * Saves a workspace.  A new workspace is given an edit token.  An existing workspace is only replaced if the edit
+ * token it was given is supplied.
+ *
+ * @param {String} name The name of the workspace.
+ * @param {String} content The workspace, typically a JSON string.
+ * @param {String} editToken The edit token of the workspace, or undefined if it is a new workspace.
+ * @param {Function} callback Called with an error, or with null and the edit token of the workspace once it is saved.
+ *                            If a workspace exists with the given name and the edit token does not match, both the
+ *                            error and the edit token are undefined.
+ */
+FileSystemWorkspaceStore.prototype.save = function(name, content, editToken, callback) {
+    var filename = this._getWorkspaceFilename(name);
+    var editTokenFilename = this._getEditTokenFilename(name);
+
+    fs.mkdir(this.directory, function(err) {
+        if (err && err.code !== 'EEXIST') {
+            return callback(err);
+        }
+
+        // Creating the token file fails if it already exists, so only one request can claim a new name.
+        var newEditToken = crypto.randomBytes(16).toString('hex');
+        fs.writeFile(editTokenFilename, hashEditToken(newEditToken), { encoding : 'utf8', flag : 'wx' }, function(err) {
+            if (!err) {
+                // Write to another file first, so that a workspace is never loaded while it is partly written.
+                return writeFileAtomically(filename, content, function(err) {
+                    if (err) {
+                        // Release the name, as the workspace was never saved.
+                        fs.unlink(editTokenFilename, function() {});
+                        return callback(err);
+                    }
+                    callback(null, newEditToken);
+                });
+            }
+            if (err.code !== 'EEXIST') {
+                return callback(err);
+            }
+
+            fs.readFile(editTokenFilename, 'utf8', function(err, editTokenHash) {
+                if (err) {
+                    return callback(err);
+                }
+                if (typeof editToken !== 'string' || hashEditToken(editToken) !== editTokenHash) {
+                    return callback();
+                }
+                writeFileAtomically(filename, content, function(err) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(null, editToken);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Loads a workspace.
+ *
+ * @param {String} name The name of the workspace.
+ * @param {Function} callback Called with an error, or with null and the content of the workspace.  If no workspace
+ *                            exists with the given name, both the error and the content are undefined.
+ */
+FileSystemWorkspaceStore.prototype.load = function(name, callback) {
+    fs.readFile(this._getWorkspaceFilename(name), 'utf8', function(err, content) {
+        if (err) {
+            return err.code === 'ENOENT' ? callback() : callback(err);
+        }
+        callback(null, content);
+    });
+};
+
+/**
+ * Saves a file uploaded for a workspace.
+ *
+ * @param {Buffer} content The content of the file.
+ * @param {Function} callback Called with an error, or with null and the ID of the saved file.
+ */
+FileSystemWorkspaceStore.prototype.saveFile = function(content, callback) {
+    var that = this;
+    var id = crypto.createHash('sha1').update(content).digest('hex');
+    var filesDirectory = path.join(this.directory, 'files');
+
+    fs.mkdir(this.directory, function(err) {
+        if (err && err.code !== 'EEXIST') {
+            return callback(err);
+        }
+
+        fs.mkdir(filesDirectory, function(err) {
+            if (err && err.code !== 'EEXIST') {
+                return callback(err);
+            }
+
+            var filename = that.getFileFilename(id);
+            fs.stat(filename, function(err) {
+                if (!err) {
+                    return callback(null, id);
+                }
+
+                writeFileAtomically(filename, content, function(err) {
+                    callback(err || null, id);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Gets the file that contains a file uploaded for a workspace.
+ *
+ * @param {String} id The ID of the file, as given by {@link FileSystemWorkspaceStore#saveFile}.
+ * @return {String} The filename, or undefined if the ID is not valid.
+ */
+FileSystemWorkspaceStore.prototype.getFileFilename = function(id) {
+    if (!validFileIdRegex.test(id)) {
+        return undefined;
+    }
+    return path.join(this.directory, 'files', id);
+};
+
+FileSystemWorkspaceStore.prototype._getWorkspaceFilename = function(name) {
+    return path.join(this.directory, hashName(name) + '.json');
+};
+
+FileSystemWorkspaceStore.prototype._getEditTokenFilename = function(name) {
+    return path.join(this.directory, hashName(name) + '.token');
+};
+
+function hashName(name) {
+    return crypto.createHash('sha1').update(name.toLowerCase(), 'utf8').digest('hex');
+}
+
+function hashEditToken(editToken) {
+    return crypto.createHash('sha256').update(editToken, 'utf8').digest('hex');
+}
+
+// Writes a file under a temporary name and then renames it.  The temporary name is random, because several requests,
+// in one process or several, may be writing the same file at once.
+function writeFileAtomically(filename, content, callback) {
+    var temporaryFilename = filename + '.' + crypto.randomBytes(8).toString('hex');
+    fs.writeFile(temporaryFilename, content, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        fs.rename(temporaryFilename, filename, function(err) {
+            if (err) {
+                fs.unlink(temporaryFilename, function() {});
+            }
+            callback(err);
+        });
+    });
+}
+
+module.exports = FileSystemWorkspaceStore;
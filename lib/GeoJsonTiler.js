@@ -0,0 +1,633 @@
+"use strict";
+
+/*global module*/
+
+var maxLatitude = 85.0511287798;
+
+// Geometry is tiled in Web Mercator coordinates scaled so that the world is the square from (0, 0) at the
+// north-west corner to (1, 1) at the south-east corner, which is the layout of the tiles.
+function project(coordinate) {
+    var latitude = Math.max(-maxLatitude, Math.min(maxLatitude, coordinate[1]));
+    var sin = Math.sin(latitude * Math.PI / 180);
+    return [
+        coordinate[0] / 360 + 0.5,
+        0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI
+    ];
+}
+
+function unproject(point, precision) {
+    var longitude = (point[0] - 0.5) * 360;
+    var latitude = 360 / Math.PI * Math.atan(Math.exp((0.5 - point[1]) * 2 * Math.PI)) - 90;
+    return [round(longitude, precision), round(latitude, precision)];
+}
+
+function round(value, precision) {
+    return Math.round(value * precision) / precision;
+}
+
+// Calls a function with each array of coordinates (a line or ring) or single coordinate of a geometry, and replaces
+// it with the result.  The nesting of the geometry's coordinates is given by its type.
+var depths = {
+    Point : 0,
+    MultiPoint : 1,
+    LineString : 1,
+    MultiLineString : 2,
+    Polygon : 2,
+    MultiPolygon : 3
+};
+
+function mapGeometry(geometry, pointFunction) {
+    if (geometry === null || geometry === undefined) {
+        return null;
+    }
+    if (geometry.type === 'GeometryCollection') {
+        return {
+            type : 'GeometryCollection',
+            geometries : geometry.geometries.map(function(part) {
+                return mapGeometry(part, pointFunction);
+            })
+        };
+    }
+
+    function mapCoordinates(coordinates, depth) {
+        if (depth === 0) {
+            return pointFunction(coordinates);
+        }
+        return coordinates.map(function(child) {
+            return mapCoordinates(child, depth - 1);
+        });
+    }
+
+    return {
+        type : geometry.type,
+        coordinates : mapCoordinates(geometry.coordinates, depths[geometry.type])
+    };
+}
+
+function extendBounds(bounds, geometry) {
+    mapGeometry(geometry, function(point) {
+        bounds[0] = Math.min(bounds[0], point[0]);
+        bounds[1] = Math.min(bounds[1], point[1]);
+        bounds[2] = Math.max(bounds[2], point[0]);
+        bounds[3] = Math.max(bounds[3], point[1]);
+        return point;
+    });
+    return bounds;
+}
+
+function squareSegmentDistance(point, a, b) {
+    var x = a[0];
+    var y = a[1];
+    var dx = b[0] - x;
+    var dy = b[1] - y;
+
+    if (dx !== 0 || dy !== 0) {
+        var t = ((point[0] - x) * dx + (point[1] - y) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = b[0];
+            y = b[1];
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+
+    dx = point[0] - x;
+    dy = point[1] - y;
+    return dx * dx + dy * dy;
+}
+
+// Simplifies a line or ring with the Douglas-Peucker algorithm, always keeping its first and last points.
+function simplifyPoints(points, tolerance) {
+    if (points.length <= 2) {
+        return points;
+    }
+
+    var squareTolerance = tolerance * tolerance;
+    var keep = new Array(points.length);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    var stack = [0, points.length - 1];
+    while (stack.length > 0) {
+        var last = stack.pop();
+        var first = stack.pop();
+
+        var maxDistance = 0;
+        var index;
+        for (var i = first + 1; i < last; ++i) {
+            var distance = squareSegmentDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (maxDistance > squareTolerance) {
+            keep[index] = true;
+            stack.push(first, index, index, last);
+        }
+    }
+
+    var result = [];
+    for (var j = 0; j < points.length; ++j) {
+        if (keep[j]) {
+            result.push(points[j]);
+        }
+    }
+    return result;
+}
+
+function simplifyRings(rings, tolerance) {
+    var result = [];
+    for (var i = 0; i < rings.length; ++i) {
+        var ring = simplifyPoints(rings[i], tolerance);
+        if (ring.length >= 4) {
+            result.push(ring);
+        } else if (i === 0) {
+            // The polygon is smaller than the tolerance.
+            return [];
+        }
+    }
+    return result;
+}
+
+function simplifyGeometry(geometry, tolerance) {
+    if (geometry === null || tolerance <= 0) {
+        return geometry;
+    }
+
+    switch (geometry.type) {
+        case 'LineString':
+            return { type : geometry.type, coordinates : simplifyPoints(geometry.coordinates, tolerance) };
+        case 'MultiLineString':
+            return {
+                type : geometry.type,
+                coordinates : geometry.coordinates.map(function(line) {
+                    return simplifyPoints(line, tolerance);
+                })
+            };
+        case 'Polygon':
+            return { type : geometry.type, coordinates : simplifyRings(geometry.coordinates, tolerance) };
+        case 'MultiPolygon':
+            return {
+                type : geometry.type,
+                coordinates : geometry.coordinates.map(function(polygon) {
+                    return simplifyRings(polygon, tolerance);
+                }).filter(function(polygon) {
+                    return polygon.length > 0;
+                })
+            };
+        case 'GeometryCollection':
+            return {
+                type : geometry.type,
+                geometries : geometry.geometries.map(function(part) {
+                    return simplifyGeometry(part, tolerance);
+                })
+            };
+        default:
+            return geometry;
+    }
+}
+
+function intersect(a, b, k, axis) {
+    var t = (k - a[axis]) / (b[axis] - a[axis]);
+    var result = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    result[axis] = k;
+    return result;
+}
+
+function insideBox(point, box) {
+    return point[0] >= box[0] && point[0] <= box[2] && point[1] >= box[1] && point[1] <= box[3];
+}
+
+// Clips a line to the range [k1, k2] along an axis, which may split it into several lines.
+function clipLine(line, k1, k2, axis) {
+    var lines = [];
+    var part = [];
+
+    function finishPart() {
+        if (part.length > 1) {
+            lines.push(part);
+        }
+        part = [];
+    }
+
+    for (var i = 0; i < line.length - 1; ++i) {
+        var a = line[i];
+        var b = line[i + 1];
+        var ak = a[axis];
+        var bk = b[axis];
+
+        var enter = 0;
+        var exit = 1;
+        if (ak === bk) {
+            if (ak < k1 || ak > k2) {
+                continue;
+            }
+        } else {
+            var t1 = (k1 - ak) / (bk - ak);
+            var t2 = (k2 - ak) / (bk - ak);
+            enter = Math.max(0, Math.min(t1, t2));
+            exit = Math.min(1, Math.max(t1, t2));
+            if (enter > exit) {
+                continue;
+            }
+        }
+
+        if (part.length === 0 || enter > 0) {
+            finishPart();
+            part.push(enter > 0 ? intersect(a, b, ak < bk ? k1 : k2, axis) : a);
+        }
+        part.push(exit < 1 ? intersect(a, b, ak < bk ? k2 : k1, axis) : b);
+        if (exit < 1) {
+            finishPart();
+        }
+    }
+    finishPart();
+
+    return lines;
+}
+
+// Clips a closed ring to one side of k along an axis with the Sutherland-Hodgman algorithm.
+function clipRingSide(ring, k, axis, keepGreater) {
+    var result = [];
+    if (ring.length === 0) {
+        return result;
+    }
+
+    function inside(point) {
+        return keepGreater ? point[axis] >= k : point[axis] <= k;
+    }
+
+    var previous = ring[ring.length - 1];
+    for (var i = 0; i < ring.length; ++i) {
+        var current = ring[i];
+        if (inside(current)) {
+            if (!inside(previous)) {
+                result.push(intersect(previous, current, k, axis));
+            }
+            result.push(current);
+        } else if (inside(previous)) {
+            result.push(intersect(previous, current, k, axis));
+        }
+        previous = current;
+    }
+    return result;
+}
+
+function clipRing(ring, box) {
+    // The rings of GeoJSON polygons end with their first point, which is added back after clipping.
+    var points = ring.slice(0, ring.length - 1);
+    points = clipRingSide(points, box[0], 0, true);
+    points = clipRingSide(points, box[2], 0, false);
+    points = clipRingSide(points, box[1], 1, true);
+    points = clipRingSide(points, box[3], 1, false);
+    if (points.length < 3) {
+        return undefined;
+    }
+    points.push(points[0]);
+    return points;
+}
+
+function clipLines(lines, box) {
+    var result = [];
+    lines.forEach(function(line) {
+        clipLine(line, box[0], box[2], 0).forEach(function(part) {
+            result.push.apply(result, clipLine(part, box[1], box[3], 1));
+        });
+    });
+    return result;
+}
+
+function clipPolygon(rings, box) {
+    var result = [];
+    for (var i = 0; i < rings.length; ++i) {
+        var ring = clipRing(rings[i], box);
+        if (ring !== undefined) {
+            result.push(ring);
+        } else if (i === 0) {
+            return undefined;
+        }
+    }
+    // A polygon smaller than the simplification tolerance has no rings left.
+    return result.length > 0 ? result : undefined;
+}
+
+// Clips a geometry to a box, returning null if none of it is in the box.
+function clipGeometry(geometry, box) {
+    if (geometry === null) {
+        return null;
+    }
+
+    var coordinates;
+    switch (geometry.type) {
+        case 'Point':
+            return insideBox(geometry.coordinates, box) ? geometry : null;
+        case 'MultiPoint':
+            coordinates = geometry.coordinates.filter(function(point) {
+                return insideBox(point, box);
+            });
+            return coordinates.length > 0 ? { type : 'MultiPoint', coordinates : coordinates } : null;
+        case 'LineString':
+        case 'MultiLineString':
+            coordinates = clipLines(geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates, box);
+            if (coordinates.length === 0) {
+                return null;
+            }
+            return coordinates.length === 1 ? { type : 'LineString', coordinates : coordinates[0] } : { type : 'MultiLineString', coordinates : coordinates };
+        case 'Polygon':
+        case 'MultiPolygon':
+            coordinates = [];
+            (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates).forEach(function(polygon) {
+                var clipped = clipPolygon(polygon, box);
+                if (clipped !== undefined) {
+                    coordinates.push(clipped);
+                }
+            });
+            if (coordinates.length === 0) {
+                return null;
+            }
+            return coordinates.length === 1 ? { type : 'Polygon', coordinates : coordinates[0] } : { type : 'MultiPolygon', coordinates : coordinates };
+        case 'GeometryCollection':
+            var geometries = geometry.geometries.map(function(part) {
+                return clipGeometry(part, box);
+            }).filter(function(part) {
+                return part !== null;
+            });
+            return geometries.length > 0 ? { type : 'GeometryCollection', geometries : geometries } : null;
+        default:
+            return null;
+    }
+}
+
+function countPoints(geometry) {
+    var count = 0;
+    mapGeometry(geometry, function(point) {
+        ++count;
+        return point;
+    });
+    return count;
+}
+
+// Features are indexed by the most detailed tile, down to this zoom level, that contains all of them.
+var maxIndexZoom = 16;
+
+function getIndexKey(z, x, y) {
+    return z + '/' + x + '/' + y;
+}
+
+// Finds the most detailed tile that contains bounds.  Bounds outside the world, such as those of features that cross
+// the antimeridian, are given the tile at zoom level 0.
+function getIndexTile(bounds) {
+    var tile = [0, 0, 0];
+    if (!(bounds[0] >= 0 && bounds[1] >= 0 && bounds[2] < 1 && bounds[3] < 1)) {
+        return tile;
+    }
+
+    for (var z = 1; z <= maxIndexZoom; ++z) {
+        var tileCount = Math.pow(2, z);
+        var x = Math.floor(bounds[0] * tileCount);
+        var y = Math.floor(bounds[1] * tileCount);
+        if (x !== Math.floor(bounds[2] * tileCount) || y !== Math.floor(bounds[3] * tileCount)) {
+            break;
+        }
+        tile = [z, x, y];
+    }
+    return tile;
+}
+
+function getFeatures(geoJson) {
+    if (geoJson.type === 'FeatureCollection') {
+        return geoJson.features;
+    } else if (geoJson.type === 'Feature') {
+        return [geoJson];
+    }
+    return [{ type : 'Feature', properties : {}, geometry : geoJson }];
+}
+
+/**
+ * Cuts GeoJSON data into tiles in the Web Mercator tiling scheme used by the 2D map and most tile servers, in which
+ * there is one tile at zoom level 0 and each tile is divided into four at the next level.  The geometry in each tile is
+ * simplified to the detail that can be seen at its zoom level, so that a client only retrieves the features it is
+ * showing, in no more detail than it can show them.
+ *
+ * @param {Object} geoJson The GeoJSON data, in WGS84 longitude and latitude.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.simplification=1] How far a simplified line may be from the original line, in pixels of a
+ *                 256 pixel tile.  If this is 0, geometry is not simplified.
+ * @param {Number} [options.buffer=8] How far, in pixels, the features in a tile extend beyond its edges, so that the
+ *                 symbols and lines of features near an edge are drawn on both tiles.
+ * @param {Number} [options.maxSimplifiedZoom=18] The most detailed zoom level at which geometry is simplified.  Tiles
+ *                 of more detailed levels contain the original geometry.
+ * @param {Number} [options.maxCachedPoints=1000000] The most points of simplified geometry to keep for later tiles.
+ *                 The geometry simplified least recently is discarded first.
+ */
+var GeoJsonTiler = function(geoJson, options) {
+    options = options || {};
+    this.simplification = options.simplification !== undefined ? options.simplification : 1;
+    this.buffer = options.buffer !== undefined ? options.buffer : 8;
+    this.maxSimplifiedZoom = options.maxSimplifiedZoom !== undefined ? options.maxSimplifiedZoom : 18;
+    this.maxCachedPoints = options.maxCachedPoints !== undefined ? options.maxCachedPoints : 1000000;
+
+    var bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    this._features = getFeatures(geoJson).map(function(feature) {
+        var geometry = mapGeometry(feature.geometry, project);
+        var featureBounds = extendBounds([Infinity, Infinity, -Infinity, -Infinity], geometry);
+        extendBounds(bounds, feature.geometry);
+
+        return {
+            id : feature.id,
+            properties : feature.properties,
+            geometry : geometry,
+            bounds : featureBounds
+        };
+    });
+    this._bounds = bounds;
+
+    // The features are indexed by tile, as lists of feature indices keyed by 'z/x/y'.  A tile is a branch if a more
+    // detailed tile within it has features, so that only those tiles are searched.
+    this._index = {};
+    this._branches = {};
+    for (var i = 0; i < this._features.length; ++i) {
+        var featureBounds = this._features[i].bounds;
+        if (featureBounds[0] > featureBounds[2]) {
+            // The feature has no geometry, so it is never in a tile.
+            continue;
+        }
+        this._addToIndex(i, getIndexTile(featureBounds));
+    }
+
+    // The simplified geometry of each feature at each zoom level, keyed by 'feature index/z', in a circular list in
+    // which the next entry after the head is the most recently used.
+    this._simplified = {};
+    this._simplifiedHead = {};
+    this._simplifiedHead.next = this._simplifiedHead;
+    this._simplifiedHead.previous = this._simplifiedHead;
+    this._cachedPoints = 0;
+};
+
+/**
+ * Gets a description of the tiled data.
+ *
+ * @return {Object} An object with bounds ([west, south, east, north] in degrees) and featureCount properties.  The
+ *         bounds are undefined if there are no features.
+ */
+GeoJsonTiler.prototype.getInfo = function() {
+    return {
+        bounds : this._bounds[0] <= this._bounds[2] ? this._bounds.slice() : undefined,
+        featureCount : this._features.length
+    };
+};
+
+/**
+ * Gets the features in a tile.
+ *
+ * @param {Number} z The zoom level of the tile.
+ * @param {Number} x The column of the tile, from 0 at the west.
+ * @param {Number} y The row of the tile, from 0 at the north.
+ * @return {Object} A GeoJSON FeatureCollection of the parts of the features in the tile, or undefined if there is
+ *         no such tile.
+ */
+GeoJsonTiler.prototype.getTile = function(z, x, y) {
+    var tileCount = Math.pow(2, z);
+    if (z < 0 || x < 0 || y < 0 || x >= tileCount || y >= tileCount || Math.floor(z) !== z || Math.floor(x) !== x || Math.floor(y) !== y) {
+        return undefined;
+    }
+
+    var pixel = 1 / (256 * tileCount);
+    var buffer = this.buffer * pixel;
+    var box = [x / tileCount - buffer, y / tileCount - buffer, (x + 1) / tileCount + buffer, (y + 1) / tileCount + buffer];
+
+    // Round the coordinates to about a tenth of a pixel.
+    var precision = Math.pow(10, Math.max(0, Math.ceil(Math.log(10 * 256 * tileCount / 360) / Math.LN10)));
+
+    // Keep the features in their original order, which is the order in which they are drawn.
+    var indices = this._findInIndex(box).sort(function(a, b) {
+        return a - b;
+    });
+
+    var features = [];
+    for (var i = 0; i < indices.length; ++i) {
+        var feature = this._features[indices[i]];
+        var bounds = feature.bounds;
+        if (bounds[0] > box[2] || bounds[2] < box[0] || bounds[1] > box[3] || bounds[3] < box[1]) {
+            continue;
+        }
+
+        var geometry = clipGeometry(this._getSimplifiedGeometry(indices[i], z), box);
+        if (geometry === null) {
+            continue;
+        }
+
+        var result = {
+            type : 'Feature',
+            properties : feature.properties,
+            geometry : mapGeometry(geometry, unprojectWithPrecision)
+        };
+        if (feature.id !== undefined) {
+            result.id = feature.id;
+        }
+        features.push(result);
+    }
+
+    function unprojectWithPrecision(point) {
+        return unproject(point, precision);
+    }
+
+    return {
+        type : 'FeatureCollection',
+        features : features
+    };
+};
+
+GeoJsonTiler.prototype._addToIndex = function(featureIndex, tile) {
+    var key = getIndexKey(tile[0], tile[1], tile[2]);
+    var features = this._index[key];
+    if (features === undefined) {
+        features = this._index[key] = [];
+    }
+    features.push(featureIndex);
+
+    // Mark the tiles that contain this one as branches, stopping at one that is already marked.
+    for (var z = tile[0] - 1; z >= 0; --z) {
+        var shift = Math.pow(2, tile[0] - z);
+        var parentKey = getIndexKey(z, Math.floor(tile[1] / shift), Math.floor(tile[2] / shift));
+        if (this._branches[parentKey]) {
+            break;
+        }
+        this._branches[parentKey] = true;
+    }
+};
+
+// Finds the indices of the features indexed under tiles that overlap a box.
+GeoJsonTiler.prototype._findInIndex = function(box) {
+    var that = this;
+    var result = [];
+
+    function search(z, x, y) {
+        var tileCount = Math.pow(2, z);
+        // Features outside the world are all indexed under the tile at zoom level 0, so it is always searched.
+        if (z > 0 && (x / tileCount > box[2] || (x + 1) / tileCount < box[0] || y / tileCount > box[3] || (y + 1) / tileCount < box[1])) {
+            return;
+        }
+
+        var key = getIndexKey(z, x, y);
+        var features = that._index[key];
+        if (features !== undefined) {
+            result.push.apply(result, features);
+        }
+        if (that._branches[key]) {
+            search(z + 1, x * 2, y * 2);
+            search(z + 1, x * 2 + 1, y * 2);
+            search(z + 1, x * 2, y * 2 + 1);
+            search(z + 1, x * 2 + 1, y * 2 + 1);
+        }
+    }
+
+    search(0, 0, 0);
+    return result;
+};
+
+GeoJsonTiler.prototype._getSimplifiedGeometry = function(featureIndex, z) {
+    var feature = this._features[featureIndex];
+    if (this.simplification <= 0 || z > this.maxSimplifiedZoom) {
+        return feature.geometry;
+    }
+
+    var head = this._simplifiedHead;
+    var key = featureIndex + '/' + z;
+    var entry = this._simplified[key];
+    if (entry !== undefined) {
+        // Make the entry the most recently used.
+        entry.previous.next = entry.next;
+        entry.next.previous = entry.previous;
+    } else {
+        var tolerance = this.simplification / (256 * Math.pow(2, z));
+        var geometry = simplifyGeometry(feature.geometry, tolerance);
+        entry = this._simplified[key] = {
+            key : key,
+            geometry : geometry,
+            points : countPoints(geometry)
+        };
+        this._cachedPoints += entry.points;
+
+        // Discard the least recently used geometry until the rest fits, keeping at least the new entry.
+        while (this._cachedPoints > this.maxCachedPoints && head.previous !== head) {
+            var oldest = head.previous;
+            oldest.previous.next = head;
+            head.previous = oldest.previous;
+            delete this._simplified[oldest.key];
+            this._cachedPoints -= oldest.points;
+        }
+    }
+
+    entry.next = head.next;
+    entry.previous = head;
+    head.next.previous = entry;
+    head.next = entry;
+
+    return entry.geometry;
+};
+
+module.exports = GeoJsonTiler;
@@ -0,0 +1,380 @@
+"use strict";
+
+/*global require,module,process*/
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var durationRegex = /^(\d+(?:\.\d+)?)(s|m|h|d|w)$/i;
+var secondsPerUnit = {
+    s : 1,
+    m : 60,
+    h : 60 * 60,
+    d : 24 * 60 * 60,
+    w : 7 * 24 * 60 * 60
+};
+
+/**
+ * Caches responses retrieved by the proxy, either in memory or as files in a directory, removing the least recently
+ * used responses when the total size of the cached bodies would exceed a limit.  Each server process has its own
+ * cache, so statistics and the size limit apply to each process separately, and processes that share a cache
+ * directory do not use each other's files.  Use {@link ProxyCache.clearDirectory} to remove the files of processes
+ * that have exited.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Number} options.maxSize The largest total size of the cached bodies, in bytes.
+ * @param {String} [options.directory] The directory in which to store the bodies.  If this is undefined, they are
+ *                 kept in memory.  The directory is created if it does not exist.
+ * @param {Boolean} [options.respectCacheControl=false] True to keep a response only as long as the Cache-Control
+ *                  header of the remote server allows, rather than as long as the proxy URL asks.
+ */
+var ProxyCache = function(options) {
+    this.maxSize = options.maxSize;
+    this.directory = options.directory;
+    this.respectCacheControl = !!options.respectCacheControl;
+
+    this._entries = {};
+    this._size = 0;
+    this._count = 0;
+
+    // The entries whose bodies are still being written to files, by key.  An entry is only added to the cache once
+    // its file is complete.
+    this._pending = {};
+    this._fileCount = 0;
+
+    // A circular list of the entries, in which the next entry after the head is the most recently used and the
+    // previous entry is the least recently used.
+    this._head = {};
+    this._head.next = this._head;
+    this._head.previous = this._head;
+
+    this._statistics = {
+        hits : 0,
+        misses : 0,
+        stores : 0,
+        evictions : 0
+    };
+};
+
+/**
+ * Parses a duration such as the `1d` in a proxy URL like /proxy/_1d/http://example.com/.  A duration is a number
+ * followed by s (seconds), m (minutes), h (hours), d (days) or w (weeks).
+ *
+ * @param {String} duration The duration.
+ * @return {Number} The duration in seconds, or undefined if it is not a valid duration.
+ */
+ProxyCache.parseDuration = function(duration) {
+    var match = durationRegex.exec(duration);
+    if (!match) {
+        return undefined;
+    }
+    return Math.round(parseFloat(match[1]) * secondsPerUnit[match[2].toLowerCase()]);
+};
+
+/**
+ * Gets the key under which to cache the response to a request.  A remote server may encode a response differently
+ * depending on the Accept-Encoding header of the request, so the key includes that header as well as the URL.
+ *
+ * @param {String} url The URL of the remote resource.
+ * @param {Object} requestHeaders The headers of the request.
+ * @return {String} The key.
+ */
+ProxyCache.getKey = function(url, requestHeaders) {
+    var acceptEncoding = getHeader(requestHeaders, 'Accept-Encoding');
+    if (acceptEncoding === undefined) {
+        return url;
+    }
+    return url + ' ' + acceptEncoding.toLowerCase().replace(/\s+/g, '');
+};
+
+/**
+ * Determines whether a response can be cached under the key given by {@link ProxyCache.getKey}.  It cannot if its
+ * Vary header says that it depends on request headers other than Accept-Encoding, or on more than the request (*).
+ *
+ * @param {Object} headers The headers of the remote server's response.
+ * @return {Boolean} True if the response can be cached.
+ */
+ProxyCache.canCache = function(headers) {
+    var vary = getHeader(headers, 'Vary');
+    if (vary === undefined) {
+        return true;
+    }
+
+    var names = vary.toLowerCase().split(',');
+    for (var i = 0; i < names.length; ++i) {
+        var name = names[i].trim();
+        if (name.length > 0 && name !== 'accept-encoding') {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Removes all of the files in a cache directory.  This should be called before any caches use the directory.
+ *
+ * @param {String} directory The cache directory.
+ * @param {Function} callback Called with an error, or with null once the files have been removed.  It is not an
+ *                   error for the directory not to exist.
+ */
+ProxyCache.clearDirectory = function(directory, callback) {
+    fs.readdir(directory, function(err, filenames) {
+        if (err) {
+            return err.code === 'ENOENT' ? callback(null) : callback(err);
+        }
+
+        var remaining = filenames.length;
+        var failed = false;
+        if (remaining === 0) {
+            return callback(null);
+        }
+
+        filenames.forEach(function(filename) {
+            fs.unlink(path.join(directory, filename), function(err) {
+                if (failed) {
+                    return;
+                }
+                if (err && err.code !== 'ENOENT') {
+                    failed = true;
+                    return callback(err);
+                }
+                if (--remaining === 0) {
+                    callback(null);
+                }
+            });
+        });
+    });
+};
+
+/**
+ * Gets how long a response should be cached.
+ *
+ * @param {Number} requestedMaxAge How long the proxy URL asks for the response to be cached, in seconds.
+ * @param {Object} headers The headers of the remote server's response.
+ * @return {Number} How long to cache the response, in seconds.  If this is 0, it should not be cached.
+ */
+ProxyCache.prototype.getMaxAge = function(requestedMaxAge, headers) {
+    if (!this.respectCacheControl) {
+        return requestedMaxAge;
+    }
+
+    var cacheControl = getHeader(headers, 'Cache-Control');
+    if (cacheControl === undefined) {
+        return requestedMaxAge;
+    }
+
+    cacheControl = cacheControl.toLowerCase();
+    if (/(^|,)\s*(no-store|no-cache|private)\b/.test(cacheControl)) {
+        return 0;
+    }
+
+    var maxAge = /(^|,)\s*s-maxage\s*=\s*(\d+)/.exec(cacheControl) || /(^|,)\s*max-age\s*=\s*(\d+)/.exec(cacheControl);
+    if (maxAge) {
+        return parseInt(maxAge[2], 10);
+    }
+
+    return requestedMaxAge;
+};
+
+/**
+ * Gets a cached response.
+ *
+ * @param {String} key The key of the response, from {@link ProxyCache.getKey}.
+ * @param {Function} callback Called with an error, or with null and the response, an object with statusCode,
+ *                   headers and body properties.  If the response is not cached or has expired, both the error and
+ *                   the response are undefined.
+ */
+ProxyCache.prototype.get = function(key, callback) {
+    var that = this;
+    var entry = this._entries[key];
+
+    if (entry !== undefined && entry.expires <= Date.now()) {
+        this._remove(entry);
+        entry = undefined;
+    }
+
+    if (entry === undefined) {
+        ++this._statistics.misses;
+        return callback();
+    }
+
+    this._touch(entry);
+
+    if (this.directory === undefined) {
+        ++this._statistics.hits;
+        return callback(null, entry.response);
+    }
+
+    fs.readFile(entry.filename, function(err, body) {
+        if (err) {
+            // The file may have been removed from outside the server.
+            if (that._entries[key] === entry) {
+                that._remove(entry);
+            }
+            ++that._statistics.misses;
+            return err.code === 'ENOENT' ? callback() : callback(err);
+        }
+
+        ++that._statistics.hits;
+        callback(null, {
+            statusCode : entry.response.statusCode,
+            headers : entry.response.headers,
+            body : body
+        });
+    });
+};
+
+/**
+ * Caches a response, replacing any cached response with the same key.  Responses larger than the cache are not
+ * cached.  When the cache is kept in a directory, the response is not returned by {@link ProxyCache#get} until its
+ * file has been written.
+ *
+ * @param {String} key The key of the response, from {@link ProxyCache.getKey}.
+ * @param {Object} response The response, with statusCode, headers and body (a Buffer) properties.
+ * @param {Number} maxAge How long to cache the response, in seconds.
+ * @param {Function} [callback] Called with an error, or with null once the response has been cached.
+ */
+ProxyCache.prototype.set = function(key, response, maxAge, callback) {
+    callback = callback || function() {};
+
+    var existing = this._entries[key];
+    if (existing !== undefined) {
+        this._remove(existing);
+    }
+
+    // A response that is still being written is out of date too, so its file is discarded when it is complete.
+    delete this._pending[key];
+
+    var size = response.body.length;
+    if (maxAge <= 0 || size > this.maxSize) {
+        return callback(null);
+    }
+
+    var entry = {
+        key : key,
+        size : size,
+        expires : Date.now() + maxAge * 1000,
+        response : {
+            statusCode : response.statusCode,
+            headers : response.headers,
+            body : this.directory === undefined ? response.body : undefined
+        },
+        filename : this.directory === undefined ? undefined : this._getFilename(key),
+        next : undefined,
+        previous : undefined
+    };
+
+    if (this.directory === undefined) {
+        this._add(entry);
+        return callback(null);
+    }
+
+    var that = this;
+    this._pending[key] = entry;
+    fs.mkdir(this.directory, function(err) {
+        if (err && err.code !== 'EEXIST') {
+            if (that._pending[key] === entry) {
+                delete that._pending[key];
+            }
+            return callback(err);
+        }
+
+        fs.writeFile(entry.filename, response.body, function(err) {
+            if (that._pending[key] !== entry) {
+                fs.unlink(entry.filename, function() {});
+                return callback(err || null);
+            }
+
+            delete that._pending[key];
+            if (err) {
+                fs.unlink(entry.filename, function() {});
+                return callback(err);
+            }
+
+            that._add(entry);
+            callback(null);
+        });
+    });
+};
+
+/**
+ * Gets statistics about the use of the cache.
+ *
+ * @return {Object} An object with hits, misses, hitRatio, stores, evictions, count (of cached responses), size
+ *         (in bytes) and maxSize properties.
+ */
+ProxyCache.prototype.getStatistics = function() {
+    var statistics = this._statistics;
+    var requests = statistics.hits + statistics.misses;
+    return {
+        hits : statistics.hits,
+        misses : statistics.misses,
+        hitRatio : requests > 0 ? statistics.hits / requests : 0,
+        stores : statistics.stores,
+        evictions : statistics.evictions,
+        count : this._count,
+        size : this._size,
+        maxSize : this.maxSize
+    };
+};
+
+// The files of each process are kept apart, because each process keeps its own list of them.  Each response gets a
+// file of its own, so that replacing a response never touches the file of the response it replaces.
+ProxyCache.prototype._getFilename = function(key) {
+    var hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, process.pid + '-' + hash + '-' + (++this._fileCount));
+};
+
+ProxyCache.prototype._add = function(entry) {
+    while (this._size + entry.size > this.maxSize) {
+        this._remove(this._head.previous);
+        ++this._statistics.evictions;
+    }
+
+    this._entries[entry.key] = entry;
+    this._size += entry.size;
+    ++this._count;
+    this._touch(entry);
+    ++this._statistics.stores;
+};
+
+// Makes an entry the most recently used.
+ProxyCache.prototype._touch = function(entry) {
+    if (entry.next !== undefined) {
+        entry.previous.next = entry.next;
+        entry.next.previous = entry.previous;
+    }
+
+    entry.previous = this._head;
+    entry.next = this._head.next;
+    this._head.next.previous = entry;
+    this._head.next = entry;
+};
+
+ProxyCache.prototype._remove = function(entry) {
+    entry.previous.next = entry.next;
+    entry.next.previous = entry.previous;
+    entry.next = undefined;
+    entry.previous = undefined;
+
+    delete this._entries[entry.key];
+    this._size -= entry.size;
+    --this._count;
+
+    if (entry.filename !== undefined) {
+        fs.unlink(entry.filename, function() {});
+    }
+};
+
+function getHeader(headers, name) {
+    var lowerCaseName = name.toLowerCase();
+    for (var key in headers) {
+        if (headers.hasOwnProperty(key) && key.toLowerCase() === lowerCaseName) {
+            return String(headers[key]);
+        }
+    }
+    return undefined;
+}
+
+module.exports = ProxyCache;
@@ -0,0 +1,126 @@
+"use strict";
+
+/*global require,module*/
+
+var fs = require('fs');
+var ogr2ogr = require('ogr2ogr');
+var path = require('path');
+
+var inspectZip = require('./inspectZip');
+
+// ogr2ogr writes its errors to stderr, which can be long when it fails on many features.
+var maxMessageLength = 2000;
+
+function conversionError(code, message) {
+    var error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function getOgrMessage(err) {
+    var message = String(err.message || err).trim();
+    if (message.length > maxMessageLength) {
+        message = message.substring(0, maxMessageLength) + '...';
+    }
+    return message;
+}
+
+/**
+ * Converts a file to GeoJSON in the WGS84 coordinate system using ogr2ogr, which must be installed on the server.
+ * The data to convert in a zip file is found with {@link inspectZip}, and read from the zip file without extracting
+ * it, so the name of a zip file must end in .zip.
+ *
+ * @param {String} filename The file to convert.
+ * @param {Object} options Object with the following properties:
+ * @param {Number} options.timeout The longest time to let ogr2ogr run, in milliseconds.
+ * @param {String} [options.outputFilename] A file to which to write the GeoJSON as ogr2ogr produces it, rather than
+ *                 parsing it, so that large results are never held in memory.
+ * @param {Function} callback Called with an error, or with null and the GeoJSON object.  If the GeoJSON is written to
+ *                   options.outputFilename, it is called with null and the size of the file in bytes instead.  The
+ *                   error has a code property, which is UNSUPPORTED_ZIP if a zip file contains nothing that can be
+ *                   converted and CONVERSION_FAILED if ogr2ogr fails.  The message of a CONVERSION_FAILED error is
+ *                   the output of ogr2ogr.
+ */
+var convertToGeoJson = function(filename, options, callback) {
+    function convert(input) {
+        var ogr = ogr2ogr(input)
+            .skipfailures()
+            .options(['-t_srs', 'EPSG:4326'])
+            .timeout(options.timeout);
+
+        // When ogr2ogr skips failures it may produce no GeoJSON at all, so its output explains the failure better
+        // than the error from parsing the GeoJSON.
+        var ogrInfo;
+        ogr.on('ogrinfo', function(info) {
+            ogrInfo = info;
+        });
+
+        if (options.outputFilename === undefined) {
+            return ogr.exec(function(err, data) {
+                if (err) {
+                    return callback(conversionError('CONVERSION_FAILED', getOgrMessage(ogrInfo || err)));
+                }
+                callback(null, data);
+            });
+        }
+
+        // The conversion is done once ogr2ogr has exited and its output has been written.
+        var output = fs.createWriteStream(options.outputFilename);
+        var isConverted = false;
+        var isWritten = false;
+        var isDone = false;
+
+        function fail(err) {
+            if (isDone) {
+                return;
+            }
+            isDone = true;
+            output.end();
+            callback(conversionError('CONVERSION_FAILED', getOgrMessage(ogrInfo || err)));
+        }
+
+        function finish() {
+            if (isDone || !isConverted || !isWritten) {
+                return;
+            }
+            if (output.bytesWritten === 0) {
+                return fail('ogr2ogr did not produce any GeoJSON.');
+            }
+            isDone = true;
+            callback(null, output.bytesWritten);
+        }
+
+        var result = ogr.stream();
+        result.on('error', fail);
+        result.on('close', function() {
+            isConverted = true;
+            finish();
+        });
+        output.on('error', fail);
+        output.on('finish', function() {
+            isWritten = true;
+            finish();
+        });
+        result.pipe(output);
+    }
+
+    if (path.extname(filename).toLowerCase() !== '.zip') {
+        return convert(filename);
+    }
+
+    inspectZip(filename, function(err, contents) {
+        if (err) {
+            return callback(conversionError('UNSUPPORTED_ZIP', err.message));
+        }
+        if (!contents) {
+            return callback(conversionError('UNSUPPORTED_ZIP', 'The zip file does not contain a shapefile, MapInfo TAB file, GeoPackage, file geodatabase or other file that can be converted.'));
+        }
+
+        console.log('Converting', contents.driver, contents.path, 'in', filename);
+
+        // GDAL reads zip files directly through its /vsizip/ file system.
+        convert('/vsizip/' + path.resolve(filename) + '/' + contents.path);
+    });
+};
+
+module.exports = convertToGeoJson;
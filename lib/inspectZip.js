@@ -0,0 +1,190 @@
+"use strict";
+
+/*global require,module*/
+
+var fs = require('fs');
+
+var endOfCentralDirectorySignature = 0x06054b50;
+var centralDirectoryHeaderSignature = 0x02014b50;
+var endOfCentralDirectoryLength = 22;
+var maxCommentLength = 0xffff;
+
+// The kinds of data that can be converted, most preferred first.  A zip file may contain several, such as a
+// shapefile alongside a KML file exported from it, so the first kind found in this list is converted.
+var formats = [
+    { driver : 'FileGDB', directoryExtension : '.gdb' },
+    { driver : 'GPKG', extension : '.gpkg' },
+    { driver : 'ESRI Shapefile', extension : '.shp' },
+    { driver : 'MapInfo File', extension : '.tab' },
+    { driver : 'MapInfo File', extension : '.mif' },
+    { driver : 'KML', extension : '.kml' },
+    { driver : 'GML', extension : '.gml' },
+    { driver : 'GPX', extension : '.gpx' },
+    { driver : 'GeoJSON', extension : '.geojson' },
+    { driver : 'GeoJSON', extension : '.json' }
+];
+
+function readEntryNames(buffer, offset, count) {
+    var names = [];
+    for (var i = 0; i < count; ++i) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== centralDirectoryHeaderSignature) {
+            return undefined;
+        }
+
+        var nameLength = buffer.readUInt16LE(offset + 28);
+        var extraLength = buffer.readUInt16LE(offset + 30);
+        var commentLength = buffer.readUInt16LE(offset + 32);
+        names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return names;
+}
+
+// Reads length bytes of a file, starting at position.
+function readBytes(fd, position, length, callback) {
+    var buffer = new Buffer(length);
+    var offset = 0;
+
+    function readMore() {
+        fs.read(fd, buffer, offset, length - offset, position + offset, function(err, bytesRead) {
+            if (err) {
+                return callback(err);
+            }
+            if (bytesRead === 0) {
+                return callback(null, buffer.slice(0, offset));
+            }
+            offset += bytesRead;
+            if (offset < length) {
+                return readMore();
+            }
+            callback(null, buffer);
+        });
+    }
+
+    readMore();
+}
+
+/**
+ * Lists the names of the files and directories in a zip file, by reading its central directory.  Only the end of the
+ * file and the central directory are read, not the compressed files.
+ *
+ * @param {String} filename The zip file.
+ * @param {Function} callback Called with an error, or with null and an array of the names, which use / to separate
+ *                   directories.
+ */
+function listZipEntries(filename, callback) {
+    fs.open(filename, 'r', function(err, fd) {
+        if (err) {
+            return callback(err);
+        }
+
+        function finish(err, names) {
+            fs.close(fd, function() {
+                callback(err, names);
+            });
+        }
+
+        fs.fstat(fd, function(err, stats) {
+            if (err) {
+                return finish(err);
+            }
+
+            // The end of central directory record is followed only by a comment, so search back from the end for it.
+            var tailLength = Math.min(stats.size, endOfCentralDirectoryLength + maxCommentLength);
+            readBytes(fd, stats.size - tailLength, tailLength, function(err, tail) {
+                if (err) {
+                    return finish(err);
+                }
+
+                var end = -1;
+                for (var i = tail.length - endOfCentralDirectoryLength; i >= 0; --i) {
+                    if (tail.readUInt32LE(i) === endOfCentralDirectorySignature) {
+                        end = i;
+                        break;
+                    }
+                }
+
+                if (end < 0) {
+                    return finish(new Error('The file is not a valid zip file.'));
+                }
+
+                var count = tail.readUInt16LE(end + 10);
+                var size = tail.readUInt32LE(end + 12);
+                var offset = tail.readUInt32LE(end + 16);
+                if (offset + size > stats.size) {
+                    return finish(new Error('The zip file is damaged or uses a format that is not supported.'));
+                }
+
+                readBytes(fd, offset, size, function(err, centralDirectory) {
+                    if (err) {
+                        return finish(err);
+                    }
+
+                    var names = readEntryNames(centralDirectory, 0, count);
+                    if (names === undefined) {
+                        return finish(new Error('The zip file is damaged or uses a format that is not supported.'));
+                    }
+                    finish(null, names);
+                });
+            });
+        });
+    });
+}
+
+function getExtension(name) {
+    var dot = name.lastIndexOf('.');
+    return dot > name.lastIndexOf('/') ? name.substring(dot).toLowerCase() : '';
+}
+
+/**
+ * Finds the data in a zip file that should be converted, so that the right driver is used for zipped shapefiles,
+ * MapInfo TAB files, GeoPackages and file geodatabases.
+ *
+ * @param {String} filename The zip file.
+ * @param {Function} callback Called with an error, or with null and an object with driver and path properties.  The
+ *                   driver is the name of the GDAL driver that reads the data, and the path is the location of the
+ *                   data in the zip file.  If the zip file contains no data that can be converted, both the error
+ *                   and the object are undefined.
+ */
+function inspectZip(filename, callback) {
+    listZipEntries(filename, function(err, names) {
+        if (err) {
+            return callback(err);
+        }
+
+        // Ignore the resource forks that Mac OS X adds to zip files.
+        names = names.filter(function(name) {
+            return name.indexOf('__MACOSX/') !== 0;
+        });
+
+        for (var i = 0; i < formats.length; ++i) {
+            var format = formats[i];
+            for (var j = 0; j < names.length; ++j) {
+                var name = names[j];
+
+                if (format.directoryExtension) {
+                    // A file geodatabase is a directory, which may not have an entry of its own.
+                    var parts = name.split('/');
+                    for (var k = 0; k < parts.length - 1; ++k) {
+                        if (getExtension(parts[k]) === format.directoryExtension) {
+                            return callback(null, {
+                                driver : format.driver,
+                                path : parts.slice(0, k + 1).join('/')
+                            });
+                        }
+                    }
+                } else if (getExtension(name) === format.extension) {
+                    return callback(null, {
+                        driver : format.driver,
+                        path : name
+                    });
+                }
+            }
+        }
+
+        callback();
+    });
+}
+
+module.exports = inspectZip;
@@ -0,0 +1,77 @@
+<?xml version="1.0" encoding="UTF-8"?>
+<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs" xmlns:gml="http://www.opengis.net/gml" xmlns:test="http://example.com/test">
+  <gml:boundedBy>
+    <gml:Box srsName="http://www.opengis.net/gml/srs/epsg.xml#4326">
+      <gml:coordinates decimal="." cs="," ts=" ">150,-35 152,-33</gml:coordinates>
+    </gml:Box>
+  </gml:boundedBy>
+  <gml:featureMember>
+    <test:places fid="places.1">
+      <test:the_geom>
+        <gml:Point srsName="http://www.opengis.net/gml/srs/epsg.xml#4326">
+          <gml:coordinates decimal="." cs="," ts=" ">151.2,-33.8</gml:coordinates>
+        </gml:Point>
+      </test:the_geom>
+      <test:NAME>Sydney</test:NAME>
+      <test:POSTCODE>2000</test:POSTCODE>
+      <test:AREA_CODE>02</test:AREA_CODE>
+      <test:POPULATION>4627345</test:POPULATION>
+    </test:places>
+  </gml:featureMember>
+  <gml:featureMember>
+    <test:places fid="places.2">
+      <test:the_geom>
+        <gml:LineString srsName="http://www.opengis.net/gml/srs/epsg.xml#4326">
+          <gml:coordinates>150,-34 150.5,-34.5 151,-34</gml:coordinates>
+        </gml:LineString>
+      </test:the_geom>
+      <test:NAME>Road</test:NAME>
+    </test:places>
+  </gml:featureMember>
+  <gml:featureMember>
+    <test:places fid="places.3">
+      <test:the_geom>
+        <gml:Polygon srsName="http://www.opengis.net/gml/srs/epsg.xml#4326">
+          <gml:outerBoundaryIs>
+            <gml:LinearRing>
+              <gml:coordinates>150,-35 152,-35 152,-33 150,-33 150,-35</gml:coordinates>
+            </gml:LinearRing>
+          </gml:outerBoundaryIs>
+          <gml:innerBoundaryIs>
+            <gml:LinearRing>
+              <gml:coordinates>150.5,-34.5 151,-34.5 151,-34 150.5,-34 150.5,-34.5</gml:coordinates>
+            </gml:LinearRing>
+          </gml:innerBoundaryIs>
+        </gml:Polygon>
+      </test:the_geom>
+      <test:NAME>Park</test:NAME>
+    </test:places>
+  </gml:featureMember>
+  <gml:featureMember>
+    <test:places fid="places.4">
+      <test:the_geom>
+        <gml:MultiPolygon srsName="http://www.opengis.net/gml/srs/epsg.xml#4326">
+          <gml:polygonMember>
+            <gml:Polygon>
+              <gml:outerBoundaryIs>
+                <gml:LinearRing>
+                  <gml:coordinates>150,-35 150.1,-35 150.1,-34.9 150,-35</gml:coordinates>
+                </gml:LinearRing>
+              </gml:outerBoundaryIs>
+            </gml:Polygon>
+          </gml:polygonMember>
+          <gml:polygonMember>
+            <gml:Polygon>
+              <gml:outerBoundaryIs>
+                <gml:LinearRing>
+                  <gml:coordinates>151,-35 151.1,-35 151.1,-34.9 151,-35</gml:coordinates>
+                </gml:LinearRing>
+              </gml:outerBoundaryIs>
+            </gml:Polygon>
+          </gml:polygonMember>
+        </gml:MultiPolygon>
+      </test:the_geom>
+      <test:NAME>Islands</test:NAME>
+    </test:places>
+  </gml:featureMember>
+</wfs:FeatureCollection>
@@ -0,0 +1,71 @@
+<?xml version="1.0" encoding="UTF-8"?>
+<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs" xmlns:gml="http://www.opengis.net/gml" xmlns:test="http://example.com/test" numberOfFeatures="3">
+  <gml:featureMembers>
+    <test:regions gml:id="regions.1">
+      <gml:boundedBy>
+        <gml:Envelope srsName="urn:x-ogc:def:crs:EPSG:4326">
+          <gml:lowerCorner>-35 150</gml:lowerCorner>
+          <gml:upperCorner>-33 152</gml:upperCorner>
+        </gml:Envelope>
+      </gml:boundedBy>
+      <test:geometry>
+        <gml:MultiSurface srsName="urn:x-ogc:def:crs:EPSG:4326">
+          <gml:surfaceMember>
+            <gml:Polygon>
+              <gml:exterior>
+                <gml:LinearRing>
+                  <gml:posList>-35 150 -35 152 -33 152 -33 150 -35 150</gml:posList>
+                </gml:LinearRing>
+              </gml:exterior>
+              <gml:interior>
+                <gml:LinearRing>
+                  <gml:posList>-34.5 150.5 -34 150.5 -34 151 -34.5 151 -34.5 150.5</gml:posList>
+                </gml:LinearRing>
+              </gml:interior>
+            </gml:Polygon>
+          </gml:surfaceMember>
+          <gml:surfaceMember>
+            <gml:Polygon>
+              <gml:exterior>
+                <gml:LinearRing>
+                  <gml:pos>-36 150</gml:pos>
+                  <gml:pos>-36 151</gml:pos>
+                  <gml:pos>-35.5 151</gml:pos>
+                  <gml:pos>-36 150</gml:pos>
+                </gml:LinearRing>
+              </gml:exterior>
+            </gml:Polygon>
+          </gml:surfaceMember>
+        </gml:MultiSurface>
+      </test:geometry>
+      <test:NAME>Coast</test:NAME>
+      <test:CODE>0800</test:CODE>
+    </test:regions>
+    <test:regions gml:id="regions.2">
+      <test:geometry>
+        <gml:MultiCurve srsName="urn:x-ogc:def:crs:EPSG:4326">
+          <gml:curveMember>
+            <gml:LineString>
+              <gml:posList srsDimension="3">-34 150 10 -34.5 150.5 20</gml:posList>
+            </gml:LineString>
+          </gml:curveMember>
+          <gml:curveMember>
+            <gml:LineString>
+              <gml:posList>-33 151 -33.5 151.5</gml:posList>
+            </gml:LineString>
+          </gml:curveMember>
+        </gml:MultiCurve>
+      </test:geometry>
+      <test:NAME>Rivers</test:NAME>
+      <test:CODE>12.5</test:CODE>
+    </test:regions>
+    <test:regions gml:id="regions.3">
+      <test:geometry>
+        <gml:Point srsName="EPSG:4326">
+          <gml:pos>151.2 -33.8</gml:pos>
+        </gml:Point>
+      </test:geometry>
+      <test:NAME>Lighthouse</test:NAME>
+    </test:regions>
+  </gml:featureMembers>
+</wfs:FeatureCollection>
@@ -0,0 +1,61 @@
+<?xml version="1.0" encoding="UTF-8"?>
+<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:test="http://example.com/test" numberMatched="120" numberReturned="3" timeStamp="2014-10-01T00:00:00Z">
+  <wfs:member>
+    <test:assets gml:id="assets.1">
+      <test:shape>
+        <gml:Curve gml:id="assets.1.shape" srsName="urn:ogc:def:crs:EPSG::28355">
+          <gml:segments>
+            <gml:LineStringSegment>
+              <gml:posList>320000 5810000 320100 5810000</gml:posList>
+            </gml:LineStringSegment>
+            <gml:Arc>
+              <gml:posList>320100 5810000 320200 5810100 320300 5810000</gml:posList>
+            </gml:Arc>
+          </gml:segments>
+        </gml:Curve>
+      </test:shape>
+      <test:NAME>Pipe</test:NAME>
+      <test:INSTALLED xsi:nil="true"/>
+    </test:assets>
+  </wfs:member>
+  <wfs:member>
+    <test:assets gml:id="assets.2">
+      <test:shape>
+        <gml:Surface gml:id="assets.2.shape" srsName="urn:ogc:def:crs:EPSG::28355">
+          <gml:patches>
+            <gml:PolygonPatch>
+              <gml:exterior>
+                <gml:Ring>
+                  <gml:curveMember>
+                    <gml:LineString gml:id="assets.2.ring">
+                      <gml:posList>320000 5810000 320100 5810000 320100 5810100</gml:posList>
+                    </gml:LineString>
+                  </gml:curveMember>
+                  <gml:curveMember>
+                    <gml:LineString gml:id="assets.2.ring2">
+                      <gml:posList>320100 5810100 320000 5810100 320000 5810000</gml:posList>
+                    </gml:LineString>
+                  </gml:curveMember>
+                </gml:Ring>
+              </gml:exterior>
+            </gml:PolygonPatch>
+          </gml:patches>
+        </gml:Surface>
+      </test:shape>
+      <test:NAME>Reserve</test:NAME>
+    </test:assets>
+  </wfs:member>
+  <wfs:member>
+    <test:assets gml:id="assets.3">
+      <test:shape>
+        <gml:MultiPoint gml:id="assets.3.shape" srsName="urn:ogc:def:crs:EPSG::28355">
+          <gml:pointMembers>
+            <gml:Point gml:id="assets.3.a"><gml:pos>320000 5810000</gml:pos></gml:Point>
+            <gml:Point gml:id="assets.3.b"><gml:pos>320050 5810050</gml:pos></gml:Point>
+          </gml:pointMembers>
+        </gml:MultiPoint>
+      </test:shape>
+      <test:NAME>Hydrants</test:NAME>
+    </test:assets>
+  </wfs:member>
+</wfs:FeatureCollection>
@@ -3,6 +3,9 @@
 
 var url = require('url');
 var configSettings = require('./public/config.json');
+var ProxyCache = require('./lib/ProxyCache');
+var ConversionJobs = require('./lib/ConversionJobs');
+var convertToGeoJson = require('./lib/convertToGeoJson');
 
 function getRemoteUrlFromParam(req) {
     var remoteUrl = req.params[0];
@@ -21,6 +24,16 @@ function getRemoteUrlFromParam(req) {
     return remoteUrl;
 }
 
+// Gets how long to cache the response to a request like http://localhost:8080/proxy/_1d/http://example.com/file,
+// in seconds, or undefined if the request does not say.
+function getMaxAgeFromParam(req) {
+    var remoteUrl = req.params[0];
+    if (remoteUrl.indexOf('_') === 0) {
+        return ProxyCache.parseDuration(remoteUrl.substring(1, remoteUrl.indexOf('/')));
+    }
+    return undefined;
+}
+
 var dontProxyHeaderRegex = /^(?:Host|Proxy-Connection|Connection|Keep-Alive|Transfer-Encoding|TE|Trailer|Proxy-Authorization|Proxy-Authenticate|Upgrade)$/i;
 
 function filterHeaders(req, headers) {
@@ -42,19 +55,64 @@ function filterHeaders(req, headers) {
 
 var proxyDomains = configSettings.proxyDomains;
 
-    
+// True if the host is the domain or one of its subdomains, so that "gov.au" matches "data.gov.au" but not "evilgov.au".
+function hostMatchesDomain(host, domain) {
+    host = host.toLowerCase();
+    domain = domain.toLowerCase().replace(/^\./, '');
+    if (host === domain) {
+        return true;
+    }
+    return host.length > domain.length && host.substring(host.length - domain.length - 1) === '.' + domain;
+}
+
 //Non CORS hosts and domains we proxy to
 function proxyAllowedHost(host) {
-    host = host.toLowerCase();
     //check that host is from one of these domains
     for (var i = 0; i < proxyDomains.length; i++) {
-        if (host.indexOf(proxyDomains[i], host.length - proxyDomains[i].length) !== -1) {
+        if (hostMatchesDomain(host, proxyDomains[i])) {
             return true;
         }
     }
     return false;
 }
 
+// Sends an error in a form that the client can show to the user, as { proxyError : { code, message } }.
+function sendProxyError(res, status, code, message) {
+    res.status(status).json({
+        proxyError : {
+            code : code,
+            message : message
+        }
+    });
+}
+
+// Sends an error in a form that the client can show to the user, as { convertError : { code, message } }.
+function sendConvertError(res, status, code, message) {
+    res.status(status).json({
+        convertError : {
+            code : code,
+            message : message
+        }
+    });
+}
+
+// Sends an error in a form that the client can show to the user, as { workspaceError : { code, message } }.
+function sendWorkspaceError(res, status, code, message) {
+    res.status(status).json({
+        workspaceError : {
+            code : code,
+            message : message
+        }
+    });
+}
+
+function convertError(status, code, message) {
+    var error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
 // Include the cluster module
 var cluster = require('cluster');
 
@@ -68,9 +126,24 @@ if (cluster.isMaster) {
 
     console.log('Cores Used:', cpuCount);
 
-    // Create a worker for each CPU
-    for (var i = 0; i < cpuCount; i += 1) {
-        cluster.fork();
+    // Remove the responses cached by earlier runs of the server before any worker uses the cache directory.
+    var cacheDirectory = require('yargs').argv['proxy-cache-directory'];
+    var startWorkers = function() {
+        // Create a worker for each CPU
+        for (var i = 0; i < cpuCount; i += 1) {
+            cluster.fork();
+        }
+    };
+
+    if (cacheDirectory) {
+        ProxyCache.clearDirectory(cacheDirectory, function(err) {
+            if (err) {
+                console.error('Unable to clear the proxy cache directory', err);
+            }
+            startWorkers();
+        });
+    } else {
+        startWorkers();
     }
 
     // Listen for dying workers
@@ -85,7 +158,7 @@ if (cluster.isMaster) {
 // Code to run if we're in a worker process
 } else {
 
-    /*global console,require,__dirname*/
+    /*global console,require,__dirname,process,Buffer*/
     /*jshint es3:false*/
 
     var express = require('express');
@@ -95,7 +168,8 @@ if (cluster.isMaster) {
     var path = require('path');
     var cors = require('cors');
     var formidable = require('formidable');
-    var ogr2ogr = require('ogr2ogr');
+    var crypto = require('crypto');
+    var os = require('os');
     var proj4 = require('proj4');
 
     //TODO: check if this loads the file into each core and if so then,
@@ -117,6 +191,69 @@ if (cluster.isMaster) {
         'bypass-upstream-proxy-hosts' : {
             'description' : 'A comma separated list of hosts that will bypass the specified upstream_proxy, e.g. "lanhost1,lanhost2"'
         },
+        'share-store' : {
+            'default' : './lib/FileSystemShareStore',
+            'description' : 'The module used to store share records.  It must export a constructor taking an options object, with save(content, callback) and load(id, callback) functions.'
+        },
+        'share-directory' : {
+            'default' : 'shares',
+            'description' : 'The directory in which the default share store keeps share records.'
+        },
+        'workspace-store' : {
+            'default' : './lib/FileSystemWorkspaceStore',
+            'description' : 'The module used to store workspaces.  It must export a constructor taking an options object, with save(name, content, editToken, callback), load(name, callback), saveFile(content, callback) and getFileFilename(id) functions.'
+        },
+        'workspace-directory' : {
+            'default' : 'workspaces',
+            'description' : 'The directory in which the default workspace store keeps workspaces and the files uploaded for them.  It must be shared by all server processes.'
+        },
+        'workspace-file-max-size' : {
+            'default' : 20,
+            'description' : 'The largest file that can be uploaded for a workspace, in megabytes.'
+        },
+        'proxy-cache-size' : {
+            'default' : 0,
+            'description' : 'The largest total size of the proxied responses cached by each server process, in megabytes.  If this is 0, responses are not cached by the server.'
+        },
+        'proxy-cache-directory' : {
+            'description' : 'A directory in which to cache proxied responses, rather than keeping them in memory.  Its contents are removed when the server starts.'
+        },
+        'proxy-cache-duration' : {
+            'default' : '14d',
+            'description' : 'How long to cache proxied responses whose URL does not say, such as "12h" or "14d".  URLs like /proxy/_1d/http://example.com/ say how long to cache the response.'
+        },
+        'proxy-cache-respect-cache-control' : {
+            'type' : 'boolean',
+            'default' : false,
+            'description' : 'Cache proxied responses only as long as the Cache-Control header of the remote server allows.'
+        },
+        'proxy-max-size' : {
+            'default' : 100,
+            'description' : 'The largest response the proxy will pass on, in megabytes.'
+        },
+        'proxy-timeout' : {
+            'default' : 30,
+            'description' : 'How long the proxy waits for a remote server to respond, in seconds.'
+        },
+        'proxy-headers' : {
+            'description' : 'A JSON file of headers to add to proxied requests, such as API keys, by domain, e.g. { "example.com" : { "X-Api-Key" : "secret" } }.  The headers are added to requests to the domain and its subdomains.'
+        },
+        'convert-max-size' : {
+            'default' : 20,
+            'description' : 'The largest file that the conversion service will convert, in megabytes.'
+        },
+        'convert-timeout' : {
+            'default' : 300,
+            'description' : 'The longest time that the conversion service will spend downloading or converting a file, in seconds.'
+        },
+        'convert-job-directory' : {
+            'default' : 'convert-jobs',
+            'description' : 'The directory in which the conversion service keeps the status and results of conversion jobs.  It must be shared by all server processes.'
+        },
+        'tile-simplification' : {
+            'default' : 1,
+            'description' : 'How far the simplified lines in tiles of converted data may be from the original lines, in pixels.  If this is 0, geometry in tiles is not simplified.'
+        },
         'help' : {
             'alias' : 'h',
             'type' : 'boolean',
@@ -154,8 +291,49 @@ if (cluster.isMaster) {
     app.get('/ping', function(req, res){
       res.status(200).send('OK');
     });
+
+    var proxyCache;
+    var defaultCacheMaxAge = ProxyCache.parseDuration(argv['proxy-cache-duration']);
+    if (argv['proxy-cache-size'] > 0) {
+        proxyCache = new ProxyCache({
+            maxSize : argv['proxy-cache-size'] * 1024 * 1024,
+            directory : argv['proxy-cache-directory'] ? path.resolve(argv['proxy-cache-directory']) : undefined,
+            respectCacheControl : argv['proxy-cache-respect-cache-control']
+        });
+    }
+
+    // The statistics are those of the server process that handles the request.
+    app.get('/proxy-cache-statistics', function(req, res) {
+        if (!proxyCache) {
+            return res.status(404).send('The proxy cache is not enabled.');
+        }
+
+        var statistics = proxyCache.getStatistics();
+        statistics.process = process.pid;
+        res.status(200).json(statistics);
+    });
     
-    app.get('/proxy/*', function(req, res, next) {
+    var proxyMaxSize = argv['proxy-max-size'] * 1024 * 1024;
+    var proxyTimeout = argv['proxy-timeout'] * 1000;
+
+    // Headers added to the requests to some domains, such as API keys that should not be sent to the browser.
+    var proxyHeaders = {};
+    if (argv['proxy-headers']) {
+        proxyHeaders = JSON.parse(fs.readFileSync(path.resolve(argv['proxy-headers']), 'utf8'));
+    }
+
+    var addProxyHeaders = function(host, headers) {
+        Object.keys(proxyHeaders).forEach(function(domain) {
+            if (hostMatchesDomain(host, domain)) {
+                Object.keys(proxyHeaders[domain]).forEach(function(name) {
+                    headers[name] = proxyHeaders[domain][name];
+                });
+            }
+        });
+        return headers;
+    };
+
+    var proxyRequest = function(req, res, method) {
         // look for request like http://localhost:8080/proxy/http://example.com/file?query=1
         var remoteUrl = getRemoteUrlFromParam(req);
         if (!remoteUrl) {
@@ -166,8 +344,8 @@ if (cluster.isMaster) {
             }
         }
 
-        if (!remoteUrl) {
-            return res.status(400).send('No url specified.');
+        if (!remoteUrl || !remoteUrl.hostname) {
+            return sendProxyError(res, 400, 'NO_URL', 'No URL was specified.');
         }
 
         if (!remoteUrl.protocol) {
@@ -180,28 +358,154 @@ if (cluster.isMaster) {
         }
 
         //If you want to run a CORS proxy to data source, remove this section
-        if (!proxyAllowedHost(remoteUrl.host)) {
-            res.status(400).send('Host is not in list of allowed hosts: ' + remoteUrl.host);
-            return;
+        if (!proxyAllowedHost(remoteUrl.hostname)) {
+            return sendProxyError(res, 403, 'HOST_NOT_ALLOWED', 'The host ' + remoteUrl.hostname + ' is not in the list of hosts that may be proxied.');
         }
- 
-         // encoding : null means "body" passed to the callback will be raw bytes
-
-        request.get({
-            url : url.format(remoteUrl),
-            headers : filterHeaders(req, req.headers),
-            encoding : null,
-            proxy : proxy
-        }, function(error, response, body) {
-            var code = 500;
-
-            if (response) {
-                code = response.statusCode;
+
+        var remoteUrlString = url.format(remoteUrl);
+        var cache = method === 'GET' ? proxyCache : undefined;
+        var cacheKey = cache ? ProxyCache.getKey(remoteUrlString, req.headers) : undefined;
+
+        function retrieve() {
+            var isDone = false;
+
+            // encoding : null means the response is passed on as raw bytes
+            var upstream = request({
+                method : method,
+                url : remoteUrlString,
+                headers : addProxyHeaders(remoteUrl.hostname, filterHeaders(req, req.headers)),
+                encoding : null,
+                proxy : proxy,
+                timeout : proxyTimeout
+            });
+
+            function fail(status, code, message) {
+                if (isDone) {
+                    return;
+                }
+                isDone = true;
+                upstream.abort();
+
+                if (res.headersSent) {
+                    // Part of the response has been sent, so the only way to tell the client is to break the connection.
+                    console.error('Proxy request failed after its response started', remoteUrlString, message);
+                    res.destroy();
+                } else {
+                    sendProxyError(res, status, code, message);
+                }
+            }
+
+            if (method === 'POST') {
+                var requestLength = 0;
+                req.on('data', function(chunk) {
+                    requestLength += chunk.length;
+                    if (requestLength > proxyMaxSize) {
+                        fail(413, 'REQUEST_TOO_LARGE', 'The request is larger than the proxy allows.');
+                    }
+                });
+                req.pipe(upstream);
+            }
+
+            // Stop retrieving the response if the client goes away.
+            res.on('close', function() {
+                if (!isDone) {
+                    isDone = true;
+                    upstream.abort();
+                }
+            });
+
+            upstream.on('error', function(error) {
+                if (error.code === 'ETIMEDOUT' || error.code === 'ESOCKETTIMEDOUT') {
+                    fail(504, 'TIMEOUT', 'The remote server did not respond within ' + argv['proxy-timeout'] + ' seconds.');
+                } else {
+                    fail(502, 'REQUEST_FAILED', 'The remote server could not be reached: ' + error.message);
+                }
+            });
+
+            upstream.on('response', function(response) {
+                var contentLength = parseInt(response.headers['content-length'], 10);
+                if (contentLength > proxyMaxSize) {
+                    return fail(502, 'RESPONSE_TOO_LARGE', 'The response of the remote server is larger than the proxy allows.');
+                }
+
+                // Keep a copy of the response to cache, unless it is too large to cache.
+                var chunks;
+                if (cache && response.statusCode === 200 && ProxyCache.canCache(response.headers)) {
+                    chunks = [];
+                }
+                var length = 0;
+
+                response.on('data', function(chunk) {
+                    length += chunk.length;
+                    if (length > proxyMaxSize) {
+                        return fail(502, 'RESPONSE_TOO_LARGE', 'The response of the remote server is larger than the proxy allows.');
+                    }
+
+                    if (chunks) {
+                        if (length <= cache.maxSize) {
+                            chunks.push(chunk);
+                        } else {
+                            chunks = undefined;
+                        }
+                    }
+                });
+
+                response.on('end', function() {
+                    if (isDone) {
+                        return;
+                    }
+                    isDone = true;
+
+                    if (chunks) {
+                        var requestedMaxAge = getMaxAgeFromParam(req);
+                        var maxAge = cache.getMaxAge(requestedMaxAge !== undefined ? requestedMaxAge : defaultCacheMaxAge, response.headers);
+                        cache.set(cacheKey, {
+                            statusCode : response.statusCode,
+                            headers : response.headers,
+                            body : Buffer.concat(chunks)
+                        }, maxAge, function(err) {
+                            if (err) {
+                                console.error('Unable to cache', remoteUrlString, err);
+                            }
+                        });
+                    }
+                });
+
+                res.status(response.statusCode);
                 res.header(filterHeaders(req, response.headers));
+                if (cache) {
+                    res.header('X-Proxy-Cache', 'MISS');
+                }
+
+                response.pipe(res);
+            });
+        }
+
+        if (!cache) {
+            return retrieve();
+        }
+
+        cache.get(cacheKey, function(err, cached) {
+            if (err) {
+                console.error('Unable to read cached', remoteUrlString, err);
+            }
+            if (!cached) {
+                return retrieve();
             }
 
-            res.status(code).send(body);
+            res.header(filterHeaders(req, cached.headers));
+            res.header('X-Proxy-Cache', 'HIT');
+            res.status(cached.statusCode).send(cached.body);
         });
+    };
+
+    app.get('/proxy/*', function(req, res, next) {
+        proxyRequest(req, res, 'GET');
+    });
+
+    // For services such as WFS and WPS that take requests as XML documents.
+    app.post('/proxy/*', function(req, res, next) {
+        proxyRequest(req, res, 'POST');
     });
 
     //provide REST service for proj4 definition strings
@@ -217,78 +521,425 @@ if (cluster.isMaster) {
 
     // provide conversion to geojson service
     // reguires install of gdal on server: sudo apt-get install gdal-bin
-    app.post('/convert', function(req, res, next) {
+    var convertMaxSize = argv['convert-max-size'] * 1024 * 1024;
+    var convertTimeout = argv['convert-timeout'] * 1000;
+
+    // Room in an upload for the parts of the form other than the file.
+    var convertFormOverhead = 64 * 1024;
+
+    var conversionJobs = new ConversionJobs({
+        directory : path.resolve(__dirname, argv['convert-job-directory']),
+        timeout : convertTimeout,
+        expiry : 24 * 60 * 60 * 1000,
+        tiler : {
+            simplification : argv['tile-simplification']
+        }
+    });
+
+    // The file to convert is saved with the extension of the original file, from which its format is recognised.
+    var getConvertInputFilename = function(name) {
+        var extension = path.extname(name).toLowerCase();
+        return path.join(os.tmpdir(), 'nm-convert-' + crypto.randomBytes(8).toString('hex') + extension);
+    };
+
+    var downloadConvertInput = function(inputUrl, callback) {
+        var filename = getConvertInputFilename(url.parse(inputUrl).pathname || '');
+        var file = fs.createWriteStream(filename);
+        var failed = false;
+
+        var download = request.get({
+            url : inputUrl,
+            timeout : convertTimeout
+        });
+
+        function fail(code, message) {
+            if (failed) {
+                return;
+            }
+            failed = true;
+            download.abort();
+            file.end();
+            fs.unlink(filename, function() {});
+            callback(convertError(code === 'FILE_TOO_LARGE' ? 413 : 502, code, message));
+        }
+
+        download.on('error', function(err) {
+            fail('DOWNLOAD_FAILED', 'Unable to download ' + inputUrl + ': ' + err.message);
+        });
+
+        download.on('response', function(response) {
+            if (response.statusCode !== 200) {
+                return fail('DOWNLOAD_FAILED', 'Unable to download ' + inputUrl + ': the server responded with status ' + response.statusCode + '.');
+            }
+            if (parseInt(response.headers['content-length'], 10) > convertMaxSize) {
+                return fail('FILE_TOO_LARGE', 'The file is larger than the ' + argv['convert-max-size'] + ' MB limit of the conversion service.');
+            }
+
+            var length = 0;
+            response.on('data', function(chunk) {
+                length += chunk.length;
+                if (length > convertMaxSize) {
+                    fail('FILE_TOO_LARGE', 'The file is larger than the ' + argv['convert-max-size'] + ' MB limit of the conversion service.');
+                }
+            });
+        });
+
+        file.on('error', function(err) {
+            fail('DOWNLOAD_FAILED', 'Unable to save the downloaded file: ' + err.message);
+        });
+
+        file.on('finish', function() {
+            if (!failed) {
+                console.log('Downloaded', inputUrl, 'to convert');
+                callback(null, filename);
+            }
+        });
+
+        download.pipe(file);
+    };
+
+    // Receives the file to convert, which is either uploaded as input_file or downloaded from input_url.
+    var receiveConvertInput = function(req, callback) {
+        if (parseInt(req.headers['content-length'], 10) > convertMaxSize + convertFormOverhead) {
+            return callback(convertError(413, 'FILE_TOO_LARGE', 'The file is larger than the ' + argv['convert-max-size'] + ' MB limit of the conversion service.'));
+        }
+
         var form = new formidable.IncomingForm();
         form.parse(req, function(err, fields, files) {
-            var fname, fpath, inputStream;
-            var maxSize = 1000000;
+            if (err) {
+                return callback(convertError(400, 'INVALID_REQUEST', 'Unable to read the file to convert: ' + err.message));
+            }
 
-            if (fields.input_url !== undefined) {
-                if (fields.input_url.indexOf('http') === 0) {
-                    fpath = fields.input_url;
-                    fname = fpath;
+            if (fields.input_url !== undefined && fields.input_url.indexOf('http') === 0) {
+                return downloadConvertInput(fields.input_url, callback);
+            }
+
+            var inputFile = files.input_file;
+            if (inputFile === undefined) {
+                return callback(convertError(400, 'NO_INPUT', 'No file or URL was given to convert.'));
+            }
+
+            if (inputFile.size > convertMaxSize) {
+                fs.unlink(inputFile.path, function() {});
+                return callback(convertError(413, 'FILE_TOO_LARGE', 'The file is larger than the ' + argv['convert-max-size'] + ' MB limit of the conversion service.'));
+            }
+
+            var filename = getConvertInputFilename(inputFile.name || '');
+            fs.rename(inputFile.path, filename, function(err) {
+                if (err) {
+                    fs.unlink(inputFile.path, function() {});
+                    return callback(convertError(500, 'INVALID_REQUEST', 'Unable to save the file to convert.'));
                 }
-            } else if (files.input_file !== undefined) {
-                if (files.input_file.size <= maxSize) {
-                    fpath = files.input_file.path;
-                    fname = files.input_file.name;
-                } else {
-                    console.log('Input file is too large', files.input_file.size);
+                console.log('Received', inputFile.name, 'to convert');
+                callback(null, filename);
+            });
+        });
+    };
+
+    // Converts a file in a single request.  Large files may take longer to convert than clients wait for a response,
+    // so clients should use the /convert/jobs service instead.
+    app.post('/convert', function(req, res, next) {
+        receiveConvertInput(req, function(err, filename) {
+            if (err) {
+                return sendConvertError(res, err.status, err.code, err.message);
+            }
+
+            convertToGeoJson(filename, { timeout : convertTimeout }, function(err, geoJson) {
+                fs.unlink(filename, function() {});
+                if (err) {
+                    console.error('Unable to convert', filename, err.message);
+                    return sendConvertError(res, 422, err.code, err.message);
                 }
+                res.status(200).json(geoJson);
+            });
+        });
+    });
+
+    // Starts converting a file, responding with the ID of the job, which is used to ask for its status and result.
+    app.post('/convert/jobs', function(req, res, next) {
+        receiveConvertInput(req, function(err, filename) {
+            if (err) {
+                return sendConvertError(res, err.status, err.code, err.message);
             }
-            if (fpath === undefined) {
-                res.status(500).send('Unable to convert data');
-                return;
+
+            conversionJobs.submit(filename, function(err, id) {
+                if (err) {
+                    console.error('Unable to start a conversion job', err);
+                    fs.unlink(filename, function() {});
+                    return sendConvertError(res, 500, 'CONVERSION_FAILED', 'Unable to start converting the file.');
+                }
+                res.status(202).location('/convert/jobs/' + id).json({
+                    id : id,
+                    status : 'running'
+                });
+            });
+        });
+    });
+
+    app.get('/convert/jobs/:id', function(req, res, next) {
+        conversionJobs.getStatus(req.params.id, function(err, status) {
+            if (err) {
+                console.error('Unable to read the status of conversion job', req.params.id, err);
+                return sendConvertError(res, 500, 'CONVERSION_FAILED', 'Unable to read the status of the conversion.');
+            }
+            if (status === undefined) {
+                return sendConvertError(res, 404, 'NO_JOB', 'There is no conversion job with ID ' + req.params.id + '.');
             }
-            console.log('Converting', fname);
+            status.id = req.params.id;
+            res.status(200).json(status);
+        });
+    });
+
+    app.get('/convert/jobs/:id/result', function(req, res, next) {
+        var filename = conversionJobs.getResultFilename(req.params.id);
+        if (filename === undefined) {
+            return sendConvertError(res, 404, 'NO_JOB', 'There is no conversion job with ID ' + req.params.id + '.');
+        }
 
-            var hint = '';
-            //simple hint for now, might need to crack zip files going forward
-            if (fname.toLowerCase().indexOf('.zip') === fname.length-4) {
-                hint = 'shp';
+        var result = fs.createReadStream(filename);
+        result.on('error', function(err) {
+            if (err.code === 'ENOENT') {
+                return sendConvertError(res, 404, 'NO_RESULT', 'The conversion has not finished, or its result has expired.');
             }
+            console.error('Unable to read the result of conversion job', req.params.id, err);
+            sendConvertError(res, 500, 'CONVERSION_FAILED', 'Unable to read the result of the conversion.');
+        });
+        result.on('open', function() {
+            res.status(200).type('json');
+            result.pipe(res);
+        });
+    });
 
-            if (fpath.indexOf('http') === 0) {
-                 inputStream = request.get({url: fpath}).on('response', function(response) {
-                    var request = this, len = 0;
-                    response.on('data', function (chunk) {
-                        len += chunk.length;
-                        if (len > maxSize) {
-                            request.abort();
-                        }
-                    });
-                    response.on('end', function() {
-                        console.log('Convert download size', len);
-                    });
-                });
-            } else {
-                inputStream = fs.createReadStream(fpath);
+
+    // Describes the tiles of converted data, which are simplified to the detail that can be seen at their zoom
+    // level, so that clients can show large files by retrieving only the features in view.
+    app.get('/convert/jobs/:id/tiles', function(req, res, next) {
+        conversionJobs.getTiler(req.params.id, function(err, tiler) {
+            if (err) {
+                console.error('Unable to tile the result of conversion job', req.params.id, err);
+                return sendConvertError(res, 500, 'CONVERSION_FAILED', 'Unable to read the result of the conversion.');
+            }
+            if (tiler === undefined) {
+                return sendConvertError(res, 404, 'NO_RESULT', 'The conversion has not finished, or its result has expired.');
             }
 
-            var ogr = ogr2ogr(inputStream, hint)
-                            .skipfailures()
-                            .options(['-t_srs', 'EPSG:4326']);
+            var info = tiler.getInfo();
+            info.tileUrl = '/convert/jobs/' + req.params.id + '/tiles/{z}/{x}/{y}.json';
+            res.status(200).json(info);
+        });
+    });
 
-            ogr.exec(function (er, data) {
-                if (er) { 
-                    console.error(er);
-                }
-                if (data !== undefined) {
-                    res.status(200).send(JSON.stringify(data));
-                } else {
-                    res.status(500).send('Unable to convert data');
-                }
-            })
+    app.get('/convert/jobs/:id/tiles/:z/:x/:y.json', function(req, res, next) {
+        conversionJobs.getTiler(req.params.id, function(err, tiler) {
+            if (err) {
+                console.error('Unable to tile the result of conversion job', req.params.id, err);
+                return sendConvertError(res, 500, 'CONVERSION_FAILED', 'Unable to read the result of the conversion.');
+            }
+            if (tiler === undefined) {
+                return sendConvertError(res, 404, 'NO_RESULT', 'The conversion has not finished, or its result has expired.');
+            }
+
+            var tile = tiler.getTile(Number(req.params.z), Number(req.params.x), Number(req.params.y));
+            if (tile === undefined) {
+                return sendConvertError(res, 404, 'NO_TILE', 'There is no tile ' + req.params.z + '/' + req.params.x + '/' + req.params.y + '.');
+            }
+
+            // The result of a job does not change, but it expires.
+            res.set('Cache-Control', 'max-age=3600');
+            res.status(200).json(tile);
         });
     });
 
 
     //Share record storage
+    var ShareStore = require(argv['share-store']);
+    var shareStore = new ShareStore({
+        directory : path.resolve(__dirname, argv['share-directory'])
+    });
+    var maxShareSize = 1000000;
+
     app.post('/upload', function(req, res, next) {
+        var chunks = [];
+        var len = 0;
+        var tooLarge = false;
+
+        req.on('data', function(chunk) {
+            len += chunk.length;
+            if (len > maxShareSize) {
+                tooLarge = true;
+                chunks.length = 0;
+            } else {
+                chunks.push(chunk);
+            }
+        });
+
+        req.on('end', function() {
+            if (tooLarge) {
+                return res.status(413).send('Share record is too large.');
+            }
+
+            var content = Buffer.concat(chunks).toString('utf8');
+            try {
+                JSON.parse(content);
+            } catch (e) {
+                return res.status(400).send('Share record is not valid JSON.');
+            }
+
+            shareStore.save(content, function(err, id) {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).send('Unable to store share record.');
+                }
+                res.status(200).json({ id : id });
+            });
+        });
     });
 
     
     app.get('/get/:id', function(req, res, next) {
+        shareStore.load(req.params.id, function(err, content) {
+            if (err) {
+                console.error(err);
+                return res.status(500).send('Unable to retrieve share record.');
+            }
+            if (content === undefined) {
+                return res.status(404).send('No share record with ID ' + req.params.id);
+            }
+            res.status(200).type('json').send(content);
+        });
+    });
+
+
+    // Workspaces save the catalog a user has built, the view and the base map under a name, so that they can be
+    // restored later, along with copies of the local files the user added so that their data can be restored too.
+    var WorkspaceStore = require(argv['workspace-store']);
+    var workspaceStore = new WorkspaceStore({
+        directory : path.resolve(__dirname, argv['workspace-directory'])
+    });
+    var maxWorkspaceSize = 1000000;
+    var maxWorkspaceFileSize = argv['workspace-file-max-size'] * 1024 * 1024;
+    var validWorkspaceNameRegex = /^[^\/\\]{1,100}$/;
+
+    // Reads the body of a request, calling back with undefined if it is larger than maxSize bytes.
+    var receiveWorkspaceBody = function(req, maxSize, callback) {
+        var chunks = [];
+        var len = 0;
+        var tooLarge = parseInt(req.headers['content-length'], 10) > maxSize;
+
+        req.on('data', function(chunk) {
+            len += chunk.length;
+            if (len > maxSize) {
+                tooLarge = true;
+                chunks.length = 0;
+            } else if (!tooLarge) {
+                chunks.push(chunk);
+            }
+        });
+
+        req.on('end', function() {
+            callback(tooLarge ? undefined : Buffer.concat(chunks));
+        });
+    };
+
+    app.put('/workspaces/:name', function(req, res, next) {
+        var name = req.params.name;
+        if (!validWorkspaceNameRegex.test(name)) {
+            return sendWorkspaceError(res, 400, 'INVALID_NAME', 'The name of a workspace must be between 1 and 100 characters long and must not contain slashes.');
+        }
+
+        receiveWorkspaceBody(req, maxWorkspaceSize, function(body) {
+            if (body === undefined) {
+                return sendWorkspaceError(res, 413, 'WORKSPACE_TOO_LARGE', 'The workspace is too large to save.');
+            }
+
+            var content = body.toString('utf8');
+            try {
+                JSON.parse(content);
+            } catch (e) {
+                return sendWorkspaceError(res, 400, 'INVALID_WORKSPACE', 'The workspace is not valid JSON.');
+            }
+
+            // Anyone can save a new workspace, but only the holder of its edit token can replace it.
+            workspaceStore.save(name, content, req.headers['x-edit-token'], function(err, editToken) {
+                if (err) {
+                    console.error('Unable to save workspace', name, err);
+                    return sendWorkspaceError(res, 500, 'SAVE_FAILED', 'Unable to save the workspace.');
+                }
+                if (editToken === undefined) {
+                    return sendWorkspaceError(res, 403, 'WRONG_EDIT_TOKEN', 'A workspace named ' + name + ' already exists.  It can only be replaced using the edit key given when it was first saved.');
+                }
+                res.status(200).json({
+                    name : name,
+                    editToken : editToken
+                });
+            });
+        });
+    });
+
+    app.get('/workspaces/:name', function(req, res, next) {
+        var name = req.params.name;
+        if (!validWorkspaceNameRegex.test(name)) {
+            return sendWorkspaceError(res, 404, 'NO_WORKSPACE', 'There is no workspace named ' + name + '.');
+        }
+
+        workspaceStore.load(name, function(err, content) {
+            if (err) {
+                console.error('Unable to load workspace', name, err);
+                return sendWorkspaceError(res, 500, 'LOAD_FAILED', 'Unable to load the workspace.');
+            }
+            if (content === undefined) {
+                return sendWorkspaceError(res, 404, 'NO_WORKSPACE', 'There is no workspace named ' + name + '.');
+            }
+            res.set('Cache-Control', 'no-cache');
+            res.status(200).type('json').send(content);
+        });
+    });
+
+    // The name of an uploaded file is kept in its URL, so that its format can be recognised from its extension.
+    app.post('/workspaces/files/:filename', function(req, res, next) {
+        var filename = req.params.filename;
+
+        receiveWorkspaceBody(req, maxWorkspaceFileSize, function(body) {
+            if (body === undefined) {
+                return sendWorkspaceError(res, 413, 'FILE_TOO_LARGE', 'The file is larger than the ' + argv['workspace-file-max-size'] + ' MB limit for files in workspaces.');
+            }
+
+            workspaceStore.saveFile(body, function(err, id) {
+                if (err) {
+                    console.error('Unable to save workspace file', filename, err);
+                    return sendWorkspaceError(res, 500, 'SAVE_FAILED', 'Unable to save the file.');
+                }
+                res.status(200).json({
+                    id : id,
+                    url : 'workspaces/files/' + id + '/' + encodeURIComponent(filename)
+                });
+            });
+        });
+    });
+
+    app.get('/workspaces/files/:id/:filename', function(req, res, next) {
+        var filename = workspaceStore.getFileFilename(req.params.id);
+        if (filename === undefined) {
+            return sendWorkspaceError(res, 404, 'NO_FILE', 'There is no file with ID ' + req.params.id + '.');
+        }
+
+        var file = fs.createReadStream(filename);
+        file.on('error', function(err) {
+            if (err.code === 'ENOENT') {
+                return sendWorkspaceError(res, 404, 'NO_FILE', 'There is no file with ID ' + req.params.id + '.');
+            }
+            console.error('Unable to read workspace file', req.params.id, err);
+            sendWorkspaceError(res, 500, 'LOAD_FAILED', 'Unable to read the file.');
+        });
+        file.on('open', function() {
+            // The content of a file never changes, because its ID is the hash of its content.
+            res.set('Cache-Control', 'max-age=31536000');
+            // Anyone can upload a file, so never let a browser render one as a page of this site, whatever its name.
+            res.set('Content-Disposition', 'attachment');
+            res.set('X-Content-Type-Options', 'nosniff');
+            res.status(200).type('application/octet-stream');
+            file.pipe(res);
+        });
     });
 
 
@@ -0,0 +1,21 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var corsProxy = require('../../src/Core/corsProxy');
+
+describe('corsProxy', function() {
+    it('describes errors reported by the proxy', function() {
+        var error = {
+            statusCode : 504,
+            response : '{"proxyError":{"code":"TIMEOUT","message":"The remote server did not respond within <30> seconds."}}'
+        };
+        expect(corsProxy.describeError(error)).toBe('<p>The National Map proxy reported: The remote server did not respond within &lt;30&gt; seconds.</p>');
+    });
+
+    it('ignores errors that did not come from the proxy', function() {
+        expect(corsProxy.describeError(undefined)).toBe('');
+        expect(corsProxy.describeError({ statusCode : 404, response : '<html>Not found</html>' })).toBe('');
+        expect(corsProxy.describeError({ statusCode : 500, response : { message : 'Failed' } })).toBe('');
+    });
+});
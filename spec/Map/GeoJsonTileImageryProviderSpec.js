@@ -0,0 +1,109 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var createGeoJsonStyler = require('../../src/Map/createGeoJsonStyler');
+var GeoJsonTileImageryProvider = require('../../src/Map/GeoJsonTileImageryProvider');
+
+describe('GeoJsonTileImageryProvider', function() {
+    var tile = {
+        type : 'FeatureCollection',
+        features : [
+            {
+                type : 'Feature',
+                properties : { name : 'polygon' },
+                geometry : {
+                    type : 'Polygon',
+                    coordinates : [[[-170, -60], [-100, -60], [-100, -10], [-170, -10], [-170, -60]]]
+                }
+            },
+            {
+                type : 'Feature',
+                properties : { name : 'line' },
+                geometry : {
+                    type : 'LineString',
+                    coordinates : [[-90, 45], [90, 45]]
+                }
+            },
+            {
+                type : 'Feature',
+                properties : { name : 'point' },
+                geometry : {
+                    type : 'Point',
+                    coordinates : [0, 0]
+                }
+            },
+            {
+                type : 'Feature',
+                properties : { name : 'no geometry' },
+                geometry : null
+            }
+        ]
+    };
+
+    function createProvider(style, dataRectangle) {
+        var provider = new GeoJsonTileImageryProvider({
+            url : '/convert/jobs/1/tiles/{z}/{x}/{y}.json',
+            styler : createGeoJsonStyler({
+                style : style,
+                pointColor : Color.WHITE,
+                lineColor : Color.GRAY
+            }),
+            dataRectangle : dataRectangle
+        });
+        provider.loadTile = function(x, y, level) {
+            return when(tile);
+        };
+        return provider;
+    }
+
+    function pickNames(provider, longitude, latitude, done) {
+        var names;
+        provider.pickFeaturesAt(CesiumMath.toRadians(longitude), CesiumMath.toRadians(latitude), 0).then(function(result) {
+            names = result.features.map(function(feature) {
+                return feature.properties.name;
+            });
+            done(names);
+        });
+    }
+
+    it('picks points and lines within a few pixels of the location', function(done) {
+        var provider = createProvider();
+        pickNames(provider, 5, 0, function(names) {
+            expect(names).toEqual(['point']);
+            pickNames(provider, 20, 0, function(names) {
+                expect(names).toEqual([]);
+                pickNames(provider, 0, 46, function(names) {
+                    expect(names).toEqual(['line']);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('picks the inside of polygons only when they are filled', function(done) {
+        pickNames(createProvider(), -135, -35, function(names) {
+            expect(names).toEqual([]);
+            pickNames(createProvider({ polygon : { fill : true } }), -135, -35, function(names) {
+                expect(names).toEqual(['polygon']);
+                pickNames(createProvider(), -100, -35, function(names) {
+                    expect(names).toEqual(['polygon']);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('skips tiles outside the extent of the data', function() {
+        var provider = createProvider(undefined, Rectangle.fromDegrees(140, -40, 150, -30));
+        expect(provider.hasFeaturesInTile(3, 2, 2)).toBe(true);
+        expect(provider.hasFeaturesInTile(0, 0, 2)).toBe(false);
+        expect(provider.hasFeaturesInTile(3, 1, 2)).toBe(false);
+        expect(createProvider().hasFeaturesInTile(0, 0, 2)).toBe(true);
+    });
+});
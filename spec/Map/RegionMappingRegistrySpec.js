@@ -0,0 +1,141 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var RegionMappingRegistry = require('../../src/Map/RegionMappingRegistry');
+
+var registry;
+
+beforeEach(function() {
+    registry = new RegionMappingRegistry({
+        server: 'http://example.com/ows',
+        regionWmsMap: {
+            POA: {
+                name: 'region_map:POA',
+                regionProp: 'POA_CODE',
+                aliases: ['poa', 'postcode'],
+                zeroPad: 4
+            },
+            LGA: {
+                name: 'region_map:LGA',
+                regionProp: 'LGA_CODE11',
+                nameProp: 'LGA_NAME11',
+                aliases: ['lga'],
+                server: 'http://example.com/lga/ows',
+                nameReplacements: [
+                    ['^(city|shire) of ', ''],
+                    ['\\s*\\([a-z]+\\)$', '']
+                ]
+            }
+        }
+    });
+
+    registry.setRegionIDs('POA', ['0800', '0810', '2000']);
+    registry.setRegionIDs('LGA', ['20660', '27350'], ['Yarra (C)', 'Mornington Peninsula (S)']);
+});
+
+describe('RegionMappingRegistry', function() {
+    it('gets region descriptors and servers by region type', function() {
+        expect(registry.getRegionDescriptor('POA').regionProp).toBe('POA_CODE');
+        expect(registry.getRegionDescriptor('SA2')).toBeUndefined();
+        expect(registry.getServer('POA')).toBe('http://example.com/ows');
+        expect(registry.getServer('LGA')).toBe('http://example.com/lga/ows');
+        expect(registry.getRegionTypes()).toEqual(['POA', 'LGA']);
+    });
+
+    it('matches zero-padded codes regardless of leading zeros', function() {
+        expect(registry.findRegionIndex('POA', 800)).toBe(0);
+        expect(registry.findRegionIndex('POA', '0810')).toBe(1);
+        expect(registry.findRegionIndex('POA', ' 2000 ')).toBe(2);
+        expect(registry.findRegionIndex('POA', 3000)).toBe(-1);
+    });
+
+    it('matches names ignoring case, whitespace and punctuation', function() {
+        expect(registry.findRegionIndex('LGA', 'yarra (c)')).toBe(0);
+        expect(registry.findRegionIndex('LGA', 'City of Yarra')).toBe(0);
+        expect(registry.findRegionIndex('LGA', 'Mornington  Peninsula')).toBe(1);
+        expect(registry.findRegionIndex('LGA', 'Shire of Mornington-Peninsula')).toBe(1);
+        expect(registry.findRegionIndex('LGA', 27350)).toBe(1);
+        expect(registry.findRegionIndex('LGA', 'Melbourne (C)')).toBe(-1);
+    });
+
+    it('does not match undefined values or unknown region types', function() {
+        expect(registry.findRegionIndex('LGA', undefined)).toBe(-1);
+        expect(registry.findRegionIndex('SA2', '101')).toBe(-1);
+    });
+
+    describe('with vector boundaries', function() {
+        var vectorRegistry;
+
+        beforeEach(function() {
+            vectorRegistry = new RegionMappingRegistry({
+                server: 'http://example.com/ows',
+                regionWmsMap: {
+                    STE: {
+                        name: 'region_map:STE',
+                        regionProp: 'STE_CODE11',
+                        nameProp: 'STE_NAME11',
+                        aliases: ['state', 'ste'],
+                        vectorUrl: 'test/regions/STE_vectors.geojson'
+                    },
+                    POA: {
+                        name: 'region_map:POA',
+                        regionProp: 'POA_CODE',
+                        aliases: ['poa']
+                    }
+                }
+            });
+        });
+
+        it('resolves to undefined for region types without a vectorUrl', function(done) {
+            vectorRegistry.loadRegionVectors('POA').then(function(geoJson) {
+                expect(geoJson).toBeUndefined();
+                done();
+            });
+        });
+
+        it('indexes multi-part regions once and skips features without a code', function() {
+            var index = vectorRegistry.indexRegionFeatures('STE', [
+                { STE_CODE11: '1', STE_NAME11: 'New South Wales' },
+                { STE_CODE11: '6', STE_NAME11: 'Tasmania' },
+                { STE_CODE11: '6', STE_NAME11: 'Tasmania' },
+                null,
+                { STE_CODE11: null },
+                undefined
+            ]);
+
+            expect(index.codes).toEqual(['1', '6']);
+            expect(index.names).toEqual(['New South Wales', 'Tasmania']);
+            expect(index.featureRegionIndices).toEqual([0, 1, 1, -1, -1, -1]);
+        });
+
+        it('uses vectorRegionProp in preference to regionProp', function() {
+            vectorRegistry.getRegionDescriptor('STE').vectorRegionProp = 'STATE_CODE';
+            var index = vectorRegistry.indexRegionFeatures('STE', [
+                { STE_CODE11: '1', STATE_CODE: 'NSW' }
+            ]);
+
+            expect(index.codes).toEqual(['NSW']);
+            expect(index.names).toEqual([undefined]);
+        });
+
+        it('loads boundaries that can be matched by code and name', function(done) {
+            vectorRegistry.loadRegionVectors('STE').then(function(geoJson) {
+                var featureProperties = geoJson.features.map(function(feature) {
+                    return feature.properties;
+                });
+                var index = vectorRegistry.indexRegionFeatures('STE', featureProperties);
+                expect(index.featureRegionIndices).toEqual([0, 1, 1, -1]);
+
+                var findRegionIndex = vectorRegistry.createRegionMatcher('STE', index.codes, index.names);
+                expect(findRegionIndex(1)).toBe(0);
+                expect(findRegionIndex('tasmania')).toBe(1);
+                expect(findRegionIndex('Victoria')).toBe(-1);
+                done();
+            }).otherwise(function(e) {
+                expect(e).toBeUndefined();
+                done();
+            });
+        });
+    });
+});
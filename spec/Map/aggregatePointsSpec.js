@@ -0,0 +1,35 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var aggregatePoints = require('../../src/Map/aggregatePoints');
+
+function point(lon, lat, val, row) {
+    return { val : val, pos : [lon, lat, 0.0], row : row };
+}
+
+describe('aggregatePoints', function() {
+    it('returns the points unchanged when there are not too many', function() {
+        var points = [point(0, 0, 1, 0), point(1, 1, 2, 1)];
+        expect(aggregatePoints(points, { maxPointCount : 2 })).toBe(points);
+    });
+
+    it('averages the points in each cell', function() {
+        var points = [point(0, 0, 1, 0), point(0.1, 0.1, 3, 1), point(10, 10, 5, 2), point(9.9, 9.9, -99, 3), point(0.2, 0.2, 2, 4)];
+        var result = aggregatePoints(points, { maxPointCount : 4, noData : -99 });
+        expect(result.length).toBe(2);
+        expect(result[0].val).toBe(2);
+        expect(result[0].count).toBe(3);
+        expect(result[0].row).toBe(0);
+        expect(result[0].pos[0]).toBeCloseTo(0.1, 10);
+        expect(result[1].val).toBe(5);
+        expect(result[1].count).toBe(2);
+    });
+
+    it('uses the most common value of categorical points', function() {
+        var points = [point(0, 0, 1, 0), point(0, 0, 2, 1), point(0, 0, 2, 2)];
+        var result = aggregatePoints(points, { maxPointCount : 1, categorical : true });
+        expect(result.length).toBe(1);
+        expect(result[0].val).toBe(2);
+    });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var computeClassBreaks = require('../../src/Map/computeClassBreaks');
+
+describe('computeClassBreaks', function() {
+    it('divides the range into equal intervals by default', function() {
+        expect(computeClassBreaks([0, 3, 10, 7, 1])).toEqual([0, 2, 4, 6, 8, 10]);
+        expect(computeClassBreaks([0, 10], { classCount : 2 })).toEqual([0, 5, 10]);
+    });
+
+    it('puts the same number of values in each quantile', function() {
+        var breaks = computeClassBreaks([1, 2, 3, 4, 5, 6, 7, 8, 1000], { method : 'quantile', classCount : 3 });
+        expect(breaks).toEqual([1, 4, 7, 1000]);
+    });
+
+    it('finds natural breaks between clusters of values', function() {
+        var values = [1, 2, 3, 20, 21, 22, 100, 101, 102];
+        expect(computeClassBreaks(values, { method : 'jenks', classCount : 3 })).toEqual([1, 20, 100, 102]);
+    });
+
+    it('puts an outlier at the maximum in a natural class of its own', function() {
+        var values = [1, 2, 3, 4, 5, 100, 101, 102, 1000];
+        var breaks = computeClassBreaks(values, { method : 'jenks', classCount : 3 });
+        expect(breaks).toEqual([1, 100, 1000, 1000]);
+        expect(computeClassBreaks.getClassIndex(breaks, 102)).toBe(1);
+        expect(computeClassBreaks.getClassIndex(breaks, 1000)).toBe(2);
+    });
+
+    it('centres standard deviation classes on the mean', function() {
+        var breaks = computeClassBreaks([2, 4, 4, 4, 5, 5, 7, 9], { method : 'standardDeviation', classCount : 4 });
+        expect(breaks).toEqual([2, 3, 5, 7, 9]);
+    });
+
+    it('uses user-defined breaks within the range of the values', function() {
+        var breaks = computeClassBreaks([5, 50, 500], { method : 'userDefined', breaks : [100, 10, 1000] });
+        expect(breaks).toEqual([5, 10, 100, 500]);
+    });
+
+    it('returns fewer classes when values cannot be divided further', function() {
+        expect(computeClassBreaks([3, 3, 3], { method : 'quantile' })).toEqual([3, 3]);
+        expect(computeClassBreaks([1, 1, 1, 2], { method : 'quantile', classCount : 4 })).toEqual([1, 2]);
+        expect(computeClassBreaks([])).toBeUndefined();
+    });
+
+    it('gets the class containing a value', function() {
+        var breaks = [0, 10, 20, 30];
+        expect(computeClassBreaks.getClassIndex(breaks, 0)).toBe(0);
+        expect(computeClassBreaks.getClassIndex(breaks, 10)).toBe(1);
+        expect(computeClassBreaks.getClassIndex(breaks, 25)).toBe(2);
+        expect(computeClassBreaks.getClassIndex(breaks, 30)).toBe(2);
+        expect(computeClassBreaks.getClassIndex(breaks, 31)).toBe(-1);
+        expect(computeClassBreaks.getClassIndex(breaks, undefined)).toBe(-1);
+    });
+});
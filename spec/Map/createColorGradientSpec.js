@@ -0,0 +1,45 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var ColorPalettes = require('../../src/Map/ColorPalettes');
+var createColorGradient = require('../../src/Map/createColorGradient');
+
+describe('createColorGradient', function() {
+    it('spreads the colors of a sequential palette evenly', function() {
+        var gradient = createColorGradient({ name : 'Rainbow' });
+        expect(gradient.length).toBe(5);
+        expect(gradient[0]).toEqual({ offset : 0.0, color : '#0000c8' });
+        expect(gradient[2]).toEqual({ offset : 0.5, color : '#00c800' });
+        expect(gradient[4]).toEqual({ offset : 1.0, color : '#c80000' });
+    });
+
+    it('reverses the colors of a palette', function() {
+        var gradient = createColorGradient({ name : 'Rainbow', reverse : true });
+        expect(gradient[0].color).toBe('#c80000');
+        expect(gradient[4].color).toBe('#0000c8');
+        expect(ColorPalettes.Rainbow.colors[0]).toBe('#0000c8');
+    });
+
+    it('places the central color of a diverging palette at the centre offset', function() {
+        var colors = ColorPalettes.RdBu.colors;
+        var gradient = createColorGradient({ name : 'RdBu', centerOffset : 0.2 });
+        expect(gradient[0]).toEqual({ offset : 0.0, color : colors[0] });
+        expect(gradient[5]).toEqual({ offset : 0.2, color : colors[5] });
+        expect(gradient[10]).toEqual({ offset : 1.0, color : colors[10] });
+        expect(gradient[1].offset).toBeCloseTo(0.04, 10);
+        expect(gradient[6].offset).toBeCloseTo(0.36, 10);
+    });
+
+    it('gives each color of a qualitative palette an equal band', function() {
+        var gradient = createColorGradient({ name : 'OkabeIto' });
+        expect(gradient.length).toBe(16);
+        expect(gradient[2]).toEqual({ offset : 1 / 8, color : '#56b4e9' });
+        expect(gradient[3]).toEqual({ offset : 2 / 8, color : '#56b4e9' });
+    });
+
+    it('returns undefined for unknown palettes', function() {
+        expect(createColorGradient({ name : 'NotAPalette' })).toBeUndefined();
+        expect(createColorGradient({ name : 'hasOwnProperty' })).toBeUndefined();
+    });
+});
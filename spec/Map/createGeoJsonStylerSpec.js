@@ -0,0 +1,100 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var Color = require('../../third_party/cesium/Source/Core/Color');
+
+var createGeoJsonStyler = require('../../src/Map/createGeoJsonStyler');
+
+describe('createGeoJsonStyler', function() {
+    var defaults = {
+        pointColor : Color.WHITE,
+        lineColor : Color.GRAY
+    };
+
+    function createStyler(style, properties) {
+        return createGeoJsonStyler({
+            style : style,
+            properties : properties,
+            pointColor : defaults.pointColor,
+            lineColor : defaults.lineColor
+        });
+    }
+
+    it('uses the defaults when there is no style', function() {
+        var style = createStyler().getStyle({});
+        expect(style.point.color).toEqual(Color.WHITE);
+        expect(style.point.size).toBe(10);
+        expect(style.line.color).toEqual(Color.GRAY);
+        expect(style.line.width).toBe(2);
+        expect(style.polygon.fill).toBe(false);
+    });
+
+    it('uses the point, line and polygon options of the style', function() {
+        var style = createStyler({
+            point : { color : '#ff0000', size : 6 },
+            line : { width : 4 },
+            polygon : { fill : true, fillColor : 'blue', fillOpacity : 0.5 }
+        }).getStyle({});
+        expect(style.point.color).toEqual(Color.RED);
+        expect(style.point.size).toBe(6);
+        expect(style.line.width).toBe(4);
+        expect(style.polygon.fill).toBe(true);
+        expect(style.polygon.fillColor).toEqual(new Color(0.0, 0.0, 1.0, 0.5));
+    });
+
+    it('honours simplestyle properties of features', function() {
+        var styler = createStyler();
+        var style = styler.getStyle({
+            'marker-color' : '#00ff00',
+            'marker-size' : 'large',
+            'stroke' : '#ff0000',
+            'stroke-width' : 3,
+            'fill' : '#0000ff',
+            'fill-opacity' : 0.25
+        });
+        expect(style.point.color).toEqual(Color.LIME);
+        expect(style.point.size).toBe(14);
+        expect(style.line.color).toEqual(Color.RED);
+        expect(style.line.width).toBe(3);
+        expect(style.polygon.fill).toBe(true);
+        expect(style.polygon.fillColor).toEqual(new Color(0.0, 0.0, 1.0, 0.25));
+
+        var ignored = createStyler({ useSimpleStyle : false }).getStyle({ stroke : '#ff0000' });
+        expect(ignored.line.color).toEqual(Color.GRAY);
+    });
+
+    it('colors features by category', function() {
+        var properties = [{ type : 'road' }, { type : 'rail' }, { type : 'road' }];
+        var styler = createStyler({
+            colorRule : { property : 'type', type : 'categorical', colors : { road : '#ff0000', rail : '#0000ff' } }
+        }, properties);
+        expect(styler.getStyle(properties[0]).line.color).toEqual(Color.RED);
+        expect(styler.getStyle(properties[1]).point.color).toEqual(Color.BLUE);
+        expect(styler.getStyle({ type : 'path' }).line.color).toEqual(Color.GRAY);
+        expect(styler.legend.length).toBe(2);
+        expect(styler.legend[0].label).toBe('road');
+    });
+
+    it('ignores null properties and values', function() {
+        var properties = [{ type : 'road' }, { type : null }];
+        var styler = createStyler({
+            colorRule : { property : 'type', type : 'categorical' }
+        }, properties);
+        expect(styler.legend.length).toBe(1);
+        expect(styler.getStyle(properties[1]).line.color).toEqual(Color.GRAY);
+        expect(styler.getStyle(null).line.color).toEqual(Color.GRAY);
+    });
+
+    it('colors features by the class of their value', function() {
+        var properties = [{ count : 1 }, { count : 2 }, { count : 3 }, { count : 4 }];
+        var styler = createStyler({
+            colorRule : { property : 'count', type : 'graduated', method : 'equalInterval', classCount : 2, colors : ['#ffffff', '#000000'] }
+        }, properties);
+        expect(styler.getStyle(properties[0]).polygon.fillColor).toEqual(new Color(1.0, 1.0, 1.0, 0.75));
+        expect(styler.getStyle(properties[3]).polygon.fillColor).toEqual(new Color(0.0, 0.0, 0.0, 0.75));
+        expect(styler.getStyle(properties[3]).polygon.fill).toBe(true);
+        expect(styler.legend.length).toBe(2);
+        expect(styler.legend[0].label).toBe('1 to 2.5');
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var esriJsonToGeoJson = require('../../src/Map/esriJsonToGeoJson');
+
+describe('esriJsonToGeoJson', function() {
+    it('converts features and takes their ids from the object ID field', function() {
+        var geoJson = esriJsonToGeoJson({
+            objectIdFieldName : 'OBJECTID',
+            geometryType : 'esriGeometryPoint',
+            features : [{
+                attributes : { OBJECTID : 7, NAME : 'Sydney' },
+                geometry : { x : 151.2, y : -33.8 }
+            }, {
+                attributes : { OBJECTID : 8, NAME : 'Nowhere' }
+            }],
+            exceededTransferLimit : true
+        });
+
+        expect(geoJson.type).toBe('FeatureCollection');
+        expect(geoJson.exceededTransferLimit).toBe(true);
+        expect(geoJson.features).toEqual([{
+            type : 'Feature',
+            id : 7,
+            properties : { OBJECTID : 7, NAME : 'Sydney' },
+            geometry : { type : 'Point', coordinates : [151.2, -33.8] }
+        }, {
+            type : 'Feature',
+            id : 8,
+            properties : { OBJECTID : 8, NAME : 'Nowhere' },
+            geometry : null
+        }]);
+    });
+
+    it('finds the object ID field in the field list', function() {
+        var geoJson = esriJsonToGeoJson({
+            fields : [{ name : 'NAME', type : 'esriFieldTypeString' }, { name : 'FID', type : 'esriFieldTypeOID' }],
+            features : [{ attributes : { FID : 3, NAME : 'A' }, geometry : { x : 1, y : 2 } }]
+        });
+        expect(geoJson.features[0].id).toBe(3);
+        expect(geoJson.exceededTransferLimit).toBeUndefined();
+    });
+
+    it('converts multipoints and polylines', function() {
+        expect(esriJsonToGeoJson.convertGeometry({ points : [[1, 2], [3, 4, 5]] })).toEqual({
+            type : 'MultiPoint',
+            coordinates : [[1, 2], [3, 4, 5]]
+        });
+        expect(esriJsonToGeoJson.convertGeometry({ paths : [[[1, 2], [3, 4]]] })).toEqual({
+            type : 'LineString',
+            coordinates : [[1, 2], [3, 4]]
+        });
+        expect(esriJsonToGeoJson.convertGeometry({ paths : [[[1, 2], [3, 4]], [[5, 6], [7, 8]]] })).toEqual({
+            type : 'MultiLineString',
+            coordinates : [[[1, 2], [3, 4]], [[5, 6], [7, 8]]]
+        });
+        expect(esriJsonToGeoJson.convertGeometry({ paths : [] })).toBeNull();
+    });
+
+    it('groups polygon rings into polygons with holes by their orientation', function() {
+        var outer = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+        var hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+        var island = [[20, 0], [20, 5], [25, 5], [25, 0], [20, 0]];
+
+        expect(esriJsonToGeoJson.convertGeometry({ rings : [outer, hole] })).toEqual({
+            type : 'Polygon',
+            coordinates : [outer, hole]
+        });
+
+        expect(esriJsonToGeoJson.convertGeometry({ rings : [outer, island, hole] })).toEqual({
+            type : 'MultiPolygon',
+            coordinates : [[outer, hole], [island]]
+        });
+    });
+
+    it('converts envelopes to polygons', function() {
+        expect(esriJsonToGeoJson.convertGeometry({ xmin : 1, ymin : 2, xmax : 3, ymax : 4 })).toEqual({
+            type : 'Polygon',
+            coordinates : [[[1, 2], [3, 2], [3, 4], [1, 4], [1, 2]]]
+        });
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var filterToCql = require('../../src/Map/filterToCql');
+
+describe('filterToCql', function() {
+    it('translates comparisons', function() {
+        expect(filterToCql({ property : 'STATE', op : '=', value : 'NSW' })).toBe("STATE = 'NSW'");
+        expect(filterToCql({ property : 'population', op : '!=', value : 0 })).toBe('population <> 0');
+        expect(filterToCql({ property : 'name', op : 'like', value : 'Syd%' })).toBe("name LIKE 'Syd%'");
+        expect(filterToCql({ property : 'area', op : 'between', value : [1, 2.5] })).toBe('area BETWEEN 1 AND 2.5');
+        expect(filterToCql({ property : 'code', op : 'in', value : ['A', 'B'] })).toBe("code IN ('A', 'B')");
+        expect(filterToCql({ property : 'code', op : 'isNull' })).toBe('code IS NULL');
+    });
+
+    it('quotes property names and strings that need it', function() {
+        expect(filterToCql({ property : 'road "type"', op : '=', value : "O'Connell" })).toBe('"road ""type""" = \'O\'\'Connell\'');
+    });
+
+    it('combines conditions', function() {
+        var filter = {
+            and : [
+                { property : 'a', op : '>', value : 1 },
+                { or : [{ property : 'b', op : '=', value : true }, { not : { property : 'c', op : 'isNull' } }] }
+            ]
+        };
+        expect(filterToCql(filter)).toBe('(a > 1 AND (b = TRUE OR NOT (c IS NULL)))');
+        expect(filterToCql({ and : [{ property : 'a', op : '<', value : 1 }] })).toBe('a < 1');
+    });
+
+    it('throws for invalid filters', function() {
+        expect(function() {
+            filterToCql({ property : 'a', op : '~', value : 1 });
+        }).toThrow();
+        expect(function() {
+            filterToCql({ op : '=', value : 1 });
+        }).toThrow();
+        expect(function() {
+            filterToCql({ and : [] });
+        }).toThrow();
+        expect(function() {
+            filterToCql({ property : 'a', op : '=', value : {} });
+        }).toThrow();
+    });
+});
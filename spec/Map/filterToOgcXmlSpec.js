@@ -0,0 +1,52 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var filterToOgcXml = require('../../src/Map/filterToOgcXml');
+
+var filter11 = '<Filter xmlns="http://www.opengis.net/ogc" xmlns:gml="http://www.opengis.net/gml">';
+
+describe('filterToOgcXml', function() {
+    it('translates comparisons to Filter Encoding 1.1 by default', function() {
+        expect(filterToOgcXml({ property : 'STATE', op : '=', value : 'NSW' })).toBe(filter11 +
+            '<PropertyIsEqualTo><PropertyName>STATE</PropertyName><Literal>NSW</Literal></PropertyIsEqualTo></Filter>');
+        expect(filterToOgcXml({ property : 'area', op : 'between', value : [1, 2] })).toBe(filter11 +
+            '<PropertyIsBetween><PropertyName>area</PropertyName><LowerBoundary><Literal>1</Literal></LowerBoundary>' +
+            '<UpperBoundary><Literal>2</Literal></UpperBoundary></PropertyIsBetween></Filter>');
+    });
+
+    it('uses Filter Encoding 2.0 for WFS 2.0', function() {
+        expect(filterToOgcXml({ property : 'code', op : 'isNull' }, { version : '2.0.0' })).toBe(
+            '<Filter xmlns="http://www.opengis.net/fes/2.0" xmlns:gml="http://www.opengis.net/gml/3.2">' +
+            '<PropertyIsNull><ValueReference>code</ValueReference></PropertyIsNull></Filter>');
+    });
+
+    it('escapes names and values', function() {
+        expect(filterToOgcXml({ property : 'a<b', op : '!=', value : 'x & "y"' })).toBe(filter11 +
+            '<PropertyIsNotEqualTo><PropertyName>a&lt;b</PropertyName><Literal>x &amp; &quot;y&quot;</Literal></PropertyIsNotEqualTo></Filter>');
+    });
+
+    it('combines conditions and expands in conditions', function() {
+        var xml = filterToOgcXml({
+            and : [
+                { property : 'code', op : 'in', value : ['A', 'B'] },
+                { not : { bbox : [150, -34, 151, -33] } }
+            ]
+        });
+        expect(xml).toBe(filter11 + '<And><Or>' +
+            '<PropertyIsEqualTo><PropertyName>code</PropertyName><Literal>A</Literal></PropertyIsEqualTo>' +
+            '<PropertyIsEqualTo><PropertyName>code</PropertyName><Literal>B</Literal></PropertyIsEqualTo>' +
+            '</Or><Not><BBOX><gml:Envelope srsName="urn:ogc:def:crs:EPSG::4326">' +
+            '<gml:lowerCorner>-34 150</gml:lowerCorner><gml:upperCorner>-33 151</gml:upperCorner>' +
+            '</gml:Envelope></BBOX></Not></And></Filter>');
+    });
+
+    it('throws for invalid filters', function() {
+        expect(function() {
+            filterToOgcXml({ property : 'a', op : 'in', value : [] });
+        }).toThrow();
+        expect(function() {
+            filterToOgcXml({ bbox : [1, 2, 3] });
+        }).toThrow();
+    });
+});
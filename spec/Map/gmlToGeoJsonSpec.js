@@ -0,0 +1,122 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+
+var gmlToGeoJson = require('../../src/Map/gmlToGeoJson');
+
+function loadFixture(name, done, callback) {
+    loadXML('test/gml/' + name).then(function(xml) {
+        callback(gmlToGeoJson(xml));
+        done();
+    }).otherwise(function(e) {
+        expect(e).toBeUndefined();
+        done();
+    });
+}
+
+describe('gmlToGeoJson', function() {
+    it('converts GML 2 features from a WFS 1.0 response', function(done) {
+        loadFixture('gml2_wfs10.gml', done, function(geoJson) {
+            expect(geoJson.type).toBe('FeatureCollection');
+            expect(geoJson.crs.properties.code).toBe('4326');
+            expect(geoJson.features.length).toBe(4);
+
+            var point = geoJson.features[0];
+            expect(point.id).toBe('places.1');
+            expect(point.geometry).toEqual({ type : 'Point', coordinates : [151.2, -33.8] });
+            expect(point.properties).toEqual({ NAME : 'Sydney', POSTCODE : 2000, AREA_CODE : '02', POPULATION : 4627345 });
+
+            expect(geoJson.features[1].geometry).toEqual({
+                type : 'LineString',
+                coordinates : [[150, -34], [150.5, -34.5], [151, -34]]
+            });
+
+            var polygon = geoJson.features[2].geometry;
+            expect(polygon.type).toBe('Polygon');
+            expect(polygon.coordinates.length).toBe(2);
+            expect(polygon.coordinates[1][0]).toEqual([150.5, -34.5]);
+
+            var multiPolygon = geoJson.features[3].geometry;
+            expect(multiPolygon.type).toBe('MultiPolygon');
+            expect(multiPolygon.coordinates.length).toBe(2);
+            expect(multiPolygon.coordinates[1][0][0]).toEqual([151, -35]);
+        });
+    });
+
+    it('honours the axis order of URN srsNames in GML 3.1', function(done) {
+        loadFixture('gml31_wfs11.gml', done, function(geoJson) {
+            expect(geoJson.features.length).toBe(3);
+
+            var surfaces = geoJson.features[0];
+            expect(surfaces.id).toBe('regions.1');
+            expect(surfaces.properties).toEqual({ NAME : 'Coast', CODE : '0800' });
+            expect(surfaces.geometry.type).toBe('MultiPolygon');
+            expect(surfaces.geometry.coordinates.length).toBe(2);
+            expect(surfaces.geometry.coordinates[0].length).toBe(2);
+            expect(surfaces.geometry.coordinates[0][0]).toEqual([[150, -35], [152, -35], [152, -33], [150, -33], [150, -35]]);
+            expect(surfaces.geometry.coordinates[0][1][1]).toEqual([150.5, -34]);
+            expect(surfaces.geometry.coordinates[1][0][2]).toEqual([151, -35.5]);
+
+            var curves = geoJson.features[1].geometry;
+            expect(curves.type).toBe('MultiLineString');
+            expect(curves.coordinates).toEqual([
+                [[150, -34, 10], [150.5, -34.5, 20]],
+                [[151, -33], [151.5, -33.5]]
+            ]);
+            expect(geoJson.features[1].properties.CODE).toBe(12.5);
+
+            // EPSG:4326 written the traditional way is in longitude, latitude order.
+            expect(geoJson.features[2].geometry.coordinates).toEqual([151.2, -33.8]);
+        });
+    });
+
+    it('converts GML 3.2 curves and surfaces from a WFS 2.0 response and records their CRS', function(done) {
+        loadFixture('gml32_wfs20.gml', done, function(geoJson) {
+            expect(geoJson.crs).toEqual({ type : 'EPSG', properties : { code : '28355' } });
+            expect(geoJson.numberMatched).toBe(120);
+            expect(geoJson.features.length).toBe(3);
+
+            var curve = geoJson.features[0];
+            expect(curve.id).toBe('assets.1');
+            expect(curve.properties).toEqual({ NAME : 'Pipe', INSTALLED : null });
+            expect(curve.geometry.type).toBe('LineString');
+
+            // The arc is approximated by points on its circle.
+            var positions = curve.geometry.coordinates;
+            expect(positions[0]).toEqual([320000, 5810000]);
+            expect(positions[1]).toEqual([320100, 5810000]);
+            expect(positions[positions.length - 1]).toEqual([320300, 5810000]);
+            expect(positions.length).toBeGreaterThan(10);
+            for (var i = 1; i < positions.length; ++i) {
+                var dx = positions[i][0] - 320200;
+                var dy = positions[i][1] - 5810000;
+                expect(Math.sqrt(dx * dx + dy * dy)).toBeCloseTo(100, 6);
+                expect(dy).not.toBeLessThan(-1e-6);
+            }
+
+            var surface = geoJson.features[1].geometry;
+            expect(surface.type).toBe('Polygon');
+            expect(surface.coordinates).toEqual([[
+                [320000, 5810000], [320100, 5810000], [320100, 5810100], [320000, 5810100], [320000, 5810000]
+            ]]);
+
+            expect(geoJson.features[2].geometry).toEqual({
+                type : 'MultiPoint',
+                coordinates : [[320000, 5810000], [320050, 5810050]]
+            });
+        });
+    });
+
+    it('parses srsNames', function() {
+        expect(gmlToGeoJson.parseSrsName('EPSG:4326')).toEqual({ code : '4326', latitudeFirst : false });
+        expect(gmlToGeoJson.parseSrsName('http://www.opengis.net/gml/srs/epsg.xml#4283')).toEqual({ code : '4283', latitudeFirst : false });
+        expect(gmlToGeoJson.parseSrsName('urn:ogc:def:crs:EPSG::4326')).toEqual({ code : '4326', latitudeFirst : true });
+        expect(gmlToGeoJson.parseSrsName('urn:x-ogc:def:crs:EPSG:6.9:4283')).toEqual({ code : '4283', latitudeFirst : true });
+        expect(gmlToGeoJson.parseSrsName('urn:x-ogc:def:crs:EPSG:28355')).toEqual({ code : '28355', latitudeFirst : false });
+        expect(gmlToGeoJson.parseSrsName('http://www.opengis.net/def/crs/EPSG/0/3857')).toEqual({ code : '3857', latitudeFirst : false });
+        expect(gmlToGeoJson.parseSrsName('urn:ogc:def:crs:OGC:1.3:CRS84')).toEqual({ code : '4326', latitudeFirst : false });
+        expect(gmlToGeoJson.parseSrsName('unknown')).toBeUndefined();
+    });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var parseCsv = require('../../src/Map/parseCsv');
+
+describe('parseCsv', function() {
+    it('splits lines and values and converts numbers', function() {
+        var rows = parseCsv('name,value,ratio\r\nA,10,0.5\nB,,1.25\rC,0800,x\n');
+        expect(rows).toEqual([
+            ['name', 'value', 'ratio'],
+            ['A', 10, 0.5],
+            ['B', null, 1.25],
+            ['C', 800, 'x']
+        ]);
+    });
+
+    it('handles quoted values', function() {
+        var rows = parseCsv('"a, b","say ""hi""","two\nlines"\n"",1,');
+        expect(rows).toEqual([
+            ['a, b', 'say "hi"', 'two\nlines'],
+            [null, 1, null]
+        ]);
+    });
+
+    it('skips blank lines', function() {
+        expect(parseCsv('a\n\n1\n\n')).toEqual([['a'], [1]]);
+        expect(parseCsv('')).toEqual([]);
+    });
+
+    it('reports progress', function() {
+        var fractions = [];
+        parseCsv('a\n1\n2\n3\n', {
+            progressInterval : 2,
+            onProgress : function(fraction) {
+                fractions.push(fraction);
+            }
+        });
+        expect(fractions.length).toBe(3);
+        expect(fractions[0]).toBeCloseTo(4 / 8, 10);
+        expect(fractions[2]).toBe(1.0);
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+
+var parseDates = require('../../src/Map/parseDates');
+
+function toTime(date) {
+    return JulianDate.toDate(date).getTime();
+}
+
+describe('parseDates', function() {
+    it('parses ISO 8601 dates, using the time zone in the value if there is one', function() {
+        var result = parseDates(['2014-03-25', '2014-03-25T14:30:00', '2014-03-25T14:30:00+10:00'], { format : 'iso8601', timeZone : 'UTC' });
+        expect(result.failures).toEqual([]);
+        expect(toTime(result.dates[0])).toBe(Date.UTC(2014, 2, 25));
+        expect(toTime(result.dates[1])).toBe(Date.UTC(2014, 2, 25, 14, 30));
+        expect(toTime(result.dates[2])).toBe(Date.UTC(2014, 2, 25, 4, 30));
+    });
+
+    it('applies the time zone option to dates without one', function() {
+        var result = parseDates(['25/03/2014 14:30'], { format : 'dd/mm/yyyy', timeZone : '+09:30' });
+        expect(toTime(result.dates[0])).toBe(Date.UTC(2014, 2, 25, 5, 0));
+    });
+
+    it('distinguishes day-first and month-first dates', function() {
+        var dayFirst = parseDates(['04/03/2014', '2/1/94 2:15 pm'], { format : 'dd/mm/yyyy', timeZone : 'UTC' });
+        expect(toTime(dayFirst.dates[0])).toBe(Date.UTC(2014, 2, 4));
+        expect(toTime(dayFirst.dates[1])).toBe(Date.UTC(1994, 0, 2, 14, 15));
+
+        var monthFirst = parseDates(['04/03/2014'], { format : 'mm/dd/yyyy', timeZone : 'UTC' });
+        expect(toTime(monthFirst.dates[0])).toBe(Date.UTC(2014, 3, 3));
+    });
+
+    it('parses numeric formats', function() {
+        var options = { timeZone : 'UTC' };
+        options.format = 'unixSeconds';
+        expect(toTime(parseDates([1395757800], options).dates[0])).toBe(1395757800000);
+        options.format = 'unixMilliseconds';
+        expect(toTime(parseDates(['1395757800000'], options).dates[0])).toBe(1395757800000);
+        options.format = 'excel';
+        expect(toTime(parseDates([41723.5], options).dates[0])).toBe(Date.UTC(2014, 2, 25, 12));
+        options.format = 'year';
+        expect(toTime(parseDates([2011], options).dates[0])).toBe(Date.UTC(2011, 0, 1));
+        options.format = 'yearMonth';
+        expect(toTime(parseDates([201106, '2011-07'], options).dates[1])).toBe(Date.UTC(2011, 6, 1));
+    });
+
+    it('reports each value that cannot be parsed', function() {
+        var result = parseDates(['2014-03-25', 'not a date', '', '2014-02-30'], { format : 'iso8601' });
+        expect(result.failures).toEqual([1, 2, 3]);
+        expect(result.dates[0]).toBeDefined();
+        expect(result.dates[1]).toBeUndefined();
+        expect(result.dates[3]).toBeUndefined();
+    });
+
+    it('detects the format from most of the values', function() {
+        expect(parseDates(['25/03/2014', '13/04/2014', 'unknown']).format).toBe('dd/mm/yyyy');
+        expect(parseDates(['03/25/2014', '04/13/2014']).format).toBe('mm/dd/yyyy');
+        expect(parseDates([1990, 2000, 2010]).format).toBe('year');
+        expect(parseDates([201101, 201102]).format).toBe('yearMonth');
+        expect(parseDates([40544.45, 40545.5]).format).toBe('excel');
+        expect(parseDates([1395757800, 1395757860]).format).toBe('unixSeconds');
+        expect(parseDates(['2014-03-25T14:30:00Z']).format).toBe('iso8601');
+    });
+
+    it('does not detect a format for values that are not dates', function() {
+        var result = parseDates(['apple', 'banana', '2014-03-25']);
+        expect(result.format).toBeUndefined();
+        expect(result.failures).toEqual([0, 1, 2]);
+    });
+
+    it('throws for unknown formats and time zones', function() {
+        expect(function() {
+            parseDates(['2014'], { format : 'yyyy' });
+        }).toThrow();
+        expect(function() {
+            parseDates(['2014'], { timeZone : 'AEST' });
+        }).toThrow();
+    });
+});
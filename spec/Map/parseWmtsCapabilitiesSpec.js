@@ -0,0 +1,78 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+
+var parseWmtsCapabilities = require('../../src/Map/parseWmtsCapabilities');
+
+function loadCapabilities(done, callback) {
+    loadXML('test/wmts/WMTSCapabilities.xml').then(function(xml) {
+        callback(parseWmtsCapabilities(xml));
+        done();
+    }).otherwise(function(e) {
+        expect(e).toBeUndefined();
+        done();
+    });
+}
+
+describe('parseWmtsCapabilities', function() {
+    it('reads the service, operations and layers', function(done) {
+        loadCapabilities(done, function(capabilities) {
+            expect(capabilities.title).toBe('Example Tiles');
+            expect(capabilities.providerName).toBe('Example Agency');
+            expect(capabilities.getTileUrls).toEqual({ KVP : 'http://example.com/wmts?' });
+            expect(capabilities.layers.length).toBe(3);
+
+            var roads = capabilities.layers[0];
+            expect(roads.identifier).toBe('roads');
+            expect(roads.title).toBe('Roads');
+            expect(roads.abstract).toBe('Major roads.');
+            expect(roads.rectangle).toEqual([112, -44, 154, -9]);
+            expect(roads.formats).toEqual(['image/jpeg', 'image/png']);
+            expect(roads.styles).toEqual([{
+                identifier : 'default',
+                title : 'Default',
+                isDefault : true,
+                legendUrl : 'http://example.com/legends/roads.png'
+            }]);
+            expect(roads.tileMatrixSets).toEqual(['EPSG:4326', 'GoogleMapsCompatible']);
+            expect(roads.resourceUrls).toEqual([]);
+
+            var rainfall = capabilities.layers[1];
+            expect(rainfall.styles[1].isDefault).toBe(true);
+            expect(rainfall.dimensions).toEqual([{
+                identifier : 'Time',
+                title : 'Month',
+                units : 'ISO8601',
+                defaultValue : '2014-09',
+                current : false,
+                values : ['2014-08', '2014-09']
+            }]);
+            expect(rainfall.resourceUrls[0].resourceType).toBe('tile');
+            expect(rainfall.resourceUrls[0].template).toBe('http://example.com/tiles/rainfall/{Style}/{Time}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png');
+        });
+    });
+
+    it('describes the tiling schemes of the tile matrix sets', function(done) {
+        loadCapabilities(done, function(capabilities) {
+            var webMercator = capabilities.tileMatrixSets.GoogleMapsCompatible;
+            expect(webMercator.tileMatrices.length).toBe(4);
+            expect(webMercator.tileMatrices[1].matrixWidth).toBe(2);
+            expect(webMercator.tilingScheme).toEqual({
+                type : 'web-mercator',
+                firstLevel : 0,
+                tileMatrixLabels : ['EPSG:3857:0', 'EPSG:3857:1', 'EPSG:3857:2', 'EPSG:3857:3']
+            });
+
+            // The top left corner of this set is in latitude, longitude order.
+            expect(capabilities.tileMatrixSets['EPSG:4326'].tilingScheme).toEqual({
+                type : 'geographic',
+                firstLevel : 0,
+                tileMatrixLabels : ['0', '1', '2']
+            });
+
+            expect(capabilities.tileMatrixSets.GDA94_MGA55.tilingScheme).toBeUndefined();
+        });
+    });
+});
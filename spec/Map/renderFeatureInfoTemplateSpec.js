@@ -0,0 +1,43 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var renderFeatureInfoTemplate = require('../../src/Map/renderFeatureInfoTemplate');
+
+describe('renderFeatureInfoTemplate', function() {
+    it('substitutes escaped and unescaped properties', function() {
+        var properties = {
+            NAME : 'Fish & Chips',
+            NOTE : '<b>open</b>',
+            ADDRESS : { STREET : 'George St' }
+        };
+        expect(renderFeatureInfoTemplate('<h3>{{NAME}}</h3>{{{NOTE}}} {{ADDRESS.STREET}}{{MISSING}}', properties)).toBe('<h3>Fish &amp; Chips</h3><b>open</b> George St');
+    });
+
+    it('includes sections depending on their values', function() {
+        var template = '{{#SITES}}<li>{{NAME}} in {{STATE}}</li>{{/SITES}}{{^CLOSED}}Open{{/CLOSED}}{{#CLOSED}}Closed{{/CLOSED}}';
+        var properties = {
+            STATE : 'NSW',
+            SITES : [{ NAME : 'A' }, { NAME : 'B', STATE : 'VIC' }],
+            CLOSED : false
+        };
+        expect(renderFeatureInfoTemplate(template, properties)).toBe('<li>A in NSW</li><li>B in VIC</li>Open');
+    });
+
+    it('formats numbers, dates and links', function() {
+        var properties = {
+            POPULATION : 1234567,
+            AREA : '1234.5678',
+            UPDATED : '2014-11-05T03:04:05Z',
+            URL : 'http://example.com/?a=1&b=2'
+        };
+        expect(renderFeatureInfoTemplate('{{POPULATION|number}} {{AREA|number:2}}', properties)).toBe('1,234,567 1,234.57');
+        expect(renderFeatureInfoTemplate('{{UPDATED|date}} {{UPDATED|date:DD/MM/YYYY hh:mm}}', properties)).toBe('2014-11-05 05/11/2014 03:04');
+        expect(renderFeatureInfoTemplate('{{URL|link:More}}', properties)).toBe('<a href="http://example.com/?a=1&amp;b=2" target="_blank">More</a>');
+        expect(renderFeatureInfoTemplate('{{MISSING|number}}{{MISSING|link}}', properties)).toBe('');
+    });
+
+    it('tolerates mismatched and unclosed sections', function() {
+        expect(renderFeatureInfoTemplate('{{/A}}x{{#B}}y', { B : true })).toBe('xy');
+    });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var summarizeGeoJson = require('../../src/Map/summarizeGeoJson');
+
+function feature(type, properties) {
+    return {
+        type : 'Feature',
+        geometry : type === null ? null : { type : type, coordinates : [] },
+        properties : properties
+    };
+}
+
+describe('summarizeGeoJson', function() {
+    it('counts features and geometry types', function() {
+        var summary = summarizeGeoJson({
+            type : 'FeatureCollection',
+            features : [
+                feature('Point', {}),
+                feature('Point', {}),
+                feature('Polygon', {}),
+                feature(null, {}),
+                {
+                    type : 'Feature',
+                    geometry : {
+                        type : 'GeometryCollection',
+                        geometries : [{ type : 'LineString', coordinates : [] }, { type : 'Point', coordinates : [] }]
+                    }
+                }
+            ]
+        });
+        expect(summary.featureCount).toBe(5);
+        expect(summary.geometryTypes).toEqual({ Point : 3, Polygon : 1, LineString : 1 });
+    });
+
+    it('describes the values of each property', function() {
+        var summary = summarizeGeoJson({
+            type : 'FeatureCollection',
+            features : [
+                feature('Point', { name : 'b', population : 120, open : true, code : 1 }),
+                feature('Point', { name : 'a', population : 15, code : 'X' }),
+                feature('Point', { name : 'b', population : null, open : false, code : '' })
+            ]
+        });
+
+        var properties = summary.properties;
+        expect(properties.length).toBe(4);
+
+        expect(properties[0].name).toBe('name');
+        expect(properties[0].type).toBe('string');
+        expect(properties[0].valueCount).toBe(3);
+        expect(properties[0].distinctValueCount).toBe(2);
+        expect(properties[0].values).toEqual(['a', 'b']);
+
+        expect(properties[1].name).toBe('population');
+        expect(properties[1].type).toBe('number');
+        expect(properties[1].valueCount).toBe(2);
+        expect(properties[1].minimum).toBe(15);
+        expect(properties[1].maximum).toBe(120);
+
+        expect(properties[2].type).toBe('boolean');
+        expect(properties[3].type).toBe('mixed');
+        expect(properties[3].valueCount).toBe(2);
+    });
+
+    it('treats a single feature or geometry as a collection of one feature', function() {
+        expect(summarizeGeoJson(feature('Point', { a : 1 })).featureCount).toBe(1);
+
+        var summary = summarizeGeoJson({ type : 'LineString', coordinates : [[0, 0], [1, 1]] });
+        expect(summary.featureCount).toBe(1);
+        expect(summary.geometryTypes).toEqual({ LineString : 1 });
+        expect(summary.properties).toEqual([]);
+    });
+});
@@ -91,6 +91,37 @@ describe('CsvDataItemViewModel', function() {
         expect(reconstructed).toEqual(csvViewModel);
     });
 
+    it('serializes the URL of uploaded data in place of the data', function() {
+        csvViewModel.updateFromJson({
+            name: 'Name',
+            data: 'col1, col2\ntest, 0',
+            dataSourceUrl: 'test.csv'
+        });
+        csvViewModel.uploadedDataUrl = 'workspaces/files/0123456789012345678901234567890123456789/test.csv';
+
+        var json = csvViewModel.serializeToJson({ skipItemsWithLocalData: true });
+
+        expect(json.url).toBe('workspaces/files/0123456789012345678901234567890123456789/test.csv');
+        expect(json.data).toBeUndefined();
+        expect(json.uploadedDataUrl).toBeUndefined();
+    });
+
+    it('shares whether regions are drawn as vector polygons', function() {
+        csvViewModel.updateFromJson({
+            name: 'Name',
+            url: 'http://my.csv.com/test.csv',
+            useVectorRegionMapping: true
+        });
+        expect(csvViewModel.useVectorRegionMapping).toBe(true);
+
+        var json = csvViewModel.serializeToJson({ serializeForSharing: true });
+        expect(json.useVectorRegionMapping).toBe(true);
+
+        var reconstructed = new CsvItemViewModel(application);
+        reconstructed.updateFromJson(json);
+        expect(reconstructed.useVectorRegionMapping).toBe(true);
+    });
+
     it('is correctly loading csv data from a file', function() {
         expect(csvViewModel instanceof CatalogItemViewModel).toBe(true);
     });
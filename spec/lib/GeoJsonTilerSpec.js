@@ -0,0 +1,59 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var GeoJsonTiler = require('../../lib/GeoJsonTiler');
+
+function square(west, south, size) {
+    return {
+        type : 'Feature',
+        properties : {},
+        geometry : {
+            type : 'Polygon',
+            coordinates : [[[west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]]]
+        }
+    };
+}
+
+describe('GeoJsonTiler', function() {
+    it('clips polygons to the tiles they overlap', function() {
+        var tiler = new GeoJsonTiler({
+            type : 'FeatureCollection',
+            features : [square(10, 10, 20)]
+        });
+
+        expect(tiler.getTile(0, 0, 0).features.length).toBe(1);
+        expect(tiler.getTile(1, 1, 0).features.length).toBe(1);
+        expect(tiler.getTile(1, 0, 0).features.length).toBe(0);
+        expect(tiler.getTile(1, 1, 1).features.length).toBe(0);
+    });
+
+    it('leaves out polygons smaller than the simplification tolerance', function() {
+        var tiler = new GeoJsonTiler({
+            type : 'FeatureCollection',
+            features : [square(150, -30, 0.01), square(140, -40, 5)]
+        });
+
+        var features = tiler.getTile(0, 0, 0).features;
+        expect(features.length).toBe(1);
+        expect(features[0].geometry.coordinates[0][0]).toEqual([140, -40]);
+
+        expect(tiler.getTile(3, 7, 4).features.length).toBe(1);
+        expect(tiler.getTile(16, 60075, 38496).features.length).toBe(1);
+    });
+
+    it('leaves out the parts of a multi-polygon smaller than the simplification tolerance', function() {
+        var tiler = new GeoJsonTiler({
+            type : 'Feature',
+            properties : {},
+            geometry : {
+                type : 'MultiPolygon',
+                coordinates : [square(150, -30, 0.01).geometry.coordinates, square(140, -40, 5).geometry.coordinates]
+            }
+        });
+
+        var geometry = tiler.getTile(0, 0, 0).features[0].geometry;
+        expect(geometry.type).toBe('Polygon');
+        expect(geometry.coordinates[0][0]).toEqual([140, -40]);
+    });
+});
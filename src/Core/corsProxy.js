@@ -4,6 +4,8 @@
 
 var defined = require('../../third_party/cesium/Source/Core/defined');
 
+var escapeHtml = require('./escapeHtml');
+
 var corsProxy = {
     getURL : function(resource, proxyFlag) {
         var flag = (proxyFlag === undefined) ? '' : '_' + proxyFlag + '/';
@@ -16,7 +18,7 @@ var corsProxy = {
 
 corsProxy.shouldUseProxy = function(url) {
     var uri = new URI(url);
-    var host = uri.host();
+    var host = uri.hostname();
     var proxyAvail = proxyAllowedHost(host, corsProxy.proxyDomains);
     var corsAvail = !corsProxy.alwaysUseProxy && proxyAllowedHost(host, corsProxy.corsDomains);
 
@@ -28,6 +30,44 @@ corsProxy.shouldUseProxy = function(url) {
     return false;
 };
 
+/**
+ * Describes an error reported by the proxy when it could not retrieve a resource, such as the remote server taking
+ * too long to respond or the host not being one that may be proxied.
+ *
+ * @param {Object} error The error with which a request failed, usually a {@link RequestErrorEvent}.
+ * @return {String} An HTML paragraph describing the error, or an empty string if the error did not come from the proxy.
+ */
+corsProxy.describeError = function(error) {
+    if (!defined(error) || error === null) {
+        return '';
+    }
+
+    var response = error.response;
+    if (typeof response === 'string') {
+        try {
+            response = JSON.parse(response);
+        } catch (e) {
+            return '';
+        }
+    }
+
+    if (!defined(response) || response === null || !defined(response.proxyError) || !defined(response.proxyError.message)) {
+        return '';
+    }
+
+    return '<p>The National Map proxy reported: ' + escapeHtml(response.proxyError.message) + '</p>';
+};
+
+// A host matches a domain if it is the domain or one of its subdomains, so example.com matches www.example.com but
+// not badexample.com.
+function hostMatchesDomain(host, domain) {
+    domain = domain.toLowerCase().replace(/^\./, '');
+    if (host === domain) {
+        return true;
+    }
+    return host.length > domain.length && host.substring(host.length - domain.length - 1) === '.' + domain;
+}
+
 //Non CORS hosts we proxy to
 function proxyAllowedHost(host, domains) {
     if (!defined(domains)) {
@@ -37,7 +77,7 @@ function proxyAllowedHost(host, domains) {
     host = host.toLowerCase();
     //check that host is from one of these domains
     for (var i = 0; i < domains.length; i++) {
-        if (host.indexOf(domains[i], host.length - domains[i].length) !== -1) {
+        if (hostMatchesDomain(host, domains[i])) {
             return true;
         }
     }
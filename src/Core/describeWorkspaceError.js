@@ -0,0 +1,33 @@
+'use strict';
+
+/*global require*/
+
+var defined = require('../../third_party/cesium/Source/Core/defined');
+
+var escapeHtml = require('./escapeHtml');
+
+/**
+ * Describes an error reported by the workspace service of the National Map server, which responds to failed
+ * requests with { workspaceError : { code, message } }.
+ *
+ * @param {Object} error The error with which a request to the workspace service was rejected.
+ * @return {String} HTML describing the error, or an empty string if the error was not reported by the service.
+ */
+function describeWorkspaceError(error) {
+    var response = defined(error) && error !== null ? error.response : undefined;
+    if (typeof response === 'string') {
+        try {
+            response = JSON.parse(response);
+        } catch (e) {
+            return '';
+        }
+    }
+
+    if (!defined(response) || response === null || !defined(response.workspaceError) || !defined(response.workspaceError.message)) {
+        return '';
+    }
+
+    return '<p>The National Map server reported: ' + escapeHtml(response.workspaceError.message) + '</p>';
+}
+
+module.exports = describeWorkspaceError;
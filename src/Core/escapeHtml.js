@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Escapes the characters of a value that have special meaning in HTML, so that the value can be included in an
+ * HTML message as text.
+ *
+ * @param {Object} value The value, which is converted to a string.
+ * @return {String} The escaped string.
+ */
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = escapeHtml;
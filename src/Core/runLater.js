@@ -4,7 +4,7 @@
 
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
-var runLater = function(functionToRunLater) {
+var runLater = function(functionToRunLater, milliseconds) {
     var deferred = when.defer();
     setTimeout(function() {
         try {
@@ -12,7 +12,7 @@ var runLater = function(functionToRunLater) {
         } catch (e) {
             deferred.reject(e);
         }
-    }, 0);
+    }, milliseconds || 0);
     return deferred.promise;
 };
 
@@ -0,0 +1,150 @@
+'use strict';
+
+/*global require*/
+
+var defined = require('../../third_party/cesium/Source/Core/defined');
+
+// Elements that are kept, with the attributes that are kept on them in addition to the common ones.
+var allowedElements = {
+    a : ['href', 'target'],
+    abbr : [],
+    b : [],
+    br : [],
+    caption : [],
+    center : [],
+    code : [],
+    col : ['span'],
+    colgroup : ['span'],
+    dd : [],
+    div : [],
+    dl : [],
+    dt : [],
+    em : [],
+    h1 : [],
+    h2 : [],
+    h3 : [],
+    h4 : [],
+    h5 : [],
+    h6 : [],
+    hr : [],
+    i : [],
+    img : ['src', 'alt', 'width', 'height'],
+    li : [],
+    ol : [],
+    p : [],
+    pre : [],
+    small : [],
+    span : [],
+    strong : [],
+    sub : [],
+    sup : [],
+    table : [],
+    tbody : [],
+    td : ['colspan', 'rowspan'],
+    tfoot : [],
+    th : ['colspan', 'rowspan'],
+    thead : [],
+    tr : [],
+    u : [],
+    ul : []
+};
+
+var commonAttributes = ['class', 'title'];
+
+// Elements that are removed along with everything in them.  Other elements that are not allowed are replaced by
+// their content.
+var removedElements = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form', 'input',
+                       'button', 'select', 'textarea', 'link', 'meta', 'base', 'head', 'title', 'svg', 'math'];
+
+var safeUrlRegex = /^\s*(https?:|mailto:|\/|\.|#|[^:\/?#]*(?:[\/?#]|$))/i;
+var safeImageUrlRegex = /^\s*data:image\/(png|gif|jpeg);/i;
+
+function isSafeUrl(elementName, attributeName, value) {
+    if (safeUrlRegex.test(value)) {
+        return true;
+    }
+    return elementName === 'img' && attributeName === 'src' && safeImageUrlRegex.test(value);
+}
+
+function sanitizeAttributes(element, elementName) {
+    var allowed = allowedElements[elementName];
+
+    // Copy the list first, because removing attributes changes it.
+    var attributes = [];
+    for (var i = 0; i < element.attributes.length; ++i) {
+        attributes.push(element.attributes[i]);
+    }
+
+    for (var j = 0; j < attributes.length; ++j) {
+        var name = attributes[j].name.toLowerCase();
+        var value = attributes[j].value;
+
+        var keep = allowed.indexOf(name) >= 0 || commonAttributes.indexOf(name) >= 0;
+        if (keep && (name === 'href' || name === 'src')) {
+            keep = isSafeUrl(elementName, name, value);
+        }
+
+        if (!keep) {
+            element.removeAttribute(attributes[j].name);
+        }
+    }
+
+    // Links open outside the application.
+    if (elementName === 'a' && element.getAttribute('href') !== null) {
+        element.setAttribute('target', '_blank');
+    }
+}
+
+function sanitizeChildren(parent) {
+    var child = parent.firstChild;
+    while (child !== null) {
+        var next = child.nextSibling;
+
+        if (child.nodeType === 1) {
+            var name = child.nodeName.toLowerCase();
+            if (allowedElements.hasOwnProperty(name)) {
+                sanitizeAttributes(child, name);
+                sanitizeChildren(child);
+            } else if (removedElements.indexOf(name) >= 0) {
+                parent.removeChild(child);
+            } else {
+                // Sanitize the content before moving it up, so that it isn't visited twice.
+                sanitizeChildren(child);
+                while (child.firstChild !== null) {
+                    parent.insertBefore(child.firstChild, child);
+                }
+                parent.removeChild(child);
+            }
+        } else if (child.nodeType !== 3) {
+            // Comments, processing instructions and anything else that is not text.
+            parent.removeChild(child);
+        }
+
+        child = next;
+    }
+}
+
+/**
+ * Removes everything from HTML that could run script, submit data or change the page around it, keeping only
+ * formatting, tables, images and links.  Links to and images from other sites are kept if they use HTTP or HTTPS,
+ * and links are made to open in a new window.
+ *
+ * @param {String} html The HTML to sanitize.
+ * @return {String} The sanitized HTML.
+ */
+function sanitizeHtml(html) {
+    if (!defined(html) || html === null) {
+        return '';
+    }
+
+    // Parse the HTML in a document that is not displayed, so that its scripts do not run and its images do not load.
+    var inertDocument = document.implementation.createHTMLDocument('');
+    var container = inertDocument.createElement('div');
+    container.innerHTML = String(html);
+
+    sanitizeChildren(container);
+
+    return container.innerHTML;
+}
+
+module.exports = sanitizeHtml;
@@ -0,0 +1,152 @@
+'use strict';
+
+/*global require*/
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+
+/**
+ * The named color palettes that can be used as the `colorMap` of a table style.  Each palette has a `type`, which is
+ * 'sequential' for data ordered from low to high, 'diverging' for data with a meaningful central value, or
+ * 'qualitative' for categories, a `colorBlindSafe` flag, and a list of `colors` ordered from low to high values.
+ * Most palettes are from ColorBrewer (http://colorbrewer2.org) by Cynthia Brewer, Mark Harrower and
+ * The Pennsylvania State University.
+ * @alias ColorPalettes
+ */
+var ColorPalettes = {
+    // Sequential
+    Blues : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b']
+    },
+    Greens : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b']
+    },
+    Greys : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#ffffff', '#f0f0f0', '#d9d9d9', '#bdbdbd', '#969696', '#737373', '#525252', '#252525', '#000000']
+    },
+    Oranges : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#fff5eb', '#fee6ce', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704']
+    },
+    Purples : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d']
+    },
+    Reds : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#fff5f0', '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d']
+    },
+    OrRd : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#fff7ec', '#fee8c8', '#fdd49e', '#fdbb84', '#fc8d59', '#ef6548', '#d7301f', '#b30000', '#7f0000']
+    },
+    PuBu : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#fff7fb', '#ece7f2', '#d0d1e6', '#a6bddb', '#74a9cf', '#3690c0', '#0570b0', '#045a8d', '#023858']
+    },
+    YlGn : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#ffffe5', '#f7fcb9', '#d9f0a3', '#addd8e', '#78c679', '#41ab5d', '#238443', '#006837', '#004529']
+    },
+    YlGnBu : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58']
+    },
+    YlOrRd : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026']
+    },
+    // Viridis, designed by Stefan van der Walt and Nathaniel Smith to be perceptually uniform and readable with colour blindness.
+    Viridis : {
+        type : 'sequential',
+        colorBlindSafe : true,
+        colors : ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725']
+    },
+    // The gradient used by National Map before named palettes were introduced.
+    Rainbow : {
+        type : 'sequential',
+        colorBlindSafe : false,
+        colors : ['#0000c8', '#00c8c8', '#00c800', '#c8c800', '#c80000']
+    },
+
+    // Diverging
+    BrBG : {
+        type : 'diverging',
+        colorBlindSafe : true,
+        colors : ['#543005', '#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e', '#003c30']
+    },
+    PiYG : {
+        type : 'diverging',
+        colorBlindSafe : true,
+        colors : ['#8e0152', '#c51b7d', '#de77ae', '#f1b6da', '#fde0ef', '#f7f7f7', '#e6f5d0', '#b8e186', '#7fbc41', '#4d9221', '#276419']
+    },
+    PuOr : {
+        type : 'diverging',
+        colorBlindSafe : true,
+        colors : ['#7f3b08', '#b35806', '#e08214', '#fdb863', '#fee0b6', '#f7f7f7', '#d8daeb', '#b2abd2', '#8073ac', '#542788', '#2d004b']
+    },
+    RdBu : {
+        type : 'diverging',
+        colorBlindSafe : true,
+        colors : ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061']
+    },
+    RdYlBu : {
+        type : 'diverging',
+        colorBlindSafe : true,
+        colors : ['#a50026', '#d73027', '#f46d43', '#fdae61', '#fee090', '#ffffbf', '#e0f3f8', '#abd9e9', '#74add1', '#4575b4', '#313695']
+    },
+    RdYlGn : {
+        type : 'diverging',
+        colorBlindSafe : false,
+        colors : ['#a50026', '#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850', '#006837']
+    },
+    Spectral : {
+        type : 'diverging',
+        colorBlindSafe : false,
+        colors : ['#9e0142', '#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd', '#5e4fa2']
+    },
+
+    // Qualitative
+    Dark2 : {
+        type : 'qualitative',
+        colorBlindSafe : false,
+        colors : ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666']
+    },
+    Paired : {
+        type : 'qualitative',
+        colorBlindSafe : false,
+        colors : ['#a6cee3', '#1f78b4', '#b2df8a', '#33a02c', '#fb9a99', '#e31a1c', '#fdbf6f', '#ff7f00', '#cab2d6', '#6a3d9a', '#ffff99', '#b15928']
+    },
+    Set1 : {
+        type : 'qualitative',
+        colorBlindSafe : false,
+        colors : ['#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#ffff33', '#a65628', '#f781bf', '#999999']
+    },
+    Set2 : {
+        type : 'qualitative',
+        colorBlindSafe : false,
+        colors : ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3']
+    },
+    // Okabe and Ito's palette for people with all common forms of colour blindness.
+    OkabeIto : {
+        type : 'qualitative',
+        colorBlindSafe : true,
+        colors : ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000']
+    }
+};
+
+freezeObject(ColorPalettes);
+
+module.exports = ColorPalettes;
@@ -1,13 +1,18 @@
-/*global require,$,alert*/
+/*global require,alert*/
 "use strict";
 
 var VarType = require('./VarType');
 var Variable = require('./Variable');
 
 var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
 var destroyObject = require('../../third_party/cesium/Source/Core/destroyObject');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var loadText = require('../../third_party/cesium/Source/Core/loadText');
 var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var TimeStandard = require('../../third_party/cesium/Source/Core/TimeStandard');
+
+var parseCsv = require('./parseCsv');
 
 /*!
  * Copyright(c) 2012-2013 National ICT Australia Limited (NICTA).  All rights reserved.
@@ -27,6 +32,11 @@ var Dataset = function() {
     this.varTypeSet = [];
     this.variables = undefined;
     this.loadingData = false;
+    // Map from column name to the date format of the column, or to an object with format and timeZone properties.
+    // See parseDates for the supported formats.  Columns listed here are always treated as time columns.
+    this.dateFormats = undefined;
+    // The default time zone of dates that do not specify one, such as 'UTC' or '+10:00'.  Defaults to local time.
+    this.timeZone = undefined;
 };
 
 Dataset.prototype.hasLocationData = function () {
@@ -119,6 +129,22 @@ Dataset.prototype.getVarList = function () {
     return ret;
 };
 
+// Get the format and time zone of the dates in a column
+Dataset.prototype._getDateOptions = function (name) {
+    var dateFormat;
+    if (defined(this.dateFormats) && this.dateFormats.hasOwnProperty(name)) {
+        dateFormat = this.dateFormats[name];
+    }
+    if (typeof dateFormat === 'string') {
+        dateFormat = {format: dateFormat};
+    }
+    dateFormat = defaultValue(dateFormat, defaultValue.EMPTY_OBJECT);
+    return {
+        format: dateFormat.format,
+        timeZone: defaultValue(dateFormat.timeZone, this.timeZone)
+    };
+};
+
 // Determine the min, max, and type of each variable
 Dataset.prototype._processVariables = function () {
     this.varTypeSet = [];
@@ -126,12 +152,17 @@ Dataset.prototype._processVariables = function () {
     for (var id in this.variables) {
         if (this.variables.hasOwnProperty(id)) {
             var variable = this.variables[id];
+            var dateOptions = this._getDateOptions(id);
             //guess var type if not set
             if (variable.varType === undefined) {
-                variable.guessVarType(id);
+                if (defined(dateOptions.format)) {
+                    variable.varType = VarType.TIME;
+                } else {
+                    variable.guessVarType(id);
+                }
             }
             if (variable.varType === VarType.TIME) {
-                variable.processTimeVar();            //calculate time variables
+                variable.processTimeVar(dateOptions);            //calculate time variables
                 //if failed then default type to scalar
                 if (variable.timeVar === undefined) {
                     variable.varType = VarType.SCALAR;
@@ -215,12 +246,62 @@ Dataset.prototype.loadJson = function (jsonTable) {
 *
 */
 Dataset.prototype.loadText = function (text) {
-        //normalize line breaks
-    text = text.replace(/\r\n|\r|\n/g, "\r\n");
-    var jsonTable = $.csv.toArrays(text, {
-            onParseValue: $.csv.hooks.castToScalar
-        });
-    this.loadJson(jsonTable);
+    this.loadJson(parseCsv(text));
+};
+
+/**
+* Get the variables of a loaded dataset in a form that can be posted to or from a Web Worker
+*
+* @returns {Object} The variables and their types
+*/
+Dataset.prototype.toTransferable = function () {
+    return {
+        variables: this.variables,
+        varTypeSet: this.varTypeSet,
+        rowCount: this.rowCount,
+        dataShape: this.dataShape
+    };
+};
+
+/**
+* Load variables posted from a Web Worker
+*
+* @param {Object} transferable The variables, as returned by {@link Dataset#toTransferable} in the worker.
+*/
+Dataset.prototype.loadTransferable = function (transferable) {
+    // Posting a message copies the properties of objects but not their prototypes, so restore them.
+    function toJulianDate(date) {
+        return defined(date) ? new JulianDate(date.dayNumber, date.secondsOfDay, TimeStandard.TAI) : undefined;
+    }
+
+    this.variables = {};
+    for (var id in transferable.variables) {
+        if (transferable.variables.hasOwnProperty(id)) {
+            var variable = new Variable();
+            var properties = transferable.variables[id];
+            for (var name in properties) {
+                if (properties.hasOwnProperty(name) && name !== 'timeVar') {
+                    variable[name] = properties[name];
+                }
+            }
+            if (defined(properties.timeVar)) {
+                variable.timeVar = new Variable();
+                variable.timeVar.vals = properties.timeVar.vals.map(toJulianDate);
+                variable.timeVar._calculateTimeMinMax();
+            }
+            this.variables[id] = variable;
+        }
+    }
+
+    this.varTypeSet = transferable.varTypeSet;
+    this.rowCount = transferable.rowCount;
+    this.dataShape = transferable.dataShape;
+
+    if (this.varName) {
+        this.setCurrentVariable({ variable: this.varName });
+    }
+
+    this.loadingData = false;
 };
 
 /**
@@ -410,7 +491,7 @@ Dataset.prototype.getPointList = function (maxPts) {
         rec.time =  time ? time[i] : undefined;
         rec.pos = [lon ? lon[i] : 0.0, lat ? lat[i] : 0.0, alt ? alt[i] : 0.0];
         rec.row = i;
-        if (this.isNoData(rec.pos[0]) || this.isNoData(rec.pos[1])) {
+        if (this.isNoData(rec.pos[0]) || this.isNoData(rec.pos[1]) || (time && !defined(rec.time))) {
             continue;
         }
         ret.push(rec);
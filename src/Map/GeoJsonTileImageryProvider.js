@@ -0,0 +1,567 @@
+'use strict';
+
+/*global require,document*/
+
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var CesiumEvent = require('../../third_party/cesium/Source/Core/Event');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var throttleRequestByServer = require('../../third_party/cesium/Source/Core/throttleRequestByServer');
+var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var tileSize = 256;
+
+// The server includes the parts of features within this many pixels of a tile, so that lines and points on the
+// edge of a tile are drawn on the tiles on both sides.
+var tileBuffer = 8;
+
+// How close to a feature, in pixels, a location must be for the feature to be picked.
+var pickTolerance = 3;
+
+// The number of tiles kept in memory, so that tiles are not requested again when they are picked.
+var maximumCachedTiles = 128;
+
+// The latitude, in degrees, of the top and bottom edges of the Web Mercator tiles.
+var maximumLatitude = 85.05112878;
+
+/**
+ * An imagery provider that draws tiles of GeoJSON features, such as those served for converted data at
+ * /convert/jobs/<id>/tiles/{z}/{x}/{y}.json.  The tiles use the Web Mercator tiling scheme, so the same tiles can
+ * be drawn on the 2D map with {@link GeoJsonTileImageryProvider#loadTile} and
+ * {@link GeoJsonTileImageryProvider#drawTile}.
+ *
+ * @alias GeoJsonTileImageryProvider
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.url The URL template of the tiles, in which {z}, {x} and {y} are replaced with the level
+ *        and the column and row of each tile.
+ * @param {Object} options.styler The styler that says how to draw each feature, as created by
+ *        {@link createGeoJsonStyler}.
+ * @param {Rectangle} [options.dataRectangle] The extent of the features.  Tiles outside it are not requested.
+ * @param {Number} [options.maximumLevel=18] The most detailed level of tiles to request.
+ */
+var GeoJsonTileImageryProvider = function(options) {
+    if (!defined(options) || !defined(options.url)) {
+        throw new DeveloperError('options.url is required.');
+    }
+    if (!defined(options.styler)) {
+        throw new DeveloperError('options.styler is required.');
+    }
+
+    this._url = options.url;
+    this._styler = options.styler;
+    this._dataRectangle = options.dataRectangle;
+    this._maximumLevel = defaultValue(options.maximumLevel, 18);
+    this._tilingScheme = new WebMercatorTilingScheme();
+    this._errorEvent = new CesiumEvent();
+
+    this._tiles = {};
+    this._tileKeys = [];
+};
+
+defineProperties(GeoJsonTileImageryProvider.prototype, {
+    /**
+     * Gets the URL template of the tiles.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {String}
+     */
+    url : {
+        get : function() {
+            return this._url;
+        }
+    },
+
+    /**
+     * Gets the proxy used by this provider, which is always undefined because the URL of the tiles is proxied
+     * already if necessary.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Proxy}
+     */
+    proxy : {
+        get : function() {
+            return undefined;
+        }
+    },
+
+    /**
+     * Gets the width of each tile, in pixels.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Number}
+     */
+    tileWidth : {
+        get : function() {
+            return tileSize;
+        }
+    },
+
+    /**
+     * Gets the height of each tile, in pixels.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Number}
+     */
+    tileHeight : {
+        get : function() {
+            return tileSize;
+        }
+    },
+
+    /**
+     * Gets the maximum level-of-detail that can be requested.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Number}
+     */
+    maximumLevel : {
+        get : function() {
+            return this._maximumLevel;
+        }
+    },
+
+    /**
+     * Gets the minimum level-of-detail that can be requested.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Number}
+     */
+    minimumLevel : {
+        get : function() {
+            return 0;
+        }
+    },
+
+    /**
+     * Gets the tiling scheme used by this provider.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {TilingScheme}
+     */
+    tilingScheme : {
+        get : function() {
+            return this._tilingScheme;
+        }
+    },
+
+    /**
+     * Gets the rectangle, in radians, of the imagery provided by this instance.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Rectangle}
+     */
+    rectangle : {
+        get : function() {
+            return this._tilingScheme.rectangle;
+        }
+    },
+
+    /**
+     * Gets the tile discard policy, which is undefined because every tile is drawn by this provider.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {TileDiscardPolicy}
+     */
+    tileDiscardPolicy : {
+        get : function() {
+            return undefined;
+        }
+    },
+
+    /**
+     * Gets an event that is raised when the imagery provider encounters an asynchronous error.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Event}
+     */
+    errorEvent : {
+        get : function() {
+            return this._errorEvent;
+        }
+    },
+
+    /**
+     * Gets a value indicating whether or not the provider is ready for use, which it always is.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Boolean}
+     */
+    ready : {
+        get : function() {
+            return true;
+        }
+    },
+
+    /**
+     * Gets the credit to display when this imagery provider is active, which is undefined.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Credit}
+     */
+    credit : {
+        get : function() {
+            return undefined;
+        }
+    },
+
+    /**
+     * Gets a value indicating whether or not the images provided by this imagery provider include an alpha channel,
+     * which they do, because only the features are drawn.
+     * @memberOf GeoJsonTileImageryProvider.prototype
+     * @type {Boolean}
+     */
+    hasAlphaChannel : {
+        get : function() {
+            return true;
+        }
+    }
+});
+
+/**
+ * Gets the credits to be displayed when a given tile is displayed, which are undefined.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @return {Credit[]} The credits to be displayed when the tile is displayed.
+ */
+GeoJsonTileImageryProvider.prototype.getTileCredits = function(x, y, level) {
+    return undefined;
+};
+
+/**
+ * Requests the image for a given tile, drawn on a canvas.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @return {Promise} A promise for the canvas, or undefined if there are too many active requests to the server,
+ *         in which case the request should be retried later.
+ */
+GeoJsonTileImageryProvider.prototype.requestImage = function(x, y, level) {
+    var canvas = createCanvas();
+    if (!this.hasFeaturesInTile(x, y, level)) {
+        return when(canvas);
+    }
+
+    var tilePromise = this.loadTile(x, y, level, true);
+    if (!defined(tilePromise)) {
+        return undefined;
+    }
+
+    var that = this;
+    return tilePromise.then(function(tile) {
+        that.drawTile(canvas, tile, x, y, level);
+        return canvas;
+    });
+};
+
+/**
+ * Features are picked by {@link GeoJsonTileImageryProvider#pickFeaturesAt} and shown in the feature info panel
+ * instead of the info box, so this function returns undefined.
+ *
+ * @return {Promise} Undefined.
+ */
+GeoJsonTileImageryProvider.prototype.pickFeatures = function() {
+    return undefined;
+};
+
+/**
+ * Determines whether a tile may contain features, from the extent of the features.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @return {Boolean} False if the tile certainly has no features, otherwise true.
+ */
+GeoJsonTileImageryProvider.prototype.hasFeaturesInTile = function(x, y, level) {
+    var data = this._dataRectangle;
+    if (!defined(data)) {
+        return true;
+    }
+
+    var tile = this._tilingScheme.tileXYToRectangle(x, y, level);
+    var margin = (tile.east - tile.west) * tileBuffer / tileSize;
+    return tile.west - margin <= data.east && tile.east + margin >= data.west &&
+           tile.south - margin <= data.north && tile.north + margin >= data.south;
+};
+
+/**
+ * Loads the GeoJSON features of a tile.  The most recently loaded tiles are kept in memory.
+ *
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ * @param {Boolean} [throttle=false] True to return undefined rather than make a request when there are too many
+ *        active requests to the server.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection, or undefined if the request was throttled.
+ */
+GeoJsonTileImageryProvider.prototype.loadTile = function(x, y, level, throttle) {
+    var key = level + '/' + x + '/' + y;
+    var tiles = this._tiles;
+    if (tiles.hasOwnProperty(key)) {
+        return tiles[key];
+    }
+
+    var url = this._url.replace('{z}', level).replace('{x}', x).replace('{y}', y);
+    var promise = throttle ? throttleRequestByServer(url, loadJson) : loadJson(url);
+    if (!defined(promise)) {
+        return undefined;
+    }
+
+    var that = this;
+    promise = when(promise).otherwise(function(e) {
+        // Request the tile again next time.
+        if (tiles[key] === promise) {
+            delete tiles[key];
+            that._tileKeys.splice(that._tileKeys.indexOf(key), 1);
+        }
+        throw e;
+    });
+
+    tiles[key] = promise;
+    this._tileKeys.push(key);
+    if (this._tileKeys.length > maximumCachedTiles) {
+        delete tiles[this._tileKeys.shift()];
+    }
+
+    return promise;
+};
+
+/**
+ * Draws the features of a tile on a canvas.
+ *
+ * @param {HTMLCanvasElement} canvas The canvas, which should be 256 pixels square.
+ * @param {Object} tile The GeoJSON FeatureCollection of the tile.
+ * @param {Number} x The tile X coordinate.
+ * @param {Number} y The tile Y coordinate.
+ * @param {Number} level The tile level.
+ */
+GeoJsonTileImageryProvider.prototype.drawTile = function(canvas, tile, x, y, level) {
+    var context = canvas.getContext('2d');
+    var transform = createTransform(x, y, level);
+    var features = defaultValue(tile.features, []);
+
+    for (var i = 0; i < features.length; ++i) {
+        var feature = features[i];
+        var style = this._styler.getStyle(feature.properties);
+        forEachPart(feature.geometry, drawPart);
+    }
+
+    function drawPart(type, coordinates) {
+        if (type === 'point') {
+            var point = transform(coordinates);
+            context.beginPath();
+            context.arc(point[0], point[1], style.point.size / 2, 0, 2 * Math.PI);
+            context.fillStyle = style.point.color.toCssColorString();
+            context.fill();
+            if (style.point.outlineWidth > 0) {
+                context.lineWidth = style.point.outlineWidth;
+                context.strokeStyle = style.point.outlineColor.toCssColorString();
+                context.stroke();
+            }
+        } else if (type === 'line') {
+            context.beginPath();
+            tracePath(context, coordinates, transform);
+            context.lineWidth = style.line.width;
+            context.lineJoin = 'round';
+            context.lineCap = 'round';
+            context.strokeStyle = style.line.color.toCssColorString();
+            context.stroke();
+        } else {
+            context.beginPath();
+            for (var r = 0; r < coordinates.length; ++r) {
+                tracePath(context, coordinates[r], transform);
+                context.closePath();
+            }
+            if (style.polygon.fill) {
+                // The even-odd rule leaves holes unfilled whichever way they wind, as when picking.
+                context.fillStyle = style.polygon.fillColor.toCssColorString();
+                context.fill('evenodd');
+            }
+            context.lineWidth = 1;
+            context.lineJoin = 'round';
+            context.strokeStyle = style.polygon.outlineColor.toCssColorString();
+            context.stroke();
+        }
+    }
+};
+
+/**
+ * Finds the features drawn at a location.
+ *
+ * @param {Number} longitude The longitude of the location, in radians.
+ * @param {Number} latitude The latitude of the location, in radians.
+ * @param {Number} level The level of the tiles shown at the location.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection of the features drawn at the location, with the
+ *         feature drawn on top first.
+ */
+GeoJsonTileImageryProvider.prototype.pickFeaturesAt = function(longitude, latitude, level) {
+    level = Math.max(0, Math.min(Math.round(level), this._maximumLevel));
+
+    var worldSize = tileSize * Math.pow(2, level);
+    var pixel = createTransform(0, 0, level)([CesiumMath.toDegrees(longitude), CesiumMath.toDegrees(latitude)]);
+    var x = Math.max(0, Math.min(Math.floor(pixel[0] / tileSize), worldSize / tileSize - 1));
+    var y = Math.max(0, Math.min(Math.floor(pixel[1] / tileSize), worldSize / tileSize - 1));
+    var result = {
+        type : 'FeatureCollection',
+        features : []
+    };
+
+    if (!this.hasFeaturesInTile(x, y, level)) {
+        return when(result);
+    }
+
+    var that = this;
+    return this.loadTile(x, y, level).then(function(tile) {
+        var point = [pixel[0] - x * tileSize, pixel[1] - y * tileSize];
+        var transform = createTransform(x, y, level);
+        var features = defaultValue(tile.features, []);
+
+        for (var i = features.length - 1; i >= 0; --i) {
+            if (isFeatureAt(features[i], that._styler.getStyle(features[i].properties), point, transform)) {
+                result.features.push(features[i]);
+            }
+        }
+
+        return result;
+    });
+};
+
+function createCanvas() {
+    var canvas = document.createElement('canvas');
+    canvas.width = tileSize;
+    canvas.height = tileSize;
+    return canvas;
+}
+
+// Creates a function that converts a GeoJSON position to pixels in a Web Mercator tile.
+function createTransform(x, y, level) {
+    var worldSize = tileSize * Math.pow(2, level);
+    var left = x * tileSize;
+    var top = y * tileSize;
+
+    return function(position) {
+        var latitude = Math.max(-maximumLatitude, Math.min(position[1], maximumLatitude));
+        var sinLatitude = Math.sin(CesiumMath.toRadians(latitude));
+        return [
+            (position[0] + 180.0) / 360.0 * worldSize - left,
+            (0.5 - Math.log((1.0 + sinLatitude) / (1.0 - sinLatitude)) / (4.0 * Math.PI)) * worldSize - top
+        ];
+    };
+}
+
+// Calls the callback with 'point' and a position, 'line' and an array of positions, or 'polygon' and an array of
+// rings, for each part of a GeoJSON geometry.
+function forEachPart(geometry, callback) {
+    if (!defined(geometry) || geometry === null) {
+        return;
+    }
+
+    var i;
+    switch (geometry.type) {
+        case 'Point':
+            callback('point', geometry.coordinates);
+            break;
+        case 'MultiPoint':
+            for (i = 0; i < geometry.coordinates.length; ++i) {
+                callback('point', geometry.coordinates[i]);
+            }
+            break;
+        case 'LineString':
+            callback('line', geometry.coordinates);
+            break;
+        case 'MultiLineString':
+            for (i = 0; i < geometry.coordinates.length; ++i) {
+                callback('line', geometry.coordinates[i]);
+            }
+            break;
+        case 'Polygon':
+            callback('polygon', geometry.coordinates);
+            break;
+        case 'MultiPolygon':
+            for (i = 0; i < geometry.coordinates.length; ++i) {
+                callback('polygon', geometry.coordinates[i]);
+            }
+            break;
+        case 'GeometryCollection':
+            for (i = 0; i < geometry.geometries.length; ++i) {
+                forEachPart(geometry.geometries[i], callback);
+            }
+            break;
+    }
+}
+
+function tracePath(context, positions, transform) {
+    for (var i = 0; i < positions.length; ++i) {
+        var point = transform(positions[i]);
+        if (i === 0) {
+            context.moveTo(point[0], point[1]);
+        } else {
+            context.lineTo(point[0], point[1]);
+        }
+    }
+}
+
+function isFeatureAt(feature, style, point, transform) {
+    var found = false;
+
+    forEachPart(feature.geometry, function(type, coordinates) {
+        if (found) {
+            return;
+        }
+
+        if (type === 'point') {
+            var position = transform(coordinates);
+            var dx = position[0] - point[0];
+            var dy = position[1] - point[1];
+            found = Math.sqrt(dx * dx + dy * dy) <= style.point.size / 2 + pickTolerance;
+        } else if (type === 'line') {
+            found = distanceToPath(point, coordinates.map(transform)) <= style.line.width / 2 + pickTolerance;
+        } else {
+            var rings = coordinates.map(function(ring) {
+                return ring.map(transform);
+            });
+            found = (style.polygon.fill && isInsideRings(point, rings)) || rings.some(function(ring) {
+                return distanceToPath(point, ring) <= pickTolerance;
+            });
+        }
+    });
+
+    return found;
+}
+
+function distanceToPath(point, path) {
+    var result = Number.POSITIVE_INFINITY;
+    for (var i = 0; i < path.length - 1; ++i) {
+        result = Math.min(result, distanceToSegment(point, path[i], path[i + 1]));
+    }
+    if (path.length === 1) {
+        result = distanceToSegment(point, path[0], path[0]);
+    }
+    return result;
+}
+
+function distanceToSegment(point, start, end) {
+    var dx = end[0] - start[0];
+    var dy = end[1] - start[1];
+    var lengthSquared = dx * dx + dy * dy;
+    var t = lengthSquared > 0 ? ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared : 0;
+    t = Math.max(0, Math.min(t, 1));
+    var nearestX = start[0] + t * dx - point[0];
+    var nearestY = start[1] + t * dy - point[1];
+    return Math.sqrt(nearestX * nearestX + nearestY * nearestY);
+}
+
+// Determines whether a point is inside a polygon, counting holes with the even-odd rule.
+function isInsideRings(point, rings) {
+    var inside = false;
+    for (var r = 0; r < rings.length; ++r) {
+        var ring = rings[r];
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            var a = ring[i];
+            var b = ring[j];
+            if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+                point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+module.exports = GeoJsonTileImageryProvider;
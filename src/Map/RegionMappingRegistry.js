@@ -0,0 +1,394 @@
+'use strict';
+
+/*global require,$*/
+
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var loadText = require('../../third_party/cesium/Source/Core/loadText');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var corsProxy = require('../Core/corsProxy');
+var VarType = require('./VarType');
+
+/**
+ * The set of region types that tabular data can be mapped to, such as states, postcodes or local government areas.
+ * Each region type names the WMS/WFS layer holding its boundaries, the layer property that identifies each region,
+ * and the column name aliases used to recognise the region type in a CSV file.
+ *
+ * @alias RegionMappingRegistry
+ * @constructor
+ *
+ * @param {Object} json The JSON description of the registry, typically loaded from regionMapping.json.
+ * @param {String} json.server The URL of the WMS/WFS server holding the region layers.
+ * @param {Object} json.regionWmsMap An object literal mapping each region type, such as 'STE', to an object with
+ *                 the properties `name` (the layer name), `regionProp` (the region ID property), `aliases` (the
+ *                 lowercase column name prefixes that identify the region type) and, optionally, `server`.
+ *                 A region type may also specify `nameProp`, the property holding region names, so that CSV values
+ *                 can be matched by name as well as by code; `nameReplacements`, an array of [pattern, replacement]
+ *                 pairs applied to names before they are compared, such as `["^city of ", ""]`; and `zeroPad`, the
+ *                 number of digits to which numeric codes are padded with leading zeros before they are compared.
+ *                 Without `zeroPad`, leading zeros are ignored.  Finally, `vectorUrl` may give the URL of a GeoJSON or
+ *                 TopoJSON file holding the region boundaries, for drawing regions as vector polygons.  Its features are
+ *                 identified by `vectorRegionProp`, which defaults to `regionProp`, and named by `nameProp`.  For a
+ *                 region layer on a GeoServer, the `vectorUrl` can be a WFS GetFeature request for the layer with
+ *                 `outputFormat=application/json`.  Vector boundaries are only used by items that ask for them, such as
+ *                 a {@link CsvItemViewModel} with `useVectorRegionMapping` set.
+ */
+var RegionMappingRegistry = function(json) {
+    json = defaultValue(json, defaultValue.EMPTY_OBJECT);
+
+    /**
+     * Gets or sets the URL of the default WMS/WFS server holding the region layers.
+     * @type {String}
+     */
+    this.server = json.server;
+
+    /**
+     * Gets or sets the region descriptors, keyed by region type.  Region types are tried in the order
+     * they appear when determining the region type of a dataset.
+     * @type {Object}
+     */
+    this.regionWmsMap = defaultValue(json.regionWmsMap, {});
+};
+
+/**
+ * Loads a registry from a JSON file.
+ *
+ * @param {String} url The URL of the JSON file.
+ * @return {Promise} A promise that resolves to the new {@link RegionMappingRegistry}.
+ */
+RegionMappingRegistry.fromUrl = function(url) {
+    return loadJson(url).then(function(json) {
+        return new RegionMappingRegistry(json);
+    });
+};
+
+/**
+ * Gets the names of the region types in this registry.
+ *
+ * @return {String[]} The region types, such as 'STE' and 'LGA'.
+ */
+RegionMappingRegistry.prototype.getRegionTypes = function() {
+    var regionTypes = [];
+    for (var regionType in this.regionWmsMap) {
+        if (this.regionWmsMap.hasOwnProperty(regionType)) {
+            regionTypes.push(regionType);
+        }
+    }
+    return regionTypes;
+};
+
+/**
+ * Gets the descriptor of a region type.
+ *
+ * @param {String} regionType The region type, such as 'LGA'.
+ * @return {Object} The region descriptor, or undefined if the region type is not in this registry.
+ */
+RegionMappingRegistry.prototype.getRegionDescriptor = function(regionType) {
+    if (!this.regionWmsMap.hasOwnProperty(regionType)) {
+        return undefined;
+    }
+    return this.regionWmsMap[regionType];
+};
+
+/**
+ * Gets the URL of the WMS/WFS server holding the layer for a region type.
+ *
+ * @param {String} regionType The region type.
+ * @return {String} The server URL.
+ */
+RegionMappingRegistry.prototype.getServer = function(regionType) {
+    var regionDescriptor = this.getRegionDescriptor(regionType);
+    if (defined(regionDescriptor) && defined(regionDescriptor.server)) {
+        return regionDescriptor.server;
+    }
+    return this.server;
+};
+
+/**
+ * Determines the region type of a dataset by matching its variable names against the aliases in this registry.  If no alias
+ * matches, a 'region_id' variable holding ABS-style codes prefixed by the region type, such as 'LGA20110', is recognised too.
+ * In that case the variable is renamed to the region type and its values are converted to numeric codes.
+ *
+ * @param {Dataset} dataset The dataset.
+ * @return {Object} An object with the properties `idx` (the index of the region variable in {@link Dataset#getVarList})
+ *                  and `regionType`, or undefined if the region type could not be determined.
+ */
+RegionMappingRegistry.prototype.determineRegionType = function(dataset) {
+    var vars = dataset.getVarList();
+
+    var regionType;
+    var idx = -1;
+    //try to figure out the region variable
+    for (regionType in this.regionWmsMap) {
+        if (this.regionWmsMap.hasOwnProperty(regionType)) {
+            idx = determineRegionVar(vars, this.regionWmsMap[regionType].aliases);
+            if (idx !== -1) {
+                break;
+            }
+        }
+    }
+
+    //if no match, try to derive regionType from region_id to use native abs census files
+    if (idx === -1) {
+        var absRegion = 'region_id';
+        idx = vars.indexOf(absRegion);
+        if (idx === -1) {
+            return;
+        }
+        var code = dataset.getDataValue(absRegion, 0);
+        regionType = code.replace(/[0-9]/g, '');
+        if (!defined(this.getRegionDescriptor(regionType))) {
+            return;
+        }
+        var vals = dataset.getDataValues(absRegion);
+        var new_vals = [];
+        for (var i = 0; i < vals.length; i++) {
+            var id = dataset.getDataValue(absRegion, vals[i]).replace( /^\D+/g, '');
+            new_vals.push(parseInt(id,10));
+        }
+
+        var variable = dataset.variables[absRegion];
+        variable.vals = new_vals;
+        variable.varType = VarType.SCALAR;
+        variable.enumList = undefined;
+        variable._calculateVarMinMax();
+        dataset.variables[regionType] = variable;
+        delete dataset.variables[absRegion];
+        vars = dataset.getVarList();
+        idx = vars.indexOf(regionType);
+    }
+    return { idx: idx, regionType: regionType};
+};
+
+/**
+ * Loads the region codes of a region type, and the region names if the region type has a `nameProp`, from its WFS server.
+ * The codes are stored in the `idMap` property of the region descriptor, and the names in its `nameMap` property.  The
+ * index of a region in these arrays is its feature ID in the region layer.  They are only loaded once.
+ *
+ * @param {String} regionType The region type.
+ * @return {Promise} A promise that resolves when the IDs are loaded, or undefined if they were already loaded.
+ */
+RegionMappingRegistry.prototype.loadRegionIDs = function(regionType) {
+    var regionDescriptor = this.getRegionDescriptor(regionType);
+    if (defined(regionDescriptor.idMap)) {
+        return;
+    }
+
+    var server = this.getServer(regionType);
+    var promises = [loadRegionPropertyValues(server, regionDescriptor.name, regionDescriptor.regionProp)];
+    if (defined(regionDescriptor.nameProp)) {
+        // Matching by name is a nicety, so don't fail if the names are unavailable.
+        promises.push(loadRegionPropertyValues(server, regionDescriptor.name, regionDescriptor.nameProp).otherwise(function(err) {
+            console.log(err);
+        }));
+    }
+
+    var that = this;
+    return when.all(promises, function(results) {
+        if (defined(results[0])) {
+            that.setRegionIDs(regionType, results[0], results[1]);
+        }
+    }, function(err) {
+        console.log(err);
+    });
+};
+
+/**
+ * Sets the region codes and names of a region type, as done by {@link RegionMappingRegistry#loadRegionIDs}.
+ *
+ * @param {String} regionType The region type.
+ * @param {String[]} idMap The region codes, in feature ID order.
+ * @param {String[]} [nameMap] The region names, in the same order as the codes.
+ */
+RegionMappingRegistry.prototype.setRegionIDs = function(regionType, idMap, nameMap) {
+    var regionDescriptor = this.getRegionDescriptor(regionType);
+
+    regionDescriptor.idMap = idMap;
+    regionDescriptor.nameMap = nameMap;
+    regionDescriptor._findRegionIndex = this.createRegionMatcher(regionType, idMap, nameMap);
+};
+
+/**
+ * Creates a function that finds the region matching a value from a CSV file, using the matching rules of a region type.
+ * The value is compared with the region codes and then, if there are any, with the region names.  Both comparisons
+ * ignore case, whitespace and punctuation.
+ *
+ * @param {String} regionType The region type.
+ * @param {String[]} codes The region codes.
+ * @param {String[]} [names] The region names, in the same order as the codes.
+ * @return {Function} A function that takes a value, such as '0800' or 'City of Yarra', and returns the index of the matching
+ *                    region in the codes array, or -1 if no region matches.
+ */
+RegionMappingRegistry.prototype.createRegionMatcher = function(regionType, codes, names) {
+    var regionDescriptor = this.getRegionDescriptor(regionType);
+
+    var codeLookup = {};
+    var nameLookup = {};
+    for (var i = 0; i < codes.length; i++) {
+        codeLookup[normaliseCode(regionDescriptor, codes[i])] = i;
+        if (defined(names) && defined(names[i])) {
+            nameLookup[normaliseName(regionDescriptor, names[i])] = i;
+        }
+    }
+
+    return function(value) {
+        if (!defined(value) || value === null) {
+            return -1;
+        }
+
+        var index = codeLookup[normaliseCode(regionDescriptor, value)];
+        if (!defined(index)) {
+            index = nameLookup[normaliseName(regionDescriptor, value)];
+        }
+        return defined(index) ? index : -1;
+    };
+};
+
+/**
+ * Finds the region matching a value from a CSV file, as described in {@link RegionMappingRegistry#createRegionMatcher}.
+ * {@link RegionMappingRegistry#loadRegionIDs} must have completed first.
+ *
+ * @param {String} regionType The region type.
+ * @param {String|Number} value The value identifying the region, such as '0800' or 'City of Yarra'.
+ * @return {Number} The index of the region in the `idMap` of the region descriptor, or -1 if no region matches.
+ */
+RegionMappingRegistry.prototype.findRegionIndex = function(regionType, value) {
+    var regionDescriptor = this.getRegionDescriptor(regionType);
+    if (!defined(regionDescriptor) || !defined(regionDescriptor._findRegionIndex)) {
+        return -1;
+    }
+    return regionDescriptor._findRegionIndex(value);
+};
+
+/**
+ * Loads the vector boundaries of a region type from its `vectorUrl`, using the proxy if necessary.  The boundaries are
+ * only loaded once.
+ *
+ * @param {String} regionType The region type.
+ * @return {Promise} A promise that resolves to the GeoJSON or TopoJSON object, or undefined if the region type
+ *                   has no vector boundaries.
+ */
+RegionMappingRegistry.prototype.loadRegionVectors = function(regionType) {
+    var regionDescriptor = this.getRegionDescriptor(regionType);
+    if (!defined(regionDescriptor) || !defined(regionDescriptor.vectorUrl)) {
+        return when(undefined);
+    }
+
+    if (!defined(regionDescriptor._vectorPromise)) {
+        var url = regionDescriptor.vectorUrl;
+        if (corsProxy.shouldUseProxy(url)) {
+            url = corsProxy.getURL(url);
+        }
+        regionDescriptor._vectorPromise = loadJson(url).otherwise(function(e) {
+            // Try again next time rather than remembering the failure.
+            regionDescriptor._vectorPromise = undefined;
+            throw e;
+        });
+    }
+    return regionDescriptor._vectorPromise;
+};
+
+/**
+ * Indexes the features loaded by {@link RegionMappingRegistry#loadRegionVectors} by region.  A region may be made up of
+ * several features, such as the islands of a multi-polygon, so each distinct code is given one region index.  Features
+ * without a code are not part of any region.
+ *
+ * @param {String} regionType The region type.
+ * @param {Object[]} featureProperties The properties of each feature.
+ * @return {Object} An object with the properties `codes` and `names` (the code and name of each region, suitable for
+ *                  {@link RegionMappingRegistry#createRegionMatcher}) and `featureRegionIndices` (the region index of
+ *                  each feature, or -1 if the feature has no code).
+ */
+RegionMappingRegistry.prototype.indexRegionFeatures = function(regionType, featureProperties) {
+    var regionDescriptor = this.getRegionDescriptor(regionType);
+    var codeProp = defaultValue(regionDescriptor.vectorRegionProp, regionDescriptor.regionProp);
+    var nameProp = regionDescriptor.nameProp;
+
+    var codes = [];
+    var names = [];
+    var featureRegionIndices = [];
+    var regionIndices = {};
+    for (var i = 0; i < featureProperties.length; ++i) {
+        var properties = featureProperties[i];
+        if (!defined(properties) || properties === null || !defined(properties[codeProp]) || properties[codeProp] === null) {
+            featureRegionIndices.push(-1);
+            continue;
+        }
+
+        var code = properties[codeProp];
+        var regionIndex = regionIndices[code];
+        if (!defined(regionIndex)) {
+            regionIndex = codes.length;
+            regionIndices[code] = regionIndex;
+            codes.push(code);
+            names.push((defined(nameProp) && properties[nameProp] !== null) ? properties[nameProp] : undefined);
+        }
+        featureRegionIndices.push(regionIndex);
+    }
+
+    return {
+        codes : codes,
+        names : names,
+        featureRegionIndices : featureRegionIndices
+    };
+};
+
+function loadRegionPropertyValues(server, layerName, propertyName) {
+    var url = server + '?service=wfs&version=2.0&request=getPropertyValue';
+    url += '&typenames=' + layerName;
+    url += '&valueReference=' + propertyName;
+    url = corsProxy.getURL(url);
+    return loadText(url).then(function (text) {
+        var obj = $.xml2json(text);
+
+        if (!defined(obj.member)) {
+            return;
+        }
+
+        var values = [];
+        for (var i = 0; i < obj.member.length; i++) {
+            values.push(obj.member[i][propertyName]);
+        }
+        return values;
+    });
+}
+
+function normaliseCode(regionDescriptor, value) {
+    var code = value.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (/^[0-9]+$/.test(code)) {
+        code = code.replace(/^0+(?=.)/, '');
+        if (defined(regionDescriptor.zeroPad)) {
+            while (code.length < regionDescriptor.zeroPad) {
+                code = '0' + code;
+            }
+        }
+    }
+    return code;
+}
+
+function normaliseName(regionDescriptor, value) {
+    var name = value.toString().toLowerCase().replace(/\s+/g, ' ').trim();
+    var replacements = regionDescriptor.nameReplacements;
+    if (defined(replacements)) {
+        for (var i = 0; i < replacements.length; i++) {
+            name = name.replace(new RegExp(replacements[i][0], 'i'), replacements[i][1]);
+        }
+    }
+    return name.replace(/[^a-z0-9]/g, '');
+}
+
+function determineRegionVar(vars, aliases) {
+    for (var i = 0; i < vars.length; i++) {
+        var varName = vars[i].toLowerCase();
+        for (var j = 0; j < aliases.length; j++) {
+            if (varName.substring(0,aliases[j].length) === aliases[j]) {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+module.exports = RegionMappingRegistry;
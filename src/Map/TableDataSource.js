@@ -1,7 +1,11 @@
 /*global require*/
 "use strict";
 
+var aggregatePoints = require('./aggregatePoints');
+var computeClassBreaks = require('./computeClassBreaks');
+var createColorGradient = require('./createColorGradient');
 var Dataset = require('./Dataset');
+var VarType = require('./VarType');
 
 /*
 TableDataSource object for displaying geo-located datasets
@@ -15,6 +19,7 @@ var defined = require('../../third_party/cesium/Source/Core/defined');
 var CzmlDataSource = require('../../third_party/cesium/Source/DataSources/CzmlDataSource');
 var Color = require('../../third_party/cesium/Source/Core/Color');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
 var destroyObject = require('../../third_party/cesium/Source/Core/destroyObject');
 var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var loadText = require('../../third_party/cesium/Source/Core/loadText');
@@ -42,17 +47,15 @@ var TableDataSource = function () {
     this.scaleValue = false;
     this.imageUrl = "./images/circle32.png";
 
-    var rainbowGradient = [
-        {offset: 0.0, color: 'rgba(0,0,200,1.00)'},
-        {offset: 0.25, color: 'rgba(0,200,200,1.0)'},
-        {offset: 0.25, color: 'rgba(0,200,200,1.0)'},
-        {offset: 0.5, color: 'rgba(0,200,0,1.0)'},
-        {offset: 0.5, color: 'rgba(0,200,0,1.0)'},
-        {offset: 0.75, color: 'rgba(200,200,0,1.0)'},
-        {offset: 0.75, color: 'rgba(200,200,0,1.0)'},
-        {offset: 1.0, color: 'rgba(200,0,0,1.0)'}
-    ];
-    this.setColorGradient(rainbowGradient);
+    // Classification options for computeClassBreaks, or undefined to map values continuously along the gradient.
+    this.classification = undefined;
+    this.classBreaks = undefined;
+
+    this.colorMap = undefined;
+    this.setColorMap('Rainbow');
+
+    // The maximum number of points to draw individually.  Above this, points are aggregated into a grid of cells.
+    this.aggregationThreshold = undefined;
 };
 
 defineProperties(TableDataSource.prototype, {
@@ -153,6 +156,21 @@ TableDataSource.prototype.loadUrl = function (url) {
  */
 TableDataSource.prototype.loadText = function (text) {
     this.dataset.loadText(text);
+    this._datasetLoaded();
+};
+
+/**
+ * Loads a dataset that has already been parsed, such as by {@link parseCsvInWorker}, replacing any existing data.
+ *
+ * @param {Dataset} dataset The dataset.
+ */
+TableDataSource.prototype.loadDataset = function (dataset) {
+    this.dataset = dataset;
+    this._datasetLoaded();
+};
+
+TableDataSource.prototype._datasetLoaded = function () {
+    this._updateColorMapping();
     this.setLeadTimeByPercent(0.0);
     this.setTrailTimeByPercent(1.0);
     if (this.dataset.hasLocationData()) {
@@ -168,11 +186,115 @@ TableDataSource.prototype.loadText = function (text) {
 */
 TableDataSource.prototype.setCurrentVariable = function (varName) {
     this.dataset.setCurrentVariable({ variable: varName});
+    this._updateColorMapping();
+    if (this.dataset.hasLocationData()) {
+        this.czmlDataSource.load(this.getDataPointList(), 'TableDataSource');
+    }
+};
+
+/**
+* Set the classification used to group the values of the current variable into
+* classes, each of which is drawn in a single color.
+*
+* @memberof TableDataSource
+*
+* @param {Object} [classification] The options passed to {@link computeClassBreaks}, such as
+*        { method : 'quantile', classCount : 5 }.  If undefined, values are colored continuously
+*        along the color gradient.
+*/
+TableDataSource.prototype.setClassification = function (classification) {
+    this.classification = classification;
+    this._updateColorMapping();
+    if (this.dataset.hasLocationData()) {
+        this.czmlDataSource.load(this.getDataPointList(), 'TableDataSource');
+    }
+};
+
+/**
+* Set the color map used to color the data points and regions.
+*
+* @memberof TableDataSource
+*
+* @param {Object[]|String|Object} colorMap A color gradient as accepted by {@link TableDataSource#setColorGradient},
+*        the name of one of the {@link ColorPalettes}, or an object with the following properties:
+* @param {String} colorMap.name The name of one of the {@link ColorPalettes}.
+* @param {Boolean} [colorMap.reverse=false] true to reverse the order of the palette's colors.
+* @param {Number} [colorMap.center] The data value to color with the central color of a diverging palette, such as
+*        0 for data showing a change.  By default, the central color is used for the middle of the data range.
+*/
+TableDataSource.prototype.setColorMap = function (colorMap) {
+    this.colorMap = colorMap;
+    this._updateColorGradient();
     if (this.dataset.hasLocationData()) {
         this.czmlDataSource.load(this.getDataPointList(), 'TableDataSource');
     }
 };
 
+TableDataSource.prototype._updateColorMapping = function () {
+    this._updateClassBreaks();
+    this._updateColorGradient();
+};
+
+TableDataSource.prototype._updateColorGradient = function () {
+    var colorMap = this.colorMap;
+    if (!defined(colorMap)) {
+        return;
+    }
+    if (colorMap instanceof Array) {
+        this.setColorGradient(colorMap);
+        return;
+    }
+    if (typeof colorMap === 'string') {
+        colorMap = { name: colorMap };
+    }
+
+    var gradient = createColorGradient({
+        name: colorMap.name,
+        reverse: colorMap.reverse,
+        centerOffset: defined(colorMap.center) ? this._getCenterOffset(colorMap.center) : undefined
+    });
+    if (!defined(gradient)) {
+        throw new DeveloperError('Unknown color palette: ' + colorMap.name);
+    }
+    this.setColorGradient(gradient);
+};
+
+// Gets the position along the color gradient at which a value is drawn.
+TableDataSource.prototype._getCenterOffset = function (val) {
+    var breaks = this.classBreaks;
+    if (defined(breaks)) {
+        var classIndex = computeClassBreaks.getClassIndex(breaks, val);
+        if (classIndex === -1) {
+            return (val < breaks[0]) ? 0.0 : 1.0;
+        }
+        var classCount = breaks.length - 1;
+        return (classCount === 1) ? 0.5 : classIndex / (classCount - 1);
+    }
+    var normPoint = this._getNormalizedPoint(val);
+    return isFinite(normPoint) ? normPoint : undefined;
+};
+
+TableDataSource.prototype._updateClassBreaks = function () {
+    this.classBreaks = undefined;
+
+    var data = this.dataset;
+    if (!defined(this.classification) || !defined(data.variables)) {
+        return;
+    }
+    var variable = data.getVariable(data.getCurrentVariable());
+    if (!defined(variable) || variable.varType !== VarType.SCALAR) {
+        return;
+    }
+
+    var values = [];
+    for (var i = 0; i < variable.vals.length; i++) {
+        if (!data.isNoData(variable.vals[i])) {
+            values.push(variable.vals[i]);
+        }
+    }
+    this.classBreaks = computeClassBreaks(values, this.classification);
+};
+
 var startScratch = new JulianDate();
 var endScratch = new JulianDate();
 
@@ -259,6 +381,17 @@ TableDataSource.prototype.getDataPointList = function () {
     }
     //update the datapoint collection
     var pointList = data.getPointList();
+
+    // A table with only locations has no current variable.
+    var variable = data.getVariable(data.getCurrentVariable());
+    var isCategorical = defined(variable) && variable.varType === VarType.ENUM;
+    if (defined(this.aggregationThreshold) && pointList.length > this.aggregationThreshold) {
+        pointList = aggregatePoints(pointList, {
+            maxPointCount: this.aggregationThreshold,
+            noData: data.noData,
+            categorical: isCategorical
+        });
+    }
     
     var dispRecords = [{
         id : 'document',
@@ -268,7 +401,16 @@ TableDataSource.prototype.getDataPointList = function () {
     for (var i = 0; i < pointList.length; i++) {
         //set position, scale, color, and display time
         var rec = this.czmlRecFromPoint(pointList[i]);
-        rec.description = this.describe(data.getDataRow(pointList[i].row));
+        if (defined(pointList[i].count)) {
+            var properties = {'Rows in this area': pointList[i].count};
+            if (defined(variable)) {
+                var value = pointList[i].val;
+                properties[data.getCurrentVariable()] = isCategorical ? variable.enumList[value] : value;
+            }
+            rec.description = this.describe(properties);
+        } else {
+            rec.description = this.describe(data.getDataRow(pointList[i].row));
+        }
         dispRecords.push(rec);
     }
     return dispRecords;
@@ -297,17 +439,31 @@ TableDataSource.prototype._mapValue2Scale = function (pntVal) {
 };
 
 
+// Gets the position along the color gradient of a class, spreading the classes from one end to the other.
+TableDataSource.prototype._getNormalizedClass = function (pntVal) {
+    var data = this.dataset;
+    if (data === undefined || data.isNoData(pntVal)) {
+        return undefined;
+    }
+    var classIndex = computeClassBreaks.getClassIndex(this.classBreaks, pntVal);
+    if (classIndex === -1) {
+        return undefined;
+    }
+    var classCount = this.classBreaks.length - 1;
+    return (classCount === 1) ? 0.5 : classIndex / (classCount - 1);
+};
+
+
 TableDataSource.prototype._mapValue2Color = function (pntVal) {
     var colors = this.dataImage;
     if (colors === undefined) {
         return this.color;
     }
-    var normPoint = this._getNormalizedPoint(pntVal);
+    var normPoint = defined(this.classBreaks) ? this._getNormalizedClass(pntVal) : this._getNormalizedPoint(pntVal);
     var color = [0, 0, 0, 0];
     if (normPoint !== undefined) {
         var colorIndex = Math.floor(normPoint * (colors.data.length / 4 - 1)) * 4;
-        color = colors.data.subarray(colorIndex, colorIndex+4);
-        color[3] *= this.color.alpha;
+        color = [colors.data[colorIndex], colors.data[colorIndex+1], colors.data[colorIndex+2], colors.data[colorIndex+3] * this.color.alpha];
     }
     return color;
 };
@@ -340,6 +496,10 @@ TableDataSource.prototype.setTrailTimeByPercent = function (pct) {
 
 
 TableDataSource.prototype.getLegendGraphic = function () {
+    if (defined(this.classBreaks)) {
+        return this._getClassLegendGraphic();
+    }
+
     var canvas = document.createElement("canvas");
     if (!defined(canvas)) {
         return;
@@ -382,6 +542,50 @@ TableDataSource.prototype.getLegendGraphic = function () {
 };
 
 
+function formatLegendValue(val) {
+    return Number(val.toPrecision(4)).toString();
+}
+
+// Draws a box of the class color and a label with the range of values for each class, highest class at the top.
+TableDataSource.prototype._getClassLegendGraphic = function () {
+    var canvas = document.createElement("canvas");
+    if (!defined(canvas)) {
+        return;
+    }
+    var breaks = this.classBreaks;
+    var classCount = breaks.length - 1;
+    var boxW = 40;
+    var boxH = 20;
+    var rowH = boxH + 4;
+    var w = canvas.width = 210;
+    var h = canvas.height = 25 + classCount * rowH;
+    var ctx = canvas.getContext('2d');
+
+        //white background
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillRect(0,0,w,h);
+
+    ctx.font = "16px Arial Narrow";
+    ctx.fillStyle = "#000000";
+    ctx.fillText(this.dataset.getCurrentVariable(), 5, 15);
+
+    var colors = this.dataImage;
+    for (var i = 0; i < classCount; i++) {
+        var y = 25 + (classCount - 1 - i) * rowH;
+        var normPoint = (classCount === 1) ? 0.5 : i / (classCount - 1);
+        var colorIndex = Math.floor(normPoint * (colors.data.length / 4 - 1)) * 4;
+        ctx.fillStyle = 'rgba(' + colors.data[colorIndex] + ',' + colors.data[colorIndex+1] + ',' + colors.data[colorIndex+2] + ',' +
+            (colors.data[colorIndex+3] / 255) + ')';
+        ctx.fillRect(15, y, boxW, boxH);
+
+        ctx.fillStyle = "#000000";
+        ctx.fillText(formatLegendValue(breaks[i]) + ' to ' + formatLegendValue(breaks[i+1]), boxW + 25, y + boxH - 4);
+    }
+
+    return canvas.toDataURL("image/png");
+};
+
+
 /**
 * Set the gradient used to color the data points
 *
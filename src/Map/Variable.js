@@ -6,7 +6,9 @@
  */
 
 var destroyObject = require('../../third_party/cesium/Source/Core/destroyObject');
+var defined = require('../../third_party/cesium/Source/Core/defined');
 var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var parseDates = require('./parseDates');
 var VarType = require('./VarType');
 
 /**
@@ -24,6 +26,8 @@ var Variable = function () {
     this.minVal = undefined;
     this.maxVal = undefined;
     this.timeVar = undefined;
+    this.timeFormat = undefined;
+    this.timeParseFailures = undefined;
     this.enumList = undefined;
 };
 
@@ -50,13 +54,16 @@ Variable.prototype._calculateVarMinMax = function () {
 
 Variable.prototype._calculateTimeMinMax = function () {
     var vals = this.vals;
-    var minVal = vals[0];
-    var maxVal = vals[0];
-    for (var i = 1; i < vals.length; i++) {
-        if (JulianDate.greaterThan(minVal, vals[i])) {
+    var minVal;
+    var maxVal;
+    for (var i = 0; i < vals.length; i++) {
+        if (!defined(vals[i])) {
+            continue;
+        }
+        if (!defined(minVal) || JulianDate.greaterThan(minVal, vals[i])) {
             minVal = vals[i];
         }
-        if (JulianDate.lessThan(maxVal, vals[i])) {
+        if (!defined(maxVal) || JulianDate.lessThan(maxVal, vals[i])) {
             maxVal = vals[i];
         }
     }
@@ -65,101 +72,33 @@ Variable.prototype._calculateTimeMinMax = function () {
 };
 
 /**
-* Convert input time variable to Cesium Time variable
+* Convert input time variable to Cesium Time variable.  Values that cannot be parsed are left undefined in the
+* time variable and their indices are recorded in timeParseFailures.  If no value can be parsed, the variable is
+* treated as a scalar instead.
+*
+* @param {Object} [options] The format and time zone of the values, as accepted by {@link parseDates}.
 *
 */
-Variable.prototype.processTimeVar = function () {
+Variable.prototype.processTimeVar = function (options) {
     if (this.varType !== VarType.TIME) {
         return;
     }
-    
-    function _isNumber(n) {
-        return !isNaN(parseFloat(n)) && isFinite(n);
-    }
 
-    function _swapDateFormat(v) {
-        var part = v.split(/[/-]/);
-        if (part.length === 3) {
-            v = part[1] + '/' + part[0] + '/' + part[2];
-        }
-        return v;
-    }
+    var result = parseDates(this.vals, options);
+    this.timeFormat = result.format;
+    this.timeParseFailures = result.failures;
 
-    //time parsing functions
-    function timeString(v) { //  9/2/94 0:56
-        return JulianDate.fromDate(new Date(v));
-    }
-    function timeExcel(v) {   // 40544.4533
-        var date = JulianDate.fromDate(new Date('January 1, 1970 0:00:00'));
-        date = JulianDate.addDays(date, Math.floor(v) - 25569.0, date); //account for offset to 1900
-        date = JulianDate.addSeconds(date, (v - Math.floor(v)) * 60 * 60 * 24, date);
-        return date;
-    }
-    function timeUtc(v) {   //12321231414434
-        return JulianDate.fromDate(Date.setTime(v));
-    }
-    function timeSosus(v) {   //19912410952050
-        var dateString = v.toString();
-        var year = parseInt(dateString.substring(0, 4), 10);
-        var dayofyear = parseInt(dateString.substring(4, 7), 10);
-        if (dateString.length !== 14 || year < 1950 || year > 2050 || dayofyear > 366) {
-            return new JulianDate(0.0, 0.0);
-        }
-        var d = new Date();
-        d.setUTCFullYear(year);
-        d.setUTCHours(dateString.substring(7, 9), dateString.substring(9, 11), dateString.substring(11, 13));
-        var date = JulianDate.addDays(JulianDate.fromDate(d), dayofyear, new JulianDate());
-        return date;
-    }
-    //create new Cessium time variable to attach to the variable
-    var timeVar = new Variable();
-    var vals = this.vals;
-    //select time parsing function
-    var parseFunc;
-    if (parseInt(vals[0], 10) > 500000) {
-        if (timeSosus(vals[0]).dayNumber !== 0) {
-            parseFunc = timeSosus;
-        }
-        else {
-            parseFunc = timeUtc;
-        }
-    }
-    else if (_isNumber(vals[0])) {
-        parseFunc = timeExcel;
-    }
-    else {
-        parseFunc = timeString;
-    }
-    //parse the time values
-    var bSuccess = false;
-    try {
-        for (var i = 0; i < vals.length; i++) {
-            timeVar.vals[i] = parseFunc(vals[i]);
-        }
-        bSuccess = true;
-    }
-    catch (err) {
-        if (parseFunc === timeString) {
-            console.log('Trying swap of day and month in date strings');
-            timeVar.vals = [];
-            try {
-                for (var i = 0; i < vals.length; i++) {
-                    timeVar.vals[i] = parseFunc(_swapDateFormat(vals[i]));
-                }
-                bSuccess = true;
-            }
-            catch (err) {
-            }
-        }
-    }
-    if (bSuccess) {
-        timeVar._calculateTimeMinMax();
-        this.timeVar = timeVar;
-    }
-    else {
+    if (result.failures.length === this.vals.length) {
         this.varType = VarType.SCALAR;
         console.log('Unable to parse time variable');
+        return;
     }
+
+    //create new Cesium time variable to attach to the variable
+    var timeVar = new Variable();
+    timeVar.vals = result.dates;
+    timeVar._calculateTimeMinMax();
+    this.timeVar = timeVar;
 };
 
 
@@ -0,0 +1,121 @@
+'use strict';
+
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+function mostCommon(values) {
+    var counts = {};
+    var result;
+    var resultCount = 0;
+    for (var i = 0; i < values.length; ++i) {
+        var count = counts[values[i]] = defaultValue(counts[values[i]], 0) + 1;
+        if (count > resultCount) {
+            result = values[i];
+            resultCount = count;
+        }
+    }
+    return result;
+}
+
+function mean(values) {
+    var sum = 0.0;
+    for (var i = 0; i < values.length; ++i) {
+        sum += values[i];
+    }
+    return sum / values.length;
+}
+
+/**
+ * Aggregates points into the cells of a grid, so that a table with too many rows to draw individually can be drawn as
+ * one point per cell.  Points with different times are aggregated separately.
+ *
+ * @param {Object[]} points The points to aggregate, as returned by {@link Dataset#getPointList}.
+ * @param {Object} options Object with the following properties:
+ * @param {Number} options.maxPointCount The number of cells in the grid.  Points are only aggregated if there are more
+ *        of them than this.
+ * @param {Number} [options.noData] The value of points without data, which are ignored when computing the value of
+ *        a cell.
+ * @param {Boolean} [options.categorical=false] true if the values are categories, in which case the value of a cell
+ *        is the most common value of its points rather than their mean.
+ * @return {Object[]} The aggregated points.  Each has a `pos` at the mean position of the points in its cell, the
+ *         `time` and `row` of the first of them, a `val` computed from their values, and the `count` of points.
+ */
+var aggregatePoints = function(points, options) {
+    if (!defined(points)) {
+        throw new DeveloperError('points is required');
+    }
+    if (!defined(options) || !defined(options.maxPointCount)) {
+        throw new DeveloperError('options.maxPointCount is required');
+    }
+
+    if (points.length <= options.maxPointCount) {
+        return points;
+    }
+
+    var west = Number.MAX_VALUE;
+    var south = Number.MAX_VALUE;
+    var east = -Number.MAX_VALUE;
+    var north = -Number.MAX_VALUE;
+    var i;
+    for (i = 0; i < points.length; ++i) {
+        west = Math.min(west, points[i].pos[0]);
+        east = Math.max(east, points[i].pos[0]);
+        south = Math.min(south, points[i].pos[1]);
+        north = Math.max(north, points[i].pos[1]);
+    }
+
+    var cellsPerSide = Math.max(1, Math.floor(Math.sqrt(options.maxPointCount)));
+    var cellWidth = (east - west) / cellsPerSide;
+    var cellHeight = (north - south) / cellsPerSide;
+
+    var cells = {};
+    var keys = [];
+    for (i = 0; i < points.length; ++i) {
+        var point = points[i];
+        var column = cellWidth > 0 ? Math.min(cellsPerSide - 1, Math.floor((point.pos[0] - west) / cellWidth)) : 0;
+        var row = cellHeight > 0 ? Math.min(cellsPerSide - 1, Math.floor((point.pos[1] - south) / cellHeight)) : 0;
+        var key = column + ',' + row;
+        if (defined(point.time)) {
+            key += ',' + point.time.dayNumber + ',' + point.time.secondsOfDay;
+        }
+
+        var cell = cells[key];
+        if (!defined(cell)) {
+            cell = cells[key] = {
+                first : point,
+                values : [],
+                pos : [0.0, 0.0, 0.0],
+                count : 0
+            };
+            keys.push(key);
+        }
+        for (var p = 0; p < 3; ++p) {
+            cell.pos[p] += point.pos[p];
+        }
+        if (point.val !== options.noData) {
+            cell.values.push(point.val);
+        }
+        ++cell.count;
+    }
+
+    var result = [];
+    for (i = 0; i < keys.length; ++i) {
+        var aggregate = cells[keys[i]];
+        var value = options.noData;
+        if (aggregate.values.length > 0) {
+            value = options.categorical ? mostCommon(aggregate.values) : mean(aggregate.values);
+        }
+        result.push({
+            val : value,
+            time : aggregate.first.time,
+            pos : [aggregate.pos[0] / aggregate.count, aggregate.pos[1] / aggregate.count, aggregate.pos[2] / aggregate.count],
+            row : aggregate.first.row,
+            count : aggregate.count
+        });
+    }
+    return result;
+};
+
+module.exports = aggregatePoints;
@@ -0,0 +1,194 @@
+'use strict';
+
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+// Natural breaks are O(n^2) in the number of values, so larger datasets are classified using an even sample.
+var maximumJenksValues = 1000;
+
+/**
+ * Divides a set of values into classes, returning the values at the boundaries between classes.  The
+ * boundaries are ascending and start with the minimum and end with the maximum of the values, so N classes
+ * have N + 1 boundaries.  Class i contains the values greater than or equal to boundary i and less than
+ * boundary i + 1, except that the last class also contains the maximum value.  Fewer classes than requested
+ * are returned if the values cannot be divided into that many distinct classes.
+ *
+ * @param {Number[]} values The values to classify.  No-data values should be removed beforehand.
+ * @param {Object} [options] Object with the following properties:
+ * @param {String} [options.method='equalInterval'] The classification method: 'equalInterval', 'quantile', 'jenks'
+ *                 (natural breaks), 'standardDeviation' (classes one standard deviation wide, centred on the mean)
+ *                 or 'userDefined'.
+ * @param {Number} [options.classCount=5] The number of classes.  Ignored by the 'userDefined' method.
+ * @param {Number[]} [options.breaks] The boundaries between classes, used by the 'userDefined' method.  Boundaries
+ *                   outside the range of the values are ignored.
+ * @return {Number[]} The class boundaries, or undefined if there are no values.
+ */
+var computeClassBreaks = function(values, options) {
+    if (!defined(values)) {
+        throw new DeveloperError('values is required');
+    }
+
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var method = defaultValue(options.method, 'equalInterval');
+    var classCount = Math.max(1, Math.floor(defaultValue(options.classCount, 5)));
+
+    var sorted = values.slice().sort(function(a, b) { return a - b; });
+    if (sorted.length === 0) {
+        return undefined;
+    }
+
+    var min = sorted[0];
+    var max = sorted[sorted.length - 1];
+    if (min === max) {
+        return [min, max];
+    }
+
+    var interior;
+    if (method === 'equalInterval') {
+        interior = equalIntervalBreaks(min, max, classCount);
+    } else if (method === 'quantile') {
+        interior = quantileBreaks(sorted, classCount);
+    } else if (method === 'jenks') {
+        interior = jenksBreaks(sorted, classCount);
+    } else if (method === 'standardDeviation') {
+        interior = standardDeviationBreaks(sorted, classCount);
+    } else if (method === 'userDefined') {
+        if (!defined(options.breaks)) {
+            throw new DeveloperError('options.breaks is required for the userDefined method');
+        }
+        interior = options.breaks.slice().sort(function(a, b) { return a - b; });
+    } else {
+        throw new DeveloperError('Unknown classification method: ' + method);
+    }
+
+    // Natural breaks are the first values of their classes, so the last class may begin at the maximum value
+    // when it holds an outlier on its own.  Both of its boundaries are then the maximum value.
+    var lastClassMayBeginAtMax = method === 'jenks';
+    var result = [min];
+    for (var i = 0; i < interior.length; ++i) {
+        var value = interior[i];
+        if (value > result[result.length - 1] && (value < max || (value === max && lastClassMayBeginAtMax))) {
+            result.push(value);
+        }
+    }
+    result.push(max);
+    return result;
+};
+
+/**
+ * Gets the index of the class containing a value.
+ *
+ * @param {Number[]} breaks The class boundaries returned by {@link computeClassBreaks}.
+ * @param {Number} value The value.
+ * @return {Number} The index of the class, or -1 if the value is outside the range of the classes.
+ */
+computeClassBreaks.getClassIndex = function(breaks, value) {
+    var classCount = breaks.length - 1;
+    if (!(value >= breaks[0] && value <= breaks[classCount])) {
+        return -1;
+    }
+    for (var i = classCount - 1; i > 0; --i) {
+        if (value >= breaks[i]) {
+            return i;
+        }
+    }
+    return 0;
+};
+
+function equalIntervalBreaks(min, max, classCount) {
+    var breaks = [];
+    for (var i = 1; i < classCount; ++i) {
+        breaks.push(min + (max - min) * i / classCount);
+    }
+    return breaks;
+}
+
+function quantileBreaks(sorted, classCount) {
+    var breaks = [];
+    for (var i = 1; i < classCount; ++i) {
+        breaks.push(sorted[Math.floor(sorted.length * i / classCount)]);
+    }
+    return breaks;
+}
+
+function standardDeviationBreaks(sorted, classCount) {
+    var sum = 0;
+    var sumSquares = 0;
+    for (var i = 0; i < sorted.length; ++i) {
+        sum += sorted[i];
+        sumSquares += sorted[i] * sorted[i];
+    }
+    var mean = sum / sorted.length;
+    var standardDeviation = Math.sqrt(Math.max(0, sumSquares / sorted.length - mean * mean));
+
+    var breaks = [];
+    for (var j = 1; j < classCount; ++j) {
+        breaks.push(mean + (j - classCount / 2) * standardDeviation);
+    }
+    return breaks;
+}
+
+// Fisher-Jenks natural breaks, minimising the sum of squared deviations from the class means.
+function jenksBreaks(sorted, classCount) {
+    if (sorted.length > maximumJenksValues) {
+        var sample = [];
+        for (var s = 0; s < maximumJenksValues; ++s) {
+            sample.push(sorted[Math.floor(s * (sorted.length - 1) / (maximumJenksValues - 1))]);
+        }
+        sorted = sample;
+    }
+
+    var n = sorted.length;
+    classCount = Math.min(classCount, n);
+
+    // lowerClassLimits[l][j] is the 1-based index of the first value of the last class when the first l values
+    // are divided into j classes, and variances[l][j] is the total variance of that division.
+    var lowerClassLimits = [];
+    var variances = [];
+    var i, j;
+    for (i = 0; i <= n; ++i) {
+        lowerClassLimits.push(new Array(classCount + 1));
+        variances.push(new Array(classCount + 1));
+        for (j = 0; j <= classCount; ++j) {
+            lowerClassLimits[i][j] = i === 1 ? 1 : 0;
+            variances[i][j] = i >= 2 ? Number.POSITIVE_INFINITY : 0;
+        }
+    }
+
+    for (var l = 2; l <= n; ++l) {
+        var sum = 0;
+        var sumSquares = 0;
+        var variance = 0;
+        for (var m = 1; m <= l; ++m) {
+            var lowerIndex = l - m + 1;
+            var value = sorted[lowerIndex - 1];
+            sum += value;
+            sumSquares += value * value;
+            variance = sumSquares - (sum * sum) / m;
+            if (lowerIndex > 1) {
+                for (j = 2; j <= classCount; ++j) {
+                    var candidate = variance + variances[lowerIndex - 1][j - 1];
+                    if (variances[l][j] >= candidate) {
+                        lowerClassLimits[l][j] = lowerIndex;
+                        variances[l][j] = candidate;
+                    }
+                }
+            }
+        }
+        lowerClassLimits[l][1] = 1;
+        variances[l][1] = variance;
+    }
+
+    var breaks = [];
+    var k = n;
+    for (j = classCount; j >= 2; --j) {
+        var limit = lowerClassLimits[k][j];
+        breaks.unshift(sorted[limit - 1]);
+        k = limit - 1;
+    }
+    return breaks;
+}
+
+module.exports = computeClassBreaks;
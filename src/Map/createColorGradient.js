@@ -0,0 +1,69 @@
+'use strict';
+
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+var ColorPalettes = require('./ColorPalettes');
+
+/**
+ * Creates a color gradient, in the form accepted by {@link TableDataSource#setColorGradient}, from one of the
+ * {@link ColorPalettes}.  Sequential and diverging palettes blend smoothly from one color to the next, while each
+ * color of a qualitative palette occupies an equal band of the gradient.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.name The name of the palette in {@link ColorPalettes}.
+ * @param {Boolean} [options.reverse=false] true to reverse the order of the colors.
+ * @param {Number} [options.centerOffset] The offset, between 0.0 and 1.0, at which to place the central color of a
+ *        diverging palette.  The colors on each side of the centre are stretched to fill the rest of the gradient.
+ *        If undefined, the central color is placed at 0.5.  Ignored by other types of palette.
+ * @return {Object[]} The gradient, an array of objects with `offset` and `color` properties, or undefined if there is
+ *         no palette with the given name.
+ */
+var createColorGradient = function(options) {
+    if (!defined(options) || !defined(options.name)) {
+        throw new DeveloperError('options.name is required');
+    }
+
+    if (!ColorPalettes.hasOwnProperty(options.name)) {
+        return undefined;
+    }
+    var palette = ColorPalettes[options.name];
+
+    var colors = palette.colors.slice();
+    if (defaultValue(options.reverse, false)) {
+        colors.reverse();
+    }
+
+    var last = colors.length - 1;
+    var gradient = [];
+    var i;
+
+    if (palette.type === 'qualitative') {
+        for (i = 0; i <= last; ++i) {
+            gradient.push({offset: i / colors.length, color: colors[i]});
+            gradient.push({offset: (i + 1) / colors.length, color: colors[i]});
+        }
+    } else if (palette.type === 'diverging' && defined(options.centerOffset)) {
+        var centerOffset = Math.min(1.0, Math.max(0.0, options.centerOffset));
+        var middle = last / 2;
+        for (i = 0; i <= last; ++i) {
+            var offset;
+            if (i <= middle) {
+                offset = centerOffset * i / middle;
+            } else {
+                offset = centerOffset + (1.0 - centerOffset) * (i - middle) / (last - middle);
+            }
+            gradient.push({offset: offset, color: colors[i]});
+        }
+    } else {
+        for (i = 0; i <= last; ++i) {
+            gradient.push({offset: i / last, color: colors[i]});
+        }
+    }
+
+    return gradient;
+};
+
+module.exports = createColorGradient;
@@ -0,0 +1,288 @@
+'use strict';
+
+/*global require*/
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+var ColorPalettes = require('./ColorPalettes');
+var computeClassBreaks = require('./computeClassBreaks');
+
+// Point sizes, in pixels, for the marker-size values of simplestyle-spec.
+var markerSizes = {
+    small : 6,
+    medium : 10,
+    large : 14
+};
+
+function parseColor(value, alpha) {
+    if (!defined(value)) {
+        return undefined;
+    }
+    var color = Color.fromCssColorString(String(value));
+    if (!defined(color)) {
+        return undefined;
+    }
+    if (defined(alpha)) {
+        color.alpha = alpha;
+    }
+    return color;
+}
+
+function toNumber(value) {
+    var number = parseFloat(value);
+    return isFinite(number) ? number : undefined;
+}
+
+function withAlpha(color, alpha) {
+    var result = Color.clone(color);
+    result.alpha = alpha;
+    return result;
+}
+
+// Picks count colors spread evenly through a palette, from low to high.
+function samplePalette(paletteName, reverse, count) {
+    var palette = ColorPalettes[paletteName];
+    var colors = palette.colors.slice();
+    if (reverse) {
+        colors.reverse();
+    }
+    if (palette.type === 'qualitative' || count >= colors.length) {
+        return colors;
+    }
+    var result = [];
+    for (var i = 0; i < count; ++i) {
+        result.push(colors[count === 1 ? 0 : Math.round(i * (colors.length - 1) / (count - 1))]);
+    }
+    return result;
+}
+
+function getPaletteName(rule, defaultName) {
+    if (defined(rule.palette) && !ColorPalettes.hasOwnProperty(rule.palette)) {
+        throw new DeveloperError('Unknown color palette: ' + rule.palette);
+    }
+    return defaultValue(rule.palette, defaultName);
+}
+
+// Creates a function that returns the color of a feature's value of the rule's property, and a legend for the rule.
+function createCategoricalRule(rule, allProperties) {
+    var colors = {};
+    var legend = [];
+
+    var explicitColors = defaultValue(rule.colors, {});
+    var paletteColors = samplePalette(getPaletteName(rule, 'OkabeIto'), rule.reverse, Number.MAX_VALUE);
+    var nextPaletteColor = 0;
+
+    function addCategory(value) {
+        var key = String(value);
+        if (colors.hasOwnProperty(key)) {
+            return;
+        }
+        var color;
+        if (explicitColors.hasOwnProperty(key)) {
+            color = parseColor(explicitColors[key]);
+        } else if (!defined(rule.colors)) {
+            color = parseColor(paletteColors[nextPaletteColor % paletteColors.length]);
+            ++nextPaletteColor;
+        }
+        colors[key] = color;
+        if (defined(color)) {
+            legend.push({ label : key, color : color });
+        }
+    }
+
+    // Explicit colors are listed first in the legend, in the order given.
+    for (var category in explicitColors) {
+        if (explicitColors.hasOwnProperty(category)) {
+            addCategory(category);
+        }
+    }
+    for (var i = 0; i < allProperties.length; ++i) {
+        var value = allProperties[i][rule.property];
+        if (defined(value) && value !== null) {
+            addCategory(value);
+        }
+    }
+
+    return {
+        getColor : function(value) {
+            return (defined(value) && value !== null) ? colors[String(value)] : undefined;
+        },
+        legend : legend
+    };
+}
+
+function createGraduatedRule(rule, allProperties) {
+    var values = [];
+    for (var i = 0; i < allProperties.length; ++i) {
+        var value = toNumber(allProperties[i][rule.property]);
+        if (defined(value)) {
+            values.push(value);
+        }
+    }
+
+    var breaks = computeClassBreaks(values, {
+        method : defaultValue(rule.method, defined(rule.breaks) ? 'userDefined' : 'quantile'),
+        classCount : rule.classCount,
+        breaks : rule.breaks
+    });
+    if (!defined(breaks)) {
+        return {
+            getColor : function() {
+                return undefined;
+            },
+            legend : []
+        };
+    }
+
+    var classCount = Math.max(1, breaks.length - 1);
+    var colorNames = defined(rule.colors) ? rule.colors : samplePalette(getPaletteName(rule, 'YlOrRd'), rule.reverse, classCount);
+    var colors = [];
+    var legend = [];
+    for (var c = 0; c < classCount; ++c) {
+        colors.push(parseColor(colorNames[Math.min(c, colorNames.length - 1)]));
+        legend.push({
+            label : Number(breaks[c].toPrecision(4)) + ' to ' + Number(breaks[Math.min(c + 1, breaks.length - 1)].toPrecision(4)),
+            color : colors[c]
+        });
+    }
+
+    return {
+        getColor : function(value) {
+            var number = toNumber(value);
+            if (!defined(number)) {
+                return undefined;
+            }
+            var index = computeClassBreaks.getClassIndex(breaks, number);
+            return index >= 0 ? colors[Math.min(index, classCount - 1)] : undefined;
+        },
+        legend : legend
+    };
+}
+
+/**
+ * Creates a function that determines how to draw each feature of GeoJSON data.  The appearance of a feature is taken,
+ * from lowest to highest priority, from the defaults, the `point`, `line` and `polygon` options of the style, the
+ * simplestyle-spec properties of the feature (https://github.com/mapbox/simplestyle-spec), and the color rule of the
+ * style.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Object} [options.style] The style, as described by {@link GeoJsonItemViewModel#style}.
+ * @param {Object[]} [options.properties] The properties of all of the features, which are used to assign colors to
+ *        the categories of a categorical rule and to compute the class breaks of a graduated rule.
+ * @param {Color} options.pointColor The color of points that are not styled otherwise.
+ * @param {Color} options.lineColor The color of lines and polygon outlines that are not styled otherwise.
+ * @return {Object} An object with a `getStyle` function, which takes the properties of a feature and returns an object
+ *         with `point`, `line` and `polygon` properties describing how to draw it, and a `legend`, an array of objects
+ *         with the `label` and `color` of each category or class of the color rule, or undefined if there is no rule.
+ */
+var createGeoJsonStyler = function(options) {
+    if (!defined(options) || !defined(options.pointColor) || !defined(options.lineColor)) {
+        throw new DeveloperError('options.pointColor and options.lineColor are required');
+    }
+
+    var style = defaultValue(options.style, defaultValue.EMPTY_OBJECT);
+    var allProperties = defaultValue(options.properties, []);
+    var useSimpleStyle = defaultValue(style.useSimpleStyle, true);
+
+    var pointOptions = defaultValue(style.point, defaultValue.EMPTY_OBJECT);
+    var lineOptions = defaultValue(style.line, defaultValue.EMPTY_OBJECT);
+    var polygonOptions = defaultValue(style.polygon, defaultValue.EMPTY_OBJECT);
+
+    var pointColor = defaultValue(parseColor(pointOptions.color), options.pointColor);
+    var pointSize = defaultValue(pointOptions.size, markerSizes.medium);
+    var pointOutlineColor = defaultValue(parseColor(pointOptions.outlineColor), Color.BLACK);
+    var pointOutlineWidth = defaultValue(pointOptions.outlineWidth, 1);
+
+    var lineColor = defaultValue(parseColor(lineOptions.color), options.lineColor);
+    var lineWidth = defaultValue(lineOptions.width, 2);
+
+    var fillOpacity = defaultValue(polygonOptions.fillOpacity, 0.75);
+    var fillColor = withAlpha(defaultValue(parseColor(polygonOptions.fillColor), lineColor), fillOpacity);
+    var outlineColor = defaultValue(parseColor(polygonOptions.outlineColor), lineColor);
+
+    var rule;
+    var colorRule = style.colorRule;
+    if (defined(colorRule)) {
+        if (!defined(colorRule.property)) {
+            throw new DeveloperError('style.colorRule.property is required');
+        }
+        if (colorRule.type === 'graduated') {
+            rule = createGraduatedRule(colorRule, allProperties);
+        } else {
+            rule = createCategoricalRule(colorRule, allProperties);
+        }
+    }
+
+    // Polygons are drawn as outlines unless a fill is requested, because they commonly overlap.
+    var fillPolygons = defaultValue(polygonOptions.fill, defined(rule));
+
+    return {
+        getStyle : function(properties) {
+            if (!defined(properties) || properties === null) {
+                properties = defaultValue.EMPTY_OBJECT;
+            }
+
+            var result = {
+                point : {
+                    color : pointColor,
+                    size : pointSize,
+                    outlineColor : pointOutlineColor,
+                    outlineWidth : pointOutlineWidth
+                },
+                line : {
+                    color : lineColor,
+                    width : lineWidth
+                },
+                polygon : {
+                    fill : fillPolygons,
+                    fillColor : fillColor,
+                    outlineColor : outlineColor
+                }
+            };
+
+            if (useSimpleStyle) {
+                var strokeOpacity = toNumber(properties['stroke-opacity']);
+                var stroke = parseColor(properties.stroke, strokeOpacity);
+                if (defined(stroke)) {
+                    result.line.color = stroke;
+                    result.polygon.outlineColor = stroke;
+                } else if (defined(strokeOpacity)) {
+                    result.line.color = withAlpha(result.line.color, strokeOpacity);
+                    result.polygon.outlineColor = withAlpha(result.polygon.outlineColor, strokeOpacity);
+                }
+                result.line.width = defaultValue(toNumber(properties['stroke-width']), result.line.width);
+
+                var featureFillOpacity = defaultValue(toNumber(properties['fill-opacity']), fillOpacity);
+                var fill = parseColor(properties.fill, featureFillOpacity);
+                if (defined(fill)) {
+                    result.polygon.fill = true;
+                    result.polygon.fillColor = fill;
+                } else if (defined(properties['fill-opacity'])) {
+                    result.polygon.fill = true;
+                    result.polygon.fillColor = withAlpha(result.polygon.fillColor, featureFillOpacity);
+                }
+
+                result.point.color = defaultValue(parseColor(properties['marker-color']), result.point.color);
+                if (markerSizes.hasOwnProperty(properties['marker-size'])) {
+                    result.point.size = markerSizes[properties['marker-size']];
+                }
+            }
+
+            if (defined(rule)) {
+                var ruleColor = rule.getColor(properties[colorRule.property]);
+                if (defined(ruleColor)) {
+                    result.point.color = ruleColor;
+                    result.line.color = ruleColor;
+                    result.polygon.fillColor = withAlpha(ruleColor, result.polygon.fillColor.alpha);
+                }
+            }
+
+            return result;
+        },
+        legend : defined(rule) ? rule.legend : undefined
+    };
+};
+
+module.exports = createGeoJsonStyler;
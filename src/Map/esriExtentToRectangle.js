@@ -0,0 +1,52 @@
+'use strict';
+
+/*global require*/
+
+var Cartesian3 = require('../../third_party/cesium/Source/Core/Cartesian3');
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var WebMercatorProjection = require('../../third_party/cesium/Source/Core/WebMercatorProjection');
+
+var geographicWkids = [4326, 4283, 4269, 4258];
+var webMercatorWkids = [102100, 102113, 3857, 900913];
+
+/**
+ * Converts an extent from the ArcGIS REST API, such as the `extent` or `fullExtent` of a MapServer layer, to a
+ * Cesium Rectangle.  Extents in geographic and Web Mercator spatial references are supported.
+ *
+ * @param {Object} extent The extent, with `xmin`, `ymin`, `xmax`, `ymax` and `spatialReference` properties.
+ * @return {Rectangle} The rectangle, or undefined if the extent is missing, empty or in an unsupported spatial reference.
+ */
+var esriExtentToRectangle = function(extent) {
+    if (!defined(extent) || !defined(extent.spatialReference) ||
+        typeof extent.xmin !== 'number' || typeof extent.ymin !== 'number' ||
+        typeof extent.xmax !== 'number' || typeof extent.ymax !== 'number') {
+        return undefined;
+    }
+
+    var wkid = defined(extent.spatialReference.latestWkid) ? extent.spatialReference.latestWkid : extent.spatialReference.wkid;
+
+    if (geographicWkids.indexOf(wkid) >= 0) {
+        return Rectangle.fromDegrees(
+            CesiumMath.clamp(extent.xmin, -180.0, 180.0),
+            CesiumMath.clamp(extent.ymin, -90.0, 90.0),
+            CesiumMath.clamp(extent.xmax, -180.0, 180.0),
+            CesiumMath.clamp(extent.ymax, -90.0, 90.0));
+    }
+
+    if (webMercatorWkids.indexOf(wkid) >= 0) {
+        var projection = new WebMercatorProjection();
+        var southwest = projection.unproject(new Cartesian3(extent.xmin, extent.ymin, 0.0));
+        var northeast = projection.unproject(new Cartesian3(extent.xmax, extent.ymax, 0.0));
+        return new Rectangle(
+            CesiumMath.clamp(southwest.longitude, -Math.PI, Math.PI),
+            southwest.latitude,
+            CesiumMath.clamp(northeast.longitude, -Math.PI, Math.PI),
+            northeast.latitude);
+    }
+
+    return undefined;
+};
+
+module.exports = esriExtentToRectangle;
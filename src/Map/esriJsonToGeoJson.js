@@ -0,0 +1,221 @@
+'use strict';
+
+/*global require*/
+
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+function copyPosition(position) {
+    return position.slice(0, defined(position[2]) ? 3 : 2);
+}
+
+function copyPositions(positions) {
+    var result = [];
+    for (var i = 0; i < positions.length; ++i) {
+        result.push(copyPosition(positions[i]));
+    }
+    return result;
+}
+
+// Twice the signed area of the ring, which is negative when the ring is clockwise.
+function signedArea(ring) {
+    var area = 0.0;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area;
+}
+
+function ringContainsPoint(ring, point) {
+    var inside = false;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        var xi = ring[i][0], yi = ring[i][1];
+        var xj = ring[j][0], yj = ring[j][1];
+        if (((yi > point[1]) !== (yj > point[1])) && (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// ArcGIS polygons are a flat list of rings in which clockwise rings are outer boundaries and counter-clockwise rings
+// are holes.  Each hole is assigned to the outer ring that contains it.
+function convertRings(rings) {
+    var polygons = [];
+    var holes = [];
+
+    var i;
+    for (i = 0; i < rings.length; ++i) {
+        var ring = copyPositions(rings[i]);
+        if (ring.length < 4) {
+            continue;
+        }
+        if (signedArea(ring) <= 0.0) {
+            polygons.push([ring]);
+        } else {
+            holes.push(ring);
+        }
+    }
+
+    var owner;
+    for (i = 0; i < holes.length; ++i) {
+        var hole = holes[i];
+        owner = undefined;
+        for (var j = 0; j < polygons.length; ++j) {
+            if (ringContainsPoint(polygons[j][0], hole[0])) {
+                owner = polygons[j];
+                break;
+            }
+        }
+
+        if (defined(owner)) {
+            owner.push(hole);
+        } else {
+            // A counter-clockwise ring outside every other ring was probably written with the wrong orientation.
+            polygons.push([hole]);
+        }
+    }
+
+    if (polygons.length === 1) {
+        return {
+            type : 'Polygon',
+            coordinates : polygons[0]
+        };
+    }
+
+    return {
+        type : 'MultiPolygon',
+        coordinates : polygons
+    };
+}
+
+/**
+ * Converts a geometry in the ArcGIS REST API's JSON format to a GeoJSON geometry.  The coordinates are copied
+ * without reprojection.
+ *
+ * @param {Object} geometry The ArcGIS point, multipoint, polyline, polygon or envelope.
+ * @return {Object} The GeoJSON geometry, or null if the geometry is undefined, null or empty.
+ */
+function convertGeometry(geometry) {
+    if (!defined(geometry) || geometry === null) {
+        return null;
+    }
+
+    if (defined(geometry.x) && defined(geometry.y)) {
+        if (geometry.x === null || geometry.x === 'NaN') {
+            return null;
+        }
+        return {
+            type : 'Point',
+            coordinates : defined(geometry.z) ? [geometry.x, geometry.y, geometry.z] : [geometry.x, geometry.y]
+        };
+    }
+
+    if (defined(geometry.points)) {
+        if (geometry.points.length === 0) {
+            return null;
+        }
+        return {
+            type : 'MultiPoint',
+            coordinates : copyPositions(geometry.points)
+        };
+    }
+
+    if (defined(geometry.paths)) {
+        if (geometry.paths.length === 0) {
+            return null;
+        }
+        if (geometry.paths.length === 1) {
+            return {
+                type : 'LineString',
+                coordinates : copyPositions(geometry.paths[0])
+            };
+        }
+
+        var lines = [];
+        for (var i = 0; i < geometry.paths.length; ++i) {
+            lines.push(copyPositions(geometry.paths[i]));
+        }
+        return {
+            type : 'MultiLineString',
+            coordinates : lines
+        };
+    }
+
+    if (defined(geometry.rings)) {
+        if (geometry.rings.length === 0) {
+            return null;
+        }
+        return convertRings(geometry.rings);
+    }
+
+    if (defined(geometry.xmin) && defined(geometry.ymin) && defined(geometry.xmax) && defined(geometry.ymax)) {
+        return {
+            type : 'Polygon',
+            coordinates : [[
+                [geometry.xmin, geometry.ymin],
+                [geometry.xmax, geometry.ymin],
+                [geometry.xmax, geometry.ymax],
+                [geometry.xmin, geometry.ymax],
+                [geometry.xmin, geometry.ymin]
+            ]]
+        };
+    }
+
+    throw new DeveloperError('Unsupported ArcGIS geometry.');
+}
+
+/**
+ * Converts a feature set in the JSON format of the ArcGIS REST API, such as the response to a FeatureServer or
+ * MapServer query with `f=json`, to a GeoJSON FeatureCollection.  Polygon rings are grouped into polygons by their
+ * orientation, and each feature's id is taken from its object ID field if the feature set names one.  If the server
+ * had more features than it returned, the collection's `exceededTransferLimit` property is true.
+ *
+ * @param {Object} featureSet The ArcGIS feature set.
+ * @return {Object} The GeoJSON FeatureCollection.
+ */
+var esriJsonToGeoJson = function(featureSet) {
+    var objectIdField = featureSet.objectIdFieldName;
+    if (!defined(objectIdField) && defined(featureSet.fields)) {
+        for (var i = 0; i < featureSet.fields.length; ++i) {
+            if (featureSet.fields[i].type === 'esriFieldTypeOID') {
+                objectIdField = featureSet.fields[i].name;
+                break;
+            }
+        }
+    }
+
+    var features = [];
+    var esriFeatures = defined(featureSet.features) ? featureSet.features : [];
+    for (var j = 0; j < esriFeatures.length; ++j) {
+        var esriFeature = esriFeatures[j];
+        var properties = defined(esriFeature.attributes) ? esriFeature.attributes : {};
+
+        var feature = {
+            type : 'Feature',
+            properties : properties,
+            geometry : convertGeometry(esriFeature.geometry)
+        };
+
+        if (defined(objectIdField) && defined(properties[objectIdField])) {
+            feature.id = properties[objectIdField];
+        }
+
+        features.push(feature);
+    }
+
+    var result = {
+        type : 'FeatureCollection',
+        features : features
+    };
+
+    if (featureSet.exceededTransferLimit === true) {
+        result.exceededTransferLimit = true;
+    }
+
+    return result;
+};
+
+esriJsonToGeoJson.convertGeometry = convertGeometry;
+
+module.exports = esriJsonToGeoJson;
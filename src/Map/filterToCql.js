@@ -0,0 +1,114 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+var comparisonOperators = {
+    '=' : '=',
+    '!=' : '<>',
+    '<' : '<',
+    '<=' : '<=',
+    '>' : '>',
+    '>=' : '>='
+};
+
+var simpleIdentifier = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function formatProperty(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new DeveloperError('Each filter condition must have a property name.');
+    }
+    return simpleIdentifier.test(name) ? name : '"' + name.replace(/"/g, '""') + '"';
+}
+
+function formatLiteral(value) {
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            throw new DeveloperError('Filter values must be finite numbers.');
+        }
+        return value.toString();
+    } else if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    } else if (typeof value === 'string') {
+        return "'" + value.replace(/'/g, "''") + "'";
+    }
+    throw new DeveloperError('Filter values must be strings, numbers or booleans.');
+}
+
+function formatLogical(operator, filters) {
+    if (!(filters instanceof Array) || filters.length === 0) {
+        throw new DeveloperError('The ' + operator.toLowerCase() + ' of a filter must be an array of conditions.');
+    }
+    if (filters.length === 1) {
+        return translate(filters[0]);
+    }
+    var parts = [];
+    for (var i = 0; i < filters.length; ++i) {
+        parts.push(translate(filters[i]));
+    }
+    return '(' + parts.join(' ' + operator + ' ') + ')';
+}
+
+function translate(filter) {
+    if (!defined(filter) || typeof filter !== 'object') {
+        throw new DeveloperError('Each filter condition must be an object.');
+    }
+
+    if (defined(filter.and)) {
+        return formatLogical('AND', filter.and);
+    } else if (defined(filter.or)) {
+        return formatLogical('OR', filter.or);
+    } else if (defined(filter.not)) {
+        return 'NOT (' + translate(filter.not) + ')';
+    } else if (defined(filter.bbox)) {
+        var bbox = filter.bbox;
+        if (!(bbox instanceof Array) || bbox.length !== 4) {
+            throw new DeveloperError('The bbox of a filter must be an array of [west, south, east, north].');
+        }
+        return 'BBOX(' + formatProperty(filter.property) + ', ' + formatLiteral(bbox[0]) + ', ' + formatLiteral(bbox[1]) +
+               ', ' + formatLiteral(bbox[2]) + ', ' + formatLiteral(bbox[3]) + ')';
+    }
+
+    var property = formatProperty(filter.property);
+    var op = filter.op;
+    var value = filter.value;
+
+    if (comparisonOperators.hasOwnProperty(op)) {
+        return property + ' ' + comparisonOperators[op] + ' ' + formatLiteral(value);
+    } else if (op === 'like') {
+        return property + ' LIKE ' + formatLiteral(String(value));
+    } else if (op === 'between') {
+        if (!(value instanceof Array) || value.length !== 2) {
+            throw new DeveloperError('The value of a between condition must be an array of [lower, upper].');
+        }
+        return property + ' BETWEEN ' + formatLiteral(value[0]) + ' AND ' + formatLiteral(value[1]);
+    } else if (op === 'in') {
+        if (!(value instanceof Array) || value.length === 0) {
+            throw new DeveloperError('The value of an in condition must be an array of values.');
+        }
+        var values = [];
+        for (var i = 0; i < value.length; ++i) {
+            values.push(formatLiteral(value[i]));
+        }
+        return property + ' IN (' + values.join(', ') + ')';
+    } else if (op === 'isNull') {
+        return property + ' IS NULL';
+    }
+
+    throw new DeveloperError('Unknown filter operator: ' + op);
+}
+
+/**
+ * Translates a filter into a GeoServer CQL expression, such as the value of the CQL_FILTER parameter of a WMS
+ * GetMap request.  See {@link filterToOgcXml} for a description of the filter language.  Throws a DeveloperError if
+ * the filter is not valid.
+ *
+ * @param {Object} filter The filter.
+ * @return {String} The CQL expression.
+ */
+var filterToCql = function(filter) {
+    return translate(filter);
+};
+
+module.exports = filterToCql;
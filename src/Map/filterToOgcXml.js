@@ -0,0 +1,162 @@
+'use strict';
+
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+var comparisonElements = {
+    '=' : 'PropertyIsEqualTo',
+    '!=' : 'PropertyIsNotEqualTo',
+    '<' : 'PropertyIsLessThan',
+    '<=' : 'PropertyIsLessThanOrEqualTo',
+    '>' : 'PropertyIsGreaterThan',
+    '>=' : 'PropertyIsGreaterThanOrEqualTo'
+};
+
+// The namespaces and element names of Filter Encoding 1.1, used by WFS 1.1, and Filter Encoding 2.0, used by WFS 2.0.
+var encodings = {
+    '1.1' : {
+        filterNamespace : 'http://www.opengis.net/ogc',
+        gmlNamespace : 'http://www.opengis.net/gml',
+        propertyElement : 'PropertyName'
+    },
+    '2.0' : {
+        filterNamespace : 'http://www.opengis.net/fes/2.0',
+        gmlNamespace : 'http://www.opengis.net/gml/3.2',
+        propertyElement : 'ValueReference'
+    }
+};
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function formatProperty(name, encoding) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new DeveloperError('Each filter condition must have a property name.');
+    }
+    return '<' + encoding.propertyElement + '>' + escapeXml(name) + '</' + encoding.propertyElement + '>';
+}
+
+function formatLiteral(value) {
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            throw new DeveloperError('Filter values must be finite numbers.');
+        }
+    } else if (typeof value !== 'string' && typeof value !== 'boolean') {
+        throw new DeveloperError('Filter values must be strings, numbers or booleans.');
+    }
+    return '<Literal>' + escapeXml(value) + '</Literal>';
+}
+
+function formatLogical(element, filters, encoding) {
+    if (!(filters instanceof Array) || filters.length === 0) {
+        throw new DeveloperError('The ' + element.toLowerCase() + ' of a filter must be an array of conditions.');
+    }
+    if (filters.length === 1) {
+        return translate(filters[0], encoding);
+    }
+    var xml = '<' + element + '>';
+    for (var i = 0; i < filters.length; ++i) {
+        xml += translate(filters[i], encoding);
+    }
+    return xml + '</' + element + '>';
+}
+
+function formatBoundingBox(filter, encoding) {
+    var bbox = filter.bbox;
+    if (!(bbox instanceof Array) || bbox.length !== 4) {
+        throw new DeveloperError('The bbox of a filter must be an array of [west, south, east, north].');
+    }
+    for (var i = 0; i < bbox.length; ++i) {
+        if (typeof bbox[i] !== 'number' || !isFinite(bbox[i])) {
+            throw new DeveloperError('The bbox of a filter must be an array of [west, south, east, north].');
+        }
+    }
+
+    // Latitude comes first in the EPSG:4326 axis order, which the URN form of the CRS name makes unambiguous.
+    return '<BBOX>' +
+        (defined(filter.property) ? formatProperty(filter.property, encoding) : '') +
+        '<gml:Envelope srsName="urn:ogc:def:crs:EPSG::4326">' +
+        '<gml:lowerCorner>' + bbox[1] + ' ' + bbox[0] + '</gml:lowerCorner>' +
+        '<gml:upperCorner>' + bbox[3] + ' ' + bbox[2] + '</gml:upperCorner>' +
+        '</gml:Envelope></BBOX>';
+}
+
+function translate(filter, encoding) {
+    if (!defined(filter) || typeof filter !== 'object') {
+        throw new DeveloperError('Each filter condition must be an object.');
+    }
+
+    if (defined(filter.and)) {
+        return formatLogical('And', filter.and, encoding);
+    } else if (defined(filter.or)) {
+        return formatLogical('Or', filter.or, encoding);
+    } else if (defined(filter.not)) {
+        return '<Not>' + translate(filter.not, encoding) + '</Not>';
+    } else if (defined(filter.bbox)) {
+        return formatBoundingBox(filter, encoding);
+    }
+
+    var property = formatProperty(filter.property, encoding);
+    var op = filter.op;
+    var value = filter.value;
+
+    if (comparisonElements.hasOwnProperty(op)) {
+        var element = comparisonElements[op];
+        return '<' + element + '>' + property + formatLiteral(value) + '</' + element + '>';
+    } else if (op === 'like') {
+        return '<PropertyIsLike wildCard="%" singleChar="_" escapeChar="\\">' + property + formatLiteral(String(value)) + '</PropertyIsLike>';
+    } else if (op === 'between') {
+        if (!(value instanceof Array) || value.length !== 2) {
+            throw new DeveloperError('The value of a between condition must be an array of [lower, upper].');
+        }
+        return '<PropertyIsBetween>' + property +
+            '<LowerBoundary>' + formatLiteral(value[0]) + '</LowerBoundary>' +
+            '<UpperBoundary>' + formatLiteral(value[1]) + '</UpperBoundary>' +
+            '</PropertyIsBetween>';
+    } else if (op === 'in') {
+        if (!(value instanceof Array) || value.length === 0) {
+            throw new DeveloperError('The value of an in condition must be an array of values.');
+        }
+        var conditions = [];
+        for (var i = 0; i < value.length; ++i) {
+            conditions.push({ property : filter.property, op : '=', value : value[i] });
+        }
+        return formatLogical('Or', conditions, encoding);
+    } else if (op === 'isNull') {
+        return '<PropertyIsNull>' + property + '</PropertyIsNull>';
+    }
+
+    throw new DeveloperError('Unknown filter operator: ' + op);
+}
+
+/**
+ * Translates a filter into OGC Filter Encoding XML, such as the value of the FILTER parameter of a WFS GetFeature
+ * request.  Throws a DeveloperError if the filter is not valid.  A filter is a JSON object that is one of:
+ * <ul>
+ * <li>a comparison, { property : 'STATE', op : '=', value : 'NSW' }, where op is one of '=', '!=', '&lt;', '&lt;=',
+ *     '&gt;', '&gt;=', 'like' (the value may contain the wildcards % and _), 'between' (the value is an array of
+ *     [lower, upper]), 'in' (the value is an array of values), or 'isNull' (there is no value);</li>
+ * <li>a combination of other filters, { and : [filter, ...] }, { or : [filter, ...] } or { not : filter }; or</li>
+ * <li>a bounding box, { bbox : [west, south, east, north] }, in degrees, with an optional geometry property.</li>
+ * </ul>
+ *
+ * @param {Object} filter The filter.
+ * @param {Object} [options] Object with the following properties:
+ * @param {String} [options.version='1.1.0'] The version of WFS that the filter is for.  Filter Encoding 2.0 is used
+ *        for WFS 2.0 and later, and Filter Encoding 1.1 is used otherwise.
+ * @return {String} The Filter element.
+ */
+var filterToOgcXml = function(filter, options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var version = defaultValue(options.version, '1.1.0');
+    var encoding = parseInt(version, 10) >= 2 ? encodings['2.0'] : encodings['1.1'];
+
+    return '<Filter xmlns="' + encoding.filterNamespace + '" xmlns:gml="' + encoding.gmlNamespace + '">' +
+        translate(filter, encoding) +
+        '</Filter>';
+};
+
+module.exports = filterToOgcXml;
@@ -1,70 +1,740 @@
 'use strict';
 
-/*global $*/
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
 
-function gmlToGeoJson(xml) {
-    var json = $.xml2json(xml);
+var gmlNamespaces = [
+    'http://www.opengis.net/gml',
+    'http://www.opengis.net/gml/3.2'
+];
 
-    var newObj = {type: "FeatureCollection", crs: {"type":"EPSG","properties":{"code":"4326"}}, features: []};
+// Geographic CRSs whose EPSG definition puts latitude before longitude.  Coordinates in these CRSs are in that order
+// when the CRS is named with a URN or an http://www.opengis.net/def/crs URI, but are in longitude, latitude order
+// when it is named the older way, as EPSG:4326 or http://www.opengis.net/gml/srs/epsg.xml#4326.
+var latitudeFirstCodes = ['4326', '4283', '4258', '4269', '4267', '4230', '4202', '4203', '4617', '4937', '4939', '4979'];
 
-    function pointFilterFunction(obj, prop) {
-        newObj.features.push(convertFeature(obj[prop], 'Point'));
+// The largest angle, in radians, between successive points of a densified arc.
+var arcStep = Math.PI / 36;
+
+function getLocalName(node) {
+    // IE9's XML documents have baseName rather than localName.
+    var name = defined(node.localName) ? node.localName : node.baseName;
+    if (!defined(name)) {
+        name = node.nodeName;
+        var colon = name.indexOf(':');
+        if (colon >= 0) {
+            name = name.substring(colon + 1);
+        }
+    }
+    return name;
+}
+
+function isGml(node) {
+    return gmlNamespaces.indexOf(node.namespaceURI) >= 0;
+}
+
+function getChildElements(node, localName) {
+    var result = [];
+    var children = node.childNodes;
+    for (var i = 0; i < children.length; ++i) {
+        var child = children[i];
+        if (child.nodeType === 1 && (!defined(localName) || getLocalName(child) === localName)) {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+function getChildElement(node, localName) {
+    return getChildElements(node, localName)[0];
+}
+
+function getText(node) {
+    return defaultValue(node.textContent, node.text);
+}
+
+function getAttribute(node, localName) {
+    var attributes = node.attributes;
+    if (!defined(attributes)) {
+        return undefined;
+    }
+    for (var i = 0; i < attributes.length; ++i) {
+        if (getLocalName(attributes[i]) === localName) {
+            return attributes[i].value;
+        }
+    }
+    return undefined;
+}
+
+// Gets the value of an attribute of a node or its nearest ancestor that has it, such as srsName or srsDimension.
+function getInheritedAttribute(node, localName) {
+    while (defined(node) && node.nodeType === 1) {
+        var value = getAttribute(node, localName);
+        if (defined(value)) {
+            return value;
+        }
+        node = node.parentNode;
+    }
+    return undefined;
+}
+
+/**
+ * Parses the name of a coordinate reference system, as used in the srsName attribute of GML geometries.
+ *
+ * @param {String} srsName The name, such as 'EPSG:4326', 'urn:ogc:def:crs:EPSG::28355' or
+ *        'http://www.opengis.net/gml/srs/epsg.xml#4283'.
+ * @return {Object} An object with the EPSG `code` of the CRS, as a string, and `latitudeFirst`, which is true if
+ *         coordinates in the CRS have latitude before longitude; or undefined if the name is not recognized.
+ */
+function parseSrsName(srsName) {
+    if (!defined(srsName)) {
+        return undefined;
+    }
+
+    if (/CRS:?84$/i.test(srsName)) {
+        return { code : '4326', latitudeFirst : false };
+    }
+
+    var match = /^EPSG:(\d+)$/i.exec(srsName) || /epsg\.xml#(\d+)$/i.exec(srsName);
+    if (match !== null) {
+        return { code : match[1], latitudeFirst : false };
+    }
+
+    match = /^urn:(?:x-)?ogc:def:crs:EPSG:(?:[^:]*:)?(\d+)$/i.exec(srsName) || /\/def\/crs\/EPSG\/[^\/]*\/(\d+)$/i.exec(srsName);
+    if (match !== null) {
+        return { code : match[1], latitudeFirst : latitudeFirstCodes.indexOf(match[1]) >= 0 };
+    }
+
+    return undefined;
+}
+
+function parseNumbers(text, separator) {
+    var parts = text.trim().split(separator);
+    var result = [];
+    for (var i = 0; i < parts.length; ++i) {
+        if (parts[i].length > 0) {
+            result.push(parseFloat(parts[i]));
+        }
+    }
+    return result;
+}
+
+function getDimension(node) {
+    var dimension = parseInt(defaultValue(getInheritedAttribute(node, 'srsDimension'), getInheritedAttribute(node, 'dimension')), 10);
+    return isFinite(dimension) && dimension > 0 ? dimension : 2;
+}
+
+function readPos(node) {
+    return parseNumbers(getText(node), /\s+/);
+}
+
+function readPosList(node) {
+    var dimension = getDimension(node);
+    var numbers = parseNumbers(getText(node), /\s+/);
+    var positions = [];
+    for (var i = 0; i + dimension <= numbers.length; i += dimension) {
+        positions.push(numbers.slice(i, i + dimension));
+    }
+    return positions;
+}
+
+// Reads the GML 2 coordinates element, with its optional decimal, coordinate and tuple separators.
+function readCoordinates(node) {
+    var decimal = defaultValue(getAttribute(node, 'decimal'), '.');
+    var cs = defaultValue(getAttribute(node, 'cs'), ',');
+    var ts = defaultValue(getAttribute(node, 'ts'), ' ');
+
+    var text = getText(node).trim();
+    var tuples = ts === ' ' ? text.split(/\s+/) : text.split(ts);
+
+    var positions = [];
+    for (var i = 0; i < tuples.length; ++i) {
+        var tuple = tuples[i].trim();
+        if (tuple.length === 0) {
+            continue;
+        }
+        var values = tuple.split(cs);
+        var position = [];
+        for (var j = 0; j < values.length; ++j) {
+            position.push(parseFloat(decimal === '.' ? values[j] : values[j].split(decimal).join('.')));
+        }
+        positions.push(position);
+    }
+    return positions;
+}
+
+function readCoord(node) {
+    var position = [];
+    var names = ['X', 'Y', 'Z'];
+    for (var i = 0; i < names.length; ++i) {
+        var element = getChildElement(node, names[i]);
+        if (defined(element)) {
+            position.push(parseFloat(getText(element)));
+        }
+    }
+    return position;
+}
+
+// Reads the positions that are the direct children of a node, in any of the ways GML 2 and 3 allow.
+function readPositions(node) {
+    var positions = [];
+    var children = getChildElements(node);
+    for (var i = 0; i < children.length; ++i) {
+        var child = children[i];
+        var name = getLocalName(child);
+        if (name === 'posList') {
+            positions = positions.concat(readPosList(child));
+        } else if (name === 'pos') {
+            positions.push(readPos(child));
+        } else if (name === 'coordinates') {
+            positions = positions.concat(readCoordinates(child));
+        } else if (name === 'coord') {
+            positions.push(readCoord(child));
+        } else if (name === 'pointProperty' || name === 'pointRep') {
+            var point = getChildElement(child, 'Point');
+            if (defined(point)) {
+                positions = positions.concat(readPositions(point));
+            }
+        }
+    }
+    return positions;
+}
+
+function readPoint(node) {
+    var positions = readPositions(node);
+    if (positions.length === 0) {
+        throw new DeveloperError('A GML Point has no position.');
+    }
+    return positions[0];
+}
+
+function computeCircleCenter(p1, p2, p3) {
+    var d = 2 * (p1[0] * (p2[1] - p3[1]) + p2[0] * (p3[1] - p1[1]) + p3[0] * (p1[1] - p2[1]));
+    if (Math.abs(d) < 1e-12) {
+        return undefined;
+    }
+    var s1 = p1[0] * p1[0] + p1[1] * p1[1];
+    var s2 = p2[0] * p2[0] + p2[1] * p2[1];
+    var s3 = p3[0] * p3[0] + p3[1] * p3[1];
+    return [
+        (s1 * (p2[1] - p3[1]) + s2 * (p3[1] - p1[1]) + s3 * (p1[1] - p2[1])) / d,
+        (s1 * (p3[0] - p2[0]) + s2 * (p1[0] - p3[0]) + s3 * (p2[0] - p1[0])) / d
+    ];
+}
+
+function normalizeAngle(angle) {
+    var twoPi = 2 * Math.PI;
+    return ((angle % twoPi) + twoPi) % twoPi;
+}
+
+// Computes points along an arc of a circle, from startAngle sweeping by sweep radians (anticlockwise if positive).
+function densifyArc(center, radius, startAngle, sweep) {
+    var count = Math.max(1, Math.ceil(Math.abs(sweep) / arcStep));
+    var positions = [];
+    for (var i = 0; i <= count; ++i) {
+        var angle = startAngle + sweep * i / count;
+        positions.push([center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)]);
+    }
+    return positions;
+}
+
+// Approximates the arc from p1 through p2 to p3 with line segments.  The whole circle is returned if isCircle is true.
+function densifyThreePointArc(p1, p2, p3, isCircle) {
+    var center = computeCircleCenter(p1, p2, p3);
+    if (!defined(center)) {
+        // The points are on a straight line.
+        return [p1, p2, p3];
+    }
+
+    var radius = Math.sqrt((p1[0] - center[0]) * (p1[0] - center[0]) + (p1[1] - center[1]) * (p1[1] - center[1]));
+    var a1 = Math.atan2(p1[1] - center[1], p1[0] - center[0]);
+    var a2 = Math.atan2(p2[1] - center[1], p2[0] - center[0]);
+    var a3 = Math.atan2(p3[1] - center[1], p3[0] - center[0]);
+
+    // The arc is anticlockwise if the middle point is passed before the end point when going anticlockwise.
+    var anticlockwise = normalizeAngle(a2 - a1) < normalizeAngle(a3 - a1);
+
+    var sweep;
+    if (isCircle) {
+        sweep = anticlockwise ? 2 * Math.PI : -2 * Math.PI;
+    } else {
+        sweep = anticlockwise ? normalizeAngle(a3 - a1) : -normalizeAngle(a1 - a3);
+    }
+
+    var positions = densifyArc(center, radius, a1, sweep);
+
+    // Use the exact end points rather than computed ones so that joined segments and closed rings match.
+    positions[0] = p1;
+    positions[positions.length - 1] = isCircle ? p1 : p3;
+    return positions;
+}
+
+function readAngle(node) {
+    var value = parseFloat(getText(node));
+    var uom = defaultValue(getAttribute(node, 'uom'), 'deg');
+    return /rad/i.test(uom) ? value : value * Math.PI / 180;
+}
+
+function readArcByCenterPoint(node, isCircle) {
+    var center = readPositions(node)[0];
+    var radius = parseFloat(getText(getChildElement(node, 'radius')));
+    if (!defined(center) || !isFinite(radius)) {
+        throw new DeveloperError('A GML ' + getLocalName(node) + ' must have a position and a radius.');
+    }
+
+    var startAngle = 0;
+    var sweep = 2 * Math.PI;
+    if (!isCircle) {
+        startAngle = readAngle(getChildElement(node, 'startAngle'));
+        sweep = readAngle(getChildElement(node, 'endAngle')) - startAngle;
+    }
+
+    var positions = densifyArc(center, radius, startAngle, sweep);
+    if (isCircle) {
+        positions[positions.length - 1] = positions[0];
+    }
+    return positions;
+}
+
+function appendPositions(positions, more) {
+    for (var i = 0; i < more.length; ++i) {
+        // Curve segments share their end points, so don't repeat them.
+        var last = positions[positions.length - 1];
+        if (i === 0 && defined(last) && last[0] === more[i][0] && last[1] === more[i][1]) {
+            continue;
+        }
+        positions.push(more[i]);
+    }
+    return positions;
+}
+
+function readCurveSegment(node) {
+    var name = getLocalName(node);
+    var positions = readPositions(node);
+
+    if (name === 'Arc' || name === 'ArcString' || name === 'Circle') {
+        var result = [];
+        for (var i = 0; i + 2 < positions.length; i += 2) {
+            appendPositions(result, densifyThreePointArc(positions[i], positions[i + 1], positions[i + 2], name === 'Circle'));
+        }
+        return result;
+    } else if (name === 'ArcByCenterPoint' || name === 'CircleByCenterPoint') {
+        return readArcByCenterPoint(node, name === 'CircleByCenterPoint');
     }
 
-    function lineStringFilterFunction(obj, prop) {
-        newObj.features.push(convertFeature(obj[prop], 'LineString'));
+    // LineStringSegment, GeodesicString and Geodesic are straight lines in this approximation, as are splines, which
+    // are drawn through their control points.
+    return positions;
+}
+
+// Reads the positions of any GML curve: LineString, LinearRing, Ring, Curve, CompositeCurve or OrientableCurve.
+function readCurve(node) {
+    var name = getLocalName(node);
+    var positions = [];
+    var i;
+
+    if (name === 'Curve') {
+        var segments = getChildElement(node, 'segments');
+        var segmentElements = defined(segments) ? getChildElements(segments) : [];
+        for (i = 0; i < segmentElements.length; ++i) {
+            appendPositions(positions, readCurveSegment(segmentElements[i]));
+        }
+    } else if (name === 'Ring' || name === 'CompositeCurve') {
+        var members = getChildElements(node, 'curveMember');
+        for (i = 0; i < members.length; ++i) {
+            var curve = getChildElements(members[i])[0];
+            if (defined(curve)) {
+                appendPositions(positions, readCurve(curve));
+            }
+        }
+    } else if (name === 'OrientableCurve') {
+        var baseCurve = getChildElement(node, 'baseCurve');
+        var base = defined(baseCurve) ? getChildElements(baseCurve)[0] : undefined;
+        if (defined(base)) {
+            positions = readCurve(base);
+            if (getAttribute(node, 'orientation') === '-') {
+                positions.reverse();
+            }
+        }
+    } else if (name === 'LineString' || name === 'LinearRing' || name === 'LineStringSegment') {
+        positions = readPositions(node);
+    } else {
+        throw new DeveloperError('Unsupported GML curve type: ' + name);
     }
 
-    function polygonFilterFunction(obj, prop) {
-        newObj.features.push(convertFeature(obj[prop], 'Polygon'));
+    return positions;
+}
+
+function closeRing(positions) {
+    var first = positions[0];
+    var last = positions[positions.length - 1];
+    if (defined(first) && (first[0] !== last[0] || first[1] !== last[1])) {
+        positions.push(first);
     }
+    return positions;
+}
 
-    for (var i = 0; i < json.featureMember.length; i++) {
-           //TODO: get feature properties from non-SHAPE properties if present
-        //feature.properties = feature.attributes;
+function readRingProperty(node) {
+    var ring = getChildElements(node)[0];
+    if (!defined(ring)) {
+        throw new DeveloperError('A GML polygon boundary has no ring.');
+    }
+    return closeRing(readCurve(ring));
+}
+
+// Reads the rings of a Polygon, PolygonPatch, Triangle or Rectangle.
+function readPolygon(node) {
+    var exterior = getChildElement(node, 'exterior') || getChildElement(node, 'outerBoundaryIs');
+    if (!defined(exterior)) {
+        throw new DeveloperError('A GML polygon has no exterior boundary.');
+    }
+
+    var rings = [readRingProperty(exterior)];
+    var interiors = getChildElements(node, 'interior').concat(getChildElements(node, 'innerBoundaryIs'));
+    for (var i = 0; i < interiors.length; ++i) {
+        rings.push(readRingProperty(interiors[i]));
+    }
+    return rings;
+}
 
-        //Recursively find features and add to FeatureCollection
-        filterValue(json.featureMember[i], 'Point', pointFilterFunction);
-        filterValue(json.featureMember[i], 'LineString', lineStringFilterFunction);
-        filterValue(json.featureMember[i], 'Polygon', polygonFilterFunction);
+function readEnvelope(node) {
+    var lower, upper;
+    var lowerCorner = getChildElement(node, 'lowerCorner');
+    var upperCorner = getChildElement(node, 'upperCorner');
+    if (defined(lowerCorner) && defined(upperCorner)) {
+        lower = readPos(lowerCorner);
+        upper = readPos(upperCorner);
+    } else {
+        // A GML 2 Box, or a GML 3 Envelope with two pos or coord elements.
+        var positions = readPositions(node);
+        lower = positions[0];
+        upper = positions[1];
     }
 
-    return newObj;
+    if (!defined(lower) || !defined(upper)) {
+        throw new DeveloperError('A GML ' + getLocalName(node) + ' must have two corners.');
+    }
+
+    return [[
+        [lower[0], lower[1]],
+        [upper[0], lower[1]],
+        [upper[0], upper[1]],
+        [lower[0], upper[1]],
+        [lower[0], lower[1]]
+    ]];
 }
 
-//Utility function to convert esri gml based feature to geojson
-function convertFeature(feature, geom_type) {
-    var newFeature = {type: "Feature"};
-    var pts = (geom_type === 'Point') ? gml2coord(feature.pos)[0] : gml2coord(feature.posList);
-    newFeature.geometry = { "type": geom_type, "coordinates": pts };
-    return newFeature;
-}  
+// Reads the polygons of any GML surface, each as an array of rings.
+function readSurfaces(node) {
+    var name = getLocalName(node);
+    var polygons = [];
+    var i;
 
-// find a member by name in the gml
-function filterValue(obj, prop, func) {
-    for (var p in obj) {
-        if (obj.hasOwnProperty(p) === false) {
+    if (name === 'Polygon' || name === 'PolygonPatch' || name === 'Triangle' || name === 'Rectangle') {
+        polygons.push(readPolygon(node));
+    } else if (name === 'Surface' || name === 'PolyhedralSurface' || name === 'TriangulatedSurface' || name === 'Tin') {
+        var patches = getChildElement(node, 'patches') || getChildElement(node, 'polygonPatches') || getChildElement(node, 'trianglePatches');
+        var patchElements = defined(patches) ? getChildElements(patches) : [];
+        for (i = 0; i < patchElements.length; ++i) {
+            polygons.push(readPolygon(patchElements[i]));
+        }
+    } else if (name === 'CompositeSurface' || name === 'Shell') {
+        var members = getChildElements(node, 'surfaceMember');
+        for (i = 0; i < members.length; ++i) {
+            var surface = getChildElements(members[i])[0];
+            if (defined(surface)) {
+                polygons = polygons.concat(readSurfaces(surface));
+            }
+        }
+    } else if (name === 'OrientableSurface') {
+        var baseSurface = getChildElement(node, 'baseSurface');
+        var base = defined(baseSurface) ? getChildElements(baseSurface)[0] : undefined;
+        if (defined(base)) {
+            polygons = readSurfaces(base);
+        }
+    } else if (name === 'Envelope' || name === 'Box') {
+        polygons.push(readEnvelope(node));
+    } else {
+        throw new DeveloperError('Unsupported GML surface type: ' + name);
+    }
+
+    return polygons;
+}
+
+// Gets the geometry elements of a multi-geometry, from both its single-member and array-member properties, such as
+// surfaceMember and surfaceMembers.
+function getMembers(node, memberName) {
+    var result = [];
+    var children = getChildElements(node);
+    for (var i = 0; i < children.length; ++i) {
+        var name = getLocalName(children[i]);
+        if (name === memberName || name === memberName + 's') {
+            result = result.concat(getChildElements(children[i]));
+        }
+    }
+    return result;
+}
+
+var curveTypes = ['LineString', 'LinearRing', 'Ring', 'Curve', 'CompositeCurve', 'OrientableCurve'];
+var surfaceTypes = ['Polygon', 'Surface', 'PolyhedralSurface', 'TriangulatedSurface', 'Tin', 'CompositeSurface', 'OrientableSurface', 'Shell', 'Envelope', 'Box'];
+
+function polygonsToGeometry(polygons) {
+    if (polygons.length === 1) {
+        return { type : 'Polygon', coordinates : polygons[0] };
+    }
+    return { type : 'MultiPolygon', coordinates : polygons };
+}
+
+// Reads a GML geometry into a GeoJSON geometry, with its coordinates in the axis order of the GML.
+function readGeometry(node) {
+    var name = getLocalName(node);
+    var members, i;
+
+    if (name === 'Point') {
+        return { type : 'Point', coordinates : readPoint(node) };
+    } else if (curveTypes.indexOf(name) >= 0) {
+        return { type : 'LineString', coordinates : readCurve(node) };
+    } else if (surfaceTypes.indexOf(name) >= 0) {
+        return polygonsToGeometry(readSurfaces(node));
+    } else if (name === 'MultiPoint') {
+        members = getMembers(node, 'pointMember');
+        var points = [];
+        for (i = 0; i < members.length; ++i) {
+            points.push(readPoint(members[i]));
+        }
+        return { type : 'MultiPoint', coordinates : points };
+    } else if (name === 'MultiLineString' || name === 'MultiCurve') {
+        members = getMembers(node, name === 'MultiLineString' ? 'lineStringMember' : 'curveMember');
+        var lines = [];
+        for (i = 0; i < members.length; ++i) {
+            lines.push(readCurve(members[i]));
+        }
+        return { type : 'MultiLineString', coordinates : lines };
+    } else if (name === 'MultiPolygon' || name === 'MultiSurface') {
+        members = getMembers(node, name === 'MultiPolygon' ? 'polygonMember' : 'surfaceMember');
+        var polygons = [];
+        for (i = 0; i < members.length; ++i) {
+            polygons = polygons.concat(readSurfaces(members[i]));
+        }
+        return { type : 'MultiPolygon', coordinates : polygons };
+    } else if (name === 'MultiGeometry') {
+        members = getMembers(node, 'geometryMember');
+        var geometries = [];
+        for (i = 0; i < members.length; ++i) {
+            geometries.push(readGeometry(members[i]));
+        }
+        return { type : 'GeometryCollection', geometries : geometries };
+    }
+
+    throw new DeveloperError('Unsupported GML geometry type: ' + name);
+}
+
+function isGeometryElement(node) {
+    var name = getLocalName(node);
+    return isGml(node) && (name === 'Point' || name.indexOf('Multi') === 0 || curveTypes.indexOf(name) >= 0 || surfaceTypes.indexOf(name) >= 0);
+}
+
+function swapAxes(coordinates) {
+    if (typeof coordinates[0] === 'number') {
+        var swapped = coordinates.slice();
+        swapped[0] = coordinates[1];
+        swapped[1] = coordinates[0];
+        return swapped;
+    }
+    var result = [];
+    for (var i = 0; i < coordinates.length; ++i) {
+        result.push(swapAxes(coordinates[i]));
+    }
+    return result;
+}
+
+function toLongitudeFirst(geometry) {
+    if (geometry.type === 'GeometryCollection') {
+        for (var i = 0; i < geometry.geometries.length; ++i) {
+            toLongitudeFirst(geometry.geometries[i]);
+        }
+    } else {
+        geometry.coordinates = swapAxes(geometry.coordinates);
+    }
+    return geometry;
+}
+
+function convertValue(text) {
+    // Only convert numbers that are written the way JavaScript writes them, so that codes like 0800 stay as text.
+    var trimmed = text.trim();
+    var number = Number(trimmed);
+    if (trimmed.length > 0 && isFinite(number) && number.toString() === trimmed) {
+        return number;
+    }
+    return text;
+}
+
+function readPropertyValue(node) {
+    if (getAttribute(node, 'nil') === 'true') {
+        return null;
+    }
+
+    var children = getChildElements(node);
+    if (children.length === 0) {
+        return convertValue(getText(node));
+    }
+
+    // A property with structured content, such as a nested feature.
+    var value = {};
+    for (var i = 0; i < children.length; ++i) {
+        value[getLocalName(children[i])] = readPropertyValue(children[i]);
+    }
+    return value;
+}
+
+function readFeature(node, context) {
+    var feature = {
+        type : 'Feature',
+        geometry : null,
+        properties : {}
+    };
+
+    var id = defaultValue(getAttribute(node, 'id'), getAttribute(node, 'fid'));
+    if (defined(id)) {
+        feature.id = id;
+    }
+
+    var properties = getChildElements(node);
+    for (var i = 0; i < properties.length; ++i) {
+        var property = properties[i];
+        var name = getLocalName(property);
+
+        if (isGml(property) && (name === 'boundedBy' || name === 'location')) {
             continue;
         }
-        else if (p === prop) {
-            if (func && (typeof func === 'function')) {
-                (func)(obj, prop);
+
+        var children = getChildElements(property);
+        if (children.length === 1 && isGeometryElement(children[0])) {
+            // The first geometry property is the feature's geometry.  Any others are ignored.
+            if (feature.geometry === null) {
+                feature.geometry = convertGeometry(children[0], context);
             }
+            continue;
+        }
+
+        feature.properties[name] = readPropertyValue(property);
+    }
+
+    return feature;
+}
+
+function convertGeometry(node, context) {
+    var geometry = readGeometry(node);
+
+    var srs = parseSrsName(defaultValue(getInheritedAttribute(node, 'srsName'), context.srsName));
+    if (defined(srs)) {
+        if (!defined(context.code)) {
+            context.code = srs.code;
+        } else if (context.code !== srs.code) {
+            throw new DeveloperError('The GML geometries use more than one coordinate reference system.');
         }
-        else if (typeof obj[p] === 'object') {
-            filterValue(obj[p], prop, func);
+        if (srs.latitudeFirst) {
+            toLongitudeFirst(geometry);
         }
     }
+
+    return geometry;
 }
 
-//Utility function to change esri gml positions to geojson positions
-function gml2coord(posList) {
-    var pnts = posList.split(/[ ,]+/);
-    var coords = [];
-    for (var i = 0; i < pnts.length; i+=2) {
-        coords.push([parseFloat(pnts[i+1]), parseFloat(pnts[i])]);
+// Finds the features in a feature collection and its members: featureMember and featureMembers in GML and WFS 1.x,
+// and member in WFS 2.0, which may also hold nested feature collections.
+function readFeatures(node, context, features) {
+    var children = getChildElements(node);
+    for (var i = 0; i < children.length; ++i) {
+        var child = children[i];
+        var name = getLocalName(child);
+        if (name !== 'featureMember' && name !== 'featureMembers' && name !== 'member') {
+            continue;
+        }
+
+        var members = getChildElements(child);
+        for (var j = 0; j < members.length; ++j) {
+            var member = members[j];
+            var memberName = getLocalName(member);
+            if (memberName === 'FeatureCollection' || memberName === 'additionalObjects' || memberName === 'SimpleFeatureCollection') {
+                readFeatures(member, context, features);
+            } else if (isGeometryElement(member)) {
+                features.push({
+                    type : 'Feature',
+                    geometry : convertGeometry(member, context),
+                    properties : {}
+                });
+            } else {
+                features.push(readFeature(member, context));
+            }
+        }
     }
-    return coords;
+    return features;
 }
 
-module.exports = gmlToGeoJson;
\ No newline at end of file
+/**
+ * Converts GML 2, 3 or 3.2 features, such as the response to a WFS GetFeature request, to GeoJSON.  All of the
+ * simple feature geometry types are supported, as are the curves and surfaces of GML 3, which are approximated with
+ * line segments.  Coordinates are converted to longitude, latitude order where the srsName of a geometry requires it,
+ * and the CRS named by the srsName is recorded in the crs of the result so that it can be reprojected.
+ *
+ * @param {Document|Element} xml The GML document, or the FeatureCollection, feature or geometry element to convert.
+ * @param {Object} [options] Object with the following properties:
+ * @param {String} [options.srsName] The CRS of geometries that do not have a srsName.  Such geometries are assumed
+ *        to be in EPSG:4326, in longitude, latitude order, if this is not specified.
+ * @return {Object} The GeoJSON FeatureCollection.  If the GML is the response to a WFS 2.0 request, its
+ *         numberMatched property holds the total number of features that matched the request, if it is known.
+ */
+var gmlToGeoJson = function(xml, options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+    var root = defined(xml.documentElement) ? xml.documentElement : xml;
+    if (!defined(root) || root.nodeType !== 1) {
+        throw new DeveloperError('The GML document is empty.');
+    }
+
+    var context = {
+        srsName : options.srsName,
+        code : undefined
+    };
+
+    var features;
+    if (isGeometryElement(root)) {
+        features = [{
+            type : 'Feature',
+            geometry : convertGeometry(root, context),
+            properties : {}
+        }];
+    } else if (getChildElements(root, 'featureMember').length > 0 ||
+               getChildElements(root, 'featureMembers').length > 0 ||
+               getChildElements(root, 'member').length > 0 ||
+               /FeatureCollection$/.test(getLocalName(root))) {
+        features = readFeatures(root, context, []);
+    } else {
+        features = [readFeature(root, context)];
+    }
+
+    var result = {
+        type : 'FeatureCollection',
+        crs : {
+            type : 'EPSG',
+            properties : {
+                code : defaultValue(context.code, '4326')
+            }
+        },
+        features : features
+    };
+
+    var numberMatched = parseInt(getAttribute(root, 'numberMatched'), 10);
+    if (isFinite(numberMatched)) {
+        result.numberMatched = numberMatched;
+    }
+
+    return result;
+};
+
+gmlToGeoJson.parseSrsName = parseSrsName;
+
+module.exports = gmlToGeoJson;
@@ -0,0 +1,118 @@
+'use strict';
+
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+var hasDot = /\./;
+
+// Converts values that look like numbers to numbers, and blank values to null, in the same way as the castToScalar
+// hook of jquery-csv.
+function castToScalar(value) {
+    if (isNaN(value)) {
+        return value;
+    }
+    if (hasDot.test(value)) {
+        return parseFloat(value);
+    }
+    var integer = parseInt(value, 10);
+    return isNaN(integer) ? null : integer;
+}
+
+/**
+ * Parses CSV text into an array of rows, each of which is an array of values.  Quoted values may contain commas, line
+ * breaks and quotes, which are escaped by doubling them.  Lines may end with '\n', '\r\n' or '\r', and blank lines are
+ * skipped.  Values that look like numbers are converted to numbers and blank values are converted to null.
+ *
+ * @param {String} text The CSV text.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Function} [options.onProgress] A function that is called periodically while parsing with the fraction of the
+ *        text parsed so far, between 0.0 and 1.0.
+ * @param {Number} [options.progressInterval=10000] The number of rows to parse between calls to options.onProgress.
+ * @return {Array[]} The rows.
+ */
+var parseCsv = function(text, options) {
+    if (!defined(text)) {
+        throw new DeveloperError('text is required');
+    }
+
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var onProgress = options.onProgress;
+    var progressInterval = defaultValue(options.progressInterval, 10000);
+
+    var rows = [];
+    var row = [];
+    var length = text.length;
+    var position = 0;
+
+    function endRow() {
+        if (row.length > 1 || row[0] !== null) {
+            rows.push(row);
+            if (defined(onProgress) && rows.length % progressInterval === 0) {
+                onProgress(position / length);
+            }
+        }
+        row = [];
+    }
+
+    while (position < length) {
+        var value;
+        if (text.charAt(position) === '"') {
+            // A quoted value ends at the next quote that is not doubled.
+            value = '';
+            var start = position + 1;
+            while (true) {
+                var quote = text.indexOf('"', start);
+                if (quote < 0) {
+                    value += text.substring(start);
+                    position = length;
+                    break;
+                }
+                value += text.substring(start, quote);
+                if (text.charAt(quote + 1) === '"') {
+                    value += '"';
+                    start = quote + 2;
+                } else {
+                    position = quote + 1;
+                    break;
+                }
+            }
+            // Ignore anything between the closing quote and the next separator.
+            while (position < length && ',\r\n'.indexOf(text.charAt(position)) < 0) {
+                ++position;
+            }
+        } else {
+            var end = position;
+            while (end < length && ',\r\n'.indexOf(text.charAt(end)) < 0) {
+                ++end;
+            }
+            value = text.substring(position, end);
+            position = end;
+        }
+
+        row.push(castToScalar(value));
+
+        var separator = text.charAt(position);
+        ++position;
+        if (separator === '\r' && text.charAt(position) === '\n') {
+            ++position;
+        }
+        if (separator !== ',') {
+            endRow();
+        } else if (position === length) {
+            row.push(null);
+        }
+    }
+    if (row.length > 0) {
+        endRow();
+    }
+
+    if (defined(onProgress)) {
+        onProgress(1.0);
+    }
+
+    return rows;
+};
+
+module.exports = parseCsv;
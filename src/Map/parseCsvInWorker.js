@@ -0,0 +1,101 @@
+'use strict';
+
+/*global require,Worker*/
+var buildModuleUrl = require('../../third_party/cesium/Source/Core/buildModuleUrl');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var Dataset = require('./Dataset');
+
+function createDataset(options) {
+    var dataset = new Dataset();
+    dataset.dateFormats = options.dateFormats;
+    dataset.timeZone = options.timeZone;
+    return dataset;
+}
+
+/**
+ * Parses CSV text into a {@link Dataset} in a Web Worker, so that parsing a large table, guessing the types of its
+ * columns and computing their ranges does not block the user interface.  If Web Workers are not available, the text
+ * is parsed immediately instead.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.text The CSV text.
+ * @param {Object} [options.dateFormats] The {@link Dataset#dateFormats} of the dataset.
+ * @param {String} [options.timeZone] The {@link Dataset#timeZone} of the dataset.
+ * @param {Function} [options.onProgress] A function that is called periodically with the fraction of the text parsed
+ *        so far, between 0.0 and 1.0.
+ * @return {Object} An object with a `promise` property, a promise that resolves to the dataset, or to undefined if
+ *         parsing is cancelled, and a `cancel` property, a function that stops parsing.
+ */
+var parseCsvInWorker = function(options) {
+    if (!defined(options) || !defined(options.text)) {
+        throw new DeveloperError('options.text is required');
+    }
+
+    var deferred = when.defer();
+
+    if (typeof Worker === 'undefined') {
+        try {
+            var dataset = createDataset(options);
+            dataset.loadText(options.text);
+            deferred.resolve(dataset);
+        } catch (e) {
+            deferred.reject(e);
+        }
+        return {
+            promise : deferred.promise,
+            cancel : function() {}
+        };
+    }
+
+    // Use the same bootstrapper as Cesium's workers, which loads the application bundle and then hands all further
+    // messages to the named module.
+    var worker = new Worker(buildModuleUrl('Workers/cesiumWorkerBootstrapper.js'));
+    worker.postMessage({ workerModule : 'Workers/createDatasetFromCsv' });
+
+    function finish() {
+        worker.terminate();
+        worker = undefined;
+    }
+
+    worker.onmessage = function(event) {
+        var data = event.data;
+        if (defined(data.progress)) {
+            if (defined(options.onProgress)) {
+                options.onProgress(data.progress);
+            }
+        } else if (defined(data.error)) {
+            finish();
+            deferred.reject(data.error);
+        } else {
+            finish();
+            var dataset = createDataset(options);
+            dataset.loadTransferable(data.dataset);
+            deferred.resolve(dataset);
+        }
+    };
+    worker.onerror = function(e) {
+        finish();
+        deferred.reject(e.message);
+    };
+
+    worker.postMessage({
+        text : options.text,
+        dateFormats : options.dateFormats,
+        timeZone : options.timeZone
+    });
+
+    return {
+        promise : deferred.promise,
+        cancel : function() {
+            if (defined(worker)) {
+                finish();
+                deferred.resolve(undefined);
+            }
+        }
+    };
+};
+
+module.exports = parseCsvInWorker;
@@ -0,0 +1,301 @@
+'use strict';
+
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+
+var millisecondsPerDay = 24 * 60 * 60 * 1000;
+var excelEpoch = Date.UTC(1899, 11, 30);
+var maximumSampleSize = 200;
+
+var isoRegex = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?\s*(Z|[+-]\d{2}:?\d{2})?$/;
+var dayMonthYearRegex = /^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4}|\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?\s*(am|pm)?)?$/i;
+var yearMonthRegex = /^(\d{4})(?:[\/-](\d{1,2})|(\d{2}))$/;
+var yearRegex = /^\d{4}$/;
+var sosusRegex = /^(\d{4})(\d{3})(\d{2})(\d{2})(\d{2})$/;
+var numberRegex = /^[+-]?\d+(\.\d*)?$/;
+var timeZoneRegex = /^([+-])(\d{2}):?(\d{2})$/;
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(year, month) {
+    return [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+function parseTimeZone(timeZone) {
+    if (timeZone === 'local') {
+        return undefined;
+    }
+    if (timeZone === 'UTC' || timeZone === 'Z') {
+        return 0;
+    }
+    var match = timeZoneRegex.exec(timeZone);
+    if (match === null) {
+        throw new DeveloperError('Unrecognised time zone: ' + timeZone);
+    }
+    var offset = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === '-' ? -offset : offset;
+}
+
+// Creates a date from its parts, interpreted in the time zone with the given offset in minutes from UTC, or in the
+// browser's time zone if the offset is undefined.  Returns undefined if any part is out of range.
+function createDate(year, month, day, hours, minutes, seconds, utcOffset) {
+    if (!(month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month) &&
+          hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59 && seconds >= 0 && seconds < 61)) {
+        return undefined;
+    }
+
+    var wholeSeconds = Math.floor(seconds);
+    var milliseconds = Math.round((seconds - wholeSeconds) * 1000);
+
+    var date = new Date(0);
+    if (defined(utcOffset)) {
+        date.setUTCFullYear(year, month - 1, day);
+        date.setUTCHours(hours, minutes - utcOffset, wholeSeconds, milliseconds);
+    } else {
+        date.setFullYear(year, month - 1, day);
+        date.setHours(hours, minutes, wholeSeconds, milliseconds);
+    }
+    return JulianDate.fromDate(date);
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    var text = String(value).trim();
+    return numberRegex.test(text) ? parseFloat(text) : undefined;
+}
+
+function parseIso8601(value, utcOffset) {
+    var match = isoRegex.exec(String(value).trim());
+    if (match === null) {
+        return undefined;
+    }
+    if (defined(match[7])) {
+        utcOffset = parseTimeZone(match[7]);
+    }
+    return createDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10),
+                      defined(match[4]) ? parseInt(match[4], 10) : 0,
+                      defined(match[5]) ? parseInt(match[5], 10) : 0,
+                      defined(match[6]) ? parseFloat(match[6]) : 0, utcOffset);
+}
+
+function parseDayMonthYear(value, utcOffset, monthFirst) {
+    var match = dayMonthYearRegex.exec(String(value).trim());
+    if (match === null) {
+        return undefined;
+    }
+
+    var year = parseInt(match[3], 10);
+    if (match[3].length === 2) {
+        year += year < 50 ? 2000 : 1900;
+    }
+
+    var hours = defined(match[4]) ? parseInt(match[4], 10) : 0;
+    if (defined(match[7])) {
+        if (hours < 1 || hours > 12) {
+            return undefined;
+        }
+        hours = (hours % 12) + (match[7].toLowerCase() === 'pm' ? 12 : 0);
+    }
+
+    var first = parseInt(match[1], 10);
+    var second = parseInt(match[2], 10);
+    return createDate(year, monthFirst ? first : second, monthFirst ? second : first, hours,
+                      defined(match[5]) ? parseInt(match[5], 10) : 0,
+                      defined(match[6]) ? parseFloat(match[6]) : 0, utcOffset);
+}
+
+function parseYearMonth(value, utcOffset) {
+    var match = yearMonthRegex.exec(String(value).trim());
+    if (match === null) {
+        return undefined;
+    }
+    return createDate(parseInt(match[1], 10), parseInt(defaultValue(match[2], match[3]), 10), 1, 0, 0, 0, utcOffset);
+}
+
+function parseYear(value, utcOffset) {
+    var text = String(value).trim();
+    if (!yearRegex.test(text)) {
+        return undefined;
+    }
+    return createDate(parseInt(text, 10), 1, 1, 0, 0, 0, utcOffset);
+}
+
+function parseUnixTime(value, millisecondsPerUnit) {
+    var number = toNumber(value);
+    if (!defined(number)) {
+        return undefined;
+    }
+    return JulianDate.fromDate(new Date(number * millisecondsPerUnit));
+}
+
+function parseExcel(value, utcOffset) {
+    var number = toNumber(value);
+    if (!defined(number)) {
+        return undefined;
+    }
+    // Excel serial dates count days, including a fraction for the time of day, in the local time of the spreadsheet.
+    var wallClock = new Date(excelEpoch + Math.round(number * millisecondsPerDay));
+    return createDate(wallClock.getUTCFullYear(), wallClock.getUTCMonth() + 1, wallClock.getUTCDate(), wallClock.getUTCHours(),
+                      wallClock.getUTCMinutes(), wallClock.getUTCSeconds() + wallClock.getUTCMilliseconds() / 1000, utcOffset);
+}
+
+function parseSosus(value) {
+    var match = sosusRegex.exec(String(value).trim());
+    if (match === null) {
+        return undefined;
+    }
+    var year = parseInt(match[1], 10);
+    var dayOfYear = parseInt(match[2], 10);
+    if (dayOfYear < 1 || dayOfYear > (isLeapYear(year) ? 366 : 365)) {
+        return undefined;
+    }
+    var date = createDate(year, 1, 1, parseInt(match[3], 10), parseInt(match[4], 10), parseInt(match[5], 10), 0);
+    return defined(date) ? JulianDate.addDays(date, dayOfYear - 1, date) : undefined;
+}
+
+function inRange(value, minimum, maximum) {
+    var number = toNumber(value);
+    return defined(number) && number >= minimum && number < maximum;
+}
+
+// The supported formats, in the order in which they are preferred when detecting the format of ambiguous values.
+// The plausible functions reject numbers that are unlikely to be in the format, and are only used for detection.
+var formats = {
+    'iso8601' : {
+        parse : parseIso8601
+    },
+    'dd/mm/yyyy' : {
+        parse : function(value, utcOffset) { return parseDayMonthYear(value, utcOffset, false); }
+    },
+    'mm/dd/yyyy' : {
+        parse : function(value, utcOffset) { return parseDayMonthYear(value, utcOffset, true); }
+    },
+    'yearMonth' : {
+        parse : parseYearMonth,
+        plausible : function(value) { return !defined(toNumber(value)) || inRange(value, 100001, 300000); }
+    },
+    'year' : {
+        parse : parseYear,
+        plausible : function(value) { return inRange(value, 1000, 3000); }
+    },
+    'sosus' : {
+        parse : parseSosus
+    },
+    'unixMilliseconds' : {
+        parse : function(value) { return parseUnixTime(value, 1); },
+        plausible : function(value) { return inRange(value, 1e11, 1e14); }
+    },
+    'unixSeconds' : {
+        parse : function(value) { return parseUnixTime(value, 1000); },
+        plausible : function(value) { return inRange(value, 1e8, 1e11); }
+    },
+    'excel' : {
+        parse : parseExcel,
+        plausible : function(value) { return inRange(value, 1, 2958466); }
+    }
+};
+
+function isMissing(value) {
+    return !defined(value) || value === '' || value === 1e-34;
+}
+
+function detectFormat(values, utcOffset) {
+    var present = [];
+    for (var i = 0; i < values.length; ++i) {
+        if (!isMissing(values[i])) {
+            present.push(values[i]);
+        }
+    }
+    if (present.length === 0) {
+        return undefined;
+    }
+
+    var sample = present;
+    if (present.length > maximumSampleSize) {
+        sample = [];
+        for (var s = 0; s < maximumSampleSize; ++s) {
+            sample.push(present[Math.floor(s * present.length / maximumSampleSize)]);
+        }
+    }
+
+    var bestFormat;
+    var bestCount = 0;
+    for (var name in formats) {
+        if (formats.hasOwnProperty(name)) {
+            var format = formats[name];
+            var count = 0;
+            for (var j = 0; j < sample.length; ++j) {
+                if ((!defined(format.plausible) || format.plausible(sample[j])) && defined(format.parse(sample[j], utcOffset))) {
+                    ++count;
+                }
+            }
+            if (count > bestCount) {
+                bestFormat = name;
+                bestCount = count;
+            }
+        }
+    }
+
+    // Require most values to parse, so that a column of text that happens to contain a few dates is left alone.
+    return bestCount * 2 > sample.length ? bestFormat : undefined;
+}
+
+/**
+ * Parses the values of a table column as dates.
+ *
+ * @param {Array} values The values to parse, as strings or numbers.
+ * @param {Object} [options] Object with the following properties:
+ * @param {String} [options.format='auto'] The format of the values: 'iso8601' (such as 2014-03-25 or 2014-03-25T14:30:00+10:00),
+ *                 'dd/mm/yyyy' or 'mm/dd/yyyy' (with '/', '-' or '.' separators, two or four digit years and an optional
+ *                 time such as 14:30 or 2:30 pm), 'year' (such as 2011), 'yearMonth' (such as 2011-06 or 201106),
+ *                 'unixSeconds', 'unixMilliseconds', 'excel' (days since 30 December 1899) or 'sosus'
+ *                 (yyyydddhhmmss, where ddd is the day of the year).  If 'auto', the format that can parse the most
+ *                 values in a sample of them is used.
+ * @param {String} [options.timeZone='local'] The time zone of dates that do not specify one: 'local' for the browser's
+ *                 time zone, 'UTC', or an offset from UTC such as '+10:00'.  Ignored by the Unix time and 'sosus'
+ *                 formats, which are always in UTC.
+ * @return {Object} An object with a `format` property, the format used or undefined if no format could be detected, a
+ *         `dates` property, an array of a {@link JulianDate} for each value or undefined where a value could not be
+ *         parsed, and a `failures` property, an array of the indices of the values that could not be parsed.
+ */
+var parseDates = function(values, options) {
+    if (!defined(values)) {
+        throw new DeveloperError('values is required');
+    }
+
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var utcOffset = parseTimeZone(defaultValue(options.timeZone, 'local'));
+
+    var formatName = defaultValue(options.format, 'auto');
+    if (formatName === 'auto') {
+        formatName = detectFormat(values, utcOffset);
+    } else if (!formats.hasOwnProperty(formatName)) {
+        throw new DeveloperError('Unrecognised date format: ' + formatName);
+    }
+
+    var dates = new Array(values.length);
+    var failures = [];
+    for (var i = 0; i < values.length; ++i) {
+        if (defined(formatName) && !isMissing(values[i])) {
+            dates[i] = formats[formatName].parse(values[i], utcOffset);
+        }
+        if (!defined(dates[i])) {
+            failures.push(i);
+        }
+    }
+
+    return {
+        format : formatName,
+        dates : dates,
+        failures : failures
+    };
+};
+
+module.exports = parseDates;
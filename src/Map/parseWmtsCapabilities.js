@@ -0,0 +1,339 @@
+'use strict';
+
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+var gmlToGeoJson = require('./gmlToGeoJson');
+
+// The size of a pixel, in metres, that WMTS scale denominators are based on.
+var standardPixelSize = 0.00028;
+
+// The number of metres in a degree at the equator of the WGS84 ellipsoid.
+var metresPerDegree = 2 * Math.PI * 6378137 / 360;
+
+// Half the width of the world, in metres, in the Web Mercator projection.
+var webMercatorHalfWidth = Math.PI * 6378137;
+
+var webMercatorCodes = ['3857', '900913', '3785', '102100', '102113'];
+var geographicCodes = ['4326', '4283'];
+
+function getLocalName(node) {
+    // IE9's XML documents have baseName rather than localName.
+    return defaultValue(node.localName, node.baseName);
+}
+
+function getChildElements(node, localName) {
+    var result = [];
+    var children = node.childNodes;
+    for (var i = 0; i < children.length; ++i) {
+        var child = children[i];
+        if (child.nodeType === 1 && (!defined(localName) || getLocalName(child) === localName)) {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+function getChildElement(node, localName) {
+    return getChildElements(node, localName)[0];
+}
+
+function getChildText(node, localName) {
+    var child = getChildElement(node, localName);
+    if (!defined(child)) {
+        return undefined;
+    }
+    return defaultValue(child.textContent, child.text).trim();
+}
+
+function getChildTexts(node, localName) {
+    var children = getChildElements(node, localName);
+    var result = [];
+    for (var i = 0; i < children.length; ++i) {
+        result.push(defaultValue(children[i].textContent, children[i].text).trim());
+    }
+    return result;
+}
+
+function getAttribute(node, localName) {
+    var attributes = node.attributes;
+    for (var i = 0; defined(attributes) && i < attributes.length; ++i) {
+        if (getLocalName(attributes[i]) === localName) {
+            return attributes[i].value;
+        }
+    }
+    return undefined;
+}
+
+function parseNumbers(text) {
+    var parts = defined(text) ? text.trim().split(/\s+/) : [];
+    var result = [];
+    for (var i = 0; i < parts.length; ++i) {
+        result.push(parseFloat(parts[i]));
+    }
+    return result;
+}
+
+function isClose(a, b, tolerance) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+// Works out how the tile matrices of a tile matrix set can be drawn with the standard Web Mercator or geographic
+// tiling schemes, in which each level has twice as many tiles in each direction as the one before.  Tile matrices
+// after the first one that doesn't fit the pattern are not used.
+function describeTilingScheme(tileMatrixSet) {
+    var srs = gmlToGeoJson.parseSrsName(tileMatrixSet.supportedCrs);
+    if (!defined(srs)) {
+        return undefined;
+    }
+
+    var type, metresPerUnit, west, north, worldWidth, worldHeight;
+    if (webMercatorCodes.indexOf(srs.code) >= 0) {
+        type = 'web-mercator';
+        metresPerUnit = 1;
+        west = -webMercatorHalfWidth;
+        north = webMercatorHalfWidth;
+        worldWidth = worldHeight = 2 * webMercatorHalfWidth;
+    } else if (geographicCodes.indexOf(srs.code) >= 0) {
+        type = 'geographic';
+        metresPerUnit = metresPerDegree;
+        west = -180;
+        north = 90;
+        worldWidth = 360;
+        worldHeight = 180;
+    } else {
+        return undefined;
+    }
+
+    var tolerance = worldWidth * 1e-6;
+    var labels = [];
+    var firstLevel;
+
+    for (var i = 0; i < tileMatrixSet.tileMatrices.length; ++i) {
+        var matrix = tileMatrixSet.tileMatrices[i];
+
+        var corner = matrix.topLeftCorner;
+        var x = srs.latitudeFirst ? corner[1] : corner[0];
+        var y = srs.latitudeFirst ? corner[0] : corner[1];
+
+        var pixelSize = matrix.scaleDenominator * standardPixelSize / metresPerUnit;
+        var width = matrix.matrixWidth * matrix.tileWidth * pixelSize;
+        var height = matrix.matrixHeight * matrix.tileHeight * pixelSize;
+
+        var covered = isClose(x, west, tolerance) && isClose(y, north, tolerance) &&
+                      Math.abs(width - worldWidth) <= worldWidth * 0.001 && Math.abs(height - worldHeight) <= worldHeight * 0.001;
+
+        var level = Math.log(type === 'geographic' ? matrix.matrixWidth / 2 : matrix.matrixWidth) / Math.LN2;
+        var isPyramidLevel = covered && level === Math.round(level) && level >= 0 &&
+                             (!defined(firstLevel) || level === firstLevel + labels.length);
+
+        if (!isPyramidLevel) {
+            if (labels.length > 0) {
+                break;
+            }
+            continue;
+        }
+
+        if (!defined(firstLevel)) {
+            firstLevel = level;
+        }
+        labels.push(matrix.identifier);
+    }
+
+    if (labels.length === 0) {
+        return undefined;
+    }
+
+    return {
+        type : type,
+        firstLevel : firstLevel,
+        tileMatrixLabels : labels
+    };
+}
+
+function parseTileMatrixSet(node) {
+    var tileMatrixSet = {
+        identifier : getChildText(node, 'Identifier'),
+        supportedCrs : getChildText(node, 'SupportedCRS'),
+        wellKnownScaleSet : getChildText(node, 'WellKnownScaleSet'),
+        tileMatrices : []
+    };
+
+    var matrices = getChildElements(node, 'TileMatrix');
+    for (var i = 0; i < matrices.length; ++i) {
+        var matrix = matrices[i];
+        tileMatrixSet.tileMatrices.push({
+            identifier : getChildText(matrix, 'Identifier'),
+            scaleDenominator : parseFloat(getChildText(matrix, 'ScaleDenominator')),
+            topLeftCorner : parseNumbers(getChildText(matrix, 'TopLeftCorner')),
+            tileWidth : parseInt(getChildText(matrix, 'TileWidth'), 10),
+            tileHeight : parseInt(getChildText(matrix, 'TileHeight'), 10),
+            matrixWidth : parseInt(getChildText(matrix, 'MatrixWidth'), 10),
+            matrixHeight : parseInt(getChildText(matrix, 'MatrixHeight'), 10)
+        });
+    }
+
+    tileMatrixSet.tilingScheme = describeTilingScheme(tileMatrixSet);
+    return tileMatrixSet;
+}
+
+function parseLayer(node) {
+    var layer = {
+        identifier : getChildText(node, 'Identifier'),
+        title : getChildText(node, 'Title'),
+        abstract : getChildText(node, 'Abstract'),
+        rectangle : undefined,
+        styles : [],
+        formats : getChildTexts(node, 'Format'),
+        infoFormats : getChildTexts(node, 'InfoFormat'),
+        dimensions : [],
+        tileMatrixSets : [],
+        resourceUrls : []
+    };
+
+    var boundingBox = getChildElement(node, 'WGS84BoundingBox');
+    if (defined(boundingBox)) {
+        var lower = parseNumbers(getChildText(boundingBox, 'LowerCorner'));
+        var upper = parseNumbers(getChildText(boundingBox, 'UpperCorner'));
+        layer.rectangle = [lower[0], lower[1], upper[0], upper[1]];
+    }
+
+    var i;
+    var styles = getChildElements(node, 'Style');
+    for (i = 0; i < styles.length; ++i) {
+        var legend = getChildElement(styles[i], 'LegendURL');
+        layer.styles.push({
+            identifier : getChildText(styles[i], 'Identifier'),
+            title : getChildText(styles[i], 'Title'),
+            isDefault : getAttribute(styles[i], 'isDefault') === 'true',
+            legendUrl : defined(legend) ? getAttribute(legend, 'href') : undefined
+        });
+    }
+
+    var dimensions = getChildElements(node, 'Dimension');
+    for (i = 0; i < dimensions.length; ++i) {
+        layer.dimensions.push({
+            identifier : getChildText(dimensions[i], 'Identifier'),
+            title : getChildText(dimensions[i], 'Title'),
+            units : getChildText(dimensions[i], 'UOM'),
+            defaultValue : getChildText(dimensions[i], 'Default'),
+            current : getChildText(dimensions[i], 'Current') === 'true',
+            values : getChildTexts(dimensions[i], 'Value')
+        });
+    }
+
+    var links = getChildElements(node, 'TileMatrixSetLink');
+    for (i = 0; i < links.length; ++i) {
+        layer.tileMatrixSets.push(getChildText(links[i], 'TileMatrixSet'));
+    }
+
+    var resourceUrls = getChildElements(node, 'ResourceURL');
+    for (i = 0; i < resourceUrls.length; ++i) {
+        layer.resourceUrls.push({
+            format : getAttribute(resourceUrls[i], 'format'),
+            resourceType : getAttribute(resourceUrls[i], 'resourceType'),
+            template : getAttribute(resourceUrls[i], 'template')
+        });
+    }
+
+    return layer;
+}
+
+// Finds the URLs of the GetTile operation for each of the request encodings it allows.
+function parseGetTileUrls(operationsMetadata) {
+    var result = {};
+    if (!defined(operationsMetadata)) {
+        return result;
+    }
+
+    var operations = getChildElements(operationsMetadata, 'Operation');
+    for (var i = 0; i < operations.length; ++i) {
+        if (getAttribute(operations[i], 'name') !== 'GetTile') {
+            continue;
+        }
+
+        var dcps = getChildElements(operations[i], 'DCP');
+        for (var j = 0; j < dcps.length; ++j) {
+            var http = getChildElement(dcps[j], 'HTTP');
+            var gets = defined(http) ? getChildElements(http, 'Get') : [];
+            for (var k = 0; k < gets.length; ++k) {
+                var href = getAttribute(gets[k], 'href');
+
+                var encodings = [];
+                var constraints = getChildElements(gets[k], 'Constraint');
+                for (var c = 0; c < constraints.length; ++c) {
+                    if (getAttribute(constraints[c], 'name') === 'GetEncoding') {
+                        var allowedValues = getChildElement(constraints[c], 'AllowedValues');
+                        encodings = encodings.concat(getChildTexts(defined(allowedValues) ? allowedValues : constraints[c], 'Value'));
+                    }
+                }
+
+                // KVP is assumed when the encoding isn't given.
+                if (encodings.length === 0) {
+                    encodings.push('KVP');
+                }
+
+                for (var e = 0; e < encodings.length; ++e) {
+                    if (!defined(result[encodings[e]])) {
+                        result[encodings[e]] = href;
+                    }
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Parses the response to a Web Map Tile Service (WMTS) 1.0 GetCapabilities request.  Each tile matrix set in the
+ * result has a `tilingScheme` that describes how its tiles can be drawn, or is undefined if the tile matrix set
+ * does not fit the Web Mercator or geographic tiling schemes used by the map.  The `tilingScheme` has the `type`,
+ * 'web-mercator' or 'geographic', the `tileMatrixLabels` of the tile matrices that can be drawn, and the
+ * `firstLevel`, which is the zoom level of the first of them.
+ *
+ * @param {Document} xml The GetCapabilities response.
+ * @return {Object} The capabilities, with the properties `title`, `abstract`, `providerName`, `getTileUrls` (an
+ *         object with the URL of the GetTile operation for each of the request encodings it supports, 'KVP' and
+ *         'RESTful'), `layers` and `tileMatrixSets` (an object with the tile matrix sets by identifier).
+ */
+var parseWmtsCapabilities = function(xml) {
+    var root = defined(xml.documentElement) ? xml.documentElement : xml;
+    if (!defined(root) || getLocalName(root) !== 'Capabilities') {
+        throw new DeveloperError('The document is not a WMTS GetCapabilities response.');
+    }
+
+    var serviceIdentification = getChildElement(root, 'ServiceIdentification');
+    var serviceProvider = getChildElement(root, 'ServiceProvider');
+
+    var result = {
+        title : defined(serviceIdentification) ? getChildText(serviceIdentification, 'Title') : undefined,
+        abstract : defined(serviceIdentification) ? getChildText(serviceIdentification, 'Abstract') : undefined,
+        providerName : defined(serviceProvider) ? getChildText(serviceProvider, 'ProviderName') : undefined,
+        getTileUrls : parseGetTileUrls(getChildElement(root, 'OperationsMetadata')),
+        layers : [],
+        tileMatrixSets : {}
+    };
+
+    var contents = getChildElement(root, 'Contents');
+    if (!defined(contents)) {
+        return result;
+    }
+
+    var layers = getChildElements(contents, 'Layer');
+    for (var i = 0; i < layers.length; ++i) {
+        result.layers.push(parseLayer(layers[i]));
+    }
+
+    var tileMatrixSets = getChildElements(contents, 'TileMatrixSet');
+    for (var j = 0; j < tileMatrixSets.length; ++j) {
+        var tileMatrixSet = parseTileMatrixSet(tileMatrixSets[j]);
+        result.tileMatrixSets[tileMatrixSet.identifier] = tileMatrixSet;
+    }
+
+    return result;
+};
+
+module.exports = parseWmtsCapabilities;
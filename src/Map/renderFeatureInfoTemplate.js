@@ -0,0 +1,242 @@
+'use strict';
+
+/*global require*/
+
+var defined = require('../../third_party/cesium/Source/Core/defined');
+
+var escapeHtml = require('../Core/escapeHtml');
+
+var tagRegex = /\{\{\{\s*([^}]*?)\s*\}\}\}|\{\{\s*([#\^\/]?)\s*([^}]*?)\s*\}\}/g;
+
+// Splits the template into text, values and sections.  Closing tags that do not match the open section are ignored,
+// and sections that are not closed end with the template, so that a mistake in a template does not hide the feature.
+function parse(template) {
+    var root = {
+        children : []
+    };
+    var stack = [root];
+
+    var lastIndex = 0;
+    var match;
+    tagRegex.lastIndex = 0;
+    while ((match = tagRegex.exec(template)) !== null) {
+        var current = stack[stack.length - 1];
+        if (match.index > lastIndex) {
+            current.children.push(template.substring(lastIndex, match.index));
+        }
+        lastIndex = tagRegex.lastIndex;
+
+        if (defined(match[1])) {
+            current.children.push({
+                type : 'raw',
+                expression : parseExpression(match[1])
+            });
+            continue;
+        }
+
+        var type = match[2];
+        var text = match[3];
+        if (type === '#' || type === '^') {
+            var section = {
+                type : type,
+                name : text,
+                children : []
+            };
+            current.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (stack.length > 1 && current.name === text) {
+                stack.pop();
+            }
+        } else {
+            current.children.push({
+                type : 'value',
+                expression : parseExpression(text)
+            });
+        }
+    }
+
+    if (lastIndex < template.length) {
+        stack[stack.length - 1].children.push(template.substring(lastIndex));
+    }
+
+    return root.children;
+}
+
+// Parses "name|filter:argument|filter".
+function parseExpression(text) {
+    var parts = text.split('|');
+    var filters = [];
+    for (var i = 1; i < parts.length; ++i) {
+        var filter = parts[i];
+        var colon = filter.indexOf(':');
+        filters.push({
+            name : (colon >= 0 ? filter.substring(0, colon) : filter).trim(),
+            argument : colon >= 0 ? filter.substring(colon + 1) : undefined
+        });
+    }
+
+    return {
+        name : parts[0].trim(),
+        filters : filters
+    };
+}
+
+function lookup(contexts, name) {
+    if (name === '.') {
+        return contexts[contexts.length - 1];
+    }
+
+    var path = name.split('.');
+    for (var i = contexts.length - 1; i >= 0; --i) {
+        var context = contexts[i];
+        if (defined(context) && context !== null && typeof context === 'object' && context.hasOwnProperty(path[0])) {
+            var value = context[path[0]];
+            for (var j = 1; j < path.length && defined(value) && value !== null; ++j) {
+                value = value[path[j]];
+            }
+            return value;
+        }
+    }
+
+    return undefined;
+}
+
+function isEmpty(value) {
+    return !defined(value) || value === null || value === false || value === '' ||
+           (value instanceof Array && value.length === 0);
+}
+
+function formatNumber(value, decimals) {
+    var number = typeof value === 'number' ? value : parseFloat(value);
+    if (isNaN(number)) {
+        return String(value);
+    }
+
+    var text = defined(decimals) ? number.toFixed(decimals) : String(number);
+    var parts = text.split('.');
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    return parts.join('.');
+}
+
+function pad(number) {
+    return number < 10 ? '0' + number : String(number);
+}
+
+function formatDate(value, format) {
+    var date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+        return String(value);
+    }
+
+    return format.replace(/YYYY|MM|DD|hh|mm|ss/g, function(token) {
+        switch (token) {
+            case 'YYYY':
+                return String(date.getUTCFullYear());
+            case 'MM':
+                return pad(date.getUTCMonth() + 1);
+            case 'DD':
+                return pad(date.getUTCDate());
+            case 'hh':
+                return pad(date.getUTCHours());
+            case 'mm':
+                return pad(date.getUTCMinutes());
+            default:
+                return pad(date.getUTCSeconds());
+        }
+    });
+}
+
+function toText(value) {
+    if (!defined(value) || value === null) {
+        return '';
+    } else if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// Evaluates an expression to HTML.
+function evaluate(contexts, expression, escape) {
+    var value = lookup(contexts, expression.name);
+    var html;
+    var isHtml = false;
+
+    for (var i = 0; i < expression.filters.length; ++i) {
+        var filter = expression.filters[i];
+        if (!defined(value) || value === null || value === '') {
+            break;
+        }
+
+        if (filter.name === 'number') {
+            value = formatNumber(value, defined(filter.argument) ? parseInt(filter.argument, 10) : undefined);
+        } else if (filter.name === 'date') {
+            value = formatDate(value, defined(filter.argument) ? filter.argument : 'YYYY-MM-DD');
+        } else if (filter.name === 'link') {
+            var text = defined(filter.argument) ? filter.argument : toText(value);
+            html = '<a href="' + escapeHtml(toText(value)) + '" target="_blank">' + escapeHtml(text) + '</a>';
+            isHtml = true;
+            break;
+        }
+    }
+
+    if (isHtml) {
+        return html;
+    }
+    return escape ? escapeHtml(toText(value)) : toText(value);
+}
+
+function render(nodes, contexts) {
+    var html = '';
+    for (var i = 0; i < nodes.length; ++i) {
+        var node = nodes[i];
+        if (typeof node === 'string') {
+            html += node;
+        } else if (node.type === 'value') {
+            html += evaluate(contexts, node.expression, true);
+        } else if (node.type === 'raw') {
+            html += evaluate(contexts, node.expression, false);
+        } else {
+            var value = lookup(contexts, node.name);
+            if (node.type === '^') {
+                if (isEmpty(value)) {
+                    html += render(node.children, contexts);
+                }
+            } else if (value instanceof Array) {
+                for (var j = 0; j < value.length; ++j) {
+                    html += render(node.children, contexts.concat([value[j]]));
+                }
+            } else if (!isEmpty(value)) {
+                html += render(node.children, contexts.concat([value]));
+            }
+        }
+    }
+    return html;
+}
+
+/**
+ * Renders the description of a feature from a Mustache-style template.  `{{name}}` is replaced by the value of the
+ * feature's `name` property, escaped as HTML, and `{{{name}}}` by the value without escaping.  Dots select the
+ * properties of object values, as in `{{address.street}}`.  `{{#name}}...{{/name}}` is included only if the value
+ * is not empty, once for each element of an array or with the properties of an object available inside it, and
+ * `{{^name}}...{{/name}}` is included only if the value is empty.  Values can be formatted with filters:
+ * <ul>
+ * <li>`{{name|number}}` separates the thousands of a number with commas, and `{{name|number:2}}` also rounds it to
+ *     two decimal places.</li>
+ * <li>`{{name|date}}` formats a date as YYYY-MM-DD, and `{{name|date:DD/MM/YYYY hh:mm}}` in another format.  Dates
+ *     are formatted in UTC.</li>
+ * <li>`{{name|link}}` makes a link to the URL in the value, and `{{name|link:More information}}` gives the link
+ *     some text.</li>
+ * </ul>
+ * The result may contain any HTML in the template or in unescaped values, so it must be sanitized before it is
+ * displayed.
+ *
+ * @param {String} template The template.
+ * @param {Object} properties The properties of the feature.
+ * @return {String} The HTML description of the feature.
+ */
+var renderFeatureInfoTemplate = function(template, properties) {
+    return render(parse(template), [defined(properties) && properties !== null ? properties : {}]);
+};
+
+module.exports = renderFeatureInfoTemplate;
@@ -0,0 +1,138 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+// The largest number of distinct values of a text property that are listed in its summary.
+var maximumListedValues = 10;
+
+function getValueType(value) {
+    if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') {
+        return typeof value;
+    }
+    return 'object';
+}
+
+function addGeometryTypes(geometry, geometryTypes) {
+    if (!defined(geometry) || geometry === null) {
+        return;
+    }
+    if (geometry.type === 'GeometryCollection' && defined(geometry.geometries)) {
+        for (var i = 0; i < geometry.geometries.length; ++i) {
+            addGeometryTypes(geometry.geometries[i], geometryTypes);
+        }
+        return;
+    }
+    geometryTypes[geometry.type] = (geometryTypes.hasOwnProperty(geometry.type) ? geometryTypes[geometry.type] : 0) + 1;
+}
+
+/**
+ * Summarises the features of GeoJSON data: how many there are, the types of their geometries, and the type and range
+ * of values of each of their properties.
+ *
+ * @param {Object} geoJson The GeoJSON data, which may be a FeatureCollection, a Feature, or a geometry.
+ * @return {Object} An object with a `featureCount`, a `geometryTypes` object mapping each geometry type to the number
+ *         of geometries of that type, and a `properties` array with an object for each property, in the order in
+ *         which they first appear.  Each property has a `name`, a `type` ('number', 'string', 'boolean', 'object',
+ *         or 'mixed' if its values have different types), the `valueCount` of features that have a value for it, the
+ *         `minimum` and `maximum` of its numeric values, the `distinctValueCount` of its text values and the first
+ *         few of them, in order, as `values`.
+ */
+var summarizeGeoJson = function(geoJson) {
+    if (!defined(geoJson)) {
+        throw new DeveloperError('geoJson is required');
+    }
+
+    var features = summarizeGeoJson.getFeatures(geoJson);
+    var geometryTypes = {};
+    var properties = [];
+    var propertiesByName = {};
+    var distinctValues = {};
+
+    for (var i = 0; i < features.length; ++i) {
+        var feature = features[i];
+        addGeometryTypes(feature.geometry, geometryTypes);
+
+        if (!defined(feature.properties) || feature.properties === null) {
+            continue;
+        }
+
+        for (var name in feature.properties) {
+            if (!feature.properties.hasOwnProperty(name)) {
+                continue;
+            }
+
+            var property = propertiesByName[name];
+            if (!defined(property)) {
+                property = propertiesByName[name] = {
+                    name : name,
+                    type : undefined,
+                    valueCount : 0
+                };
+                properties.push(property);
+                distinctValues[name] = {};
+            }
+
+            var value = feature.properties[name];
+            if (!defined(value) || value === null || value === '') {
+                continue;
+            }
+
+            ++property.valueCount;
+
+            var type = getValueType(value);
+            if (!defined(property.type)) {
+                property.type = type;
+            } else if (property.type !== type) {
+                property.type = 'mixed';
+            }
+
+            if (type === 'number') {
+                property.minimum = defined(property.minimum) ? Math.min(property.minimum, value) : value;
+                property.maximum = defined(property.maximum) ? Math.max(property.maximum, value) : value;
+            } else if (type === 'string') {
+                distinctValues[name][value] = true;
+            }
+        }
+    }
+
+    for (var p = 0; p < properties.length; ++p) {
+        var values = Object.keys(distinctValues[properties[p].name]);
+        if (values.length > 0) {
+            values.sort();
+            properties[p].distinctValueCount = values.length;
+            properties[p].values = values.slice(0, maximumListedValues);
+        }
+    }
+
+    return {
+        featureCount : features.length,
+        geometryTypes : geometryTypes,
+        properties : properties
+    };
+};
+
+/**
+ * Gets the features of GeoJSON data as an array.  A single Feature is returned as an array containing just that
+ * feature, and a geometry as an array containing a feature with that geometry and no properties.
+ *
+ * @param {Object} geoJson The GeoJSON data.
+ * @return {Object[]} The features.
+ */
+summarizeGeoJson.getFeatures = function(geoJson) {
+    if (geoJson.type === 'FeatureCollection') {
+        return defined(geoJson.features) && geoJson.features !== null ? geoJson.features : [];
+    } else if (geoJson.type === 'Feature') {
+        return [geoJson];
+    } else if (defined(geoJson.type)) {
+        return [{
+            type : 'Feature',
+            geometry : geoJson,
+            properties : {}
+        }];
+    }
+    return [];
+};
+
+module.exports = summarizeGeoJson;
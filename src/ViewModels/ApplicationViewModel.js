@@ -6,16 +6,21 @@ var Clock = require('../../third_party/cesium/Source/Core/Clock');
 var DataSourceCollection = require('../../third_party/cesium/Source/DataSources/DataSourceCollection');
 var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
 var FeatureDetection = require('../../third_party/cesium/Source/Core/FeatureDetection');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var loadWithXhr = require('../../third_party/cesium/Source/Core/loadWithXhr');
 var queryToObject = require('../../third_party/cesium/Source/Core/queryToObject');
 var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var CatalogViewModel = require('./CatalogViewModel');
 var corsProxy = require('../Core/corsProxy');
+var describeWorkspaceError = require('../Core/describeWorkspaceError');
+var escapeHtml = require('../Core/escapeHtml');
 var NowViewingViewModel = require('./NowViewingViewModel');
+var RegionMappingRegistry = require('../Map/RegionMappingRegistry');
 var ServicesViewModel = require('./ServicesViewModel');
 var ViewerMode = require('./ViewerMode');
 var ViewModelError = require('./ViewModelError');
@@ -52,6 +57,12 @@ var ApplicationViewModel = function() {
      */
     this.afterViewerChanged = new CesiumEvent();
 
+    /**
+     * Gets or sets the event that is raised when the camera stops moving, in either Cesium or Leaflet.
+     * @type {Event}
+     */
+    this.viewChanged = new CesiumEvent();
+
     /**
      * Gets or sets the collection of Cesium-style data sources that are currently active on the map.
      * @type {DataSourceCollection}
@@ -70,6 +81,14 @@ var ApplicationViewModel = function() {
      */
     this.initialBoundingBox = Rectangle.MAX_VALUE;
 
+    /**
+     * Gets or sets the name of the base map shown under the data, such as 'Bing Maps Aerial With Labels'.  It is
+     * saved with shared views and workspaces, and may be set by the `baseMapName` of an init source.  This property
+     * is observable.
+     * @type {String}
+     */
+    this.baseMapName = 'Bing Maps Aerial With Labels';
+
     /**
      * Gets or sets the {@link corsProxy} used to determine if a URL needs to be proxied and to proxy it if necessary.
      * @type {corsProxy}
@@ -125,7 +144,18 @@ var ApplicationViewModel = function() {
      */
     this.nowViewing = new NowViewingViewModel(this);
 
-    knockout.track(this, ['viewerMode', 'initialBoundingBox']);
+    /**
+     * Gets or sets the URL of the JSON file describing the region types that CSV data can be mapped to.  It is usually specified
+     * by `regionMappingDefinitionsUrl` in config.json, and may be overridden by an init source.
+     * @type {String}
+     */
+    this.regionMappingDefinitionsUrl = 'data/regionMapping.json';
+
+    this._regionMappingRegistry = undefined;
+    this._regionMappingRegistryUrl = undefined;
+    this._workspaceEditTokens = {};
+
+    knockout.track(this, ['viewerMode', 'initialBoundingBox', 'baseMapName']);
 
     // IE versions prior to 10 don't support CORS, so always use the proxy.
     corsProxy.alwaysUseProxy = (FeatureDetection.isInternetExplorer() && FeatureDetection.internetExplorerVersion()[0] < 10);
@@ -139,7 +169,9 @@ var ApplicationViewModel = function() {
  *                                          supplied, is parsed for startup parameters.
  * @param {String} [options.configUrl='config.json'] The URL of the file containing configuration information, such as the list of domains to proxy.
  * @param {Boolean} [options.useApplicationUrlHashAsInitSource=true] true to parse the applicationUrl as an init source.  The hash may be of the form
- *                                                                   'start=???', where ??? is a JSON-encoded initialization object, or it may be
+ *                                                                   'start=???', where ??? is a JSON-encoded initialization object, 'share=???',
+ *                                                                   where ??? is the ID of a share record stored on the server, 'workspace=???',
+ *                                                                   where ??? is the name of a workspace saved on the server, or it may be
  *                                                                   a simple string.  If it's a simple string, a file named 'init_' + hash + '.json'
  *                                                                   will be loaded as the init source.  For example, #vic will load init_vic.json.
  */
@@ -150,6 +182,10 @@ ApplicationViewModel.prototype.start = function(options) {
     return loadJson(options.configUrl).then(function(config) {
         corsProxy.proxyDomains.push.apply(corsProxy.proxyDomains, config.proxyDomains);
 
+        if (defined(config.regionMappingDefinitionsUrl)) {
+            that.regionMappingDefinitionsUrl = config.regionMappingDefinitionsUrl;
+        }
+
         var initializationUrls = config.initializationUrls;
 
         if (defined(initializationUrls)) {
@@ -175,9 +211,174 @@ ApplicationViewModel.prototype.updateApplicationUrl = function(newUrl) {
     var initSources = this.initSources.slice();
     interpretHash(hashProperties, this.userProperties, this.initSources, initSources);
 
+    var that = this;
+    if (defined(hashProperties.share) && hashProperties.share.length > 0) {
+        return loadShareRecord(hashProperties.share).then(function(startData) {
+            addStartDataInitSources(startData, that.initSources, initSources);
+            return loadInitSources(that, initSources);
+        });
+    }
+
+    if (defined(hashProperties.workspace) && hashProperties.workspace.length > 0) {
+        return loadWorkspace(hashProperties.workspace).then(function(startData) {
+            addStartDataInitSources(startData, that.initSources, initSources);
+            return loadInitSources(that, initSources);
+        });
+    }
+
     return loadInitSources(this, initSources);
 };
 
+/**
+ * Creates the start data that restores the current state of the application, which is the init sources from which
+ * the catalog was populated, the catalog members added by the user, the enabled and opened catalog members, the
+ * view and the base map.  The start data is used to share the view and to save workspaces.
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {Rectangle} [options.camera] The rectangle in view.  If it is not specified, the extent currently visible
+ *                    in the Cesium globe or Leaflet map is used.
+ * @param {CatalogMemberViewModel[]} [options.itemsSkippedBecauseTheyHaveLocalData] An array that, if provided, is
+ *        populated on return with the user-added data items that were not included because their local data has not
+ *        been uploaded by {@link CatalogViewModel#uploadLocalData}.
+ * @return {Object} The start data, in the form accepted in the 'start=' hash of the application URL.
+ */
+ApplicationViewModel.prototype.createStartData = function(options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+    var initSources = this.initSources.slice();
+
+    // Add an init source with user-added catalog members.
+    var userAddedCatalog = this.catalog.serializeToJson({
+        userSuppliedOnly: true,
+        skipItemsWithLocalData: true,
+        itemsSkippedBecauseTheyHaveLocalData: options.itemsSkippedBecauseTheyHaveLocalData
+    });
+    if (userAddedCatalog.length > 0) {
+        initSources.push({
+            catalog: userAddedCatalog,
+            catalogIsUserSupplied: true
+        });
+    }
+
+    // Add an init source with the enabled/opened catalog members.
+    var enabledAndOpenedCatalog = this.catalog.serializeToJson({
+        enabledItemsOnly: true,
+        skipItemsWithLocalData: true,
+        serializeForSharing: true
+    });
+    if (enabledAndOpenedCatalog.length > 0) {
+        initSources.push({
+            catalog: enabledAndOpenedCatalog,
+            catalogOnlyUpdatesExistingItems: true
+        });
+    }
+
+    // Add an init source with the camera position and the base map.
+    var initSource = {
+        baseMapName: this.baseMapName
+    };
+
+    var camera = defaultValue(options.camera, this.getCurrentExtent());
+    if (defined(camera)) {
+        initSource.camera = {
+            west: CesiumMath.toDegrees(camera.west),
+            south: CesiumMath.toDegrees(camera.south),
+            east: CesiumMath.toDegrees(camera.east),
+            north: CesiumMath.toDegrees(camera.north)
+        };
+    }
+
+    initSources.push(initSource);
+
+    return {
+        version: '0.0.03',
+        initSources: initSources
+    };
+};
+
+/**
+ * Saves the current state of the application on the server as a named workspace.  The local data of the items the user
+ * has added, such as files from their computer, is uploaded first so that it is restored with the workspace.  The
+ * workspace is restored by opening the application with 'workspace=' and the name in the hash of its URL.
+ * The server gives a new workspace an edit key, which is needed to replace the workspace later.  The edit keys of the
+ * workspaces saved by this application are remembered, so the same workspace can be saved again without one.
+ *
+ * @param {String} name The name of the workspace.
+ * @param {String} [editToken] The edit key of the workspace, if it was saved by another session.
+ * @return {Promise} A promise that resolves to the edit key of the workspace when it is saved, or rejects with a
+ *         {@link ViewModelError} if it could not be saved, such as when a workspace with the same name exists and
+ *         the edit key is not given.
+ */
+ApplicationViewModel.prototype.saveWorkspace = function(name, editToken) {
+    var key = name.toLowerCase();
+    if (!defined(editToken) || editToken.length === 0) {
+        editToken = this._workspaceEditTokens[key];
+    }
+
+    var headers = {
+        'Content-Type': 'application/json'
+    };
+    if (defined(editToken)) {
+        headers['X-Edit-Token'] = editToken;
+    }
+
+    var that = this;
+    return this.catalog.uploadLocalData().then(function() {
+        return loadWithXhr({
+            url: '/workspaces/' + encodeURIComponent(name),
+            method: 'PUT',
+            data: JSON.stringify(that.createStartData()),
+            headers: headers
+        }).then(function(response) {
+            var editToken = JSON.parse(response).editToken;
+            that._workspaceEditTokens[key] = editToken;
+            return editToken;
+        }).otherwise(function(e) {
+            throw new ViewModelError({
+                title: 'Error saving workspace',
+                message: 'An error occurred while saving the workspace ' + escapeHtml(name) + '.  ' + describeWorkspaceError(e) + '\
+<p>This may indicate that there is a problem with your Internet connection.</p>'
+            });
+        });
+    });
+};
+
+/**
+ * Gets the registry of region types that CSV data can be mapped to, loading it from
+ * {@link ApplicationViewModel#regionMappingDefinitionsUrl} if necessary.
+ * @return {Promise} A promise that resolves to the {@link RegionMappingRegistry}.
+ */
+ApplicationViewModel.prototype.getRegionMappingRegistry = function() {
+    if (!defined(this._regionMappingRegistry) || this._regionMappingRegistryUrl !== this.regionMappingDefinitionsUrl) {
+        var that = this;
+        var url = this.regionMappingDefinitionsUrl;
+        this._regionMappingRegistryUrl = url;
+        this._regionMappingRegistry = RegionMappingRegistry.fromUrl(url).otherwise(function() {
+            // Try again next time rather than remembering the failure.
+            that._regionMappingRegistry = undefined;
+            throw new ViewModelError({
+                title: 'Error loading region mapping definitions',
+                message: 'An error occurred while loading the region mapping definitions from ' + url + '.  This may indicate that there is a problem with your Internet connection.'
+            });
+        });
+    }
+    return this._regionMappingRegistry;
+};
+
+/**
+ * Gets the rectangle that is currently visible in the Cesium globe or Leaflet map.
+ * @return {Rectangle} The visible rectangle, or undefined if there is no map or the extent of the view is not well
+ *         defined, for example because the whole globe is visible.
+ */
+ApplicationViewModel.prototype.getCurrentExtent = function() {
+    if (defined(this.cesium)) {
+        return this.cesium.getCurrentExtent();
+    } else if (defined(this.leaflet)) {
+        return this.leaflet.getCurrentExtent();
+    }
+    return undefined;
+};
+
 /**
  * Gets the value of a user property.  If the property doesn't exist, it is created as an observable property with the 
  * value undefined.  This way, if it becomes defined in the future, anyone depending on the value will be notified.
@@ -202,22 +403,10 @@ function interpretHash(hashProperties, userProperties, persistentInitSources, te
                 temporaryInitSources.length = 0;
             }
             else if (property === 'start') {
-                var startData = JSON.parse(propertyValue);
-
-                // Include any initSources specified in the URL.
-                if (defined(startData.initSources)) {
-                    for (var i = 0; i < startData.initSources.length; ++i) {
-                        var initSource = startData.initSources[i];
-                        if (temporaryInitSources.indexOf(initSource) < 0) {
-                            temporaryInitSources.push(initSource);
-
-                            // Only add external files to the application's list of init sources.
-                            if (typeof initSource === 'string' && persistentInitSources.indexOf(initSource) < 0) {
-                                persistentInitSources.push(initSource);
-                            }
-                        }
-                    }
-                }
+                addStartDataInitSources(JSON.parse(propertyValue), persistentInitSources, temporaryInitSources);
+            } else if (property === 'share' || property === 'workspace') {
+                // Share records and workspaces are loaded asynchronously by updateApplicationUrl.
+                continue;
             } else if (defined(propertyValue) && propertyValue.length > 0) {
                 userProperties[property] = propertyValue;
                 knockout.track(userProperties, [property]);
@@ -230,6 +419,42 @@ function interpretHash(hashProperties, userProperties, persistentInitSources, te
     }
 }
 
+function addStartDataInitSources(startData, persistentInitSources, temporaryInitSources) {
+    // Include any initSources specified in the URL.
+    if (defined(startData.initSources)) {
+        for (var i = 0; i < startData.initSources.length; ++i) {
+            var initSource = startData.initSources[i];
+            if (temporaryInitSources.indexOf(initSource) < 0) {
+                temporaryInitSources.push(initSource);
+
+                // Only add external files to the application's list of init sources.
+                if (typeof initSource === 'string' && persistentInitSources.indexOf(initSource) < 0) {
+                    persistentInitSources.push(initSource);
+                }
+            }
+        }
+    }
+}
+
+function loadShareRecord(id) {
+    return loadJson('/get/' + encodeURIComponent(id)).otherwise(function() {
+        throw new ViewModelError({
+            title: 'Error loading shared view',
+            message: 'An error occurred while loading the shared view with ID ' + id + '.  This may indicate that you followed an invalid or expired link or that there is a problem with your Internet connection.'
+        });
+    });
+}
+
+function loadWorkspace(name) {
+    return loadJson('/workspaces/' + encodeURIComponent(name)).otherwise(function(e) {
+        throw new ViewModelError({
+            title: 'Error loading workspace',
+            message: 'An error occurred while loading the workspace ' + escapeHtml(name) + '.  ' + describeWorkspaceError(e) + '\
+<p>This may indicate that no workspace has been saved with this name or that there is a problem with your Internet connection.</p>'
+        });
+    });
+}
+
 function loadInitSources(viewModel, initSources) {
     return when.all(initSources.map(loadInitSource), function(initSources) {
         var i;
@@ -250,6 +475,16 @@ function loadInitSources(viewModel, initSources) {
             if (defined(initSource.camera)) {
                 viewModel.initialBoundingBox = Rectangle.fromDegrees(initSource.camera.west, initSource.camera.south, initSource.camera.east, initSource.camera.north);
             }
+
+            // Likewise for the region mapping definitions.
+            if (defined(initSource.regionMappingDefinitionsUrl)) {
+                viewModel.regionMappingDefinitionsUrl = initSource.regionMappingDefinitionsUrl;
+            }
+
+            // And for the base map.
+            if (defined(initSource.baseMapName)) {
+                viewModel.baseMapName = initSource.baseMapName;
+            }
         }
 
         var promises = [];
@@ -0,0 +1,381 @@
+'use strict';
+
+/*global require,URI*/
+
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var objectToQuery = require('../../third_party/cesium/Source/Core/objectToQuery');
+
+var CatalogItemViewModel = require('./CatalogItemViewModel');
+var escapeHtml = require('../Core/escapeHtml');
+var esriExtentToRectangle = require('../Map/esriExtentToRectangle');
+var esriJsonToGeoJson = require('../Map/esriJsonToGeoJson');
+var GeoJsonItemViewModel = require('./GeoJsonItemViewModel');
+var inherit = require('../Core/inherit');
+var requestGeoJsonMetadata = require('./requestGeoJsonMetadata');
+var ViewModelError = require('./ViewModelError');
+
+/**
+ * A {@link CatalogItemViewModel} representing the features of a layer of an Esri ArcGIS FeatureServer.  The
+ * features are queried from the server a page at a time and drawn by a {@link GeoJsonItemViewModel}.
+ *
+ * @alias ArcGisFeatureServerItemViewModel
+ * @constructor
+ * @extends CatalogItemViewModel
+ *
+ * @param {ApplicationViewModel} application The application.
+ */
+var ArcGisFeatureServerItemViewModel = function(application) {
+    CatalogItemViewModel.call(this, application);
+
+    this._geoJsonViewModel = undefined;
+    this._metadata = undefined;
+    this._hasWarnedOfTruncation = false;
+
+    /**
+     * Gets or sets the URL of the FeatureServer layer, such as 'http://example.com/arcgis/rest/services/Roads/FeatureServer/0'.
+     * This property is observable.
+     * @type {String}
+     */
+    this.url = '';
+
+    /**
+     * Gets or sets the SQL where clause that selects the features to show.  This property is observable.
+     * @type {String}
+     * @default '1=1'
+     */
+    this.where = '1=1';
+
+    /**
+     * Gets or sets the largest number of features to request from the server, or undefined to request all of them.
+     * If the layer has more features than this, only this many are shown and the user is warned that the layer is
+     * incomplete.  This property is observable.
+     * @type {Number}
+     * @default 10000
+     */
+    this.maxFeatures = 10000;
+
+    /**
+     * Gets or sets the number of features to request at a time, or undefined to use the layer's maximum record
+     * count.  This property is observable.
+     * @type {Number}
+     */
+    this.pageSize = undefined;
+
+    knockout.track(this, ['url', 'where', 'maxFeatures', 'pageSize']);
+};
+
+inherit(CatalogItemViewModel, ArcGisFeatureServerItemViewModel);
+
+defineProperties(ArcGisFeatureServerItemViewModel.prototype, {
+    /**
+     * Gets the type of data item represented by this instance.
+     * @memberOf ArcGisFeatureServerItemViewModel.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'esri-featureServer';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'Esri ArcGIS FeatureServer'.
+     * @memberOf ArcGisFeatureServerItemViewModel.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Esri ArcGIS FeatureServer';
+        }
+    },
+
+    /**
+     * Gets the metadata associated with this data source and the server that provided it, if applicable.  The
+     * metadata summarises the features of this item once they are loaded.
+     * @memberOf ArcGisFeatureServerItemViewModel.prototype
+     * @type {MetadataViewModel}
+     */
+    metadata : {
+        get : function() {
+            if (!defined(this._metadata)) {
+                this._metadata = requestGeoJsonMetadata(this);
+            }
+            return this._metadata;
+        }
+    },
+
+    /**
+     * Gets the GeoJSON features of this item, or undefined if the item has not been loaded.
+     * @memberOf ArcGisFeatureServerItemViewModel.prototype
+     * @type {Object[]}
+     */
+    features : {
+        get : function() {
+            return defined(this._geoJsonViewModel) ? this._geoJsonViewModel.features : undefined;
+        }
+    }
+});
+
+ArcGisFeatureServerItemViewModel.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url, this.where, this.maxFeatures, this.pageSize];
+};
+
+ArcGisFeatureServerItemViewModel.prototype._load = function() {
+    this._geoJsonViewModel = new GeoJsonItemViewModel(this.application);
+    this._geoJsonViewModel.name = this.name;
+    this._geoJsonViewModel.featureInfoTemplate = this.featureInfoTemplate;
+    this._geoJsonViewModel.featureInfoProperties = this.featureInfoProperties;
+    this._metadata = undefined;
+    this._hasWarnedOfTruncation = false;
+
+    var that = this;
+    return loadJson(cleanAndProxyUrl(this.application, this.url) + '?f=json').then(function(layerJson) {
+        checkForError(that, layerJson);
+
+        that._geoJsonViewModel.data = loadFeatures(that, layerJson);
+        return that._geoJsonViewModel.load().then(function() {
+            that.rectangle = defaultValue(that._geoJsonViewModel.rectangle, esriExtentToRectangle(layerJson.extent));
+        });
+    });
+};
+
+/**
+ * Moves the camera so that one of the features of this item is visible.
+ *
+ * @param {Object} feature The feature, one of {@link ArcGisFeatureServerItemViewModel#features}.
+ */
+ArcGisFeatureServerItemViewModel.prototype.zoomToFeature = function(feature) {
+    if (defined(this._geoJsonViewModel)) {
+        this._geoJsonViewModel.zoomToFeature(feature);
+    }
+};
+
+ArcGisFeatureServerItemViewModel.prototype._enable = function() {
+    if (defined(this._geoJsonViewModel)) {
+        this._geoJsonViewModel._enable();
+    }
+};
+
+ArcGisFeatureServerItemViewModel.prototype._disable = function() {
+    if (defined(this._geoJsonViewModel)) {
+        this._geoJsonViewModel._disable();
+    }
+};
+
+ArcGisFeatureServerItemViewModel.prototype._show = function() {
+    if (defined(this._geoJsonViewModel)) {
+        this._geoJsonViewModel._show();
+    }
+};
+
+ArcGisFeatureServerItemViewModel.prototype._hide = function() {
+    if (defined(this._geoJsonViewModel)) {
+        this._geoJsonViewModel._hide();
+    }
+};
+
+// ArcGIS servers report most errors with a normal response whose JSON has an error property.
+function checkForError(viewModel, json) {
+    if (!defined(json.error)) {
+        return;
+    }
+
+    var message = defined(json.error.message) ? json.error.message : 'Unknown error';
+    if (defined(json.error.details) && json.error.details.length > 0) {
+        message += ' ' + json.error.details.join(' ');
+    }
+
+    throw new ViewModelError({
+        sender: viewModel,
+        title: 'Layer is not available',
+        message: 'The ArcGIS FeatureServer could not provide ' + escapeHtml(viewModel.name) + ': ' + escapeHtml(message)
+    });
+}
+
+// Requests the layer's features page by page, until there are no more or maxFeatures have been loaded, and
+// combines them into a single FeatureCollection.  Servers that cannot page through query results are asked for
+// the IDs of all matching features first, and then for the features with each page of IDs.
+function loadFeatures(viewModel, layerJson) {
+    var maxFeatures = viewModel.maxFeatures;
+    var pageSize = defaultValue(viewModel.pageSize, defaultValue(layerJson.maxRecordCount, 1000));
+    var supportsPagination = defined(layerJson.advancedQueryCapabilities) && layerJson.advancedQueryCapabilities.supportsPagination === true;
+    var supportsGeoJson = defined(layerJson.supportedQueryFormats) && /geojson/i.test(layerJson.supportedQueryFormats);
+    var features = [];
+
+    function pageCount() {
+        return defined(maxFeatures) ? Math.min(pageSize, maxFeatures - features.length) : pageSize;
+    }
+
+    function addPage(geoJson, total) {
+        for (var i = 0; i < geoJson.features.length; ++i) {
+            features.push(geoJson.features[i]);
+        }
+
+        if (viewModel.isLoading && defined(total) && total > 0) {
+            viewModel.loadingProgress = features.length / total;
+        }
+    }
+
+    function finish(truncated, total) {
+        if (truncated) {
+            warnOfTruncation(viewModel, features.length, total);
+        }
+
+        return {
+            type : 'FeatureCollection',
+            features : features
+        };
+    }
+
+    function loadNextPage() {
+        var count = pageCount();
+        return query(viewModel, supportsGeoJson, {
+            resultOffset : features.length,
+            resultRecordCount : count
+        }).then(function(geoJson) {
+            addPage(geoJson, maxFeatures);
+
+            var hasMore = geoJson.exceededTransferLimit === true || geoJson.features.length >= count;
+            if (!hasMore || geoJson.features.length === 0) {
+                return finish(false);
+            }
+
+            if (!defined(maxFeatures) || features.length < maxFeatures) {
+                return loadNextPage();
+            }
+
+            if (geoJson.exceededTransferLimit === true) {
+                return finish(true);
+            }
+
+            // A full page does not mean that the server has more features, so ask for one more to find out.
+            return query(viewModel, supportsGeoJson, {
+                resultOffset : features.length,
+                resultRecordCount : 1
+            }).then(function(nextPage) {
+                return finish(nextPage.features.length > 0);
+            });
+        });
+    }
+
+    function loadPagesOfIds(objectIds, total) {
+        if (objectIds.length === 0) {
+            return finish(defined(maxFeatures) && total > maxFeatures, total);
+        }
+
+        var count = Math.min(pageCount(), objectIds.length);
+        return query(viewModel, supportsGeoJson, {
+            objectIds : objectIds.slice(0, count).join(',')
+        }).then(function(geoJson) {
+            addPage(geoJson, defined(maxFeatures) ? Math.min(maxFeatures, total) : total);
+            return loadPagesOfIds(objectIds.slice(count), total);
+        });
+    }
+
+    if (supportsPagination) {
+        return loadNextPage();
+    }
+
+    var idsUrl = cleanAndProxyUrl(viewModel.application, viewModel.url) + '/query?' + objectToQuery({
+        f : 'json',
+        where : viewModel.where,
+        returnIdsOnly : true
+    });
+
+    return loadJson(idsUrl).then(function(json) {
+        checkForError(viewModel, json);
+
+        var objectIds = defined(json.objectIds) && json.objectIds !== null ? json.objectIds : [];
+        objectIds.sort(function(a, b) {
+            return a - b;
+        });
+
+        var total = objectIds.length;
+        if (defined(maxFeatures)) {
+            objectIds = objectIds.slice(0, maxFeatures);
+        }
+
+        return loadPagesOfIds(objectIds, total);
+    });
+}
+
+function query(viewModel, asGeoJson, parameters) {
+    var queryParameters = {
+        f : asGeoJson ? 'geojson' : 'json',
+        where : viewModel.where,
+        outFields : '*',
+        outSR : 4326,
+        returnGeometry : true
+    };
+
+    for (var name in parameters) {
+        if (parameters.hasOwnProperty(name)) {
+            queryParameters[name] = parameters[name];
+        }
+    }
+
+    var url = cleanAndProxyUrl(viewModel.application, viewModel.url) + '/query?' + objectToQuery(queryParameters);
+    return loadJson(url).then(function(json) {
+        checkForError(viewModel, json);
+
+        if (asGeoJson) {
+            // Some servers say they support GeoJSON but return a feature set in their own format anyway.
+            if (json.type === 'FeatureCollection') {
+                if (!defined(json.features)) {
+                    json.features = [];
+                }
+                if (defined(json.properties) && json.properties.exceededTransferLimit === true) {
+                    json.exceededTransferLimit = true;
+                }
+                return json;
+            }
+        }
+
+        return esriJsonToGeoJson(json);
+    });
+}
+
+function warnOfTruncation(viewModel, featureCount, total) {
+    if (viewModel._hasWarnedOfTruncation) {
+        return;
+    }
+    viewModel._hasWarnedOfTruncation = true;
+
+    var ofTotal = defined(total) ? ' of the ' + total : '';
+    var reason = defined(viewModel.maxFeatures) && featureCount >= viewModel.maxFeatures ?
+        'because the layer is limited to ' + viewModel.maxFeatures + ' features' :
+        'because the server would not provide any more of them';
+
+    viewModel.application.error.raiseEvent(new ViewModelError({
+        sender: viewModel,
+        title: 'Not all features were loaded',
+        message: '\
+Only ' + featureCount + ofTotal + ' features of ' + escapeHtml(viewModel.name) + ' were loaded, ' + reason + '.  \
+Features that were not loaded are not shown on the map, so the layer may appear incomplete.'
+    }));
+}
+
+function cleanAndProxyUrl(application, url) {
+    return proxyUrl(application, cleanUrl(url));
+}
+
+function cleanUrl(url) {
+    // Strip off the search portion of the URL, and any trailing slash so that operations can be appended
+    var uri = new URI(url);
+    uri.search('');
+    return uri.toString().replace(/\/+$/, '');
+}
+
+function proxyUrl(application, url) {
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+        return application.corsProxy.getURL(url);
+    }
+
+    return url;
+}
+
+module.exports = ArcGisFeatureServerItemViewModel;
@@ -0,0 +1,225 @@
+'use strict';
+
+/*global require,URI*/
+
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var ArcGisMapServerItemViewModel = require('./ArcGisMapServerItemViewModel');
+var CatalogGroupViewModel = require('./CatalogGroupViewModel');
+var esriExtentToRectangle = require('../Map/esriExtentToRectangle');
+var corsProxy = require('../Core/corsProxy');
+var inherit = require('../Core/inherit');
+var ViewModelError = require('./ViewModelError');
+
+/**
+ * A {@link CatalogGroupViewModel} representing the layers of an Esri ArcGIS MapServer.  Each layer listed in the
+ * MapServer's service description becomes an {@link ArcGisMapServerItemViewModel} that shows only that layer.
+ *
+ * @alias ArcGisMapServerGroupViewModel
+ * @constructor
+ * @extends CatalogGroupViewModel
+ *
+ * @param {ApplicationViewModel} application The application.
+ */
+var ArcGisMapServerGroupViewModel = function(application) {
+    CatalogGroupViewModel.call(this, application, 'esri-mapServer-group');
+
+    /**
+     * Gets or sets the URL of the MapServer.  This property is observable.
+     * @type {String}
+     */
+    this.url = '';
+
+    /**
+     * Gets or sets a description of the custodian of the data sources in this group.
+     * This property is an HTML string that must be sanitized before display to the user.
+     * This property is observable.
+     * @type {String}
+     */
+    this.dataCustodian = undefined;
+
+    knockout.track(this, ['url', 'dataCustodian']);
+};
+
+inherit(CatalogGroupViewModel, ArcGisMapServerGroupViewModel);
+
+defineProperties(ArcGisMapServerGroupViewModel.prototype, {
+    /**
+     * Gets the type of data member represented by this instance.
+     * @memberOf ArcGisMapServerGroupViewModel.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'esri-mapServer-group';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'Esri ArcGIS MapServer Group'.
+     * @memberOf ArcGisMapServerGroupViewModel.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Esri ArcGIS MapServer Group';
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMemberViewModel#serializeToJson}.
+     * When a property name on the view-model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the view-model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf ArcGisMapServerGroupViewModel.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return ArcGisMapServerGroupViewModel.defaultSerializers;
+        }
+    }
+});
+
+/**
+ * Gets or sets the set of default serializer functions to use in {@link CatalogMemberViewModel#serializeToJson}.  Types derived from this type
+ * should expose this instance - cloned and modified if necesary - through their {@link CatalogMemberViewModel#serializers} property.
+ * @type {Object}
+ */
+ArcGisMapServerGroupViewModel.defaultSerializers = clone(CatalogGroupViewModel.defaultSerializers);
+
+ArcGisMapServerGroupViewModel.defaultSerializers.items = function(viewModel, json, propertyName, options) {
+    // Only serialize minimal properties in contained items, because other properties are loaded from the service description.
+    var previousSerializeForSharing = options.serializeForSharing;
+    options.serializeForSharing = true;
+
+    // Only serialize enabled items as well, as the WMS and WFS groups do.
+    var previousEnabledItemsOnly = options.enabledItemsOnly;
+    options.enabledItemsOnly = true;
+
+    var result = CatalogGroupViewModel.defaultSerializers.items(viewModel, json, propertyName, options);
+
+    options.enabledItemsOnly = previousEnabledItemsOnly;
+    options.serializeForSharing = previousSerializeForSharing;
+
+    return result;
+};
+
+ArcGisMapServerGroupViewModel.defaultSerializers.isLoading = function(viewModel, json, propertyName, options) {};
+
+freezeObject(ArcGisMapServerGroupViewModel.defaultSerializers);
+
+ArcGisMapServerGroupViewModel.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url];
+};
+
+ArcGisMapServerGroupViewModel.prototype._load = function() {
+    var baseUrl = cleanAndProxyUrl(this.application, this.url);
+
+    var serviceJsonPromise = loadJson(baseUrl + '?f=json');
+
+    // The layers resource describes each layer fully, including its extent, but servers before ArcGIS 10 don't have it.
+    var layersJsonPromise = loadJson(baseUrl + '/layers?f=json').otherwise(function() {
+        return undefined;
+    });
+
+    var that = this;
+    return when.all([serviceJsonPromise, layersJsonPromise], function(results) {
+        var serviceJson = results[0];
+        var layersJson = results[1];
+
+        if (defined(serviceJson.error)) {
+            throw serviceJson.error;
+        }
+
+        var layers = serviceJson.layers;
+        if (defined(layersJson) && defined(layersJson.layers)) {
+            layers = layersJson.layers;
+        }
+
+        if (!defined(layers)) {
+            return;
+        }
+
+        var dataCustodian = that.dataCustodian;
+        if (!defined(dataCustodian) && defined(serviceJson.copyrightText) && serviceJson.copyrightText.length > 0) {
+            dataCustodian = serviceJson.copyrightText;
+        }
+
+        for (var i = 0; i < layers.length; ++i) {
+            that.items.push(createMapServerDataSource(that, serviceJson, layers[i], dataCustodian));
+        }
+    }).otherwise(function(e) {
+        throw new ViewModelError({
+            sender: that,
+            title: 'Group is not available',
+            message: '\
+An error occurred while requesting the layers of the ArcGIS MapServer.  ' + corsProxy.describeError(e) + '\
+<p>If you entered the link manually, please verify that the link is correct.</p>\
+<p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
+server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
+please contact the administrator of the server and ask them to enable CORS.  Or, contact the National \
+Map team by emailing <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a> \
+and ask us to add this server to the list of non-CORS-supporting servers that may be proxied by \
+National Map itself.</p>\
+<p>If you did not enter this link manually, this error may indicate that the group you opened is temporarily unavailable or there is a \
+problem with your internet connection.  Try opening the group again, and if the problem persists, please report it by \
+sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.</p>'
+        });
+    });
+};
+
+function createMapServerDataSource(viewModel, serviceJson, layer, dataCustodian) {
+    var result = new ArcGisMapServerItemViewModel(viewModel.application);
+
+    result.name = layer.name;
+    result.dataCustodian = dataCustodian;
+    result.url = viewModel.url;
+    result.layers = layer.id.toString();
+
+    result.description = '';
+
+    var viewModelHasDescription = defined(viewModel.description) && viewModel.description.length > 0;
+    var layerHasDescription = defined(layer.description) && layer.description.length > 0;
+
+    if (viewModelHasDescription) {
+        result.description += viewModel.description;
+    }
+
+    if (viewModelHasDescription && layerHasDescription) {
+        result.description += '<br/>';
+    }
+
+    if (layerHasDescription) {
+        result.description += layer.description;
+    }
+
+    var rectangle = esriExtentToRectangle(layer.extent);
+    if (!defined(rectangle)) {
+        rectangle = esriExtentToRectangle(serviceJson.fullExtent);
+    }
+    result.rectangle = rectangle;
+
+    return result;
+}
+
+function cleanAndProxyUrl(application, url) {
+    // Strip off the search portion of the URL, and any trailing slash so that resources can be appended
+    var uri = new URI(url);
+    uri.search('');
+
+    var cleanedUrl = uri.toString().replace(/\/+$/, '');
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(cleanedUrl)) {
+        cleanedUrl = application.corsProxy.getURL(cleanedUrl, '1d');
+    }
+
+    return cleanedUrl;
+}
+
+module.exports = ArcGisMapServerGroupViewModel;
@@ -3,12 +3,20 @@
 /*global require,L,URI*/
 
 var ArcGisMapServerImageryProvider = require('../../third_party/cesium/Source/Scene/ArcGisMapServerImageryProvider');
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var clone = require('../../third_party/cesium/Source/Core/clone');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
 var ImageryLayer = require('../../third_party/cesium/Source/Scene/ImageryLayer');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadImage = require('../../third_party/cesium/Source/Core/loadImage');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var objectToQuery = require('../../third_party/cesium/Source/Core/objectToQuery');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
+var esriJsonToGeoJson = require('../Map/esriJsonToGeoJson');
 var ImageryLayerItemViewModel = require('./ImageryLayerItemViewModel');
 var inherit = require('../Core/inherit');
 
@@ -18,19 +26,51 @@ var inherit = require('../Core/inherit');
  * @alias ArcGisMapServerItemViewModel
  * @constructor
  * @extends ImageryLayerItemViewModel
- * 
+ *
  * @param {ApplicationViewModel} application The application.
  */
 var ArcGisMapServerItemViewModel = function(application) {
     ImageryLayerItemViewModel.call(this, application);
 
+    this._legendUrl = undefined;
+    this._legendGraphic = undefined;
+
     /**
-     * Gets or sets the URL of the WMS server.  This property is observable.
+     * Gets or sets the URL of the MapServer.  This property is observable.
      * @type {String}
      */
     this.url = '';
 
-    knockout.track(this, ['url']);
+    /**
+     * Gets or sets the comma-separated IDs of the MapServer layers to show, such as '0,3'.  If this property is
+     * undefined or empty, all layers are shown.  This property is observable.
+     * @type {String}
+     */
+    this.layers = undefined;
+
+    /**
+     * Gets or sets a value indicating whether features in this layer can be picked by clicking on them, which
+     * invokes the MapServer's identify operation.  This property is observable.
+     * @type {Boolean}
+     * @default true
+     */
+    this.allowFeaturePicking = true;
+
+    knockout.track(this, ['_legendUrl', '_legendGraphic', 'url', 'layers', 'allowFeaturePicking']);
+
+    // The legend is drawn from the MapServer's legend if a legendUrl is not explicitly specified.
+    delete this.__knockoutObservables.legendUrl;
+    knockout.defineProperty(this, 'legendUrl', {
+        get : function() {
+            if (defined(this._legendUrl)) {
+                return this._legendUrl;
+            }
+            return this._legendGraphic;
+        },
+        set : function(value) {
+            this._legendUrl = value;
+        }
+    });
 };
 
 inherit(ImageryLayerItemViewModel, ArcGisMapServerItemViewModel);
@@ -56,9 +96,109 @@ defineProperties(ArcGisMapServerItemViewModel.prototype, {
         get : function() {
             return 'Esri ArcGIS MapServer';
         }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMemberViewModel#serializeToJson}.
+     * When a property name on the view-model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the view-model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf ArcGisMapServerItemViewModel.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return ArcGisMapServerItemViewModel.defaultSerializers;
+        }
     }
 });
 
+ArcGisMapServerItemViewModel.defaultSerializers = clone(ImageryLayerItemViewModel.defaultSerializers);
+
+// Serialize the underlying property instead of the public view of it, so that a legend drawn from the
+// MapServer's legend is not saved.
+ArcGisMapServerItemViewModel.defaultSerializers.legendUrl = function(viewModel, json, propertyName) {
+    json.legendUrl = viewModel._legendUrl;
+};
+freezeObject(ArcGisMapServerItemViewModel.defaultSerializers);
+
+ArcGisMapServerItemViewModel.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url, this.layers];
+};
+
+ArcGisMapServerItemViewModel.prototype._load = function() {
+    this._legendGraphic = undefined;
+
+    if (defined(this._legendUrl)) {
+        return when();
+    }
+
+    var that = this;
+    var url = cleanAndProxyUrl(this.application, this.url) + '/legend?f=json';
+    return loadJson(url).then(function(json) {
+        return createLegendGraphic(that, json);
+    }).then(function(legendGraphic) {
+        that._legendGraphic = legendGraphic;
+    }).otherwise(function() {
+        // Older servers have no legend operation, and the layer is still usable without one.
+    });
+};
+
+/**
+ * Finds the features of this layer at a location by invoking the MapServer's identify operation.  The size and
+ * extent of the view in which the location was picked determine how close to a feature the location must be.
+ * @param {Object} options The location and the view in which it was picked, as described in {@link CatalogItemViewModel#pickFeatures}.
+ *        The `x` and `y` properties are not needed.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection of the features at the location, or undefined if
+ *         {@link ArcGisMapServerItemViewModel#allowFeaturePicking} is false.  Each feature has `layerId` and
+ *         `layerName` properties in addition to its attributes, and a `name` property with its display field value.
+ */
+ArcGisMapServerItemViewModel.prototype.pickFeatures = function(options) {
+    if (!this.allowFeaturePicking) {
+        return undefined;
+    }
+
+    var rectangle = options.rectangle;
+    var query = {
+        f : 'json',
+        geometryType : 'esriGeometryPoint',
+        geometry : CesiumMath.toDegrees(options.longitude) + ',' + CesiumMath.toDegrees(options.latitude),
+        sr : 4326,
+        layers : hasLayers(this) ? 'visible:' + this.layers : 'visible',
+        tolerance : 3,
+        mapExtent : [
+            CesiumMath.toDegrees(rectangle.west),
+            CesiumMath.toDegrees(rectangle.south),
+            CesiumMath.toDegrees(rectangle.east),
+            CesiumMath.toDegrees(rectangle.north)
+        ].join(','),
+        imageDisplay : options.width + ',' + options.height + ',96',
+        returnGeometry : true
+    };
+
+    var url = cleanAndProxyUrl(this.application, this.url) + '/identify?' + objectToQuery(query);
+    return loadJson(url).then(function(json) {
+        var results = defined(json.results) ? json.results : [];
+        var features = [];
+        for (var i = 0; i < results.length; ++i) {
+            var result = results[i];
+            features.push({
+                type : 'Feature',
+                name : defined(result.value) ? result.value : result.layerName,
+                layerId : result.layerId,
+                layerName : result.layerName,
+                properties : defined(result.attributes) ? result.attributes : {},
+                geometry : esriJsonToGeoJson.convertGeometry(result.geometry)
+            });
+        }
+
+        return {
+            type : 'FeatureCollection',
+            features : features
+        };
+    });
+};
+
 ArcGisMapServerItemViewModel.prototype._enableInCesium = function() {
     if (defined(this._imageryLayer)) {
         throw new DeveloperError('This data source is already enabled.');
@@ -67,9 +207,17 @@ ArcGisMapServerItemViewModel.prototype._enableInCesium = function() {
     var scene = this.application.cesium.scene;
 
     var imageryProvider = new ArcGisMapServerImageryProvider({
-        url : cleanAndProxyUrl(this.application, this.url)
+        url : cleanAndProxyUrl(this.application, this.url),
+        layers : hasLayers(this) ? this.layers : undefined,
+        // The pre-cached tiles show every layer, so they can't be used to show only some of them.
+        usePreCachedTilesIfAvailable : !hasLayers(this)
     });
 
+    // Features are picked by pickFeatures and shown in the feature info panel instead of the info box.
+    imageryProvider.pickFeatures = function() {
+        return undefined;
+    };
+
     this._imageryLayer = new ImageryLayer(imageryProvider, {
         show: false,
         alpha : this.opacity
@@ -105,7 +253,13 @@ ArcGisMapServerItemViewModel.prototype._enableInLeaflet = function() {
         // See comment in _enableInCesium for an explanation of why we don't.
     };
 
-    this._imageryLayer = new L.esri.tiledMapLayer(cleanAndProxyUrl(this.application, this.url), options);
+    if (hasLayers(this)) {
+        // Tiles from the MapServer's cache show every layer, so draw just the chosen ones with export instead.
+        options.layers = getLayerIds(this);
+        this._imageryLayer = new L.esri.dynamicMapLayer(cleanAndProxyUrl(this.application, this.url), options);
+    } else {
+        this._imageryLayer = new L.esri.tiledMapLayer(cleanAndProxyUrl(this.application, this.url), options);
+    }
 };
 
 ArcGisMapServerItemViewModel.prototype._disableInLeaflet = function() {
@@ -116,15 +270,113 @@ ArcGisMapServerItemViewModel.prototype._disableInLeaflet = function() {
     this._imageryLayer = undefined;
 };
 
+function hasLayers(viewModel) {
+    return defined(viewModel.layers) && viewModel.layers.length > 0;
+}
+
+function getLayerIds(viewModel) {
+    var ids = viewModel.layers.split(',');
+    var result = [];
+    for (var i = 0; i < ids.length; ++i) {
+        var id = parseInt(ids[i], 10);
+        if (!isNaN(id)) {
+            result.push(id);
+        }
+    }
+    return result;
+}
+
+// Draws the entries of the MapServer's legend for this item's layers into a single image, and returns a promise
+// for the image's data URL.  The promise resolves to undefined if the legend is empty.
+function createLegendGraphic(viewModel, json) {
+    if (!defined(json.layers)) {
+        return undefined;
+    }
+
+    var layerIds = hasLayers(viewModel) ? getLayerIds(viewModel) : undefined;
+    var legendLayers = [];
+    var i;
+    for (i = 0; i < json.layers.length; ++i) {
+        var layer = json.layers[i];
+        if (defined(layer.legend) && layer.legend.length > 0 && (!defined(layerIds) || layerIds.indexOf(layer.layerId) >= 0)) {
+            legendLayers.push(layer);
+        }
+    }
+
+    if (legendLayers.length === 0) {
+        return undefined;
+    }
+
+    var baseUrl = cleanAndProxyUrl(viewModel.application, viewModel.url);
+    var imagePromises = [];
+    for (i = 0; i < legendLayers.length; ++i) {
+        var legend = legendLayers[i].legend;
+        for (var j = 0; j < legend.length; ++j) {
+            var entry = legend[j];
+            var imageUrl;
+            if (defined(entry.imageData)) {
+                imageUrl = 'data:' + entry.contentType + ';base64,' + entry.imageData;
+            } else {
+                imageUrl = baseUrl + '/' + legendLayers[i].layerId + '/images/' + entry.url;
+            }
+            imagePromises.push(loadImage(imageUrl));
+        }
+    }
+
+    return when.all(imagePromises, function(images) {
+        var canvas = document.createElement('canvas');
+        if (!defined(canvas)) {
+            return undefined;
+        }
+
+        var showLayerNames = legendLayers.length > 1;
+        var rowHeight = 25;
+        var rows = 0;
+        for (var i = 0; i < legendLayers.length; ++i) {
+            rows += legendLayers[i].legend.length + (showLayerNames ? 1 : 0);
+        }
+
+        var w = canvas.width = 250;
+        var h = canvas.height = 10 + rows * rowHeight;
+        var ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, w, h);
+        ctx.font = '14px Arial Narrow';
+        ctx.fillStyle = '#000000';
+
+        var y = 5;
+        var imageIndex = 0;
+        for (i = 0; i < legendLayers.length; ++i) {
+            if (showLayerNames) {
+                ctx.fillText(legendLayers[i].layerName, 5, y + rowHeight - 8);
+                y += rowHeight;
+            }
+
+            var legend = legendLayers[i].legend;
+            for (var j = 0; j < legend.length; ++j) {
+                var image = images[imageIndex++];
+                var imageWidth = Math.min(image.width, 40);
+                var imageHeight = Math.min(image.height, rowHeight - 5);
+                ctx.drawImage(image, 5, y, imageWidth, imageHeight);
+                ctx.fillText(defined(legend[j].label) && legend[j].label.length > 0 ? legend[j].label : legendLayers[i].layerName, 55, y + rowHeight - 8);
+                y += rowHeight;
+            }
+        }
+
+        return canvas.toDataURL('image/png');
+    });
+}
+
 function cleanAndProxyUrl(application, url) {
     return proxyUrl(application, cleanUrl(url));
 }
 
 function cleanUrl(url) {
-    // Strip off the search portion of the URL
+    // Strip off the search portion of the URL, and any trailing slash so that operations can be appended
     var uri = new URI(url);
     uri.search('');
-    return uri.toString();
+    return uri.toString().replace(/\/+$/, '');
 }
 
 function proxyUrl(application, url) {
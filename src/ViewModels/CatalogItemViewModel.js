@@ -2,9 +2,9 @@
 
 /*global require,ga,$*/
 
-var CameraFlightPath = require('../../third_party/cesium/Source/Scene/CameraFlightPath');
 var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
 var clone = require('../../third_party/cesium/Source/Core/clone');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
@@ -14,12 +14,14 @@ var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var arraysAreEqual = require('../Core/arraysAreEqual');
+var escapeHtml = require('../Core/escapeHtml');
 var MetadataViewModel = require('./MetadataViewModel');
 var CatalogMemberViewModel = require('./CatalogMemberViewModel');
 var inherit = require('../Core/inherit');
 var raiseErrorOnRejectedPromise = require('./raiseErrorOnRejectedPromise');
-var rectangleToLatLngBounds = require('../Map/rectangleToLatLngBounds');
+var renderFeatureInfoTemplate = require('../Map/renderFeatureInfoTemplate');
 var runLater = require('../Core/runLater');
+var zoomToRectangle = require('./zoomToRectangle');
 
 /**
  * A data item in a {@link CatalogGroupViewModel}.
@@ -39,6 +41,7 @@ var CatalogItemViewModel = function(application) {
     this._loadForEnablePromise = undefined;
     this._loadingPromise = undefined;
     this._lastLoadInfluencingValues = undefined;
+    this._isLoadCanceled = false;
 
     /**
      * The index of the item in the Now Viewing list.  Setting this property does not automatically change the order.
@@ -131,9 +134,45 @@ var CatalogItemViewModel = function(application) {
      */
     this.isLoading = false;
 
+    /**
+     * Gets or sets the fraction of the load that has been completed, between 0.0 and 1.0, while
+     * {@link CatalogItemViewModel#isLoading} is true.  It is undefined if the progress of the load is not known.
+     * This property is observable.
+     * @type {Number}
+     */
+    this.loadingProgress = undefined;
+
+    /**
+     * Gets or sets a Mustache-style template for the HTML description of each feature of this data item that is
+     * shown in the feature info panel and the info box, as described in {@link renderFeatureInfoTemplate}.  If this
+     * property is undefined, features are described by a table of their properties.  The HTML is sanitized before
+     * it is displayed.  This property is observable.
+     * @type {String}
+     */
+    this.featureInfoTemplate = undefined;
+
+    /**
+     * Gets or sets the names with which properties of features are shown in the table that describes each feature
+     * when there is no {@link CatalogItemViewModel#featureInfoTemplate}.  Each property of this object is the
+     * name of a property of the features, and its value is the name to show instead, or false to hide the property.
+     * For example, { SA2_MAIN11 : 'SA2 code', OBJECTID : false }.  This property is observable.
+     * @type {Object}
+     */
+    this.featureInfoProperties = undefined;
+
+    /**
+     * Gets or sets the URL of a copy of this data item's local `data`, such as a file the user added from their
+     * computer, that has been uploaded to the server by {@link CatalogViewModel#uploadLocalData}.  When this
+     * property is set, the item is serialized with this URL in place of its data, so that it can be shared and
+     * saved in a workspace.  This property is observable.
+     * @type {String}
+     */
+    this.uploadedDataUrl = undefined;
+
     knockout.track(this, ['rectangle', 'legendUrl', 'dataUrlType', 'dataUrl', 'dataCustodian',
                           'metadataUrl', 'isEnabled', 'isShown', 'isLegendVisible', 'clock',
-                          'isLoading']);
+                          'isLoading', 'loadingProgress', 'featureInfoTemplate', 'featureInfoProperties',
+                          'uploadedDataUrl']);
 
     knockout.getObservable(this, 'isEnabled').subscribe(function(newValue) {
         isEnabledChanged(this);
@@ -296,6 +335,22 @@ CatalogItemViewModel.defaultSerializers.rectangle = function(viewModel, json, pr
     }
 };
 
+
+// An item whose local data has been uploaded is serialized as the URL of the uploaded copy instead of its data.
+CatalogItemViewModel.defaultSerializers.url = function(viewModel, json, propertyName) {
+    if (defined(viewModel.data) && defined(viewModel.uploadedDataUrl)) {
+        json.url = viewModel.uploadedDataUrl;
+    } else {
+        json.url = viewModel.url;
+    }
+};
+CatalogItemViewModel.defaultSerializers.data = function(viewModel, json, propertyName) {
+    if (!defined(viewModel.uploadedDataUrl)) {
+        json.data = viewModel.data;
+    }
+};
+CatalogItemViewModel.defaultSerializers.uploadedDataUrl = function(viewModel, json, propertyName) {};
+
 freezeObject(CatalogItemViewModel.defaultSerializers);
 
 /**
@@ -354,11 +409,20 @@ CatalogItemViewModel.prototype.load = function() {
     }).then(function() {
         that._loadingPromise = undefined;
         that.isLoading = false;
+        that.loadingProgress = undefined;
+
+        if (that._isLoadCanceled) {
+            // Nothing was loaded, so load again next time.
+            that._isLoadCanceled = false;
+            that._lastLoadInfluencingValues = undefined;
+        }
     }).otherwise(function(e) {
         that._lastLoadInfluencingValues = undefined;
         that._loadingPromise = undefined;
+        that._isLoadCanceled = false;
         that.isEnabled = false;
         that.isLoading = false;
+        that.loadingProgress = undefined;
         throw e;
     });
 
@@ -375,6 +439,18 @@ CatalogItemViewModel.prototype._load = function() {
     return when();
 };
 
+/**
+ * When implemented in a derived class, this method stops the load in progress, if possible.  It is called when the item
+ * is disabled before it finishes loading.  If the load is stopped, the promise returned by
+ * {@link CatalogItemViewModel#_load} should resolve, and the item will be loaded again the next time it is enabled.
+ * The base class implementation does nothing.
+ * @return {Boolean} true if the load was stopped; otherwise, false.
+ * @protected
+ */
+CatalogItemViewModel.prototype._cancelLoad = function() {
+    return false;
+};
+
 var emptyArray = freezeObject([]);
 
 /**
@@ -423,8 +499,6 @@ CatalogItemViewModel.prototype.toggleLegendVisible = function() {
     return this.isLegendVisible;
 };
 
-var scratchRectangle = new Rectangle();
-
 /**
  * Moves the camera so that the item's bounding rectangle is visible.  If {@link CatalogItemViewModel#rectangle} is
  * undefined or covers more than about half the world in the longitude direction, or if the data item is not enabled
@@ -446,32 +520,7 @@ var scratchRectangle = new Rectangle();
 
         ga('send', 'event', 'dataSource', 'zoomTo', that.name);
 
-        var epsilon = CesiumMath.EPSILON3;
-
-        var rect = Rectangle.clone(that.rectangle, scratchRectangle);
-
-        if (rect.east - rect.west < epsilon) {
-            rect.east += epsilon;
-            rect.west -= epsilon;
-        }
-
-        if (rect.north - rect.south < epsilon) {
-            rect.north += epsilon;
-            rect.south -= epsilon;
-        }
-
-        var application = that.application;
-
-        if (defined(application.cesium)) {
-            var flight = CameraFlightPath.createTweenRectangle(application.cesium.scene, {
-                destination : rect
-            });
-            application.cesium.scene.tweens.add(flight);
-        }
-
-        if (defined(application.leaflet)) {
-            application.leaflet.map.fitBounds(rectangleToLatLngBounds(rect));
-        }
+        zoomToRectangle(that.application, that.rectangle);
     });
 };
 
@@ -517,6 +566,66 @@ CatalogItemViewModel.prototype.zoomToAndUseClock = function() {
     return when.all([this.zoomTo(), this.useClock()]);
 };
 
+/**
+ * When implemented in a derived class, finds the features of this item at a location that the user picked on the
+ * 2D map, usually by querying the server that provides the item.  The base class implementation returns undefined,
+ * which indicates that the item's features cannot be picked.
+ * @param {Object} options The location and the view in which it was picked.
+ * @param {Number} options.longitude The longitude of the location, in radians.
+ * @param {Number} options.latitude The latitude of the location, in radians.
+ * @param {Rectangle} options.rectangle The extent of the view.
+ * @param {Number} options.width The width of the view, in pixels.
+ * @param {Number} options.height The height of the view, in pixels.
+ * @param {Number} options.x The horizontal position of the location in the view, in pixels from the left.
+ * @param {Number} options.y The vertical position of the location in the view, in pixels from the top.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection of the features at the location, or undefined if
+ *         the item's features cannot be picked.  A feature may have a `name` property in addition to its GeoJSON
+ *         properties, to be used as its title.
+ */
+CatalogItemViewModel.prototype.pickFeatures = function(options) {
+    return undefined;
+};
+
+/**
+ * Describes one of the features of this data item as HTML, with the {@link CatalogItemViewModel#featureInfoTemplate}
+ * if there is one, and otherwise with a table of the feature's properties named and hidden according to
+ * {@link CatalogItemViewModel#featureInfoProperties}.  The HTML must be sanitized before it is displayed.
+ * @param {Object} properties The properties of the feature.
+ * @return {String} The HTML description of the feature.
+ */
+CatalogItemViewModel.prototype.describeFeature = function(properties) {
+    if (defined(this.featureInfoTemplate)) {
+        return renderFeatureInfoTemplate(this.featureInfoTemplate, properties);
+    }
+
+    var names = defaultValue(this.featureInfoProperties, defaultValue.EMPTY_OBJECT);
+    var shown = {};
+    for (var key in properties) {
+        if (properties.hasOwnProperty(key) && names[key] !== false) {
+            shown[typeof names[key] === 'string' ? names[key] : key] = properties[key];
+        }
+    }
+    return describeProperties(shown);
+};
+
+function describeProperties(properties) {
+    var html = '<table class="cesium-infoBox-defaultTable">';
+    for (var key in properties) {
+        if (properties.hasOwnProperty(key)) {
+            var value = properties[key];
+            if (defined(value) && value !== null) {
+                if (typeof value === 'object') {
+                    html += '<tr><td>' + escapeHtml(key) + '</td><td>' + describeProperties(value) + '</td></tr>';
+                } else {
+                    html += '<tr><td>' + escapeHtml(key) + '</td><td>' + escapeHtml(value) + '</td></tr>';
+                }
+            }
+        }
+    }
+    html += '</table>';
+    return html;
+}
+
 /**
  * Enables this data item on the globe or map.  This method:
  * * Should not be called directly.  Instead, set the {@link CatalogItemViewModel#isEnabled} property to true.
@@ -711,7 +820,7 @@ function isEnabledChanged(viewModel) {
             var resolvedOrRejected = false;
 
             var loadPromise = when(viewModel.load(), function() {
-                if (viewModel.isEnabled) {
+                if (viewModel.isEnabled && defined(viewModel._lastLoadInfluencingValues)) {
                     viewModel._enable();
                 }
             });
@@ -738,6 +847,12 @@ function isEnabledChanged(viewModel) {
         // actually gone through.
         if (!defined(viewModel._loadForEnablePromise)) {
             viewModel._disable();
+        } else if (viewModel.isLoading) {
+            // Set the flag first in case the load finishes as soon as it is canceled.
+            viewModel._isLoadCanceled = true;
+            if (!viewModel._cancelLoad()) {
+                viewModel._isLoadCanceled = false;
+            }
         }
 
         application.nowViewing.remove(viewModel);
@@ -203,7 +203,8 @@ CatalogMemberViewModel.prototype.updateFromJson = function(json, options) {
  *        all of the data items that were not serialized because they were not enabled.  The array will be empty if
  *        options.enabledItemsOnly is false.
  * @param {Boolean} [options.skipItemsWithLocalData=false] true if items with a serializable 'data' property should be skipped entirely.
- *                  This is useful to avoid creating a JSON data structure with potentially very large embedded data.
+ *                  This is useful to avoid creating a JSON data structure with potentially very large embedded data.  Items
+ *                  whose data has been uploaded, as given by {@link CatalogItemViewModel#uploadedDataUrl}, are not skipped.
  * @param {CatalogMemberViewModel[]} [options.itemsSkippedBecauseTheyHaveLocalData] An array that, if provided, is populated on return
  *        with all of the data items that were not serialized because they have a serializable 'data' property.  The array will be empty
  *        if options.skipItemsWithLocalData is false.
@@ -233,7 +234,7 @@ CatalogMemberViewModel.prototype.serializeToJson = function(options) {
         return undefined;
     }
 
-    if (defaultValue(options.skipItemsWithLocalData, false) && defined(this.data)) {
+    if (defaultValue(options.skipItemsWithLocalData, false) && defined(this.data) && !defined(this.uploadedDataUrl)) {
         if (defined(options.itemsSkippedBecauseTheyHaveLocalData)) {
             options.itemsSkippedBecauseTheyHaveLocalData.push(this);
         }
@@ -7,11 +7,15 @@ var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadWithXhr = require('../../third_party/cesium/Source/Core/loadWithXhr');
 var RuntimeError = require('../../third_party/cesium/Source/Core/RuntimeError');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var createCatalogMemberFromType = require('./createCatalogMemberFromType');
 var CatalogGroupViewModel = require('./CatalogGroupViewModel');
+var describeWorkspaceError = require('../Core/describeWorkspaceError');
+var escapeHtml = require('../Core/escapeHtml');
+var ViewModelError = require('./ViewModelError');
 
 /**
  * The view model for the geospatial data catalog.
@@ -153,7 +157,8 @@ CatalogViewModel.prototype.updateFromJson = function(json, options) {
  *        all of the data items that were not serialized because they were not enabled.  The array will be empty if
  *        options.enabledItemsOnly is false.
  * @param {Boolean} [options.skipItemsWithLocalData=false] true if items with a serializable 'data' property should be skipped entirely.
- *                  This is useful to avoid creating a JSON data structure with potentially very large embedded data.
+ *                  This is useful to avoid creating a JSON data structure with potentially very large embedded data.  Items
+ *                  whose data has been uploaded, as given by {@link CatalogItemViewModel#uploadedDataUrl}, are not skipped.
  * @param {CatalogMemberViewModel[]} [options.itemsSkippedBecauseTheyHaveLocalData] An array that, if provided, is populated on return
  *        with all of the data items that were not serialized because they have a serializable 'data' property.  The array will be empty
  *        if options.skipItemsWithLocalData is false.
@@ -173,4 +178,56 @@ CatalogViewModel.prototype.serializeToJson = function(options) {
     return json.items;
 };
 
+/**
+ * Uploads the local data of the items the user has added to the catalog, such as files from their computer, to the
+ * server, so that the items can be shared and saved in workspaces.  The {@link CatalogItemViewModel#uploadedDataUrl}
+ * of each item is set to the URL of its uploaded copy.  Items whose data has already been uploaded are skipped.
+ *
+ * @return {Promise} A promise that resolves when all of the data is uploaded, or rejects with a {@link ViewModelError}
+ *         if some of it could not be uploaded.
+ */
+CatalogViewModel.prototype.uploadLocalData = function() {
+    var items = [];
+    findItemsWithLocalData(this.group, items);
+
+    return when.all(items.map(uploadItemData));
+};
+
+function findItemsWithLocalData(group, items) {
+    for (var i = 0; i < group.items.length; ++i) {
+        var member = group.items[i];
+        if (defined(member.items)) {
+            findItemsWithLocalData(member, items);
+        } else if (member.isUserSupplied && defined(member.data) && !defined(member.uploadedDataUrl)) {
+            items.push(member);
+        }
+    }
+}
+
+function uploadItemData(item) {
+    // The server keeps the name of the file in its URL, so that its format is still recognised from its extension.
+    var filename = defaultValue(item.dataSourceUrl, item.name);
+    filename = filename.substring(filename.lastIndexOf('/') + 1);
+
+    return when(item.data, function(data) {
+        if (!(data instanceof Blob) && typeof data !== 'string') {
+            data = JSON.stringify(data);
+        }
+
+        return loadWithXhr({
+            url : '/workspaces/files/' + encodeURIComponent(filename),
+            method : 'POST',
+            data : data
+        });
+    }).then(function(response) {
+        item.uploadedDataUrl = JSON.parse(response).url;
+    }).otherwise(function(e) {
+        throw new ViewModelError({
+            sender : item,
+            title : 'Unable to upload data',
+            message : 'An error occurred while uploading ' + escapeHtml(item.name) + ' to the National Map server.  ' + describeWorkspaceError(e)
+        });
+    });
+}
+
 module.exports = CatalogViewModel;
@@ -1,5 +1,13 @@
 'use strict';
 
+/*global require*/
+var Cartesian2 = require('../../third_party/cesium/Source/Core/Cartesian2');
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+var Matrix4 = require('../../third_party/cesium/Source/Core/Matrix4');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+
 var CesiumViewModel = function(application, viewer) {
     /**
      * Gets or sets the Cesium {@link Viewer} instance.
@@ -12,6 +20,53 @@ var CesiumViewModel = function(application, viewer) {
      * @type {Scene}
      */
     this.scene = viewer.scene;
+
+    // Raise the application's viewChanged event on the first frame after the camera stops moving.
+    var lastViewMatrix;
+    var isMoving = false;
+    this.scene.postRender.addEventListener(function(scene) {
+        var viewMatrix = scene.camera.viewMatrix;
+        if (!defined(lastViewMatrix) || !Matrix4.equalsEpsilon(lastViewMatrix, viewMatrix, CesiumMath.EPSILON5)) {
+            lastViewMatrix = Matrix4.clone(viewMatrix, lastViewMatrix);
+            isMoving = true;
+        } else if (isMoving) {
+            isMoving = false;
+            application.viewChanged.raiseEvent();
+        }
+    });
+};
+
+/**
+ * Gets the rectangle of the Earth's surface that is currently visible, or undefined if the whole globe is visible or
+ * the view includes the sky, in which case the extent of the view is not well defined.
+ *
+ * @return {Rectangle} The visible rectangle.
+ */
+CesiumViewModel.prototype.getCurrentExtent = function() {
+    var canvas = this.scene.canvas;
+    var width = canvas.clientWidth;
+    var height = canvas.clientHeight;
+    var camera = this.scene.camera;
+
+    // Pick the corners and the midpoints of the edges of the view.
+    var cartographics = [];
+    var windowPosition = new Cartesian2();
+    for (var x = 0; x <= 2; ++x) {
+        for (var y = 0; y <= 2; ++y) {
+            if (x === 1 && y === 1) {
+                continue;
+            }
+            windowPosition.x = x * (width - 1) / 2;
+            windowPosition.y = y * (height - 1) / 2;
+            var cartesian = camera.pickEllipsoid(windowPosition, Ellipsoid.WGS84);
+            if (!defined(cartesian)) {
+                return undefined;
+            }
+            cartographics.push(Ellipsoid.WGS84.cartesianToCartographic(cartesian));
+        }
+    }
+
+    return Rectangle.fromCartographicArray(cartographics);
 };
 
 module.exports = CesiumViewModel;
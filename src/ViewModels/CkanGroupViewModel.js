@@ -171,12 +171,12 @@ CkanGroupViewModel.prototype._load = function() {
         } else {
             populateGroupFromResults(that, json);
         }
-    }).otherwise(function() {
+    }).otherwise(function(e) {
         throw new ViewModelError({
             sender: that,
             title: 'Group is not available',
             message: '\
-An error occurred while invoking package_search on the CKAN server.  \
+An error occurred while invoking package_search on the CKAN server.  ' + corsProxy.describeError(e) + '\
 <p>If you entered the link manually, please verify that the link is correct.</p>\
 <p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
 server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
@@ -1,28 +1,41 @@
 'use strict';
 
-/*global require,L,$*/
+/*global require,L*/
 
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var ClockRange = require('../../third_party/cesium/Source/Core/ClockRange');
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var ColorMaterialProperty = require('../../third_party/cesium/Source/DataSources/ColorMaterialProperty');
 var combine = require('../../third_party/cesium/Source/Core/combine');
+var ConstantProperty = require('../../third_party/cesium/Source/DataSources/ConstantProperty');
+var DataSourceClock = require('../../third_party/cesium/Source/DataSources/DataSourceClock');
 var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var GeoJsonDataSource = require('../../third_party/cesium/Source/DataSources/GeoJsonDataSource');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var loadText = require('../../third_party/cesium/Source/Core/loadText');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
-var corsProxy = require('../Core/corsProxy');
 
+var parseCsvInWorker = require('../Map/parseCsvInWorker');
 var TableDataSource = require('../Map/TableDataSource');
 var VarType = require('../Map/VarType');
 
 var MetadataViewModel = require('./MetadataViewModel');
 var ViewModelError = require('./ViewModelError');
 var CatalogItemViewModel = require('./CatalogItemViewModel');
+var corsProxy = require('../Core/corsProxy');
+var escapeHtml = require('../Core/escapeHtml');
 var inherit = require('../Core/inherit');
 var readText = require('../Core/readText');
+var sanitizeHtml = require('../Core/sanitizeHtml');
 
 var WebMapServiceImageryProvider = require('../../third_party/cesium/Source/Scene/WebMapServiceImageryProvider');
 var WebMapServiceItemViewModel = require('./WebMapServiceItemViewModel');
+var pickWmsFeatures = require('./pickWmsFeatures');
 var ImageryLayer = require('../../third_party/cesium/Source/Scene/ImageryLayer');
 
 /**
@@ -40,6 +53,19 @@ var CsvItemViewModel = function(application, url) {
 
     this._tableDataSource = undefined;
     this._regionMapped = false;
+    this._findRegionIndex = undefined;
+    this._regionCount = 0;
+    this._regionDataSource = undefined;
+    this._entityRegionIndices = undefined;
+    this._regionCodes = undefined;
+    this._usesVectorRegionMapping = false;
+    this._unmatchedRegionRows = [];
+    this._timeSteps = undefined;
+    this._rowTimeSteps = undefined;
+    this._currentTimeStep = undefined;
+    this._regionTileImages = {};
+    this._removeClockListener = undefined;
+    this._csvParseTask = undefined;
 
     /**
      * Gets or sets the URL from which to retrieve CSV data.  This property is ignored if
@@ -62,7 +88,44 @@ var CsvItemViewModel = function(application, url) {
      */
     this.dataSourceUrl = undefined;
 
-    knockout.track(this, ['url', 'data', 'dataSourceUrl']);
+    /**
+     * Gets or sets a value indicating whether region-mapped CSV data is drawn as vector polygons loaded from the
+     * `vectorUrl` of its region type, rather than by recolouring region map WMS tiles.  Vector regions have sharp
+     * boundaries and can be picked to show their CSV row.  If the region type has no `vectorUrl`, WMS tiles are
+     * used regardless.  A change to this property takes effect the next time the item is loaded or
+     * {@link CsvItemViewModel#updateTableStyle} is called.  This property is observable.
+     * @type {Boolean}
+     * @default false
+     */
+    this.useVectorRegionMapping = false;
+
+    /**
+     * Gets or sets the maximum number of rows with a latitude and longitude to draw as individual points.  Larger
+     * tables are drawn as one point for each cell of a grid, showing the mean value of the rows in the cell (or the
+     * most common value, for columns of text).  This property is observable.
+     * @type {Number}
+     * @default 10000
+     */
+    this.aggregationThreshold = 10000;
+
+    /**
+     * Gets or sets the style of the CSV data.  The `table` property of the style describes how the table is mapped:
+     * `data` is the name of the column to display, `region` and `regionType` identify the region column of region-mapped
+     * data, `colorMap` is a color gradient, the name of one of the {@link ColorPalettes} or an object such as
+     * { name : 'RdBu', reverse : true, center : 0 } (see {@link TableDataSource#setColorMap}), and `classification`
+     * contains the options passed to {@link computeClassBreaks}, such as { method : 'jenks', classCount : 5 }, to draw
+     * each class of values in a single color.  If region-mapped data has a date column, regions are colored by the rows
+     * for the current time on the timeline, and `timeGapHandling` controls regions with no row for that time: 'hide'
+     * (the default) hides them and 'hold' shows their most recent earlier row.  The format of date columns is detected
+     * automatically, or can be given in `dateFormats`, which maps column names to one of the formats accepted by
+     * {@link parseDates} or to an object such as { format : 'dd/mm/yyyy', timeZone : '+10:00' }.  `timeZone` is the
+     * time zone of dates that do not specify one, such as 'UTC' or '+09:30'; the browser's time zone is used by
+     * default.  If the style is undefined, it is determined from the data when it is loaded.
+     * @type {Object}
+     */
+    this.style = undefined;
+
+    knockout.track(this, ['url', 'data', 'dataSourceUrl', 'useVectorRegionMapping', 'aggregationThreshold']);
 };
 
 inherit(CatalogItemViewModel, CsvItemViewModel);
@@ -103,9 +166,83 @@ defineProperties(CsvItemViewModel.prototype, {
             result.serviceErrorMessage = 'This service does not have any details available.';
             return result;
         }
+    },
+
+    /**
+     * Gets the rows of a region-mapped CSV that could not be matched to a region.  Each element is an object with
+     * a `line` property, the line number in the CSV file, and a `value` property, the unmatched region value.
+     * @memberOf CsvItemViewModel.prototype
+     * @type {Object[]}
+     */
+    unmatchedRegionRows : {
+        get : function() {
+            return this._unmatchedRegionRows;
+        }
+    },
+
+    /**
+     * Gets the names of the columns of the CSV data, or an empty array if it is not loaded.
+     * @memberOf CsvItemViewModel.prototype
+     * @type {String[]}
+     */
+    variableNames : {
+        get : function() {
+            if (!defined(this._tableDataSource) || !defined(this._tableDataSource.dataset.variables)) {
+                return [];
+            }
+            return this._tableDataSource.dataset.getVarList();
+        }
+    },
+
+    /**
+     * Gets the name of the column whose values are displayed, or undefined if the CSV data is not loaded.
+     * @memberOf CsvItemViewModel.prototype
+     * @type {String}
+     */
+    currentVariable : {
+        get : function() {
+            if (!defined(this._tableDataSource) || !defined(this._tableDataSource.dataset.variables)) {
+                return undefined;
+            }
+            return this._tableDataSource.dataset.getCurrentVariable();
+        }
+    },
+
+    /**
+     * Gets a value indicating whether the CSV data is drawn by matching its rows to regions, rather than as points.
+     * @memberOf CsvItemViewModel.prototype
+     * @type {Boolean}
+     */
+    isRegionMapped : {
+        get : function() {
+            return this._regionMapped;
+        }
+    },
+
+    /**
+     * Gets the set of names of the properties to be serialized for this object when {@link CatalogMemberViewModel#serializeToJson} is called
+     * and the `serializeForSharing` flag is set in the options.
+     * @memberOf CsvItemViewModel.prototype
+     * @type {String[]}
+     */
+    propertiesForSharing : {
+        get : function() {
+            return CsvItemViewModel.defaultPropertiesForSharing;
+        }
     }
 });
 
+/**
+ * Gets or sets the default set of properties that are serialized when serializing a {@link CatalogItemViewModel}-derived object with the
+ * `serializeForSharing` flag set in the options.
+ * @type {String[]}
+ */
+CsvItemViewModel.defaultPropertiesForSharing = clone(CatalogItemViewModel.defaultPropertiesForSharing);
+CsvItemViewModel.defaultPropertiesForSharing.push('style');
+CsvItemViewModel.defaultPropertiesForSharing.push('useVectorRegionMapping');
+
+freezeObject(CsvItemViewModel.defaultPropertiesForSharing);
+
 CsvItemViewModel.prototype._getValuesThatInfluenceLoad = function() {
     return [this.url, this.data];
 };
@@ -147,71 +284,50 @@ If you believe it is a bug in National Map, please report it by emailing \
                 sender: that,
                 title: 'Could not load CSV file',
                 message: '\
-An error occurred while retrieving CSV data from the provided link.'
+An error occurred while retrieving CSV data from the provided link.  ' + corsProxy.describeError(e)
             });
         });
     }
 };
 
+CsvItemViewModel.prototype._cancelLoad = function() {
+    if (!defined(this._csvParseTask)) {
+        return false;
+    }
+    this._csvParseTask.cancel();
+    return true;
+};
+
 CsvItemViewModel.prototype._enableInCesium = function() {
+    listenToClock(this);
 };
 
 CsvItemViewModel.prototype._disableInCesium = function() {
+    stopListeningToClock(this);
 };
 
 CsvItemViewModel.prototype._showInCesium = function() {
 
+    var dataSources = this.application.dataSources;
     if (!this._regionMapped) {
-        var dataSources = this.application.dataSources;
         if (dataSources.contains(this._tableDataSource)) {
             throw new DeveloperError('This data source is already shown.');
         }
 
         dataSources.add(this._tableDataSource);
     }
+    else if (defined(this._regionDataSource)) {
+        if (dataSources.contains(this._regionDataSource)) {
+            throw new DeveloperError('This data source is already shown.');
+        }
+
+        colorRegionEntities(this);
+        dataSources.add(this._regionDataSource);
+    }
     else {
         var scene = this.application.cesium.scene;
 
-        var imageryProvider = new WebMapServiceImageryProvider({
-            url : proxyUrl(this.application, this.url),
-            layers : this.layers,
-            parameters : WebMapServiceItemViewModel.defaultParameters
-        });
-
-        imageryProvider.base_requestImage = imageryProvider.requestImage;
-        var that = this;
-        imageryProvider.requestImage = function(x, y, level) {
-            var imagePromise = imageryProvider.base_requestImage(x, y, level);
-            if (!defined(imagePromise)) {
-                return imagePromise;
-            }
-            
-            return when(imagePromise, function(image) {
-                if (defined(image)) {
-                    image = recolorImageWithCanvas(image, that.colorFunc);
-                }
-                return image;
-            });
-        };
-            //remap image layer featurePicking Func
-        imageryProvider.base_pickFeatures = imageryProvider.pickFeatures;
-        imageryProvider.pickFeatures = function(x, y, level, longitude, latitude) {
-            var featurePromise = imageryProvider.base_pickFeatures(x, y, level, longitude, latitude);
-            if (!defined(featurePromise)) {
-                return featurePromise;
-            }
-            
-            return when(featurePromise, function(results) {
-                if (defined(results)) {
-                    var id = results[0].data.properties[that.regionProp];
-                    var properties = that.rowProperties(parseInt(id,10));
-                    results[0].description = that._tableDataSource.describe(properties);
-                }
-                return results;
-            });
-        };
-
-        this._imageryLayer = new ImageryLayer(imageryProvider, {alpha : 0.6} );
+        this._imageryLayer = createRegionImageryLayer(this);
 
         scene.imageryLayers.add(this._imageryLayer);
 
@@ -220,14 +336,21 @@ CsvItemViewModel.prototype._showInCesium = function() {
 
 CsvItemViewModel.prototype._hideInCesium = function() {
 
+    var dataSources = this.application.dataSources;
     if (!this._regionMapped) {
-        var dataSources = this.application.dataSources;
         if (!dataSources.contains(this._tableDataSource)) {
             throw new DeveloperError('This data source is not shown.');
         }
         
         dataSources.remove(this._tableDataSource, false);
     }
+    else if (defined(this._regionDataSource)) {
+        if (!dataSources.contains(this._regionDataSource)) {
+            throw new DeveloperError('This data source is not shown.');
+        }
+
+        dataSources.remove(this._regionDataSource, false);
+    }
     else {
         if (!defined(this._imageryLayer)) {
             throw new DeveloperError('This data source is not enabled.');
@@ -236,18 +359,21 @@ CsvItemViewModel.prototype._hideInCesium = function() {
         var scene = this.application.cesium.scene;
         scene.imageryLayers.remove(this._imageryLayer);
         this._imageryLayer = undefined;
+        this._regionTileImages = {};
     }
 };
 
 CsvItemViewModel.prototype._enableInLeaflet = function() {
+    listenToClock(this);
 };
 
 CsvItemViewModel.prototype._disableInLeaflet = function() {
+    stopListeningToClock(this);
 };
 
 CsvItemViewModel.prototype._showInLeaflet = function() {
 
-    if (!this._regionMapped) {
+    if (!this._regionMapped || defined(this._regionDataSource)) {
         this._showInCesium();
     }
     else {
@@ -267,30 +393,50 @@ CsvItemViewModel.prototype._showInLeaflet = function() {
 
         var that = this;
         this._imageryLayer.setFilter(function () {
-            new L.CanvasFilter(this, {
-                channelFilter: function (image) {
-                    return recolorImage(image, that.colorFunc);
-                }
-           }).render();
+            // Keep the tile as it came from the server, so that it can be recolored when the time step changes.
+            var tile = this;
+            var canvas = document.createElement("canvas");
+            canvas.width = canvas.height = tile._layer.options.tileSize;
+            var context = canvas.getContext("2d");
+            context.drawImage(tile, 0, 0);
+            tile.originalImageData = context.getImageData(0, 0, canvas.width, canvas.height);
+            tile.onload = null;
+            tile.removeAttribute('crossorigin');
+            recolorLeafletTile(tile, that.colorFunc);
         });
-        this.wmsFeatureInfoFilter = function(result) {
-                if (defined(result)) {
-                    var properties = result.features[0].properties;
-                    var id = properties[that.regionProp];
-                    properties = combine(properties, that.rowProperties(parseInt(id,10)));
-                    properties.FID = undefined;
-                    properties[that.regionProp] = undefined;
-                    result.features[0].properties = properties;
-                }
-                return result;
-            };
-
         map.addLayer(this._imageryLayer);
     }
 };
 
+/**
+ * Finds the features of this item at a location.  The features of a region-mapped item drawn by a WMS server are
+ * found by invoking GetFeatureInfo, and are given the properties of the matching rows of the CSV data.
+ * @param {Object} options The location and the view in which it was picked, as described in {@link CatalogItemViewModel#pickFeatures}.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection of the features at the location, or undefined if
+ *         the item's features cannot be picked.
+ */
+CsvItemViewModel.prototype.pickFeatures = function(options) {
+    if (!defined(this.layers)) {
+        return undefined;
+    }
+
+    var that = this;
+    return pickWmsFeatures(proxyUrl(this.application, this.url), this.layers, options).then(function(result) {
+        for (var i = 0; i < result.features.length; ++i) {
+            var feature = result.features[i];
+            var properties = defined(feature.properties) && feature.properties !== null ? feature.properties : {};
+            var id = properties[that.regionProp];
+            properties = combine(properties, that.rowProperties(id));
+            properties.FID = undefined;
+            properties[that.regionProp] = undefined;
+            feature.properties = properties;
+        }
+        return result;
+    });
+};
+
 CsvItemViewModel.prototype._hideInLeaflet = function() {
-    if (!this._regionMapped) {
+    if (!this._regionMapped || defined(this._regionDataSource)) {
         this._hideInCesium();
     }
     else {
@@ -304,6 +450,74 @@ CsvItemViewModel.prototype._hideInLeaflet = function() {
     }
 };
 
+/**
+ * Changes how the CSV data is mapped and redraws it.  The given properties replace those in the `table` property of
+ * {@link CsvItemViewModel#style}, so the change is kept when the item is shared.  If the item is not loaded yet, the
+ * style is used when it is.  A change to {@link CsvItemViewModel#useVectorRegionMapping} is applied too.
+ *
+ * @param {Object} table The properties of the table style to change: `data`, `region`, `regionType`, `colorMap` or
+ *                 `classification`.  See {@link CsvItemViewModel#style}.
+ * @returns {Promise} A promise that resolves when the data has been redrawn.
+ */
+CsvItemViewModel.prototype.updateTableStyle = function(table) {
+    if (!defined(this.style)) {
+        this.style = {line: {}, point: {}, polygon: {}};
+    }
+    if (!defined(this.style.table)) {
+        this.style.table = {};
+    }
+    var current = this.style.table;
+
+    // Switching between vector polygons and WMS tiles redraws the regions just as choosing another region does.
+    var regionChanged = this.useVectorRegionMapping !== this._usesVectorRegionMapping;
+    for (var name in table) {
+        if (table.hasOwnProperty(name)) {
+            if ((name === 'region' || name === 'regionType') && table[name] !== current[name]) {
+                regionChanged = true;
+            }
+            current[name] = table[name];
+        }
+    }
+
+    var dataSource = this._tableDataSource;
+    if (!defined(dataSource) || this.isLoading || !defined(dataSource.dataset.variables)) {
+        return when();
+    }
+
+    dataSource.classification = current.classification;
+    if (defined(current.colorMap)) {
+        dataSource.colorMap = current.colorMap;
+    }
+    // Also recomputes the classes and colors, and redraws point data.
+    dataSource.setCurrentVariable(current.data);
+
+    var isShown = this.isShown && !defined(this._loadForEnablePromise);
+    var that = this;
+    var promise;
+
+    if (this._regionMapped && regionChanged) {
+        if (isShown) {
+            this._hide();
+        }
+        promise = this.application.getRegionMappingRegistry().then(function(registry) {
+            return setRegionVariable(that, registry, current.region, current.regionType);
+        }).always(function() {
+            if (isShown) {
+                that._show();
+            }
+        });
+    } else if (this._regionMapped) {
+        createRegionLookupFunc(this);
+        if (isShown) {
+            this._rebuild();
+        }
+    }
+
+    return when(promise, function() {
+        that.legendUrl = dataSource.getLegendGraphic();
+    });
+};
+
 CsvItemViewModel.prototype._rebuild = function() {
     if (defined(this.application.cesium)) {
         this._hideInCesium();
@@ -328,8 +542,49 @@ function proxyUrl(application, url) {
 //////////////////////////////////////////////////////////////////////////
 
 function loadTable(viewModel, text) {
-    viewModel._tableDataSource.loadText(text);
+    var table = defined(viewModel.style) && defined(viewModel.style.table) ? viewModel.style.table : {};
+    viewModel._tableDataSource.classification = table.classification;
+    if (defined(table.colorMap)) {
+        viewModel._tableDataSource.colorMap = table.colorMap;
+    }
+    viewModel._tableDataSource.aggregationThreshold = viewModel.aggregationThreshold;
+
+    // Parse in a worker so that large tables don't freeze the user interface.
+    var task = viewModel._csvParseTask = parseCsvInWorker({
+        text: text,
+        dateFormats: table.dateFormats,
+        timeZone: table.timeZone,
+        onProgress: function(fraction) {
+            viewModel.loadingProgress = fraction;
+        }
+    });
+
+    return task.promise.then(function(dataset) {
+        viewModel._csvParseTask = undefined;
+        if (!defined(dataset)) {
+            // The item was disabled before parsing finished.
+            return;
+        }
+        viewModel._tableDataSource.loadDataset(dataset);
+        reportDateParseFailures(viewModel);
+
+        // The steps do not change until the data is loaded again, so they are found once rather than at each step.
+        var timeSteps = getTimeSteps(dataset);
+        viewModel._timeSteps = defined(timeSteps) ? timeSteps.steps : undefined;
+        viewModel._rowTimeSteps = defined(timeSteps) ? timeSteps.rowSteps : undefined;
+        return showTable(viewModel);
+    }, function(e) {
+        viewModel._csvParseTask = undefined;
+        throw new ViewModelError({
+            sender: viewModel,
+            title: 'Could not load CSV file',
+            message: '\
+An error occurred while reading ' + escapeHtml(viewModel.name) + ' as CSV: ' + escapeHtml(e)
+        });
+    });
+}
 
+function showTable(viewModel) {
     if (!viewModel._tableDataSource.dataset.hasLocationData()) {
         console.log('No locaton date found in csv file - trying to match based on region');
         return when(addRegionMap(viewModel), function() {
@@ -343,6 +598,10 @@ a region mapping column.'
                 });
             }
             else {
+                var dataset = viewModel._tableDataSource.dataset;
+                if (defined(viewModel._timeSteps)) {
+                    viewModel.clock = createTimeSeriesClock(dataset.getMinTime(), dataset.getMaxTime());
+                }
                 viewModel.legendUrl = viewModel._tableDataSource.getLegendGraphic();
             }
         });
@@ -398,142 +657,163 @@ function recolorImageWithCanvas(img, colorFunc) {
 }
 
 
-var regionServer = 'http://geoserver-nm.nicta.com.au/region_map/ows';
-var regionWmsMap = {
-    'STE': {
-        "name":"region_map:FID_STE_2011_AUST",
-        "regionProp": "STE_CODE11",
-        "aliases": ['state', 'ste']
-    },
-    'CED': {
-        "name":"region_map:FID_CED_2011_AUST",
-        "regionProp": "CED_CODE",
-        "aliases": ['ced']
-    },
-    'SED': {
-        "name":"region_map:FID_SED_2011_AUST",
-        "regionProp": "SED_CODE",
-        "aliases": ['sed']
-    },
-    'POA': {
-        "name":"region_map:FID_POA_2011_AUST",
-        "regionProp": "POA_CODE",
-        "aliases": ['poa', 'postcode']
-    },
-    'LGA': {
-        "name":"region_map:FID_LGA_2011_AUST",
-        "regionProp": "LGA_CODE11",
-        "aliases": ['lga']
-    },
-    'SCC': {
-        "name":"region_map:FID_SCC_2011_AUST",
-        "regionProp": "SCC_CODE",
-        "aliases": ['scc', 'suburb']
-    },
-    'SA4': {
-        "name":"region_map:FID_SA4_2011_AUST",
-        "regionProp": "SA4_CODE11",
-        "aliases": ['sa4']
-    },
-    'SA3': {
-        "name":"region_map:FID_SA3_2011_AUST",
-        "regionProp": "SA3_CODE11",
-        "aliases": ['sa3']
-    },
-    'SA2': {
-        "name":"region_map:FID_SA2_2011_AUST",
-        "regionProp": "SA2_MAIN11",
-        "aliases": ['sa2']
-    },
-// COMMENTING OUT SA1: it works, but server performance is just too slow to be widely usable
-//    'SA1': {
-//        "name":"region_map:FID_SA1_2011_AUST",
-//        "regionProp": "SA1_7DIG11",
-//        "aliases": ['sa1']
-//    }
-};
+// Gets the distinct times in the time column of the dataset, in order, and the index in them of each row's time.
+function getTimeSteps(dataset) {
+    var timeVar = dataset.getVarID(VarType.TIME);
+    if (!defined(timeVar)) {
+        return undefined;
+    }
 
-//TODO: if we add enum capability and then can work with any unique field
-function loadRegionIDs(regionDescriptor) {
-    if (defined(regionDescriptor.idMap)) {
-        return;
+    // Rows whose time could not be parsed are not in any step.
+    var rowTimes = dataset.getVariable(timeVar).timeVar.vals;
+    var sorted = rowTimes.filter(defined).sort(JulianDate.compare);
+    var steps = [];
+    for (var i = 0; i < sorted.length; i++) {
+        if (steps.length === 0 || !JulianDate.equals(steps[steps.length - 1], sorted[i])) {
+            steps.push(sorted[i]);
+        }
     }
 
-    var url = regionServer + '?service=wfs&version=2.0&request=getPropertyValue';
-    url += '&typenames=' + regionDescriptor.name;
-    url += '&valueReference=' + regionDescriptor.regionProp;
-    url = corsProxy.getURL(url);
-    return loadText(url).then(function (text) { 
-        var obj = $.xml2json(text);
+    var rowSteps = new Array(rowTimes.length);
+    for (var j = 0; j < rowTimes.length; j++) {
+        rowSteps[j] = defined(rowTimes[j]) ? findTimeStep(steps, rowTimes[j]) : undefined;
+    }
 
-        if (!defined(obj.member)) {
-            return;
+    return {
+        steps: steps,
+        rowSteps: rowSteps
+    };
+}
+
+// Finds the index of the last step at or before a time, or -1 if the time is before the first step.
+function findTimeStep(steps, time) {
+    var low = 0;
+    var high = steps.length - 1;
+    var result = -1;
+    while (low <= high) {
+        var middle = (low + high) >> 1;
+        if (JulianDate.lessThanOrEquals(steps[middle], time)) {
+            result = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
         }
+    }
+    return result;
+}
+
+function createTimeSeriesClock(startTime, stopTime) {
+    var clock = new DataSourceClock();
+    clock.startTime = JulianDate.clone(startTime);
+    clock.stopTime = JulianDate.clone(stopTime);
+    clock.currentTime = JulianDate.clone(startTime);
+    clock.clockRange = ClockRange.LOOP_STOP;
+    clock.multiplier = JulianDate.secondsDifference(stopTime, startTime) / 60.0;
+    return clock;
+}
 
-        var idMap = [];
-            //this turns ids into numbers since they are that way in table data
-        for (var i = 0; i < obj.member.length; i++) {
-            idMap.push(parseInt(obj.member[i][regionDescriptor.regionProp],10));
+// Recolors time-varying regions when the clock moves into a different time step.
+function listenToClock(viewModel) {
+    if (defined(viewModel._removeClockListener)) {
+        return;
+    }
+    viewModel._removeClockListener = viewModel.application.clock.onTick.addEventListener(function(clock) {
+        if (!viewModel._regionMapped || !defined(viewModel._timeSteps) || !viewModel.isShown || defined(viewModel._loadForEnablePromise)) {
+            return;
+        }
+        if (findTimeStep(viewModel._timeSteps, clock.currentTime) !== viewModel._currentTimeStep) {
+            createRegionLookupFunc(viewModel);
+            recolorRegions(viewModel);
         }
-        regionDescriptor.idMap = idMap;
-    }, function(err) {
-        console.log(err);
     });
 }
 
-function determineRegionVar(vars, aliases) {
-    for (var i = 0; i < vars.length; i++) {
-        var varName = vars[i].toLowerCase();
-        for (var j = 0; j < aliases.length; j++) {
-            if (varName.substring(0,aliases[j].length) === aliases[j]) {
-                return i;
-            }
-        }
+// Redraws the shown regions in the colors of the current lookup function, without loading the regions again.
+function recolorRegions(viewModel) {
+    if (defined(viewModel._regionDataSource)) {
+        colorRegionEntities(viewModel);
+        return;
     }
-    return -1;
-}
 
-function determineRegionType(dataset) {
-    var vars = dataset.getVarList();
-
-    var regionType;
-    var idx = -1;
-    //try to figure out the region variable
-    for (regionType in regionWmsMap) {
-        if (regionWmsMap.hasOwnProperty(regionType)) {
-            idx = determineRegionVar(vars, regionWmsMap[regionType].aliases);
-            if (idx !== -1) {
-                break;
+    if (!defined(viewModel._imageryLayer)) {
+        return;
+    }
+
+    if (defined(viewModel.application.cesium)) {
+        // Cesium cannot recolor the tiles of a layer, so the layer is replaced by one that recolors the tiles it has
+        // already received.  The new layer is added before the old one is removed, in the same place among the others.
+        var imageryLayers = viewModel.application.cesium.scene.imageryLayers;
+        var previous = viewModel._imageryLayer;
+        viewModel._imageryLayer = createRegionImageryLayer(viewModel);
+        imageryLayers.add(viewModel._imageryLayer, imageryLayers.indexOf(previous) + 1);
+        imageryLayers.remove(previous);
+    } else {
+        var tiles = viewModel._imageryLayer._tiles;
+        for (var key in tiles) {
+            if (tiles.hasOwnProperty(key) && defined(tiles[key].originalImageData)) {
+                recolorLeafletTile(tiles[key], viewModel.colorFunc);
             }
         }
     }
-    
-    //if no match, try to derive regionType from region_id to use native abs census files
-    if (idx === -1) {
-        var absRegion = 'region_id';
-        idx = vars.indexOf(absRegion);
-        if (idx === -1) {
-            return;
-        }
-        var code = dataset.getDataValue(absRegion, 0);
-        regionType = code.replace(/[0-9]/g, '');
-        if (regionWmsMap[regionType] === undefined) {
-            return;
+}
+
+// Creates the Cesium layer of a region-mapped item drawn by a WMS server, which colors each region by its value.  The
+// tiles from the server are kept, so that they can be recolored without being requested again.
+function createRegionImageryLayer(viewModel) {
+    var imageryProvider = new WebMapServiceImageryProvider({
+        url : proxyUrl(viewModel.application, viewModel.url),
+        layers : viewModel.layers,
+        parameters : WebMapServiceItemViewModel.defaultParameters
+    });
+
+    var tileImages = viewModel._regionTileImages;
+    imageryProvider.base_requestImage = imageryProvider.requestImage;
+    imageryProvider.requestImage = function(x, y, level) {
+        var key = level + '/' + x + '/' + y;
+        var tileImage = tileImages[key];
+        if (defined(tileImage)) {
+            return when(recolorImageWithCanvas(tileImage, viewModel.colorFunc));
         }
-        var vals = dataset.getDataValues(absRegion);
-        var new_vals = [];
-        for (var i = 0; i < vals.length; i++) {
-            var id = dataset.getDataValue(absRegion, vals[i]).replace( /^\D+/g, '');
-            new_vals.push(parseInt(id,10));
+
+        var imagePromise = imageryProvider.base_requestImage(x, y, level);
+        if (!defined(imagePromise)) {
+            return imagePromise;
         }
 
-        dataset.variables[absRegion].vals = new_vals;
-        dataset.variables[regionType] = dataset.variables[absRegion];
-        delete dataset.variables[absRegion];
-        vars = dataset.getVarList();
-        idx = vars.indexOf(regionType);
+        return when(imagePromise, function(image) {
+            if (defined(image)) {
+                tileImages[key] = image;
+                image = recolorImageWithCanvas(image, viewModel.colorFunc);
+            }
+            return image;
+        });
+    };
+    // Features are picked by pickFeatures and shown in the feature info panel instead of the info box.
+    imageryProvider.pickFeatures = function() {
+        return undefined;
+    };
+
+    return new ImageryLayer(imageryProvider, {alpha : 0.6} );
+}
+
+// Recolors a Leaflet tile from the image it was loaded with.
+function recolorLeafletTile(tile, colorFunc) {
+    var original = tile.originalImageData;
+    var canvas = document.createElement("canvas");
+    canvas.width = original.width;
+    canvas.height = original.height;
+    var context = canvas.getContext("2d");
+    var image = context.createImageData(original.width, original.height);
+    image.data.set(original.data);
+    context.putImageData(recolorImage(image, colorFunc), 0, 0);
+    tile.src = canvas.toDataURL();
+}
+
+function stopListeningToClock(viewModel) {
+    if (defined(viewModel._removeClockListener)) {
+        viewModel._removeClockListener();
+        viewModel._removeClockListener = undefined;
     }
-    return { idx: idx, regionType: regionType};
 }
 
 function createRegionLookupFunc(viewModel) {
@@ -542,86 +822,264 @@ function createRegionLookupFunc(viewModel) {
     }
     var dataSource = viewModel._tableDataSource;
     var dataset = dataSource.dataset;
-    var regionDescriptor = regionWmsMap[viewModel.regionType];
- 
-    var codes = dataset.getDataValues(viewModel.regionVar);
+    var findRegionIndex = viewModel._findRegionIndex;
+
+    // With a time column, only the rows for the current time step are used.
+    var rowTimeSteps = viewModel._rowTimeSteps;
+    var currentStep;
+    var holdValues = false;
+    if (defined(rowTimeSteps)) {
+        currentStep = findTimeStep(viewModel._timeSteps, viewModel.application.clock.currentTime);
+        holdValues = defined(viewModel.style) && defined(viewModel.style.table) && viewModel.style.table.timeGapHandling === 'hold';
+    }
+    viewModel._currentTimeStep = currentStep;
+
     var vals = dataset.getDataValues(dataset.getCurrentVariable());
-    var ids = regionDescriptor.idMap;
-    var lookup = new Array(ids.length);
+    var lookup = new Array(viewModel._regionCount);
+    var rowIndices = new Array(viewModel._regionCount);
+    var regionSteps = new Array(viewModel._regionCount);
+    var unmatchedRows = [];
     // get value for each id
-    for (var i = 0; i < codes.length; i++) {
-        var id = ids.indexOf(codes[i]);
+    for (var i = 0; i < dataset.rowCount; i++) {
+        var code = dataset.getDataValue(viewModel.regionVar, i);
+        var id = findRegionIndex(code);
+        if (id === -1) {
+            // Line 1 of the file is the header.
+            unmatchedRows.push({ line: i + 2, value: code });
+            continue;
+        }
+        if (defined(rowTimeSteps)) {
+            var step = rowTimeSteps[i];
+            if (!defined(step) || step > currentStep || (!holdValues && step !== currentStep) || regionSteps[id] > step) {
+                continue;
+            }
+            regionSteps[id] = step;
+        }
         lookup[id] = vals[i];
+        rowIndices[id] = i;
     }
-    // set color for each code
-    var colors = [];
-    for (var idx = dataset.getMinVal(); idx <= dataset.getMaxVal(); idx++) {
-        colors[idx] = dataSource._mapValue2Color(idx);
+    viewModel._unmatchedRegionRows = unmatchedRows;
+    // set color for each region
+    var colors = new Array(viewModel._regionCount);
+    for (var idx = 0; idx < lookup.length; idx++) {
+        if (defined(lookup[idx])) {
+            colors[idx] = dataSource._mapValue2Color(lookup[idx]);
+        }
     }
     //   color lookup function used by the region mapper
     viewModel.colorFunc = function(id) {
-        return colors[lookup[id]];
+        return colors[id];
     };
     // used to get current variable data
     viewModel.valFunc = function(code) {
-        var rowIndex = codes.indexOf(code);
+        var rowIndex = rowIndices[findRegionIndex(code)];
         return vals[rowIndex];
     };
     // used to get all region data properties
     viewModel.rowProperties = function(code) {
-        var rowIndex = codes.indexOf(code);
+        var rowIndex = rowIndices[findRegionIndex(code)];
         return dataset.getDataRow(rowIndex);
     };
 }
 
-function setRegionVariable(viewModel, regionVar, regionType) {
-    if (!(viewModel._tableDataSource instanceof TableDataSource)) {
+function reportUnmatchedRegionRows(viewModel) {
+    var unmatchedRows = viewModel._unmatchedRegionRows;
+    if (unmatchedRows.length === 0) {
         return;
     }
 
-    viewModel.regionVar = regionVar;
-    var regionDescriptor = regionWmsMap[regionType];
-    if (viewModel.regionType !== regionType) {
-        viewModel.regionType = regionType;
+    var maxRowsListed = 20;
+    var rows = '';
+    for (var i = 0; i < unmatchedRows.length && i < maxRowsListed; i++) {
+        rows += '<tr><td>' + unmatchedRows[i].line + '</td><td>' + escapeHtml(unmatchedRows[i].value) + '</td></tr>';
+    }
+    if (unmatchedRows.length > maxRowsListed) {
+        rows += '<tr><td colspan="2">...and ' + (unmatchedRows.length - maxRowsListed) + ' more.</td></tr>';
+    }
+
+    var regionVar = escapeHtml(viewModel.regionVar);
 
-        viewModel.url = regionServer;
-        viewModel.layers = regionDescriptor.name;
+    viewModel.application.error.raiseEvent(new ViewModelError({
+        sender: viewModel,
+        title: 'Some CSV rows could not be matched to a region',
+        message: unmatchedRows.length + ' row(s) of ' + escapeHtml(viewModel.name) + ' have a value in the ' + regionVar +
+                 ' column that does not match the code or name of any ' + escapeHtml(viewModel.regionType) +
+                 ' region, so they are not shown on the map.  Other rows are unaffected.' +
+                 '<table><tr><th>Line</th><th>' + regionVar + '</th></tr>' + rows + '</table>'
+    }));
+}
 
-        viewModel.regionProp = regionDescriptor.regionProp;
+function reportDateParseFailures(viewModel) {
+    var dataset = viewModel._tableDataSource.dataset;
+    for (var name in dataset.variables) {
+        if (!dataset.variables.hasOwnProperty(name)) {
+            continue;
+        }
+        var variable = dataset.variables[name];
+        var failures = variable.timeParseFailures;
+        if (!defined(failures) || failures.length === 0) {
+            continue;
+        }
+
+        var column = escapeHtml(name);
+        var message;
+        if (variable.varType !== VarType.TIME) {
+            message = '\
+The values in the ' + column + ' column of ' + escapeHtml(viewModel.name) + ' could not be read as dates, so it is treated as an \
+ordinary column.  If it does contain dates, specify their format in the dateFormats property of the table style.';
+        } else {
+            var maxRowsListed = 20;
+            var rows = '';
+            for (var i = 0; i < failures.length && i < maxRowsListed; i++) {
+                // Line 1 of the file is the header.
+                rows += '<tr><td>' + (failures[i] + 2) + '</td><td>' + escapeHtml(variable.vals[failures[i]]) + '</td></tr>';
+            }
+            if (failures.length > maxRowsListed) {
+                rows += '<tr><td colspan="2">...and ' + (failures.length - maxRowsListed) + ' more.</td></tr>';
+            }
+            message = failures.length + ' row(s) of ' + escapeHtml(viewModel.name) + ' have a value in the ' + column +
+                      ' column that is not a date in the ' + escapeHtml(variable.timeFormat) +
+                      ' format, so they are not shown on the map.  Other rows are unaffected.' +
+                      '<table><tr><th>Line</th><th>' + column + '</th></tr>' + rows + '</table>';
+        }
+
+        viewModel.application.error.raiseEvent(new ViewModelError({
+            sender: viewModel,
+            title: 'Some CSV dates could not be read',
+            message: message
+        }));
     }
-    console.log('Region type:', viewModel.regionType, ', Region var:', viewModel.regionVar);
-        
-    return when(loadRegionIDs(regionDescriptor), function() {
+}
+
+// Colors each region polygon according to the CSV row matched to it, and hides regions without a row.
+function colorRegionEntities(viewModel) {
+    var entities = viewModel._regionDataSource.entities.entities;
+    var entityRegionIndices = viewModel._entityRegionIndices;
+    var codes = viewModel._regionCodes;
+
+    for (var i = 0; i < entities.length; ++i) {
+        var polygon = entities[i].polygon;
+        if (!defined(polygon)) {
+            continue;
+        }
+
+        var regionIndex = entityRegionIndices[i];
+        var color = regionIndex >= 0 ? viewModel.colorFunc(regionIndex) : undefined;
+        if (!defined(color)) {
+            polygon.show = new ConstantProperty(false);
+            continue;
+        }
+
+        var material = new ColorMaterialProperty();
+        material.color = new ConstantProperty(Color.fromBytes(color[0], color[1], color[2], color[3] * 0.6));
+        polygon.material = material;
+        polygon.fill = new ConstantProperty(true);
+        polygon.outline = new ConstantProperty(true);
+        polygon.outlineColor = new ConstantProperty(Color.BLACK);
+        polygon.show = new ConstantProperty(true);
+
+        var properties = viewModel.rowProperties(codes[regionIndex]);
+        if (defined(viewModel.featureInfoTemplate) || defined(viewModel.featureInfoProperties)) {
+            entities[i].description = new ConstantProperty(sanitizeHtml(viewModel.describeFeature(properties)));
+        } else {
+            entities[i].description = new ConstantProperty(viewModel._tableDataSource.describe(properties));
+        }
+    }
+}
+
+function loadRegionVectors(viewModel, registry, regionType) {
+    var dataSource = new GeoJsonDataSource();
+
+    return registry.loadRegionVectors(regionType).then(function(geoJson) {
+        return dataSource.load(geoJson);
+    }).then(function() {
+        // A region may be drawn as several entities, such as the islands of a multi-polygon.
+        var entities = dataSource.entities.entities;
+        var entityProperties = [];
+        for (var i = 0; i < entities.length; ++i) {
+            entityProperties.push(entities[i].properties);
+        }
+        var index = registry.indexRegionFeatures(regionType, entityProperties);
+
+        viewModel._regionDataSource = dataSource;
+        viewModel._entityRegionIndices = index.featureRegionIndices;
+        viewModel._regionCodes = index.codes;
+        viewModel._findRegionIndex = registry.createRegionMatcher(regionType, index.codes, index.names);
+        viewModel._regionCount = index.codes.length;
+
         createRegionLookupFunc(viewModel);
+        reportUnmatchedRegionRows(viewModel);
         viewModel._regionMapped = true;
     });
 }
 
-
-function setRegionDataVariable(viewModel, newVar) {
+function setRegionVariable(viewModel, registry, regionVar, regionType) {
     if (!(viewModel._tableDataSource instanceof TableDataSource)) {
         return;
     }
 
-    var dataSource = viewModel._tableDataSource;
-    var dataset = dataSource.dataset;
-    dataset.setCurrentVariable({ variable: newVar});
-    createRegionLookupFunc(viewModel);
-    
-    console.log('Var set to:', newVar);
+    var regionDescriptor = registry.getRegionDescriptor(regionType);
+    if (!defined(regionDescriptor)) {
+        throw new ViewModelError({
+            sender: viewModel,
+            title: 'Unknown region type',
+            message: '\
+The region type ' + escapeHtml(regionType) + ' is not in the region mapping definitions, so the CSV data cannot be shown on the map.'
+        });
+    }
 
-    viewModel._rebuild();
-}
+    viewModel.regionVar = regionVar;
+    viewModel._usesVectorRegionMapping = viewModel.useVectorRegionMapping;
 
-function setRegionColorMap(viewModel, dataColorMap) {
-     if (!(viewModel._tableDataSource instanceof TableDataSource)) {
-        return;
+    if (viewModel.useVectorRegionMapping && defined(regionDescriptor.vectorUrl)) {
+        viewModel.regionType = regionType;
+        viewModel.regionProp = defaultValue(regionDescriptor.vectorRegionProp, regionDescriptor.regionProp);
+        viewModel.layers = undefined;
+        return loadRegionVectors(viewModel, registry, regionType).otherwise(function(e) {
+            // Draw the regions with the region mapping server instead, so that the data is still shown.
+            viewModel.application.error.raiseEvent(new ViewModelError({
+                sender: viewModel,
+                title: 'Could not load region boundaries',
+                message: '\
+An error occurred while loading the ' + escapeHtml(regionType) + ' region boundaries from ' + escapeHtml(regionDescriptor.vectorUrl) + '.  \
+This may indicate that there is a problem with your Internet connection or with the region mapping definitions.  \
+The regions are drawn as map tiles instead.  ' + corsProxy.describeError(e)
+            }));
+            viewModel._usesVectorRegionMapping = false;
+            return useRegionServer(viewModel, registry, regionType);
+        });
     }
 
-    viewModel._tableDataSource.setColorGradient(dataColorMap);
-    createRegionLookupFunc(viewModel);
+    return useRegionServer(viewModel, registry, regionType);
+}
+
+// Draws the regions with tiles from the region mapping server, which encode the index of the region at each pixel.
+function useRegionServer(viewModel, registry, regionType) {
+    var regionDescriptor = registry.getRegionDescriptor(regionType);
+
+    viewModel.regionType = regionType;
+
+    viewModel.url = registry.getServer(regionType);
+    viewModel.layers = regionDescriptor.name;
 
-    viewModel._rebuild();
+    viewModel.regionProp = regionDescriptor.regionProp;
+    console.log('Region type:', viewModel.regionType, ', Region var:', viewModel.regionVar);
+        
+    return when(registry.loadRegionIDs(regionType), function() {
+        if (!defined(regionDescriptor.idMap)) {
+            return;
+        }
+
+        viewModel._regionDataSource = undefined;
+        viewModel._findRegionIndex = function(value) {
+            return registry.findRegionIndex(regionType, value);
+        };
+        viewModel._regionCount = regionDescriptor.idMap.length;
+
+        createRegionLookupFunc(viewModel);
+        reportUnmatchedRegionRows(viewModel);
+        viewModel._regionMapped = true;
+    });
 }
 
 
@@ -629,13 +1087,27 @@ function addRegionMap(viewModel) {
     if (!(viewModel._tableDataSource instanceof TableDataSource)) {
         return;
     }
+    return viewModel.application.getRegionMappingRegistry().then(function(registry) {
+        return addRegionMapFromRegistry(viewModel, registry);
+    });
+}
+
+function addRegionMapFromRegistry(viewModel, registry) {
     //see if we can do region mapping
     var dataSource = viewModel._tableDataSource;
     var dataset = dataSource.dataset;
 
     //if viewModel includes style/var info then use that
-    if (!defined(viewModel.style) || !defined(viewModel.style.table)) {
-        var regionObj = determineRegionType(dataset);
+    if (!defined(viewModel.style)) {
+        viewModel.style = {line: {}, point: {}, polygon: {}};
+    }
+    if (!defined(viewModel.style.table)) {
+        viewModel.style.table = {};
+    }
+    var table = viewModel.style.table;
+
+    if (!defined(table.region) || !defined(table.regionType)) {
+        var regionObj = registry.determineRegionType(dataset);
         if (regionObj === undefined) {
             return;
         }
@@ -648,38 +1120,31 @@ function addRegionMap(viewModel) {
         if (dataVar === vars[idx]) {
             dataVar = (idx === 0) ? vars[1] : vars[0];
         }
-            //set default style if none set
-        var style = {line: {}, point: {}, polygon: {}, table: {}};
-        style.table.lat = undefined;
-        style.table.lon = undefined;
-        style.table.alt = undefined;
-        style.table.region = vars[idx];
-        style.table.regionType = regionType;
-        style.table.time = dataset.getVarID(VarType.TIME);
-        style.table.data = dataVar;
-        style.table.colorMap = [
-            {offset: 0.0, color: 'rgba(200,0,0,1.00)'},
-            {offset: 0.5, color: 'rgba(200,200,200,1.0)'},
-            {offset: 0.5, color: 'rgba(200,200,200,1.0)'},
-            {offset: 1.0, color: 'rgba(0,0,200,1.0)'}
-        ];
-        viewModel.style = style;
-    }
-
-    if (defined(viewModel.style.table.colorMap)) {
-        dataSource.setColorGradient(viewModel.style.table.colorMap);
-    }
-    dataSource.setCurrentVariable(viewModel.style.table.data);
-
-    //to make lint happy
-    if (false) {
-        setRegionColorMap();
-        setRegionDataVariable();
+            //set default style values where none set, such as when the style only names a palette
+        table.region = vars[idx];
+        table.regionType = regionType;
+        if (!defined(table.time)) {
+            table.time = dataset.getVarID(VarType.TIME);
+        }
+        if (!defined(table.data)) {
+            table.data = dataVar;
+        }
+        if (!defined(table.colorMap)) {
+            table.colorMap = [
+                {offset: 0.0, color: 'rgba(200,0,0,1.00)'},
+                {offset: 0.5, color: 'rgba(200,200,200,1.0)'},
+                {offset: 0.5, color: 'rgba(200,200,200,1.0)'},
+                {offset: 1.0, color: 'rgba(0,0,200,1.0)'}
+            ];
+        }
     }
-    
-    //TODO: figure out how sharing works or doesn't
-    
-    return setRegionVariable(viewModel, viewModel.style.table.region, viewModel.style.table.regionType);
+
+    if (defined(table.colorMap)) {
+        dataSource.setColorMap(table.colorMap);
+    }
+    dataSource.setCurrentVariable(table.data);
+
+    return setRegionVariable(viewModel, registry, table.region, table.regionType);
 }
 
 
@@ -12,6 +12,7 @@ var when = require('../../third_party/cesium/Source/ThirdParty/when');
 var MetadataViewModel = require('./MetadataViewModel');
 var ViewModelError = require('./ViewModelError');
 var CatalogItemViewModel = require('./CatalogItemViewModel');
+var corsProxy = require('../Core/corsProxy');
 var inherit = require('../Core/inherit');
 var readJson = require('../Core/readJson');
 
@@ -111,21 +112,21 @@ CzmlItemViewModel.prototype._load = function() {
                 return readJson(data).then(function(data) {
                     dataSource.load(data, proxyUrl(that, that.dataSourceUrl));
                     doneLoading(that);
-                }).otherwise(function() {
-                    errorLoading(that);
+                }).otherwise(function(e) {
+                    errorLoading(that, e);
                 });
             } else {
                 dataSource.load(data, proxyUrl(that, that.dataSourceUrl));
                 doneLoading(that);
             }
-        }).otherwise(function() {
-            errorLoading(that);
+        }).otherwise(function(e) {
+            errorLoading(that, e);
         });
     } else {
         return dataSource.loadUrl(proxyUrl(that, that.url)).then(function() {
             doneLoading(that);
-        }).otherwise(function() {
-            errorLoading(that);
+        }).otherwise(function(e) {
+            errorLoading(that, e);
         });
     }
 };
@@ -174,12 +175,13 @@ function doneLoading(viewModel) {
     viewModel.clock = viewModel._czmlDataSource.clock;
 }
 
-function errorLoading(viewModel) {
+function errorLoading(viewModel, e) {
     throw new ViewModelError({
         sender: viewModel,
         title: 'Error loading CZML',
         message: '\
-An error occurred while loading a CZML file.  This may indicate that the file is invalid or that it \
+An error occurred while loading a CZML file.  ' + corsProxy.describeError(e) + '\
+This may indicate that the file is invalid or that it \
 is not supported by National Map.  If you would like assistance or further information, please email us \
 at <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.'
     });
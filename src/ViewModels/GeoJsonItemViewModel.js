@@ -3,12 +3,14 @@
 /*global require,proj4,proj4_epsg*/
 
 var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var clone = require('../../third_party/cesium/Source/Core/clone');
 var Color = require('../../third_party/cesium/Source/Core/Color');
 var ColorMaterialProperty = require('../../third_party/cesium/Source/DataSources/ColorMaterialProperty');
 var ConstantProperty = require('../../third_party/cesium/Source/DataSources/ConstantProperty');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
 var GeoJsonDataSource = require('../../third_party/cesium/Source/DataSources/GeoJsonDataSource');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
@@ -16,11 +18,17 @@ var loadText = require('../../third_party/cesium/Source/Core/loadText');
 var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
-var MetadataViewModel = require('./MetadataViewModel');
+var createGeoJsonStyler = require('../Map/createGeoJsonStyler');
+var summarizeGeoJson = require('../Map/summarizeGeoJson');
+
 var ViewModelError = require('./ViewModelError');
 var CatalogItemViewModel = require('./CatalogItemViewModel');
+var corsProxy = require('../Core/corsProxy');
 var inherit = require('../Core/inherit');
+var sanitizeHtml = require('../Core/sanitizeHtml');
 var readJson = require('../Core/readJson');
+var requestGeoJsonMetadata = require('./requestGeoJsonMetadata');
+var zoomToRectangle = require('./zoomToRectangle');
 
 var lineAndFillPalette = {
     minimumRed : 0.4,
@@ -57,6 +65,7 @@ var GeoJsonItemViewModel = function(application, url) {
 
     this._geoJsonDataSource = undefined;
     this._readyData = undefined;
+    this._metadata = undefined;
 
     /**
      * Gets or sets the URL from which to retrieve GeoJSON data.  This property is ignored if
@@ -79,7 +88,23 @@ var GeoJsonItemViewModel = function(application, url) {
      */
     this.dataSourceUrl = undefined;
 
-    knockout.track(this, ['url', 'data', 'dataSourceUrl']);
+    /**
+     * Gets or sets the style of the GeoJSON features.  The `point` property is an object with `color`, `size` (in pixels),
+     * `outlineColor` and `outlineWidth` properties, `line` has `color` and `width` properties, and `polygon` has
+     * `fill` (true to fill polygons rather than only drawing their outlines), `fillColor`, `fillOpacity` and
+     * `outlineColor` properties.  Colors are CSS color strings.  Features with simplestyle-spec properties, such as
+     * `marker-color`, `marker-size`, `stroke`, `stroke-opacity`, `stroke-width`, `fill` and `fill-opacity`, are drawn
+     * accordingly unless `useSimpleStyle` is false.  The `colorRule` property colors features by the value of one of
+     * their properties: { property : 'type', type : 'categorical', colors : { road : '#ff0000' } } gives each value
+     * its own color, taken from `colors` or from the `palette` (see {@link ColorPalettes}), while
+     * { property : 'population', type : 'graduated', method : 'jenks', classCount : 5, palette : 'Blues' } colors
+     * features by the class of their value, using the options of {@link computeClassBreaks}.  Options that are not
+     * specified use a color derived from the name of the item.
+     * @type {Object}
+     */
+    this.style = undefined;
+
+    knockout.track(this, ['url', 'data', 'dataSourceUrl', 'style']);
 };
 
 inherit(CatalogItemViewModel, GeoJsonItemViewModel);
@@ -108,28 +133,79 @@ defineProperties(GeoJsonItemViewModel.prototype, {
     },
 
     /**
-     * Gets the metadata associated with this data source and the server that provided it, if applicable.
+     * Gets the metadata associated with this data source and the server that provided it, if applicable.  The
+     * metadata of a GeoJSON item summarises its features: how many there are, the types of their geometries, and
+     * the values of each of their properties.
      * @memberOf GeoJsonItemViewModel.prototype
      * @type {MetadataViewModel}
      */
     metadata : {
         get : function() {
-            // TODO: maybe return the FeatureCollection's properties?
-            var result = new MetadataViewModel();
-            result.isLoading = false;
-            result.dataSourceErrorMessage = 'This data source does not have any details available.';
-            result.serviceErrorMessage = 'This service does not have any details available.';
-            return result;
+            if (!defined(this._metadata)) {
+                this._metadata = requestGeoJsonMetadata(this);
+            }
+            return this._metadata;
+        }
+    },
+
+    /**
+     * Gets the GeoJSON features of this item, reprojected to EPSG:4326, or undefined if the item has not been loaded.
+     * @memberOf GeoJsonItemViewModel.prototype
+     * @type {Object[]}
+     */
+    features : {
+        get : function() {
+            if (!defined(this._readyData)) {
+                return undefined;
+            }
+            return summarizeGeoJson.getFeatures(this._readyData);
+        }
+    },
+
+    /**
+     * Gets the set of names of the properties to be serialized for this object when {@link CatalogMemberViewModel#serializeToJson} is called
+     * and the `serializeForSharing` flag is set in the options.
+     * @memberOf GeoJsonItemViewModel.prototype
+     * @type {String[]}
+     */
+    propertiesForSharing : {
+        get : function() {
+            return GeoJsonItemViewModel.defaultPropertiesForSharing;
         }
     }
 });
 
+/**
+ * Gets or sets the default set of properties that are serialized when serializing a {@link CatalogItemViewModel}-derived object with the
+ * `serializeForSharing` flag set in the options.
+ * @type {String[]}
+ */
+GeoJsonItemViewModel.defaultPropertiesForSharing = clone(CatalogItemViewModel.defaultPropertiesForSharing);
+GeoJsonItemViewModel.defaultPropertiesForSharing.push('style');
+
+freezeObject(GeoJsonItemViewModel.defaultPropertiesForSharing);
+
+/**
+ * Gets the colors used for features that are not styled otherwise.  The colors are derived from the name of the
+ * item, so that the same data is drawn in the same colors each time it is shown.
+ *
+ * @param {String} name The name of the item.
+ * @return {Object} An object with `pointColor` and `lineColor` properties, which are {@link Color}s.
+ */
+GeoJsonItemViewModel.getDefaultColors = function(name) {
+    return {
+        pointColor : getRandomColor(pointPalette, name),
+        lineColor : getRandomColor(lineAndFillPalette, name)
+    };
+};
+
 GeoJsonItemViewModel.prototype._getValuesThatInfluenceLoad = function() {
     return [this.url, this.data];
 };
 
 GeoJsonItemViewModel.prototype._load = function() {
     this._geoJsonDataSource = new GeoJsonDataSource(this.name);
+    this._metadata = undefined;
 
     var that = this;
 
@@ -155,7 +231,7 @@ GeoJsonItemViewModel.prototype._load = function() {
                 sender: that,
                 title: 'Could not load JSON',
                 message: '\
-An error occurred while retrieving JSON data from the provided link.  \
+An error occurred while retrieving JSON data from the provided link.  ' + corsProxy.describeError(e) + '\
 <p>If you entered the link manually, please verify that the link is correct.</p>\
 <p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
 server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
@@ -171,6 +247,18 @@ sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@
     }
 };
 
+/**
+ * Moves the camera so that one of the features of this item is visible.
+ *
+ * @param {Object} feature The feature, one of {@link GeoJsonItemViewModel#features}.
+ */
+GeoJsonItemViewModel.prototype.zoomToFeature = function(feature) {
+    if (!defined(feature.geometry) || feature.geometry === null) {
+        return;
+    }
+    zoomToRectangle(this.application, getGeoJsonExtent(feature.geometry));
+};
+
 GeoJsonItemViewModel.prototype._enable = function() {
 };
 
@@ -267,53 +355,112 @@ function proxyUrl(application, url) {
 }
 
 function loadGeoJson(viewModel) {
-    var fillPolygons = false;
-    var pointColor = getRandomColor(pointPalette, viewModel.name);
-    var lineColor = getRandomColor(lineAndFillPalette, viewModel.name);
-    var fillColor = Color.clone(lineColor);
-    fillColor.alpha = 0.75;
-
-    var pointSize = 10;
-    var lineWidth = 2;
-
     var dataSource = viewModel._geoJsonDataSource;
     return dataSource.load(viewModel._readyData).then(function() {
+        var defaultColors = GeoJsonItemViewModel.getDefaultColors(viewModel.name);
+        var styler = createGeoJsonStyler({
+            style : viewModel.style,
+            properties : getFeatureProperties(viewModel._readyData),
+            pointColor : defaultColors.pointColor,
+            lineColor : defaultColors.lineColor
+        });
+
         var entities = dataSource.entities.entities;
 
+        // Entities keep the default description of their properties unless this item says how to describe them.
+        var describe = defined(viewModel.featureInfoTemplate) || defined(viewModel.featureInfoProperties);
+
         for (var i = 0; i < entities.length; ++i) {
             var entity = entities[i];
+            var style = styler.getStyle(entity.properties);
             var material;
 
+            if (describe) {
+                entity.description = new ConstantProperty(sanitizeHtml(viewModel.describeFeature(entity.properties)));
+            }
+
             // Update default point/line/polygon
             var point = entity.point;
             if (defined(point)) {
-                point.color = new ConstantProperty(pointColor);
-                point.pixelSize = new ConstantProperty(pointSize);
-                point.outlineColor = new ConstantProperty(Color.BLACK);
-                point.outlineWidth = new ConstantProperty(1);
+                point.color = new ConstantProperty(style.point.color);
+                point.pixelSize = new ConstantProperty(style.point.size);
+                point.outlineColor = new ConstantProperty(style.point.outlineColor);
+                point.outlineWidth = new ConstantProperty(style.point.outlineWidth);
             }
 
             var polyline = entity.polyline;
             if (defined(polyline)) {
                 material = new ColorMaterialProperty();
-                material.color = new ConstantProperty(lineColor);
+                material.color = new ConstantProperty(style.line.color);
                 polyline.material = material;
-                polyline.width = new ConstantProperty(lineWidth);
+                polyline.width = new ConstantProperty(style.line.width);
             }
 
             var polygon = entity.polygon;
             if (defined(polygon)) {
-                polygon.fill = new ConstantProperty(fillPolygons);
+                polygon.fill = new ConstantProperty(style.polygon.fill);
                 polygon.outline = new ConstantProperty(true);
+                polygon.outlineColor = new ConstantProperty(style.polygon.outlineColor);
 
                 material = new ColorMaterialProperty();
-                material.color = new ConstantProperty(fillColor);
+                material.color = new ConstantProperty(style.polygon.fillColor);
                 polygon.material = material;
             }
         }
+
+        if (defined(styler.legend)) {
+            viewModel.legendUrl = createLegendGraphic(viewModel.style.colorRule.property, styler.legend);
+        }
     });
 }
 
+// Gets the properties of each feature, for styling rules that depend on all of the values of a property.
+function getFeatureProperties(geoJson) {
+    if (geoJson.type === 'FeatureCollection') {
+        var result = [];
+        for (var i = 0; i < geoJson.features.length; ++i) {
+            var properties = geoJson.features[i].properties;
+            if (defined(properties) && properties !== null) {
+                result.push(properties);
+            }
+        }
+        return result;
+    } else if (geoJson.type === 'Feature' && defined(geoJson.properties) && geoJson.properties !== null) {
+        return [geoJson.properties];
+    }
+    return [];
+}
+
+// Draws a box of each color of a style rule with its label.
+function createLegendGraphic(title, legend) {
+    var canvas = document.createElement('canvas');
+    if (!defined(canvas)) {
+        return undefined;
+    }
+    var boxW = 40;
+    var boxH = 20;
+    var w = canvas.width = 210;
+    var h = canvas.height = 30 + legend.length * (boxH + 5);
+    var ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, w, h);
+
+    ctx.font = '16px Arial Narrow';
+    ctx.fillStyle = '#000000';
+    ctx.fillText(title, 5, 15);
+
+    for (var i = 0; i < legend.length; ++i) {
+        var y = 25 + i * (boxH + 5);
+        ctx.fillStyle = legend[i].color.toCssColorString();
+        ctx.fillRect(5, y, boxW, boxH);
+        ctx.fillStyle = '#000000';
+        ctx.fillText(legend[i].label, boxW + 15, y + boxH - 4);
+    }
+
+    return canvas.toDataURL('image/png');
+}
+
 // Get a random color for the data based on the passed seed (usually dataset name)
 function getRandomColor(palette, seed) {
     if (defined(seed)) {
@@ -0,0 +1,267 @@
+'use strict';
+
+/*global require,L*/
+
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var ImageryLayer = require('../../third_party/cesium/Source/Scene/ImageryLayer');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+
+var corsProxy = require('../Core/corsProxy');
+var createGeoJsonStyler = require('../Map/createGeoJsonStyler');
+var escapeHtml = require('../Core/escapeHtml');
+var GeoJsonItemViewModel = require('./GeoJsonItemViewModel');
+var GeoJsonTileImageryProvider = require('../Map/GeoJsonTileImageryProvider');
+var ImageryLayerItemViewModel = require('./ImageryLayerItemViewModel');
+var inherit = require('../Core/inherit');
+var ViewModelError = require('./ViewModelError');
+
+/**
+ * A {@link ImageryLayerItemViewModel} representing GeoJSON data that is cut into tiles by the server, such as large
+ * files converted by the National Map conversion service.  Only the tiles in view are requested, and the features
+ * in each tile are simplified to the detail that can be seen at its zoom level.
+ *
+ * @alias GeoJsonTilesItemViewModel
+ * @constructor
+ * @extends ImageryLayerItemViewModel
+ *
+ * @param {ApplicationViewModel} application The application.
+ * @param {String} [url] The URL of the description of the tiles.
+ */
+var GeoJsonTilesItemViewModel = function(application, url) {
+    ImageryLayerItemViewModel.call(this, application);
+
+    this._tileProvider = undefined;
+    this._tileUrl = undefined;
+    this._dataRectangle = undefined;
+
+    /**
+     * Gets or sets the URL of the description of the tiles, a JSON object with a `tileUrl` template in which {z},
+     * {x} and {y} are replaced with the zoom level and the column and row of each tile, and optionally the `bounds`
+     * of the features as [west, south, east, north] in degrees, such as /convert/jobs/<id>/tiles.  This property is
+     * observable.
+     * @type {String}
+     */
+    this.url = url;
+
+    /**
+     * Gets or sets the style of the features, as described by {@link GeoJsonItemViewModel#style}.  The features of
+     * all of the tiles are not available when the style is applied, so a categorical `colorRule` colors only the
+     * values given in its `colors`, and a graduated `colorRule` needs its `breaks`.  This property is observable.
+     * @type {Object}
+     */
+    this.style = undefined;
+
+    /**
+     * Gets or sets the most detailed zoom level of the tiles to request.  Tiles of this level are drawn larger when
+     * the map is zoomed in further.  This property is observable.
+     * @type {Number}
+     * @default 18
+     */
+    this.maximumLevel = 18;
+
+    knockout.track(this, ['url', 'style', 'maximumLevel']);
+};
+
+inherit(ImageryLayerItemViewModel, GeoJsonTilesItemViewModel);
+
+defineProperties(GeoJsonTilesItemViewModel.prototype, {
+    /**
+     * Gets the type of data item represented by this instance.
+     * @memberOf GeoJsonTilesItemViewModel.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'geojson-tiles';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'Tiled GeoJSON'.
+     * @memberOf GeoJsonTilesItemViewModel.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Tiled GeoJSON';
+        }
+    },
+
+    /**
+     * Gets the set of names of the properties to be serialized for this object when {@link CatalogMemberViewModel#serializeToJson} is called
+     * and the `serializeForSharing` flag is set in the options.
+     * @memberOf GeoJsonTilesItemViewModel.prototype
+     * @type {String[]}
+     */
+    propertiesForSharing : {
+        get : function() {
+            return GeoJsonTilesItemViewModel.defaultPropertiesForSharing;
+        }
+    }
+});
+
+/**
+ * Gets or sets the default set of properties that are serialized when serializing a {@link CatalogItemViewModel}-derived object with the
+ * `serializeForSharing` flag set in the options.
+ * @type {String[]}
+ */
+GeoJsonTilesItemViewModel.defaultPropertiesForSharing = clone(ImageryLayerItemViewModel.defaultPropertiesForSharing);
+GeoJsonTilesItemViewModel.defaultPropertiesForSharing.push('style');
+
+freezeObject(GeoJsonTilesItemViewModel.defaultPropertiesForSharing);
+
+GeoJsonTilesItemViewModel.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url];
+};
+
+GeoJsonTilesItemViewModel.prototype._load = function() {
+    this._tileUrl = undefined;
+    this._dataRectangle = undefined;
+
+    var that = this;
+    return loadJson(proxyUrl(this.application, this.url)).then(function(description) {
+        that._tileUrl = description.tileUrl;
+
+        var bounds = description.bounds;
+        if (defined(bounds)) {
+            that._dataRectangle = Rectangle.fromDegrees(bounds[0], bounds[1], bounds[2], bounds[3]);
+            if (!defined(that.rectangle)) {
+                that.rectangle = that._dataRectangle;
+            }
+        }
+    }).otherwise(function(e) {
+        throw new ViewModelError({
+            sender: that,
+            title: 'Data source is not available',
+            message: '\
+An error occurred while requesting the description of the tiles of ' + escapeHtml(that.name) + '.  ' + corsProxy.describeError(e) + '\
+<p>This may indicate that the data has expired from the server or that there is a problem with your internet \
+connection.  If you would like assistance or further information, please email us at \
+<a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.</p>'
+        });
+    });
+};
+
+/**
+ * Finds the features of this item drawn at a location.
+ * @param {Object} options The location and the view in which it was picked, as described in {@link CatalogItemViewModel#pickFeatures}.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection of the features at the location, or undefined if
+ *         the item is not shown.
+ */
+GeoJsonTilesItemViewModel.prototype.pickFeatures = function(options) {
+    if (!defined(this._tileProvider)) {
+        return undefined;
+    }
+
+    // Pick from the level of tiles whose pixels are closest in size to the pixels of the view.
+    var radiansPerPixel = (options.rectangle.east - options.rectangle.west) / options.width;
+    var level = Math.log(2 * Math.PI / (256 * radiansPerPixel)) / Math.LN2;
+
+    return this._tileProvider.pickFeaturesAt(options.longitude, options.latitude, level);
+};
+
+GeoJsonTilesItemViewModel.prototype._enableInCesium = function() {
+    if (defined(this._imageryLayer)) {
+        throw new DeveloperError('This data source is already enabled.');
+    }
+
+    var scene = this.application.cesium.scene;
+
+    this._tileProvider = createTileProvider(this);
+    this._imageryLayer = new ImageryLayer(this._tileProvider, {
+        show : false,
+        alpha : this.opacity
+    });
+
+    scene.imageryLayers.add(this._imageryLayer);
+};
+
+GeoJsonTilesItemViewModel.prototype._disableInCesium = function() {
+    if (!defined(this._imageryLayer)) {
+        throw new DeveloperError('This data source is not enabled.');
+    }
+
+    var scene = this.application.cesium.scene;
+    scene.imageryLayers.remove(this._imageryLayer);
+    this._imageryLayer = undefined;
+    this._tileProvider = undefined;
+};
+
+GeoJsonTilesItemViewModel.prototype._enableInLeaflet = function() {
+    if (defined(this._imageryLayer)) {
+        throw new DeveloperError('This data source is already enabled.');
+    }
+
+    var tileProvider = createTileProvider(this);
+
+    var layer = new L.TileLayer.Canvas({
+        opacity : this.opacity,
+        async : true
+    });
+
+    layer.drawTile = function(canvas, tilePoint, zoom) {
+        if (!tileProvider.hasFeaturesInTile(tilePoint.x, tilePoint.y, zoom)) {
+            layer.tileDrawn(canvas);
+            return;
+        }
+
+        // Tiles more detailed than the maximum level are not available, so zoom in on part of a tile instead.
+        var level = Math.min(zoom, tileProvider.maximumLevel);
+        var scale = Math.pow(2, zoom - level);
+        var x = Math.floor(tilePoint.x / scale);
+        var y = Math.floor(tilePoint.y / scale);
+
+        tileProvider.loadTile(x, y, level).then(function(tile) {
+            var context = canvas.getContext('2d');
+            context.setTransform(scale, 0, 0, scale, -(tilePoint.x - x * scale) * 256, -(tilePoint.y - y * scale) * 256);
+            tileProvider.drawTile(canvas, tile, x, y, level);
+            layer.tileDrawn(canvas);
+        }).otherwise(function() {
+            layer.tileDrawn(canvas);
+        });
+    };
+
+    this._tileProvider = tileProvider;
+    this._imageryLayer = layer;
+};
+
+GeoJsonTilesItemViewModel.prototype._disableInLeaflet = function() {
+    if (!defined(this._imageryLayer)) {
+        throw new DeveloperError('This data source is not enabled.');
+    }
+
+    this._imageryLayer = undefined;
+    this._tileProvider = undefined;
+};
+
+function createTileProvider(viewModel) {
+    var defaultColors = GeoJsonItemViewModel.getDefaultColors(viewModel.name);
+
+    return new GeoJsonTileImageryProvider({
+        url : proxyUrl(viewModel.application, viewModel._tileUrl),
+        styler : createGeoJsonStyler({
+            style : viewModel.style,
+            pointColor : defaultColors.pointColor,
+            lineColor : defaultColors.lineColor
+        }),
+        dataRectangle : viewModel._dataRectangle,
+        maximumLevel : defaultValue(viewModel.maximumLevel, 18)
+    });
+}
+
+function proxyUrl(application, url) {
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+        return application.corsProxy.getURL(url);
+    }
+
+    return url;
+}
+
+module.exports = GeoJsonTilesItemViewModel;
@@ -10,6 +10,7 @@ var when = require('../../third_party/cesium/Source/ThirdParty/when');
 var MetadataViewModel = require('./MetadataViewModel');
 var ViewModelError = require('./ViewModelError');
 var CatalogItemViewModel = require('./CatalogItemViewModel');
+var corsProxy = require('../Core/corsProxy');
 var inherit = require('../Core/inherit');
 
 var GeoJsonItemViewModel = require('./GeoJsonItemViewModel');
@@ -103,6 +104,8 @@ GpxItemViewModel.prototype._getValuesThatInfluenceLoad = function() {
 
 GpxItemViewModel.prototype._load = function() {
     this._geoJsonViewModel = new GeoJsonItemViewModel(this.application);
+    this._geoJsonViewModel.featureInfoTemplate = this.featureInfoTemplate;
+    this._geoJsonViewModel.featureInfoProperties = this.featureInfoProperties;
 
     var that = this;
 
@@ -122,8 +125,8 @@ GpxItemViewModel.prototype._load = function() {
     } else {
         return loadText(proxyUrl(that, that.url)).then(function(text) {
             return loadGpxText(that, text);
-        }).otherwise(function() {
-            errorLoading(that);
+        }).otherwise(function(e) {
+            errorLoading(that, e);
         });
     }
 };
@@ -174,12 +177,13 @@ function loadGpxText(viewModel, text) {
     });
 }
 
-function errorLoading(viewModel) {
+function errorLoading(viewModel, e) {
     throw new ViewModelError({
         sender: viewModel,
         title: 'Error loading GPX',
         message: '\
-An error occurred while loading a GPX file.  This may indicate that the file is invalid or that it \
+An error occurred while loading a GPX file.  ' + corsProxy.describeError(e) + '\
+This may indicate that the file is invalid or that it \
 is not supported by National Map.  If you would like assistance or further information, please email us \
 at <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.'
     });
@@ -11,6 +11,7 @@ var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 
 var CatalogItemViewModel = require('./CatalogItemViewModel');
+var corsProxy = require('../Core/corsProxy');
 var inherit = require('../Core/inherit');
 var ViewModelError = require('./ViewModelError');
 
@@ -173,7 +174,7 @@ ImageryLayerItemViewModel.prototype._showInCesium = function() {
                 message: '\
 An error occurred while attempting to download tiles for catalogue item ' + that.name + '.  This may indicate that there is a \
 problem with your internet connection, that the catalogue item is temporarily unavailable, or that the catalogue item \
-is invalid.  The catalogue item has been hidden from the map.  You may re-show it in the Now Viewing panel to try again.'
+is invalid.  The catalogue item has been hidden from the map.  You may re-show it in the Now Viewing panel to try again.  ' + corsProxy.describeError(tileProviderError.error)
             }));
 
             that.isShown = false;
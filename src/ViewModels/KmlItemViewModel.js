@@ -12,6 +12,7 @@ var when = require('../../third_party/cesium/Source/ThirdParty/when');
 var MetadataViewModel = require('./MetadataViewModel');
 var ViewModelError = require('./ViewModelError');
 var CatalogItemViewModel = require('./CatalogItemViewModel');
+var corsProxy = require('../Core/corsProxy');
 var inherit = require('../Core/inherit');
 var readXml = require('../Core/readXml');
 
@@ -112,22 +113,22 @@ KmlItemViewModel.prototype._load = function() {
             if (data instanceof Document) {
                 return dataSource.load(data, proxyUrl(that, that.dataSourceUrl)).then(function() {
                     doneLoading(that);
-                }).otherwise(function() {
-                    errorLoading(that);
+                }).otherwise(function(e) {
+                    errorLoading(that, e);
                 });
             } else if (data instanceof Blob) {
                 if (that.dataSourceUrl && that.dataSourceUrl.match(kmzRegex)) {
                     return dataSource.loadKmz(data, proxyUrl(that, that.dataSourceUrl)).then(function() {
                         doneLoading(that);
-                    }).otherwise(function() {
-                        errorLoading(that);
+                    }).otherwise(function(e) {
+                        errorLoading(that, e);
                     });
                 } else {
                     return readXml(data).then(function(xml) {
                         return dataSource.load(xml, proxyUrl(that, that.dataSourceUrl)).then(function() {
                             doneLoading(that);
-                        }).otherwise(function() {
-                            errorLoading(that);
+                        }).otherwise(function(e) {
+                            errorLoading(that, e);
                         });
                     });
                 }
@@ -146,8 +147,8 @@ If you believe it is a bug in National Map, please report it by emailing \
     } else {
         return dataSource.loadUrl(proxyUrl(that, that.url)).then(function() {
             doneLoading(that);
-        }).otherwise(function() {
-            errorLoading(that);
+        }).otherwise(function(e) {
+            errorLoading(that, e);
         });
     }
 };
@@ -196,12 +197,13 @@ function doneLoading(viewModel) {
     viewModel.clock = viewModel._kmlDataSource.clock;
 }
 
-function errorLoading(viewModel) {
+function errorLoading(viewModel, e) {
     throw new ViewModelError({
         sender: viewModel,
         title: 'Error loading KML or KMZ',
         message: '\
-An error occurred while loading a KML or KMZ file.  This may indicate that the file is invalid or that it \
+An error occurred while loading a KML or KMZ file.  ' + corsProxy.describeError(e) + '\
+This may indicate that the file is invalid or that it \
 is not supported by National Map.  If you would like assistance or further information, please email us \
 at <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.'
     });
@@ -1,11 +1,33 @@
 'use strict';
 
+/*global require*/
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+
 var LeafletViewModel = function(application, map) {
     /**
      * Gets or sets the Leaflet {@link Map} instance.
      * @type {Map}
      */
     this.map = map;
+
+    map.on('moveend', function() {
+        application.viewChanged.raiseEvent();
+    });
+};
+
+/**
+ * Gets the rectangle of the map that is currently visible.
+ *
+ * @return {Rectangle} The visible rectangle.
+ */
+LeafletViewModel.prototype.getCurrentExtent = function() {
+    var bounds = this.map.getBounds();
+    return Rectangle.fromDegrees(
+        CesiumMath.clamp(bounds.getWest(), -180.0, 180.0),
+        CesiumMath.clamp(bounds.getSouth(), -90.0, 90.0),
+        CesiumMath.clamp(bounds.getEast(), -180.0, 180.0),
+        CesiumMath.clamp(bounds.getNorth(), -90.0, 90.0));
 };
 
 module.exports = LeafletViewModel;
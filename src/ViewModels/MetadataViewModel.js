@@ -33,14 +33,14 @@ var MetadataViewModel = function() {
 
     /**
      * Gets or sets an error message resulting from attempting to get the data source metadata, or undefined
-     * if no has error occurred.
+     * if no has error occurred.  The message may contain HTML.
      * @type {String}
      */
     this.dataSourceErrorMessage = undefined;
 
     /**
      * Gets or sets an error message resulting from attempting to get the service metadata, or undefined
-     * if no has error occurred.
+     * if no has error occurred.  The message may contain HTML.
      * @type {String}
      */
     this.serviceErrorMessage = undefined;
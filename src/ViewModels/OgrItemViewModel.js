@@ -5,13 +5,17 @@
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
 var loadWithXhr = require('../../third_party/cesium/Source/Core/loadWithXhr');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var CatalogItemViewModel = require('./CatalogItemViewModel');
+var escapeHtml = require('../Core/escapeHtml');
 var GeoJsonItemViewModel = require('./GeoJsonItemViewModel');
+var GeoJsonTilesItemViewModel = require('./GeoJsonTilesItemViewModel');
 var inherit = require('../Core/inherit');
-var MetadataViewModel = require('./MetadataViewModel');
+var requestGeoJsonMetadata = require('./requestGeoJsonMetadata');
+var runLater = require('../Core/runLater');
 var ViewModelError = require('./ViewModelError');
 
 /**
@@ -27,7 +31,8 @@ var ViewModelError = require('./ViewModelError');
 var OgrItemViewModel = function(application, url) {
     CatalogItemViewModel.call(this, application);
 
-    this._geoJsonViewModel = undefined;
+    this._convertedViewModel = undefined;
+    this._metadata = undefined;
 
     /**
      * Gets or sets the URL from which to retrieve OGR data.  This property is ignored if
@@ -50,7 +55,16 @@ var OgrItemViewModel = function(application, url) {
      */
     this.dataSourceUrl = undefined;
 
-    knockout.track(this, ['url', 'data', 'dataSourceUrl']);
+    /**
+     * Gets or sets the largest size, in bytes, of converted GeoJSON to load into the browser.  Larger data is instead
+     * cut into tiles by the conversion service and shown with a {@link GeoJsonTilesItemViewModel}, in which case
+     * {@link OgrItemViewModel#features} is undefined.  This property is observable.
+     * @type {Number}
+     * @default 5242880
+     */
+    this.maximumGeoJsonSize = 5 * 1024 * 1024;
+
+    knockout.track(this, ['url', 'data', 'dataSourceUrl', 'maximumGeoJsonSize']);
 };
 
 inherit(CatalogItemViewModel, OgrItemViewModel);
@@ -79,17 +93,28 @@ defineProperties(OgrItemViewModel.prototype, {
     },
 
     /**
-     * Gets the metadata associated with this data source and the server that provided it, if applicable.
+     * Gets the metadata associated with this data source and the server that provided it, if applicable.  The
+     * metadata summarises the features of this item once they are converted and loaded.
      * @memberOf OgrItemViewModel.prototype
      * @type {MetadataViewModel}
      */
     metadata : {
         get : function() {
-            var result = new MetadataViewModel();
-            result.isLoading = false;
-            result.dataSourceErrorMessage = 'This data source does not have any details available.';
-            result.serviceErrorMessage = 'This service does not have any details available.';
-            return result;
+            if (!defined(this._metadata)) {
+                this._metadata = requestGeoJsonMetadata(this);
+            }
+            return this._metadata;
+        }
+    },
+
+    /**
+     * Gets the GeoJSON features of this item, or undefined if the item has not been loaded or is shown as tiles.
+     * @memberOf OgrItemViewModel.prototype
+     * @type {Object[]}
+     */
+    features : {
+        get : function() {
+            return defined(this._convertedViewModel) ? this._convertedViewModel.features : undefined;
         }
     }
 });
@@ -112,7 +137,8 @@ We recommend you upgrade to the latest version of <a href="http://www.google.com
         });
     }
 
-    this._geoJsonViewModel = new GeoJsonItemViewModel(this.application);
+    this._convertedViewModel = undefined;
+    this._metadata = undefined;
 
     var that = this;
 
@@ -133,40 +159,68 @@ We recommend you upgrade to the latest version of <a href="http://www.google.com
     }
 };
 
+/**
+ * Moves the camera so that one of the features of this item is visible.
+ *
+ * @param {Object} feature The feature, one of {@link OgrItemViewModel#features}.
+ */
+OgrItemViewModel.prototype.zoomToFeature = function(feature) {
+    if (defined(this.features)) {
+        this._convertedViewModel.zoomToFeature(feature);
+    }
+};
+
+/**
+ * Finds the features of this item at a location, when the item is shown as tiles.
+ * @param {Object} options The location and the view in which it was picked, as described in {@link CatalogItemViewModel#pickFeatures}.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection of the features at the location, or undefined if
+ *         the item's features cannot be picked.
+ */
+OgrItemViewModel.prototype.pickFeatures = function(options) {
+    if (defined(this._convertedViewModel)) {
+        return this._convertedViewModel.pickFeatures(options);
+    }
+    return undefined;
+};
+
 OgrItemViewModel.prototype._enable = function() {
-    if (defined(this._geoJsonViewModel)) {
-        this._geoJsonViewModel._enable();
+    if (defined(this._convertedViewModel)) {
+        this._convertedViewModel._enable();
     }
 };
 
 OgrItemViewModel.prototype._disable = function() {
-    if (defined(this._geoJsonViewModel)) {
-        this._geoJsonViewModel._disable();
+    if (defined(this._convertedViewModel)) {
+        this._convertedViewModel._disable();
     }
 };
 
 OgrItemViewModel.prototype._show = function() {
-    if (defined(this._geoJsonViewModel)) {
-        this._geoJsonViewModel._show();
+    if (defined(this._convertedViewModel)) {
+        this._convertedViewModel._show();
     }
 };
 
 OgrItemViewModel.prototype._hide = function() {
-    if (defined(this._geoJsonViewModel)) {
-        this._geoJsonViewModel._hide();
+    if (defined(this._convertedViewModel)) {
+        this._convertedViewModel._hide();
     }
 };
 
+// How often to ask the conversion service whether a conversion has finished, in milliseconds.
+var conversionPollInterval = 1000;
+
 function loadOgrData(viewModel, file, url) {
 
     // generate form to submit file for conversion
     var formData = new FormData();
     if (defined(file)) {
-        if (file.size > 1000000) {
-            errorLoading(viewModel, 'The file size is greater than the 1Mb limit of the National Map conversion service.');
-            return;
+        // The conversion service recognises the format of the file from the extension of its name.
+        if (defined(viewModel.dataSourceUrl)) {
+            formData.append('input_file', file, viewModel.dataSourceUrl);
+        } else {
+            formData.append('input_file', file);
         }
-        formData.append('input_file', file);
     } else if (defined(url)) {
         // fix up url to server if relative
         if (url.indexOf('http') !== 0) {
@@ -178,21 +232,83 @@ function loadOgrData(viewModel, file, url) {
     console.log('Attempting to convert file via the NM ogr2ogr web service');
 
     return loadWithXhr({
-        url : '/convert',
+        url : '/convert/jobs',
         method : 'POST',
         data : formData
     }).then(function(response) {
-        viewModel._geoJsonViewModel.data = JSON.parse(response);
+        var id = JSON.parse(response).id;
+        return waitForConversion(viewModel, id).then(function(job) {
+            // Large data is drawn from tiles of simplified features rather than loaded into the browser all at once.
+            if (defined(job.size) && job.size > viewModel.maximumGeoJsonSize) {
+                var tilesViewModel = new GeoJsonTilesItemViewModel(viewModel.application, '/convert/jobs/' + id + '/tiles');
+                tilesViewModel.name = viewModel.name;
+                tilesViewModel.opacity = 1.0;
+                return tilesViewModel;
+            }
+
+            return loadJson('/convert/jobs/' + id + '/result').then(function(geoJson) {
+                var geoJsonViewModel = new GeoJsonItemViewModel(viewModel.application);
+                geoJsonViewModel.data = geoJson;
+                return geoJsonViewModel;
+            });
+        });
+    }).otherwise(function(e) {
+        if (e instanceof ViewModelError) {
+            throw e;
+        }
+        errorLoading(viewModel, getConversionErrorMessage(e));
+    }).then(function(convertedViewModel) {
+        convertedViewModel.featureInfoTemplate = viewModel.featureInfoTemplate;
+        convertedViewModel.featureInfoProperties = viewModel.featureInfoProperties;
+        viewModel._convertedViewModel = convertedViewModel;
 
-        return viewModel._geoJsonViewModel.load().then(function() {
-            viewModel.rectangle = viewModel._geoJsonViewModel.rectangle;
-            viewModel.clock = viewModel._geoJsonViewModel.clock;
+        return convertedViewModel.load().then(function() {
+            viewModel.rectangle = convertedViewModel.rectangle;
+            viewModel.clock = convertedViewModel.clock;
         });
-    }).otherwise(function() {
-        errorLoading(viewModel);
     });
 }
 
+function waitForConversion(viewModel, id) {
+    return loadJson('/convert/jobs/' + id).then(function(job) {
+        if (job.status === 'failed') {
+            errorLoading(viewModel, formatConversionMessage(job.message));
+        } else if (job.status === 'done') {
+            return job;
+        }
+
+        return runLater(function() {
+            return waitForConversion(viewModel, id);
+        }, conversionPollInterval);
+    });
+}
+
+// Gets the message from an error response of the conversion service, which looks like
+// { convertError : { code : 'FILE_TOO_LARGE', message : 'The file is larger than...' } }.
+function getConversionErrorMessage(e) {
+    if (!defined(e) || typeof e.response !== 'string') {
+        return undefined;
+    }
+
+    var response;
+    try {
+        response = JSON.parse(e.response);
+    } catch (parseError) {
+        return undefined;
+    }
+
+    if (!defined(response.convertError) || !defined(response.convertError.message)) {
+        return undefined;
+    }
+    return formatConversionMessage(response.convertError.message);
+}
+
+function formatConversionMessage(message) {
+    if (!defined(message)) {
+        return undefined;
+    }
+    return 'The National Map conversion service reported:<pre>' + escapeHtml(message) + '</pre>';
+}
 
 function errorLoading(viewModel, msg) {
     if (!defined(msg)) {
@@ -12,6 +12,7 @@ var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 
 var ViewModelError = require('./ViewModelError');
 var CatalogGroupViewModel = require('./CatalogGroupViewModel');
+var corsProxy = require('../Core/corsProxy');
 var inherit = require('../Core/inherit');
 var unionRectangles = require('../Map/unionRectangles');
 var WebFeatureServiceItemViewModel = require('./WebFeatureServiceItemViewModel');
@@ -160,7 +161,7 @@ WebFeatureServiceGroupViewModel.prototype._load = function() {
         throw new ViewModelError({
             title: 'Group is not available',
             message: '\
-An error occurred while invoking GetCapabilities on the WFS server.  \
+An error occurred while invoking GetCapabilities on the WFS server.  ' + corsProxy.describeError(e) + '\
 <p>If you entered the link manually, please verify that the link is correct.</p>\
 <p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
 server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
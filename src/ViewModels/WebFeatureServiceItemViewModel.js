@@ -2,7 +2,9 @@
 
 /*global require,URI*/
 
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
 var clone = require('../../third_party/cesium/Source/Core/clone');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
@@ -10,10 +12,17 @@ var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
 var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
 var objectToQuery = require('../../third_party/cesium/Source/Core/objectToQuery');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var GeoJsonItemViewModel = require('./GeoJsonItemViewModel');
 var CatalogItemViewModel = require('./CatalogItemViewModel');
+var escapeHtml = require('../Core/escapeHtml');
 var inherit = require('../Core/inherit');
+var filterToOgcXml = require('../Map/filterToOgcXml');
+var raiseErrorOnRejectedPromise = require('./raiseErrorOnRejectedPromise');
+var raiseErrorToUser = require('./raiseErrorToUser');
+var requestGeoJsonMetadata = require('./requestGeoJsonMetadata');
+var ViewModelError = require('./ViewModelError');
 var gmlToGeoJson = require('../Map/gmlToGeoJson');
 
 /**
@@ -32,6 +41,10 @@ var WebFeatureServiceItemViewModel = function(application) {
     this._dataUrlType = undefined;
     this._metadataUrl = undefined;
     this._geoJsonViewModel = undefined;
+    this._metadata = undefined;
+    this._removeViewChangedListener = undefined;
+    this._hasWarnedOfTruncation = false;
+    this._latestFeatures = undefined;
 
     /**
      * Gets or sets the URL of the WFS server.  This property is observable.
@@ -63,7 +76,52 @@ var WebFeatureServiceItemViewModel = function(application) {
      */
     this.requestGml = true;
 
-    knockout.track(this, ['_dataUrl', '_dataUrlType', '_metadataUrl', 'url', 'typeNames', 'requestGeoJson', 'requestGml']);
+    /**
+     * Gets or sets the version of the WFS protocol to use, such as '1.1.0' or '2.0.0'.  Paging with
+     * {@link WebFeatureServiceItemViewModel#pageSize} requires version 2.0.0 or later.  This property is observable.
+     * @type {String}
+     * @default '1.1.0'
+     */
+    this.version = '1.1.0';
+
+    /**
+     * Gets or sets the largest number of features to request from the server, or undefined to request all of them.
+     * If the server has more features than this, only this many are shown and the user is warned that the layer is
+     * incomplete.  It is sent as the `maxFeatures` parameter in WFS 1.x and as the `count` parameter in WFS 2.0.
+     * This property is observable.
+     * @type {Number}
+     */
+    this.maxFeatures = undefined;
+
+    /**
+     * Gets or sets the number of features to request at a time, or undefined to request them all at once.  Features
+     * are requested a page at a time, using the `startIndex` parameter, until the server has no more of them or
+     * {@link WebFeatureServiceItemViewModel#maxFeatures} have been loaded.  This property is ignored unless
+     * {@link WebFeatureServiceItemViewModel#version} is 2.0.0 or later.  This property is observable.
+     * @type {Number}
+     */
+    this.pageSize = undefined;
+
+    /**
+     * Gets or sets a value indicating whether to request only the features within the current view rather than all
+     * of them.  When this is true, the features are requested again each time the camera stops moving.  This property
+     * is observable.
+     * @type {Boolean}
+     * @default false
+     */
+    this.requestFeaturesInView = false;
+
+    /**
+     * Gets or sets a filter that selects the features to request, as described in {@link filterToOgcXml}.  For
+     * example, { property : 'STATE', op : '=', value : 'NSW' } requests only the features in New South Wales.  The
+     * filter is sent to the server as OGC Filter Encoding XML.  Use {@link WebFeatureServiceItemViewModel#updateFilter}
+     * to change the filter of an item that is enabled.  This property is observable.
+     * @type {Object}
+     */
+    this.filter = undefined;
+
+    knockout.track(this, ['_dataUrl', '_dataUrlType', '_metadataUrl', 'url', 'typeNames', 'requestGeoJson', 'requestGml',
+                          'version', 'maxFeatures', 'pageSize', 'requestFeaturesInView', 'filter']);
 
     // dataUrl, metadataUrl, and legendUrl are derived from url if not explicitly specified.
     delete this.__knockoutObservables.dataUrl;
@@ -139,6 +197,32 @@ defineProperties(WebFeatureServiceItemViewModel.prototype, {
         }
     },
 
+    /**
+     * Gets the metadata associated with this data source and the server that provided it, if applicable.  The
+     * metadata summarises the features of this item once they are loaded.
+     * @memberOf WebFeatureServiceItemViewModel.prototype
+     * @type {MetadataViewModel}
+     */
+    metadata : {
+        get : function() {
+            if (!defined(this._metadata)) {
+                this._metadata = requestGeoJsonMetadata(this);
+            }
+            return this._metadata;
+        }
+    },
+
+    /**
+     * Gets the GeoJSON features of this item, or undefined if the item has not been loaded.
+     * @memberOf WebFeatureServiceItemViewModel.prototype
+     * @type {Object[]}
+     */
+    features : {
+        get : function() {
+            return defined(this._geoJsonViewModel) ? this._geoJsonViewModel.features : undefined;
+        }
+    },
+
     /**
      * Gets the set of functions used to update individual properties in {@link CatalogMemberViewModel#updateFromJson}.
      * When a property name in the returned object literal matches the name of a property on this instance, the value
@@ -165,6 +249,18 @@ defineProperties(WebFeatureServiceItemViewModel.prototype, {
         get : function() {
             return WebFeatureServiceItemViewModel.defaultSerializers;
         }
+    },
+
+    /**
+     * Gets the set of names of the properties to be serialized for this object when {@link CatalogMemberViewModel#serializeToJson} is called
+     * and the `serializeForSharing` flag is set in the options.
+     * @memberOf WebFeatureServiceItemViewModel.prototype
+     * @type {String[]}
+     */
+    propertiesForSharing : {
+        get : function() {
+            return WebFeatureServiceItemViewModel.defaultPropertiesForSharing;
+        }
     }
 });
 
@@ -185,38 +281,104 @@ WebFeatureServiceItemViewModel.defaultSerializers.metadataUrl = function(viewMod
 };
 freezeObject(WebFeatureServiceItemViewModel.defaultSerializers);
 
+/**
+ * Gets or sets the default set of properties that are serialized when serializing a {@link CatalogItemViewModel}-derived object with the
+ * `serializeForSharing` flag set in the options.
+ * @type {String[]}
+ */
+WebFeatureServiceItemViewModel.defaultPropertiesForSharing = clone(CatalogItemViewModel.defaultPropertiesForSharing);
+WebFeatureServiceItemViewModel.defaultPropertiesForSharing.push('filter');
+
+freezeObject(WebFeatureServiceItemViewModel.defaultPropertiesForSharing);
+
 WebFeatureServiceItemViewModel.prototype._getValuesThatInfluenceLoad = function() {
-    return [this.url, this.typeNames, this.requestGeoJson, this.requestGml];
+    return [this.url, this.typeNames, this.requestGeoJson, this.requestGml, this.version, this.maxFeatures, this.pageSize,
+            this.requestFeaturesInView, this.filter];
 };
 
 WebFeatureServiceItemViewModel.prototype._load = function() {
     this._geoJsonViewModel = new GeoJsonItemViewModel(this.application);
+    this._geoJsonViewModel.name = this.name;
+    this._geoJsonViewModel.featureInfoTemplate = this.featureInfoTemplate;
+    this._geoJsonViewModel.featureInfoProperties = this.featureInfoProperties;
+    this._metadata = undefined;
+    this._hasWarnedOfTruncation = false;
 
-
-    var promise;
-    if (this.requestGeoJson) {
-        promise = loadGeoJson(this);
-    } else if (this.requestGml) {
-        promise = loadGml(this);
-    } else {
+    if (!this.requestGeoJson && !this.requestGml) {
         return;
     }
 
-    this._geoJsonViewModel.data = promise;
+    var extent = this.requestFeaturesInView ? this.application.getCurrentExtent() : undefined;
+    this._geoJsonViewModel.data = loadFeatures(this, extent);
 
     var that = this;
     return that._geoJsonViewModel.load().then(function() {
-        that.rectangle = that._geoJsonViewModel.rectangle;
+        // The features in view do not tell us the extent of the whole layer.
+        if (!that.requestFeaturesInView) {
+            that.rectangle = that._geoJsonViewModel.rectangle;
+        }
     });
 };
 
+/**
+ * Changes the {@link WebFeatureServiceItemViewModel#filter} of this item.  If the item is enabled, the features that
+ * match the new filter are requested and replace the current features once they have loaded.
+ *
+ * @param {Object} filter The new filter, or undefined to request all features.
+ * @return {Promise} A promise that resolves when the new features are shown, or rejects with a
+ *         {@link ViewModelError} if the filter is not valid.
+ */
+WebFeatureServiceItemViewModel.prototype.updateFilter = function(filter) {
+    // Check the filter first, so that the item never keeps a filter that it cannot request features with.
+    if (defined(filter)) {
+        try {
+            translateFilter(this, filter);
+        } catch (e) {
+            return when.reject(e);
+        }
+    }
+
+    this.filter = filter;
+
+    // If the item is not enabled, the new filter is used when it is next loaded.
+    if (!this.isEnabled) {
+        return when();
+    }
+
+    var that = this;
+    return when(this._loadForEnablePromise, function() {
+        return replaceFeatures(that, that.requestFeaturesInView ? that.application.getCurrentExtent() : undefined);
+    });
+};
+
+/**
+ * Moves the camera so that one of the features of this item is visible.
+ *
+ * @param {Object} feature The feature, one of {@link WebFeatureServiceItemViewModel#features}.
+ */
+WebFeatureServiceItemViewModel.prototype.zoomToFeature = function(feature) {
+    if (defined(this._geoJsonViewModel)) {
+        this._geoJsonViewModel.zoomToFeature(feature);
+    }
+};
+
 WebFeatureServiceItemViewModel.prototype._enable = function() {
     if (defined(this._geoJsonViewModel)) {
         this._geoJsonViewModel._enable();
     }
+
+    var that = this;
+    this._removeViewChangedListener = this.application.viewChanged.addEventListener(function() {
+        refreshFeaturesInView(that);
+    });
 };
 
 WebFeatureServiceItemViewModel.prototype._disable = function() {
+    if (defined(this._removeViewChangedListener)) {
+        this._removeViewChangedListener();
+        this._removeViewChangedListener = undefined;
+    }
+
     if (defined(this._geoJsonViewModel)) {
         this._geoJsonViewModel._disable();
     }
@@ -234,47 +396,250 @@ WebFeatureServiceItemViewModel.prototype._hide = function() {
     }
 };
 
-function loadGeoJson(viewModel) {
-    var promise = loadJson(buildGeoJsonUrl(viewModel)).then(function(json) {
-        return json;
+function refreshFeaturesInView(viewModel) {
+    if (!viewModel.requestFeaturesInView || !viewModel.isShown || viewModel.isLoading) {
+        return;
+    }
+
+    // This is called when the view changes, so errors are reported to the user rather than thrown, including those
+    // thrown before the features are requested, such as for an invalid filter.
+    var promise;
+    try {
+        promise = replaceFeatures(viewModel, viewModel.application.getCurrentExtent());
+    } catch (e) {
+        raiseErrorToUser(viewModel.application, e);
+        return;
+    }
+    raiseErrorOnRejectedPromise(viewModel.application, promise);
+}
+
+// Requests the features again with the current settings and shows them in place of the current ones once they have loaded.
+function replaceFeatures(viewModel, extent) {
+    var previous = viewModel._geoJsonViewModel;
+    var next = new GeoJsonItemViewModel(viewModel.application);
+    next.name = viewModel.name;
+    next.featureInfoTemplate = viewModel.featureInfoTemplate;
+    next.featureInfoProperties = viewModel.featureInfoProperties;
+    var features = loadFeatures(viewModel, extent);
+    next.data = features;
+
+    return when(next.load(), function() {
+        // Ignore the features if the item has been reloaded or newer features have been requested since.
+        if (viewModel._geoJsonViewModel !== previous || !viewModel.isEnabled || features !== viewModel._latestFeatures) {
+            return;
+        }
+
+        next._enable();
+        if (viewModel.isShown) {
+            previous._hide();
+            next._show();
+        }
+        previous._disable();
+
+        viewModel._geoJsonViewModel = next;
+        viewModel._metadata = undefined;
+
+        // The features match the current settings, so they do not need to be loaded again.
+        viewModel._lastLoadInfluencingValues = viewModel._getValuesThatInfluenceLoad();
     });
+}
+
+// The most pages of features to request for one load, in case a server never runs out of them.
+var maximumPageCount = 1000;
+
+// Requests features page by page, until there are no more or maxFeatures have been loaded, and combines them into
+// a single FeatureCollection.
+function loadFeatures(viewModel, extent) {
+    var maxFeatures = viewModel.maxFeatures;
+    var pageSize = supportsPaging(viewModel) ? viewModel.pageSize : undefined;
+    var features = [];
+    var featureIds = {};
+    var pageCount = 0;
+    var crs;
+
+    function loadNextPage() {
+        var count = maxFeatures;
+        if (defined(pageSize)) {
+            count = defined(maxFeatures) ? Math.min(pageSize, maxFeatures - features.length) : pageSize;
+        }
+
+        var parameters = {
+            count : count,
+            startIndex : defined(pageSize) ? features.length : undefined,
+            extent : extent
+        };
+
+        return loadPage(viewModel, parameters).then(function(geoJson) {
+            ++pageCount;
+
+            // A server that ignores startIndex returns the same features again, which are left out.
+            var page = defined(geoJson.features) ? geoJson.features : [];
+            var newFeatureCount = 0;
+            for (var i = 0; i < page.length; ++i) {
+                var id = page[i].id;
+                if (defined(id) && id !== null) {
+                    if (featureIds.hasOwnProperty(id)) {
+                        continue;
+                    }
+                    featureIds[id] = true;
+                }
+                features.push(page[i]);
+                ++newFeatureCount;
+            }
+            crs = defaultValue(crs, geoJson.crs);
+
+            var numberMatched = getNumberMatched(geoJson);
+            if (viewModel.isLoading && defined(maxFeatures)) {
+                viewModel.loadingProgress = features.length / (defined(numberMatched) ? Math.min(numberMatched, maxFeatures) : maxFeatures);
+            }
+
+            var hasMore = page.length === count && newFeatureCount > 0 && pageCount < maximumPageCount &&
+                          (!defined(numberMatched) || features.length < numberMatched);
+            if (defined(pageSize) && hasMore && (!defined(maxFeatures) || features.length < maxFeatures)) {
+                return loadNextPage();
+            }
+
+            if (defined(maxFeatures) && features.length >= maxFeatures && !(defined(numberMatched) && numberMatched <= features.length)) {
+                warnOfTruncation(viewModel, features.length, numberMatched);
+            }
+
+            return {
+                type : 'FeatureCollection',
+                crs : crs,
+                features : features
+            };
+        });
+    }
+
+    var promise = loadNextPage();
+    viewModel._latestFeatures = promise;
+    return promise;
+}
+
+function loadPage(viewModel, parameters) {
+    if (!viewModel.requestGeoJson) {
+        return loadGml(viewModel, parameters);
+    }
+
+    var promise = loadJson(buildGeoJsonUrl(viewModel, parameters));
 
     if (viewModel.requestGml) {
         promise = promise.otherwise(function() {
-            return loadGml(viewModel);
+            return loadGml(viewModel, parameters);
         });
     }
 
     return promise;
 }
 
-function loadGml(viewModel) {
-    return loadXML(buildGmlUrl(viewModel)).then(function(xml) {
+function loadGml(viewModel, parameters) {
+    return loadXML(buildGmlUrl(viewModel, parameters)).then(function(xml) {
         return gmlToGeoJson(xml);
     });
 }
 
-function buildGeoJsonUrl(viewModel) {
-    var url = cleanAndProxyUrl(viewModel.application, viewModel.url);
-    return url + '?' + objectToQuery({
-        service: 'WFS',
-        request: 'GetFeature',
-        typeName: viewModel.typeNames,
-        version: '1.1.0',
-        outputFormat: 'JSON',
-        srsName: 'EPSG:4326'
-    });
+// Gets the total number of features that match the request, which GeoServer and WFS 2.0 servers include in GeoJSON
+// responses, or undefined if it is not known.
+function getNumberMatched(geoJson) {
+    var numberMatched = defaultValue(geoJson.numberMatched, geoJson.totalFeatures);
+    return typeof numberMatched === 'number' ? numberMatched : undefined;
+}
+
+function warnOfTruncation(viewModel, featureCount, numberMatched) {
+    if (viewModel._hasWarnedOfTruncation) {
+        return;
+    }
+    viewModel._hasWarnedOfTruncation = true;
+
+    var total = defined(numberMatched) ? ' of the ' + numberMatched : '';
+    var advice = viewModel.requestFeaturesInView ?
+        'Zoom in to see all of the features in a smaller area.' :
+        'Features that were not loaded are not shown on the map, so the layer may appear incomplete.';
+
+    viewModel.application.error.raiseEvent(new ViewModelError({
+        sender: viewModel,
+        title: 'Not all features were loaded',
+        message: '\
+Only ' + featureCount + total + ' features of ' + escapeHtml(viewModel.name) + ' were loaded, because the layer is limited to ' + viewModel.maxFeatures + ' \
+features.  ' + advice
+    }));
+}
+
+function supportsPaging(viewModel) {
+    return parseInt(viewModel.version, 10) >= 2;
+}
+
+function buildGeoJsonUrl(viewModel, parameters) {
+    return buildGetFeatureUrl(viewModel, parameters, 'JSON');
 }
 
-function buildGmlUrl(viewModel) {
+function buildGmlUrl(viewModel, parameters) {
+    return buildGetFeatureUrl(viewModel, parameters, undefined);
+}
+
+function buildGetFeatureUrl(viewModel, parameters, outputFormat) {
     var url = cleanAndProxyUrl(viewModel.application, viewModel.url);
-    return url + '?' + objectToQuery({
+    var isVersion2 = supportsPaging(viewModel);
+
+    var query = {
         service: 'WFS',
-        request: 'GetFeature',
-        typeName: viewModel.typeNames,
-        version: '1.1.0',
-        srsName: 'EPSG:4326'
-    });
+        request: 'GetFeature'
+    };
+    query[isVersion2 ? 'typeNames' : 'typeName'] = viewModel.typeNames;
+    query.version = viewModel.version;
+    if (defined(outputFormat)) {
+        query.outputFormat = outputFormat;
+    }
+    query.srsName = 'EPSG:4326';
+
+    if (defined(parameters.count)) {
+        query[isVersion2 ? 'count' : 'maxFeatures'] = parameters.count;
+    }
+    if (defined(parameters.startIndex)) {
+        query.startIndex = parameters.startIndex;
+    }
+
+    var extent = parameters.extent;
+    if (defined(viewModel.filter)) {
+        // The bbox and filter parameters cannot be used together, so the extent becomes part of the filter.
+        var filter = viewModel.filter;
+        if (defined(extent)) {
+            filter = {
+                and : [filter, {
+                    bbox : [
+                        CesiumMath.toDegrees(extent.west),
+                        CesiumMath.toDegrees(extent.south),
+                        CesiumMath.toDegrees(extent.east),
+                        CesiumMath.toDegrees(extent.north)
+                    ]
+                }]
+            };
+        }
+        query.filter = translateFilter(viewModel, filter);
+    } else if (defined(extent)) {
+        // Latitude comes first in the EPSG:4326 axis order, which the URN form of the CRS name makes unambiguous.
+        query.bbox = [
+            CesiumMath.toDegrees(extent.south),
+            CesiumMath.toDegrees(extent.west),
+            CesiumMath.toDegrees(extent.north),
+            CesiumMath.toDegrees(extent.east),
+            'urn:ogc:def:crs:EPSG::4326'
+        ].join(',');
+    }
+
+    return url + '?' + objectToQuery(query);
+}
+
+function translateFilter(viewModel, filter) {
+    try {
+        return filterToOgcXml(filter, { version : viewModel.version });
+    } catch (e) {
+        throw new ViewModelError({
+            sender: viewModel,
+            title: 'Invalid filter',
+            message: 'The filter of ' + escapeHtml(viewModel.name) + ' is not valid: ' + escapeHtml(e.message)
+        });
+    }
 }
 
 function cleanAndProxyUrl(application, url) {
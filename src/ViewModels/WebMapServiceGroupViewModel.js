@@ -15,6 +15,7 @@ var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebM
 
 var ViewModelError = require('./ViewModelError');
 var CatalogGroupViewModel = require('./CatalogGroupViewModel');
+var corsProxy = require('../Core/corsProxy');
 var inherit = require('../Core/inherit');
 var WebMapServiceItemViewModel = require('./WebMapServiceItemViewModel');
 
@@ -188,7 +189,7 @@ WebMapServiceGroupViewModel.prototype._load = function() {
             sender: that,
             title: 'Group is not available',
             message: '\
-An error occurred while invoking GetCapabilities on the WMS server.  \
+An error occurred while invoking GetCapabilities on the WMS server.  ' + corsProxy.describeError(e) + '\
 <p>If you entered the link manually, please verify that the link is correct.</p>\
 <p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
 server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
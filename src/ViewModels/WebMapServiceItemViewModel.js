@@ -12,13 +12,19 @@ var GeographicTilingScheme = require('../../third_party/cesium/Source/Core/Geogr
 var ImageryLayer = require('../../third_party/cesium/Source/Scene/ImageryLayer');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
 var WebMapServiceImageryProvider = require('../../third_party/cesium/Source/Scene/WebMapServiceImageryProvider');
 var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
 
 var MetadataViewModel = require('./MetadataViewModel');
 var MetadataItemViewModel = require('./MetadataItemViewModel');
 var ImageryLayerItemViewModel = require('./ImageryLayerItemViewModel');
+var corsProxy = require('../Core/corsProxy');
+var escapeHtml = require('../Core/escapeHtml');
+var filterToCql = require('../Map/filterToCql');
 var inherit = require('../Core/inherit');
+var pickWmsFeatures = require('./pickWmsFeatures');
+var ViewModelError = require('./ViewModelError');
 
 /**
  * A {@link ImageryLayerItemViewModel} representing a layer from a Web Map Service (WMS) server.
@@ -83,7 +89,17 @@ var WebMapServiceItemViewModel = function(application) {
      */
     this.getFeatureInfoAsXml = true;
 
-    knockout.track(this, ['_dataUrl', '_dataUrlType', '_metadataUrl', '_legendUrl', 'url', 'layers', 'parameters', 'getFeatureInfoAsGeoJson', 'getFeatureInfoAsXml', 'tilingScheme']);
+    /**
+     * Gets or sets a filter that selects the features to draw, as described in {@link filterToOgcXml}.  For example,
+     * { property : 'STATE', op : '=', value : 'NSW' } draws only the features in New South Wales.  The filter is sent
+     * to the server as the CQL_FILTER parameter, which is supported by GeoServer.  Use
+     * {@link WebMapServiceItemViewModel#updateFilter} to change the filter of an item that is enabled.
+     * This property is observable.
+     * @type {Object}
+     */
+    this.filter = undefined;
+
+    knockout.track(this, ['_dataUrl', '_dataUrlType', '_metadataUrl', '_legendUrl', 'url', 'layers', 'parameters', 'getFeatureInfoAsGeoJson', 'getFeatureInfoAsXml', 'tilingScheme', 'filter']);
 
     // dataUrl, metadataUrl, and legendUrl are derived from url if not explicitly specified.
     delete this.__knockoutObservables.dataUrl;
@@ -213,6 +229,18 @@ defineProperties(WebMapServiceItemViewModel.prototype, {
         get : function() {
             return WebMapServiceItemViewModel.defaultSerializers;
         }
+    },
+
+    /**
+     * Gets the set of names of the properties to be serialized for this object when {@link CatalogMemberViewModel#serializeToJson} is called
+     * and the `serializeForSharing` flag is set in the options.
+     * @memberOf WebMapServiceItemViewModel.prototype
+     * @type {String[]}
+     */
+    propertiesForSharing : {
+        get : function() {
+            return WebMapServiceItemViewModel.defaultPropertiesForSharing;
+        }
     }
 });
 
@@ -256,6 +284,85 @@ WebMapServiceItemViewModel.defaultSerializers.tilingScheme = function(viewModel,
 };
 freezeObject(WebMapServiceItemViewModel.defaultSerializers);
 
+/**
+ * Gets or sets the default set of properties that are serialized when serializing a {@link CatalogItemViewModel}-derived object with the
+ * `serializeForSharing` flag set in the options.
+ * @type {String[]}
+ */
+WebMapServiceItemViewModel.defaultPropertiesForSharing = clone(ImageryLayerItemViewModel.defaultPropertiesForSharing);
+WebMapServiceItemViewModel.defaultPropertiesForSharing.push('filter');
+
+freezeObject(WebMapServiceItemViewModel.defaultPropertiesForSharing);
+
+/**
+ * Changes the {@link WebMapServiceItemViewModel#filter} of this item.  If the item is enabled, its imagery layer is
+ * replaced with one that uses the new filter, in the same position among the other layers.
+ *
+ * @param {Object} filter The new filter, or undefined to draw all features.
+ * @return {Promise} A promise that resolves when the layer has been replaced, or rejects with a {@link ViewModelError}
+ *         if the filter is not valid.
+ */
+WebMapServiceItemViewModel.prototype.updateFilter = function(filter) {
+    // Check the filter first, so that the item never keeps a filter that it cannot be enabled with.
+    try {
+        getParameters(this, filter);
+    } catch (e) {
+        return when.reject(e);
+    }
+
+    this.filter = filter;
+
+    // If the item is not enabled, the new filter is used when it is next enabled.
+    if (!this.isEnabled) {
+        return when();
+    }
+
+    var that = this;
+    return when(this._loadForEnablePromise, function() {
+        if (!that.isEnabled || !defined(that._imageryLayer)) {
+            return;
+        }
+
+        var imageryLayers = defined(that.application.cesium) ? that.application.cesium.scene.imageryLayers : undefined;
+        var index = defined(imageryLayers) ? imageryLayers.indexOf(that._imageryLayer) : -1;
+        var zIndex = defined(that.application.leaflet) ? that._imageryLayer.options.zIndex : undefined;
+        var isShown = that.isShown;
+
+        if (isShown) {
+            that._hide();
+        }
+        that._disable();
+        that._enable();
+        if (isShown) {
+            that._show();
+        }
+
+        if (index >= 0) {
+            while (imageryLayers.indexOf(that._imageryLayer) > index) {
+                imageryLayers.lower(that._imageryLayer);
+            }
+        }
+        if (defined(zIndex)) {
+            that._imageryLayer.setZIndex(zIndex);
+        }
+    });
+};
+
+/**
+ * Finds the features of this layer at a location by invoking GetFeatureInfo on the WMS server, in the formats
+ * allowed by {@link WebMapServiceItemViewModel#getFeatureInfoAsGeoJson} and
+ * {@link WebMapServiceItemViewModel#getFeatureInfoAsXml}.
+ * @param {Object} options The location and the view in which it was picked, as described in {@link CatalogItemViewModel#pickFeatures}.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection of the features at the location, or undefined if
+ *         feature information cannot be requested in either format.
+ */
+WebMapServiceItemViewModel.prototype.pickFeatures = function(options) {
+    return pickWmsFeatures(cleanAndProxyUrl(this.application, this.url), this.layers, options, {
+        geoJson : this.getFeatureInfoAsGeoJson,
+        xml : this.getFeatureInfoAsXml
+    });
+};
+
 WebMapServiceItemViewModel.prototype._enableInCesium = function() {
     if (defined(this._imageryLayer)) {
         throw new DeveloperError('This data source is already enabled.');
@@ -266,9 +373,10 @@ WebMapServiceItemViewModel.prototype._enableInCesium = function() {
     var imageryProvider = new WebMapServiceImageryProvider({
         url : cleanAndProxyUrl(this.application, this.url),
         layers : this.layers,
-        getFeatureInfoAsGeoJson : this.getFeatureInfoAsGeoJson,
-        getFeatureInfoAsXml : this.getFeatureInfoAsXml,
-        parameters : combine(this.parameters, WebMapServiceItemViewModel.defaultParameters),
+        // Features are picked by pickFeatures and shown in the feature info panel instead of the info box.
+        getFeatureInfoAsGeoJson : false,
+        getFeatureInfoAsXml : false,
+        parameters : getParameters(this, this.filter),
         tilingScheme : this.tilingScheme
     });
 
@@ -307,7 +415,7 @@ WebMapServiceItemViewModel.prototype._enableInLeaflet = function() {
         // See comment in _enableInCesium for an explanation of why we don't.
     };
 
-    options = combine(combine(this.parameters, WebMapServiceItemViewModel.defaultParameters), options);
+    options = combine(getParameters(this, this.filter), options);
 
     this._imageryLayer = new L.tileLayer.wms(cleanAndProxyUrl(this.application, this.url), options);
 };
@@ -327,6 +435,23 @@ WebMapServiceItemViewModel.defaultParameters = {
     styles: ''
 };
 
+// Gets the parameters to send with each request, which include the filter, if there is one.
+function getParameters(viewModel, filter) {
+    var parameters = combine(viewModel.parameters, WebMapServiceItemViewModel.defaultParameters);
+    if (defined(filter)) {
+        try {
+            parameters.CQL_FILTER = filterToCql(filter);
+        } catch (e) {
+            throw new ViewModelError({
+                sender: viewModel,
+                title: 'Invalid filter',
+                message: 'The filter of ' + escapeHtml(viewModel.name) + ' is not valid: ' + escapeHtml(e.message)
+            });
+        }
+    }
+    return parameters;
+}
+
 function cleanAndProxyUrl(application, url) {
     return proxyUrl(application, cleanUrl(url));
 }
@@ -371,9 +496,10 @@ function requestMetadata(viewModel) {
         }
 
         result.isLoading = false;
-    }).otherwise(function() {
-        result.dataSourceErrorMessage = 'An error occurred while invoking the GetCapabilities service.';
-        result.serviceErrorMessage = 'An error occurred while invoking the GetCapabilities service.';
+    }).otherwise(function(e) {
+        var message = 'An error occurred while invoking the GetCapabilities service.  ' + corsProxy.describeError(e);
+        result.dataSourceErrorMessage = message;
+        result.serviceErrorMessage = message;
         result.isLoading = false;
     });
 
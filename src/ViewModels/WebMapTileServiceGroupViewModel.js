@@ -0,0 +1,198 @@
+'use strict';
+
+/*global require*/
+
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+
+var ViewModelError = require('./ViewModelError');
+var CatalogGroupViewModel = require('./CatalogGroupViewModel');
+var corsProxy = require('../Core/corsProxy');
+var inherit = require('../Core/inherit');
+var parseWmtsCapabilities = require('../Map/parseWmtsCapabilities');
+var WebMapTileServiceItemViewModel = require('./WebMapTileServiceItemViewModel');
+
+/**
+ * A {@link CatalogGroupViewModel} representing a collection of layers from a Web Map Tile Service (WMTS) server.
+ * Layers that do not have a tile matrix set in a projection that can be shown are left out.
+ *
+ * @alias WebMapTileServiceGroupViewModel
+ * @constructor
+ * @extends CatalogGroupViewModel
+ *
+ * @param {ApplicationViewModel} application The application.
+ */
+var WebMapTileServiceGroupViewModel = function(application) {
+    CatalogGroupViewModel.call(this, application, 'wmts-getCapabilities');
+
+    /**
+     * Gets or sets the URL of the WMTS server, or of its GetCapabilities document.  This property is observable.
+     * @type {String}
+     */
+    this.url = '';
+
+    /**
+     * Gets or sets a description of the custodian of the data sources in this group.
+     * This property is an HTML string that must be sanitized before display to the user.
+     * This property is observable.
+     * @type {String}
+     */
+    this.dataCustodian = undefined;
+
+    knockout.track(this, ['url', 'dataCustodian']);
+};
+
+inherit(CatalogGroupViewModel, WebMapTileServiceGroupViewModel);
+
+defineProperties(WebMapTileServiceGroupViewModel.prototype, {
+    /**
+     * Gets the type of data member represented by this instance.
+     * @memberOf WebMapTileServiceGroupViewModel.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'wmts-getCapabilities';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'Web Map Tile Service (WMTS) Group'.
+     * @memberOf WebMapTileServiceGroupViewModel.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Web Map Tile Service (WMTS) Group';
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMemberViewModel#serializeToJson}.
+     * When a property name on the view-model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the view-model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf WebMapTileServiceGroupViewModel.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return WebMapTileServiceGroupViewModel.defaultSerializers;
+        }
+    }
+});
+
+/**
+ * Gets or sets the set of default serializer functions to use in {@link CatalogMemberViewModel#serializeToJson}.  Types derived from this type
+ * should expose this instance - cloned and modified if necesary - through their {@link CatalogMemberViewModel#serializers} property.
+ * @type {Object}
+ */
+WebMapTileServiceGroupViewModel.defaultSerializers = clone(CatalogGroupViewModel.defaultSerializers);
+
+WebMapTileServiceGroupViewModel.defaultSerializers.items = function(viewModel, json, propertyName, options) {
+    // Only serialize minimal properties in contained items, because other properties are loaded from GetCapabilities.
+    var previousSerializeForSharing = options.serializeForSharing;
+    options.serializeForSharing = true;
+
+    // Only serialize enabled items as well, as the WMS and WFS groups do.
+    var previousEnabledItemsOnly = options.enabledItemsOnly;
+    options.enabledItemsOnly = true;
+
+    var result = CatalogGroupViewModel.defaultSerializers.items(viewModel, json, propertyName, options);
+
+    options.enabledItemsOnly = previousEnabledItemsOnly;
+    options.serializeForSharing = previousSerializeForSharing;
+
+    return result;
+};
+
+WebMapTileServiceGroupViewModel.defaultSerializers.isLoading = function(viewModel, json, propertyName, options) {};
+
+freezeObject(WebMapTileServiceGroupViewModel.defaultSerializers);
+
+WebMapTileServiceGroupViewModel.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url];
+};
+
+WebMapTileServiceGroupViewModel.prototype._load = function() {
+    var url = WebMapTileServiceItemViewModel.getCapabilitiesUrl(this.url);
+    if (defined(this.application.corsProxy) && this.application.corsProxy.shouldUseProxy(url)) {
+        url = this.application.corsProxy.getURL(url, '1d');
+    }
+
+    var that = this;
+    return loadXML(url).then(function(xml) {
+        var capabilities = parseWmtsCapabilities(xml);
+
+        var dataCustodian = that.dataCustodian;
+        if (!defined(dataCustodian)) {
+            dataCustodian = capabilities.providerName;
+        }
+
+        for (var i = 0; i < capabilities.layers.length; ++i) {
+            var item = createWmtsDataSource(that, capabilities, capabilities.layers[i], dataCustodian);
+            if (defined(item)) {
+                that.items.push(item);
+            }
+        }
+    }).otherwise(function(e) {
+        throw new ViewModelError({
+            sender: that,
+            title: 'Group is not available',
+            message: '\
+An error occurred while invoking GetCapabilities on the WMTS server.  ' + corsProxy.describeError(e) + '\
+<p>If you entered the link manually, please verify that the link is correct.</p>\
+<p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
+server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
+please contact the administrator of the server and ask them to enable CORS.  Or, contact the National \
+Map team by emailing <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a> \
+and ask us to add this server to the list of non-CORS-supporting servers that may be proxied by \
+National Map itself.</p>\
+<p>If you did not enter this link manually, this error may indicate that the group you opened is temporarily unavailable or there is a \
+problem with your internet connection.  Try opening the group again, and if the problem persists, please report it by \
+sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.</p>'
+        });
+    });
+};
+
+function createWmtsDataSource(viewModel, capabilities, layer, dataCustodian) {
+    var result = new WebMapTileServiceItemViewModel(viewModel.application, viewModel.url);
+
+    try {
+        result.updateFromCapabilities(capabilities, layer);
+    } catch (e) {
+        if (e instanceof ViewModelError) {
+            // The layer cannot be shown, so leave it out of the group.
+            return undefined;
+        }
+        throw e;
+    }
+
+    result.name = defined(layer.title) ? layer.title : layer.identifier;
+    result.dataCustodian = dataCustodian;
+
+    result.description = '';
+
+    var viewModelHasDescription = defined(viewModel.description) && viewModel.description.length > 0;
+    var layerHasAbstract = defined(layer.abstract) && layer.abstract.length > 0;
+
+    if (viewModelHasDescription) {
+        result.description += viewModel.description;
+    }
+
+    if (viewModelHasDescription && layerHasAbstract) {
+        result.description += '<br/>';
+    }
+
+    if (layerHasAbstract) {
+        result.description += layer.abstract;
+    }
+
+    return result;
+}
+
+module.exports = WebMapTileServiceGroupViewModel;
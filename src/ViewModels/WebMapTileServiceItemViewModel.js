@@ -0,0 +1,586 @@
+'use strict';
+
+/*global require,L,URI*/
+
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var GeographicTilingScheme = require('../../third_party/cesium/Source/Core/GeographicTilingScheme');
+var ImageryLayer = require('../../third_party/cesium/Source/Scene/ImageryLayer');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var WebMapTileServiceImageryProvider = require('../../third_party/cesium/Source/Scene/WebMapTileServiceImageryProvider');
+var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var corsProxy = require('../Core/corsProxy');
+var escapeHtml = require('../Core/escapeHtml');
+var ImageryLayerItemViewModel = require('./ImageryLayerItemViewModel');
+var inherit = require('../Core/inherit');
+var MetadataItemViewModel = require('./MetadataItemViewModel');
+var MetadataViewModel = require('./MetadataViewModel');
+var parseWmtsCapabilities = require('../Map/parseWmtsCapabilities');
+var ViewModelError = require('./ViewModelError');
+
+/**
+ * A {@link ImageryLayerItemViewModel} representing a layer from a Web Map Tile Service (WMTS) server.  If the
+ * layer, tile matrix set or tile matrix labels are not specified, they are read from the server's GetCapabilities
+ * response when the item is loaded, so an item can be created from just the URL of the server or of its
+ * WMTSCapabilities.xml document.
+ *
+ * @alias WebMapTileServiceItemViewModel
+ * @constructor
+ * @extends ImageryLayerItemViewModel
+ *
+ * @param {ApplicationViewModel} application The application.
+ * @param {String} [url] The URL of the WMTS server or of its GetCapabilities document.
+ */
+var WebMapTileServiceItemViewModel = function(application, url) {
+    ImageryLayerItemViewModel.call(this, application);
+
+    this._metadata = undefined;
+    this._metadataUrl = undefined;
+
+    /**
+     * Gets or sets the URL of the WMTS server, or of its GetCapabilities document.  This property is observable.
+     * @type {String}
+     */
+    this.url = defaultValue(url, '');
+
+    /**
+     * Gets or sets the URL to which KVP GetTile requests are sent.  If this property is undefined,
+     * {@link WebMapTileServiceItemViewModel#url} is used.  This property is observable.
+     * @type {String}
+     */
+    this.tileUrl = undefined;
+
+    /**
+     * Gets or sets the URL template of the tiles of a server that uses RESTful requests, such as
+     * 'http://example.com/tiles/roads/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png'.  Any dimensions
+     * in the template are replaced with their values from {@link WebMapTileServiceItemViewModel#dimensions}.  If this
+     * property is undefined, KVP requests are used.  This property is observable.
+     * @type {String}
+     */
+    this.resourceUrl = undefined;
+
+    /**
+     * Gets or sets the identifier of the WMTS layer.  This property is observable.
+     * @type {String}
+     */
+    this.layer = '';
+
+    /**
+     * Gets or sets the identifier of the style of the layer.  If this property is undefined, the default style
+     * of the layer is used.  This property is observable.
+     * @type {String}
+     */
+    this.style = undefined;
+
+    /**
+     * Gets or sets the MIME type of the tile images.  This property is observable.
+     * @type {String}
+     * @default 'image/png'
+     */
+    this.format = 'image/png';
+
+    /**
+     * Gets or sets the identifier of the tile matrix set.  This property is observable.
+     * @type {String}
+     */
+    this.tileMatrixSet = undefined;
+
+    /**
+     * Gets or sets the identifiers of the tile matrices of the tile matrix set, in order from the one at
+     * {@link WebMapTileServiceItemViewModel#firstLevel} to the most detailed.  This property is observable.
+     * @type {String[]}
+     */
+    this.tileMatrixLabels = undefined;
+
+    /**
+     * Gets or sets the tiling scheme of the tile matrix set, either 'web-mercator' or 'geographic'.  Layers with the
+     * 'geographic' tiling scheme can only be shown on the 3D globe.  This property is observable.
+     * @type {String}
+     * @default 'web-mercator'
+     */
+    this.tilingScheme = 'web-mercator';
+
+    /**
+     * Gets or sets the zoom level of the first tile matrix in {@link WebMapTileServiceItemViewModel#tileMatrixLabels}.
+     * The Web Mercator tiling scheme has one tile at level 0, and the geographic tiling scheme has two.
+     * This property is observable.
+     * @type {Number}
+     * @default 0
+     */
+    this.firstLevel = 0;
+
+    /**
+     * Gets or sets the values of the dimensions of the layer, such as { Time : '2014-09' }.  Dimensions that are not
+     * given a value use the default from the GetCapabilities response.  This property is observable.
+     * @type {Object}
+     */
+    this.dimensions = undefined;
+
+    knockout.track(this, ['_metadataUrl', 'url', 'tileUrl', 'resourceUrl', 'layer', 'style', 'format', 'tileMatrixSet',
+                          'tileMatrixLabels', 'tilingScheme', 'firstLevel', 'dimensions']);
+
+    // metadataUrl is derived from url if not explicitly specified.
+    delete this.__knockoutObservables.metadataUrl;
+    knockout.defineProperty(this, 'metadataUrl', {
+        get : function() {
+            if (defined(this._metadataUrl)) {
+                return this._metadataUrl;
+            }
+
+            return WebMapTileServiceItemViewModel.getCapabilitiesUrl(this.url);
+        },
+        set : function(value) {
+            this._metadataUrl = value;
+        }
+    });
+};
+
+inherit(ImageryLayerItemViewModel, WebMapTileServiceItemViewModel);
+
+defineProperties(WebMapTileServiceItemViewModel.prototype, {
+    /**
+     * Gets the type of data item represented by this instance.
+     * @memberOf WebMapTileServiceItemViewModel.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'wmts';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'Web Map Tile Service (WMTS)'.
+     * @memberOf WebMapTileServiceItemViewModel.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Web Map Tile Service (WMTS)';
+        }
+    },
+
+    /**
+     * Gets the metadata associated with this data source and the server that provided it, if applicable.
+     * @memberOf WebMapTileServiceItemViewModel.prototype
+     * @type {MetadataViewModel}
+     */
+    metadata : {
+        get : function() {
+            if (!defined(this._metadata)) {
+                this._metadata = requestMetadata(this);
+            }
+            return this._metadata;
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMemberViewModel#serializeToJson}.
+     * When a property name on the view-model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the view-model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf WebMapTileServiceItemViewModel.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return WebMapTileServiceItemViewModel.defaultSerializers;
+        }
+    }
+});
+
+WebMapTileServiceItemViewModel.defaultSerializers = clone(ImageryLayerItemViewModel.defaultSerializers);
+
+// Serialize the underlying property instead of the public view of it.
+WebMapTileServiceItemViewModel.defaultSerializers.metadataUrl = function(viewModel, json, propertyName) {
+    json.metadataUrl = viewModel._metadataUrl;
+};
+
+freezeObject(WebMapTileServiceItemViewModel.defaultSerializers);
+
+/**
+ * Gets the URL of the GetCapabilities document of a WMTS server.
+ *
+ * @param {String} url The URL of the server, or of a WMTSCapabilities.xml document, which is returned unchanged.
+ * @return {String} The URL of the GetCapabilities document.
+ */
+WebMapTileServiceItemViewModel.getCapabilitiesUrl = function(url) {
+    if (/\.xml$/i.test(cleanUrl(url))) {
+        return url;
+    }
+    return cleanUrl(url) + '?service=WMTS&request=GetCapabilities&version=1.0.0';
+};
+
+/**
+ * Updates the layer, style, format, tile matrix set, dimensions and URLs of this item that have not already been
+ * specified, from a GetCapabilities response.
+ *
+ * @param {Object} capabilities The GetCapabilities response, parsed with {@link parseWmtsCapabilities}.
+ * @param {Object} [layer] The layer of the response to use.  If this parameter is not given, the layer is found
+ *        by {@link WebMapTileServiceItemViewModel#layer}, or the first layer that can be shown is used.
+ */
+WebMapTileServiceItemViewModel.prototype.updateFromCapabilities = function(capabilities, layer) {
+    var that = this;
+
+    if (!defined(layer)) {
+        var layers = capabilities.layers.filter(function(candidate) {
+            if (that.layer.length > 0) {
+                return candidate.identifier === that.layer || candidate.title === that.layer;
+            }
+            return defined(findTileMatrixSet(capabilities, candidate, that.tileMatrixSet));
+        });
+        layer = layers[0];
+    }
+
+    if (!defined(layer)) {
+        throw new ViewModelError({
+            sender: this,
+            title: 'Layer not found',
+            message: 'The WMTS server does not have ' + (this.layer.length > 0 ? 'a layer called ' + escapeHtml(this.layer) : 'any layers that can be shown') + '.'
+        });
+    }
+
+    this.layer = layer.identifier;
+
+    var tileMatrixSet = findTileMatrixSet(capabilities, layer, this.tileMatrixSet);
+    if (!defined(tileMatrixSet)) {
+        throw new ViewModelError({
+            sender: this,
+            title: 'Layer cannot be shown',
+            message: 'The WMTS layer ' + escapeHtml(layer.title) + ' does not have a tile matrix set in the Web Mercator or geographic (EPSG:4326) projection.'
+        });
+    }
+
+    if (!defined(this.tileMatrixSet) || !defined(this.tileMatrixLabels)) {
+        this.tileMatrixSet = tileMatrixSet.identifier;
+        this.tileMatrixLabels = tileMatrixSet.tilingScheme.tileMatrixLabels;
+        this.tilingScheme = tileMatrixSet.tilingScheme.type;
+        this.firstLevel = tileMatrixSet.tilingScheme.firstLevel;
+    }
+
+    var style;
+    for (var i = 0; i < layer.styles.length; ++i) {
+        if (layer.styles[i].identifier === this.style || (!defined(this.style) && layer.styles[i].isDefault)) {
+            style = layer.styles[i];
+        }
+    }
+    if (!defined(style)) {
+        style = layer.styles[0];
+    }
+    if (!defined(this.style)) {
+        this.style = defined(style) ? style.identifier : 'default';
+    }
+    if (!defined(this.legendUrl) && defined(style)) {
+        this.legendUrl = style.legendUrl;
+    }
+
+    if (layer.formats.length > 0 && layer.formats.indexOf(this.format) < 0) {
+        this.format = layer.formats.indexOf('image/png') >= 0 ? 'image/png' : layer.formats[0];
+    }
+
+    var dimensions = clone(defaultValue(this.dimensions, {}));
+    for (var j = 0; j < layer.dimensions.length; ++j) {
+        var dimension = layer.dimensions[j];
+        if (!defined(dimensions[dimension.identifier])) {
+            dimensions[dimension.identifier] = dimension.defaultValue;
+        }
+    }
+    this.dimensions = dimensions;
+
+    // RESTful requests are preferred because they are easier to cache.
+    if (!defined(this.resourceUrl)) {
+        var resourceUrls = layer.resourceUrls.filter(function(resourceUrl) {
+            return resourceUrl.resourceType === 'tile' && resourceUrl.format === that.format;
+        });
+        if (resourceUrls.length > 0) {
+            this.resourceUrl = resourceUrls[0].template;
+        } else if (defined(capabilities.getTileUrls.KVP)) {
+            this.tileUrl = defaultValue(this.tileUrl, capabilities.getTileUrls.KVP);
+        } else {
+            throw new ViewModelError({
+                sender: this,
+                title: 'Layer cannot be shown',
+                message: 'The WMTS server does not say how to request tiles of ' + escapeHtml(layer.title) + ' in ' + escapeHtml(this.format) + ' format.'
+            });
+        }
+    }
+
+    if (defined(layer.rectangle)) {
+        this.rectangle = Rectangle.fromDegrees(layer.rectangle[0], layer.rectangle[1], layer.rectangle[2], layer.rectangle[3]);
+    }
+};
+
+WebMapTileServiceItemViewModel.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url];
+};
+
+WebMapTileServiceItemViewModel.prototype._load = function() {
+    if (this.layer.length > 0 && defined(this.tileMatrixSet) && defined(this.tileMatrixLabels)) {
+        // The item has everything it needs to request tiles.
+        return when();
+    }
+
+    var that = this;
+    return loadXML(proxyUrl(this.application, WebMapTileServiceItemViewModel.getCapabilitiesUrl(this.url))).then(function(xml) {
+        that.updateFromCapabilities(parseWmtsCapabilities(xml));
+    }).otherwise(function(e) {
+        if (e instanceof ViewModelError) {
+            throw e;
+        }
+
+        throw new ViewModelError({
+            sender: that,
+            title: 'Data source is not available',
+            message: '\
+An error occurred while invoking GetCapabilities on the WMTS server.  ' + corsProxy.describeError(e) + '\
+<p>If you entered the link manually, please verify that the link is correct.</p>\
+<p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
+server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
+please contact the administrator of the server and ask them to enable CORS.  Or, contact the National \
+Map team by emailing <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a> \
+and ask us to add this server to the list of non-CORS-supporting servers that may be proxied by \
+National Map itself.</p>'
+        });
+    });
+};
+
+WebMapTileServiceItemViewModel.prototype._enableInCesium = function() {
+    if (defined(this._imageryLayer)) {
+        throw new DeveloperError('This data source is already enabled.');
+    }
+
+    var scene = this.application.cesium.scene;
+
+    var levelZeroTiles = Math.pow(2, this.firstLevel);
+    var tilingScheme;
+    if (this.tilingScheme === 'geographic') {
+        tilingScheme = new GeographicTilingScheme({
+            numberOfLevelZeroTilesX : 2 * levelZeroTiles,
+            numberOfLevelZeroTilesY : levelZeroTiles
+        });
+    } else {
+        tilingScheme = new WebMercatorTilingScheme({
+            numberOfLevelZeroTilesX : levelZeroTiles,
+            numberOfLevelZeroTilesY : levelZeroTiles
+        });
+    }
+
+    var imageryProvider = new WebMapTileServiceImageryProvider({
+        url : proxyUrl(this.application, getTileUrlTemplate(this)),
+        layer : this.layer,
+        style : this.style,
+        format : this.format,
+        tileMatrixSetID : this.tileMatrixSet,
+        tileMatrixLabels : this.tileMatrixLabels,
+        tilingScheme : tilingScheme,
+        maximumLevel : this.tileMatrixLabels.length - 1
+    });
+
+    this._imageryLayer = new ImageryLayer(imageryProvider, {
+        show : false,
+        alpha : this.opacity
+    });
+
+    scene.imageryLayers.add(this._imageryLayer);
+};
+
+WebMapTileServiceItemViewModel.prototype._disableInCesium = function() {
+    if (!defined(this._imageryLayer)) {
+        throw new DeveloperError('This data source is not enabled.');
+    }
+
+    var scene = this.application.cesium.scene;
+    scene.imageryLayers.remove(this._imageryLayer);
+    this._imageryLayer = undefined;
+};
+
+WebMapTileServiceItemViewModel.prototype._enableInLeaflet = function() {
+    if (defined(this._imageryLayer)) {
+        throw new DeveloperError('This data source is already enabled.');
+    }
+
+    if (this.tilingScheme !== 'web-mercator') {
+        throw new ViewModelError({
+            sender: this,
+            title: 'Layer cannot be shown in 2D',
+            message: 'The tiles of ' + escapeHtml(this.name) + ' are not in the Web Mercator projection used by the 2D map.  Switch to the 3D globe to see this layer.'
+        });
+    }
+
+    var template = proxyUrl(this.application, getTileUrlTemplate(this));
+    var labels = this.tileMatrixLabels;
+    var firstLevel = this.firstLevel;
+
+    var layer = new L.TileLayer(template, {
+        opacity : this.opacity,
+        minZoom : firstLevel,
+        maxNativeZoom : firstLevel + labels.length - 1
+    });
+
+    layer.getTileUrl = function(tilePoint) {
+        return template
+            .replace('{TileMatrix}', labels[tilePoint.z - firstLevel])
+            .replace('{TileRow}', tilePoint.y)
+            .replace('{TileCol}', tilePoint.x);
+    };
+
+    this._imageryLayer = layer;
+};
+
+WebMapTileServiceItemViewModel.prototype._disableInLeaflet = function() {
+    if (!defined(this._imageryLayer)) {
+        throw new DeveloperError('This data source is not enabled.');
+    }
+
+    this._imageryLayer = undefined;
+};
+
+function findTileMatrixSet(capabilities, layer, identifier) {
+    var result;
+    for (var i = 0; i < layer.tileMatrixSets.length; ++i) {
+        var tileMatrixSet = capabilities.tileMatrixSets[layer.tileMatrixSets[i]];
+        if (!defined(tileMatrixSet) || !defined(tileMatrixSet.tilingScheme)) {
+            continue;
+        }
+
+        if (defined(identifier)) {
+            if (tileMatrixSet.identifier === identifier) {
+                return tileMatrixSet;
+            }
+        } else if (tileMatrixSet.tilingScheme.type === 'web-mercator') {
+            // Web Mercator tiles can be shown on both the 2D map and the 3D globe.
+            return tileMatrixSet;
+        } else if (!defined(result)) {
+            result = tileMatrixSet;
+        }
+    }
+    return result;
+}
+
+function replaceParameter(template, name, value) {
+    var escapedName = name.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+    return template.replace(new RegExp('\\{' + escapedName + '\\}', 'gi'), encodeURIComponent(value));
+}
+
+// Gets the URL of the tiles, with placeholders for the {TileMatrix}, {TileRow} and {TileCol} of each tile.
+function getTileUrlTemplate(viewModel) {
+    var dimensions = defaultValue(viewModel.dimensions, {});
+    var name;
+
+    if (defined(viewModel.resourceUrl)) {
+        var template = viewModel.resourceUrl;
+        template = replaceParameter(template, 'Style', viewModel.style);
+        template = replaceParameter(template, 'TileMatrixSet', viewModel.tileMatrixSet);
+        for (name in dimensions) {
+            if (dimensions.hasOwnProperty(name) && defined(dimensions[name])) {
+                template = replaceParameter(template, name, dimensions[name]);
+            }
+        }
+        return template;
+    }
+
+    var url = cleanUrl(defaultValue(viewModel.tileUrl, viewModel.url)) +
+        '?service=WMTS&version=1.0.0&request=GetTile' +
+        '&layer=' + encodeURIComponent(viewModel.layer) +
+        '&style=' + encodeURIComponent(viewModel.style) +
+        '&format=' + encodeURIComponent(viewModel.format) +
+        '&tileMatrixSet=' + encodeURIComponent(viewModel.tileMatrixSet) +
+        '&tileMatrix={TileMatrix}&tileRow={TileRow}&tileCol={TileCol}';
+
+    for (name in dimensions) {
+        if (dimensions.hasOwnProperty(name) && defined(dimensions[name])) {
+            url += '&' + encodeURIComponent(name) + '=' + encodeURIComponent(dimensions[name]);
+        }
+    }
+
+    return url;
+}
+
+function cleanUrl(url) {
+    // Strip off the search portion of the URL
+    var uri = new URI(url);
+    uri.search('');
+    return uri.toString();
+}
+
+function proxyUrl(application, url) {
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+        return application.corsProxy.getURL(url);
+    }
+
+    return url;
+}
+
+function requestMetadata(viewModel) {
+    var result = new MetadataViewModel();
+
+    result.isLoading = true;
+
+    result.promise = loadXML(proxyUrl(viewModel.application, viewModel.metadataUrl)).then(function(xml) {
+        var capabilities = parseWmtsCapabilities(xml);
+
+        addMetadataItem(result.serviceMetadata, 'Title', capabilities.title);
+        addMetadataItem(result.serviceMetadata, 'Abstract', capabilities.abstract);
+        addMetadataItem(result.serviceMetadata, 'Provider', capabilities.providerName);
+
+        var layer = capabilities.layers.filter(function(candidate) {
+            return candidate.identifier === viewModel.layer;
+        })[0];
+
+        if (defined(layer)) {
+            populateLayerMetadata(result.dataSourceMetadata, layer);
+        } else {
+            result.dataSourceErrorMessage = 'Layer information not found in GetCapabilities operation response.';
+        }
+
+        result.isLoading = false;
+    }).otherwise(function(e) {
+        var message = 'An error occurred while invoking the GetCapabilities service.  ' + corsProxy.describeError(e);
+        result.dataSourceErrorMessage = message;
+        result.serviceErrorMessage = message;
+        result.isLoading = false;
+    });
+
+    return result;
+}
+
+function addMetadataItem(group, name, value) {
+    if (defined(value) && value.length > 0) {
+        group.items.push(new MetadataItemViewModel(name, value));
+    }
+}
+
+function populateLayerMetadata(group, layer) {
+    addMetadataItem(group, 'Title', layer.title);
+    addMetadataItem(group, 'Identifier', layer.identifier);
+    addMetadataItem(group, 'Abstract', layer.abstract);
+
+    if (defined(layer.rectangle)) {
+        addMetadataItem(group, 'WGS84 Bounding Box', layer.rectangle.join(', '));
+    }
+
+    addMetadataItem(group, 'Formats', layer.formats.join(', '));
+    addMetadataItem(group, 'Styles', layer.styles.map(function(style) {
+        return style.identifier + (style.isDefault ? ' (default)' : '');
+    }).join(', '));
+    addMetadataItem(group, 'Tile Matrix Sets', layer.tileMatrixSets.join(', '));
+
+    if (layer.dimensions.length > 0) {
+        var dimensions = new MetadataItemViewModel('Dimensions');
+        for (var i = 0; i < layer.dimensions.length; ++i) {
+            var dimension = layer.dimensions[i];
+            dimensions.items.push(new MetadataItemViewModel(dimension.identifier, dimension.values.join(', ') + ' (default ' + dimension.defaultValue + ')'));
+        }
+        group.items.push(dimensions);
+    }
+}
+
+module.exports = WebMapTileServiceItemViewModel;
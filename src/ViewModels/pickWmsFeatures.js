@@ -0,0 +1,126 @@
+'use strict';
+
+/*global require,$*/
+
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+var objectToQuery = require('../../third_party/cesium/Source/Core/objectToQuery');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var WebMercatorProjection = require('../../third_party/cesium/Source/Core/WebMercatorProjection');
+
+function getFeatureInfoUrl(baseUrl, layers, options, infoFormat) {
+    var projection = new WebMercatorProjection();
+    var southwest = projection.project(Rectangle.southwest(options.rectangle));
+    var northeast = projection.project(Rectangle.northeast(options.rectangle));
+
+    var url = baseUrl;
+    var indexOfQuestionMark = url.indexOf('?');
+    if (indexOfQuestionMark < 0) {
+        url += '?';
+    } else if (indexOfQuestionMark < url.length - 1 && url[url.length - 1] !== '&') {
+        url += '&';
+    }
+
+    return url + objectToQuery({
+        service : 'WMS',
+        request : 'GetFeatureInfo',
+        version : '1.1.1',
+        layers : layers,
+        query_layers : layers,
+        srs : 'EPSG:3857',
+        bbox : southwest.x + ',' + southwest.y + ',' + northeast.x + ',' + northeast.y,
+        width : options.width,
+        height : options.height,
+        x : Math.round(options.x),
+        y : Math.round(options.y),
+        info_format : infoFormat
+    });
+}
+
+// Interprets the XML feature information returned by MapInfo servers, in either the MXP or FIELDS formats.
+function xmlToFeatureCollection(xml) {
+    var json = $.xml2json(xml);
+
+    // xml2json returns namespaced property names in IE9.
+    if (json['mxp:FeatureCollection']) {
+        json.FeatureCollection = json['mxp:FeatureCollection'];
+        if (json.FeatureCollection['mxp:FeatureMembers']) {
+            json.FeatureCollection.FeatureMembers = json.FeatureCollection['mxp:FeatureMembers'];
+            if (json.FeatureCollection.FeatureMembers['mxp:Feature']) {
+                json.FeatureCollection.FeatureMembers.Feature = json.FeatureCollection.FeatureMembers['mxp:Feature'];
+                if (json.FeatureCollection.FeatureMembers.Feature['mxp:Val']) {
+                    json.FeatureCollection.FeatureMembers.Feature.Val = json.FeatureCollection.FeatureMembers.Feature['mxp:Val'];
+                }
+            }
+        }
+    }
+
+    var properties;
+    if (json.FeatureCollection &&
+        json.FeatureCollection.FeatureMembers &&
+        json.FeatureCollection.FeatureMembers.Feature &&
+        json.FeatureCollection.FeatureMembers.Feature.Val) {
+
+        properties = {};
+        var vals = json.FeatureCollection.FeatureMembers.Feature.Val;
+        for (var i = 0; i < vals.length; ++i) {
+            properties[vals[i].ref] = vals[i].text;
+        }
+    } else if (json.FIELDS) {
+        properties = {};
+        var fields = json.FIELDS;
+        for (var field in fields) {
+            if (fields.hasOwnProperty(field)) {
+                properties[field] = fields[field];
+            }
+        }
+    }
+
+    return {
+        type : 'FeatureCollection',
+        features : defined(properties) ? [{ type : 'Feature', properties : properties }] : []
+    };
+}
+
+/**
+ * Picks the features of a layer of a Web Map Service (WMS) server at a location, for
+ * {@link CatalogItemViewModel#pickFeatures}, by invoking GetFeatureInfo.  Feature information is requested as
+ * GeoJSON and, if that fails, as XML in the formats used by MapInfo servers.
+ *
+ * @param {String} url The URL of the WMS server, already proxied if necessary.
+ * @param {String} layers The comma-separated names of the layers to query.
+ * @param {Object} options The location and the view in which it was picked, as described in {@link CatalogItemViewModel#pickFeatures}.
+ * @param {Object} [formats] The formats in which to request feature information.
+ * @param {Boolean} [formats.geoJson=true] True to request feature information as GeoJSON.
+ * @param {Boolean} [formats.xml=true] True to request feature information as XML, if it is not requested as GeoJSON or that request fails.
+ * @return {Promise} A promise for a GeoJSON FeatureCollection of the features, or undefined if neither format is requested.
+ */
+var pickWmsFeatures = function(url, layers, options, formats) {
+    formats = defaultValue(formats, defaultValue.EMPTY_OBJECT);
+    var geoJson = defaultValue(formats.geoJson, true);
+    var xml = defaultValue(formats.xml, true);
+
+    function loadXmlFeatures() {
+        return loadXML(getFeatureInfoUrl(url, layers, options, 'text/xml')).then(xmlToFeatureCollection);
+    }
+
+    if (geoJson) {
+        var promise = loadJson(getFeatureInfoUrl(url, layers, options, 'application/json')).then(function(json) {
+            if (!defined(json.features)) {
+                json.features = [];
+            }
+            return json;
+        });
+        return xml ? promise.otherwise(loadXmlFeatures) : promise;
+    }
+
+    if (xml) {
+        return loadXmlFeatures();
+    }
+
+    return undefined;
+};
+
+module.exports = pickWmsFeatures;
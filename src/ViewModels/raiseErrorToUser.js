@@ -2,6 +2,7 @@
 
 /*global require*/
 
+var corsProxy = require('../Core/corsProxy');
 var ViewModelError = require('./ViewModelError');
 
 var raiseErrorToUser = function(application, error) {
@@ -13,7 +14,7 @@ var raiseErrorToUser = function(application, error) {
             title: 'An error occurred',
             message: '\
 <p>National Map experienced an error.  Please report this by emailing <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.  \
-Details of the error are below.</p>\
+Details of the error are below.</p>' + corsProxy.describeError(error) + '\
 <p><pre>' + error.toString() + '</pre></p>'
         }));
     }
@@ -2,6 +2,8 @@
 
 /*global require*/
 
+var ArcGisFeatureServerItemViewModel = require('./ArcGisFeatureServerItemViewModel');
+var ArcGisMapServerGroupViewModel = require('./ArcGisMapServerGroupViewModel');
 var ArcGisMapServerItemViewModel = require('./ArcGisMapServerItemViewModel');
 var CkanGroupViewModel = require('./CkanGroupViewModel');
 var createCatalogMemberFromType = require('./createCatalogMemberFromType');
@@ -9,11 +11,14 @@ var createCatalogItemFromUrl = require('./createCatalogItemFromUrl');
 var CzmlItemViewModel = require('./CzmlItemViewModel');
 var CatalogGroupViewModel = require('./CatalogGroupViewModel');
 var GeoJsonItemViewModel = require('./GeoJsonItemViewModel');
+var GeoJsonTilesItemViewModel = require('./GeoJsonTilesItemViewModel');
 var KmlItemViewModel = require('./KmlItemViewModel');
 var WebFeatureServiceGroupViewModel = require('./WebFeatureServiceGroupViewModel');
 var WebFeatureServiceItemViewModel = require('./WebFeatureServiceItemViewModel');
 var WebMapServiceGroupViewModel = require('./WebMapServiceGroupViewModel');
 var WebMapServiceItemViewModel = require('./WebMapServiceItemViewModel');
+var WebMapTileServiceGroupViewModel = require('./WebMapTileServiceGroupViewModel');
+var WebMapTileServiceItemViewModel = require('./WebMapTileServiceItemViewModel');
 var CsvItemViewModel = require('./CsvItemViewModel');
 var GpxItemViewModel = require('./GpxItemViewModel');
 var OgrItemViewModel = require('./OgrItemViewModel');
@@ -22,8 +27,11 @@ var registerCatalogViewModels = function() {
     createCatalogMemberFromType.register('ckan', CkanGroupViewModel);
     createCatalogMemberFromType.register('csv', CsvItemViewModel);
     createCatalogMemberFromType.register('czml', CzmlItemViewModel);
+    createCatalogMemberFromType.register('esri-featureServer', ArcGisFeatureServerItemViewModel);
     createCatalogMemberFromType.register('esri-mapServer', ArcGisMapServerItemViewModel);
+    createCatalogMemberFromType.register('esri-mapServer-group', ArcGisMapServerGroupViewModel);
     createCatalogMemberFromType.register('geojson', GeoJsonItemViewModel);
+    createCatalogMemberFromType.register('geojson-tiles', GeoJsonTilesItemViewModel);
     createCatalogMemberFromType.register('gpx', GpxItemViewModel);
     createCatalogMemberFromType.register('group', CatalogGroupViewModel);
     createCatalogMemberFromType.register('kml', KmlItemViewModel);
@@ -32,6 +40,8 @@ var registerCatalogViewModels = function() {
     createCatalogMemberFromType.register('wfs-getCapabilities', WebFeatureServiceGroupViewModel);
     createCatalogMemberFromType.register('wms', WebMapServiceItemViewModel);
     createCatalogMemberFromType.register('wms-getCapabilities', WebMapServiceGroupViewModel);
+    createCatalogMemberFromType.register('wmts', WebMapTileServiceItemViewModel);
+    createCatalogMemberFromType.register('wmts-getCapabilities', WebMapTileServiceGroupViewModel);
 
     createCatalogItemFromUrl.register(matchesExtension('csv'), CsvItemViewModel);
     createCatalogItemFromUrl.register(matchesExtension('czm'), CzmlItemViewModel);
@@ -42,6 +52,7 @@ var registerCatalogViewModels = function() {
     createCatalogItemFromUrl.register(matchesExtension('kml'), KmlItemViewModel);
     createCatalogItemFromUrl.register(matchesExtension('kmz'), KmlItemViewModel);
     createCatalogItemFromUrl.register(matchesExtension('topojson'), GeoJsonItemViewModel);
+    createCatalogItemFromUrl.register(matchesWmtsCapabilities, WebMapTileServiceItemViewModel);
     createCatalogItemFromUrl.register(matchAll, OgrItemViewModel);
 };
 
@@ -52,6 +63,10 @@ function matchesExtension(extension) {
     };
 }
 
+function matchesWmtsCapabilities(url) {
+    return url.match(/WMTSCapabilities\.xml$/i);
+}
+
 function matchAll() {
     return true;
 }
@@ -0,0 +1,95 @@
+'use strict';
+
+/*global require*/
+
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var MetadataItemViewModel = require('./MetadataItemViewModel');
+var MetadataViewModel = require('./MetadataViewModel');
+var summarizeGeoJson = require('../Map/summarizeGeoJson');
+
+function formatNumber(value) {
+    return Number(value.toPrecision(6)).toString();
+}
+
+function describeProperty(property, featureCount) {
+    var description;
+    if (property.type === 'number') {
+        description = 'Number from ' + formatNumber(property.minimum) + ' to ' + formatNumber(property.maximum);
+    } else if (property.type === 'string') {
+        description = 'Text with ' + property.distinctValueCount + ' distinct ' + (property.distinctValueCount === 1 ? 'value' : 'values') + ': ' +
+                      property.values.join(', ') + (property.distinctValueCount > property.values.length ? ', ...' : '');
+    } else if (property.type === 'boolean') {
+        description = 'True or false';
+    } else if (property.type === 'object') {
+        description = 'Structured value';
+    } else if (property.type === 'mixed') {
+        description = 'Values of different types';
+    } else {
+        return 'No values';
+    }
+
+    var missing = featureCount - property.valueCount;
+    if (missing > 0) {
+        description += ' (' + missing + (missing === 1 ? ' feature has' : ' features have') + ' no value)';
+    }
+    return description;
+}
+
+function populateMetadataGroup(group, summary) {
+    group.items.push(new MetadataItemViewModel('Number of features', summary.featureCount.toString()));
+
+    var geometryTypes = [];
+    for (var type in summary.geometryTypes) {
+        if (summary.geometryTypes.hasOwnProperty(type)) {
+            geometryTypes.push(type + ' (' + summary.geometryTypes[type] + ')');
+        }
+    }
+    group.items.push(new MetadataItemViewModel('Geometry types', geometryTypes.length > 0 ? geometryTypes.join(', ') : 'None'));
+
+    if (summary.properties.length > 0) {
+        var properties = new MetadataItemViewModel('Properties');
+        for (var i = 0; i < summary.properties.length; ++i) {
+            var property = summary.properties[i];
+            properties.items.push(new MetadataItemViewModel(property.name, describeProperty(property, summary.featureCount)));
+        }
+        group.items.push(properties);
+    }
+}
+
+/**
+ * Creates the metadata of a catalog item whose data is GeoJSON, summarising its features: how many there are, the
+ * types of their geometries, and the values of each of their properties.  The item is loaded if it has not been
+ * loaded already.
+ *
+ * @param {CatalogItemViewModel} viewModel The item, which has a `features` property that holds its GeoJSON features
+ *        once it is loaded, like {@link GeoJsonItemViewModel#features}.
+ * @return {MetadataViewModel} The metadata, which is populated when the item finishes loading.
+ */
+var requestGeoJsonMetadata = function(viewModel) {
+    var result = new MetadataViewModel();
+
+    result.isLoading = true;
+    result.serviceErrorMessage = 'This service does not have any details available.';
+
+    result.promise = when(viewModel.load(), function() {
+        var features = viewModel.features;
+        if (defined(features)) {
+            populateMetadataGroup(result.dataSourceMetadata, summarizeGeoJson({
+                type : 'FeatureCollection',
+                features : features
+            }));
+        } else {
+            result.dataSourceErrorMessage = 'This data source does not have any details available.';
+        }
+        result.isLoading = false;
+    }).otherwise(function() {
+        result.dataSourceErrorMessage = 'An error occurred while loading the data.';
+        result.isLoading = false;
+    });
+
+    return result;
+};
+
+module.exports = requestGeoJsonMetadata;
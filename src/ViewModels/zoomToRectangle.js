@@ -0,0 +1,48 @@
+'use strict';
+
+/*global require*/
+
+var CameraFlightPath = require('../../third_party/cesium/Source/Scene/CameraFlightPath');
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+
+var rectangleToLatLngBounds = require('../Map/rectangleToLatLngBounds');
+
+var scratchRectangle = new Rectangle();
+
+/**
+ * Moves the camera of the current viewer, Cesium or Leaflet, so that a rectangle is visible.  Rectangles that are
+ * narrower than about a tenth of a degree, such as the rectangle of a single point, are widened to that size.
+ *
+ * @param {ApplicationViewModel} application The application.
+ * @param {Rectangle} rectangle The rectangle to show.
+ */
+var zoomToRectangle = function(application, rectangle) {
+    var epsilon = CesiumMath.EPSILON3;
+
+    var rect = Rectangle.clone(rectangle, scratchRectangle);
+
+    if (rect.east - rect.west < epsilon) {
+        rect.east += epsilon;
+        rect.west -= epsilon;
+    }
+
+    if (rect.north - rect.south < epsilon) {
+        rect.north += epsilon;
+        rect.south -= epsilon;
+    }
+
+    if (defined(application.cesium)) {
+        var flight = CameraFlightPath.createTweenRectangle(application.cesium.scene, {
+            destination : rect
+        });
+        application.cesium.scene.tweens.add(flight);
+    }
+
+    if (defined(application.leaflet)) {
+        application.leaflet.map.fitBounds(rectangleToLatLngBounds(rect));
+    }
+};
+
+module.exports = zoomToRectangle;
@@ -0,0 +1,34 @@
+/*global require,self*/
+"use strict";
+
+var Dataset = require('../Map/Dataset');
+var parseCsv = require('../Map/parseCsv');
+
+/**
+ * A Web Worker that parses CSV text and determines the type and range of each column, so that large tables do not
+ * block the user interface.  It is started by {@link parseCsvInWorker}, which describes the messages it accepts and
+ * posts.
+ *
+ * @private
+ */
+function createDatasetFromCsv(event) {
+    var data = event.data;
+    try {
+        var rows = parseCsv(data.text, {
+            onProgress : function(fraction) {
+                self.postMessage({ progress : fraction });
+            }
+        });
+
+        var dataset = new Dataset();
+        dataset.dateFormats = data.dateFormats;
+        dataset.timeZone = data.timeZone;
+        dataset.loadJson(rows);
+
+        self.postMessage({ dataset : dataset.toTransferable() });
+    } catch (e) {
+        self.postMessage({ error : e.toString() });
+    }
+}
+
+module.exports = createDatasetFromCsv;
@@ -71,7 +71,9 @@ if (start) {
     }).always(function() {
         // Watch the hash portion of the URL.  If it changes, try to interpret as an init source.
         window.addEventListener("hashchange", function() {
-            application.updateApplicationUrl(window.location);
+            application.updateApplicationUrl(window.location).otherwise(function(e) {
+                raiseErrorToUser(application, e);
+            });
         }, false);
 
         application.catalog.isLoading = false;
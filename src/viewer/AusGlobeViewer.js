@@ -5,7 +5,7 @@
 
 "use strict";
 
-/*global require,L,URI,$,Document,html2canvas,console,ga*/
+/*global require,L,URI,$,html2canvas,console,ga*/
 
 var BingMapsApi = require('../../third_party/cesium/Source/Core/BingMapsApi');
 var BingMapsImageryProvider = require('../../third_party/cesium/Source/Scene/BingMapsImageryProvider');
@@ -35,8 +35,6 @@ var InfoBox = require('../../third_party/cesium/Source/Widgets/InfoBox/InfoBox')
 var Intersections2D = require('../../third_party/cesium/Source/Core/Intersections2D');
 var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var KeyboardEventModifier = require('../../third_party/cesium/Source/Core/KeyboardEventModifier');
-var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
-var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
 var Material = require('../../third_party/cesium/Source/Scene/Material');
 var Matrix3 = require('../../third_party/cesium/Source/Core/Matrix3');
 var Matrix4 = require('../../third_party/cesium/Source/Core/Matrix4');
@@ -45,10 +43,10 @@ var RectanglePrimitive = require('../../third_party/cesium/Source/Scene/Rectangl
 var ScreenSpaceEventHandler = require('../../third_party/cesium/Source/Core/ScreenSpaceEventHandler');
 var ScreenSpaceEventType = require('../../third_party/cesium/Source/Core/ScreenSpaceEventType');
 var Transforms = require('../../third_party/cesium/Source/Core/Transforms');
+var WebMercatorProjection = require('../../third_party/cesium/Source/Core/WebMercatorProjection');
 var Tween = require('../../third_party/cesium/Source/ThirdParty/Tween');
 var Viewer = require('../../third_party/cesium/Source/Widgets/Viewer/Viewer');
 var viewerEntityMixin = require('../../third_party/cesium/Source/Widgets/Viewer/viewerEntityMixin');
-var WebMercatorProjection = require('../../third_party/cesium/Source/Core/WebMercatorProjection');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var Animation = require('../../third_party/cesium/Source/Widgets/Animation/Animation');
@@ -58,17 +56,19 @@ var ClockViewModel = require('../../third_party/cesium/Source/Widgets/ClockViewM
 
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 
-var corsProxy = require('../Core/corsProxy');
+var FeatureInfoPanel = require('./FeatureInfoPanel');
 var GeoDataBrowser = require('./GeoDataBrowser');
 var CesiumViewModel = require('../ViewModels/CesiumViewModel');
 var LeafletViewModel = require('../ViewModels/LeafletViewModel');
 var NavigationWidget = require('./NavigationWidget');
 var PopupMessage = require('./PopupMessage');
+var raiseErrorToUser = require('../ViewModels/raiseErrorToUser');
 var rectangleToLatLngBounds = require('../Map/rectangleToLatLngBounds');
 var SearchWidget = require('./SearchWidget');
 //var ServicesPanel = require('./ServicesPanel');
 var SharePanel = require('./SharePanel');
 var TitleWidget = require('./TitleWidget');
+var WorkspacePanel = require('./WorkspacePanel');
 var LeafletVisualizer = require('../Map/LeafletVisualizer');
 var ViewerMode = require('../ViewModels/ViewerMode');
 
@@ -115,61 +115,50 @@ var AusGlobeViewer = function(application) {
                     that.captureCanvasCallback = function (dataUrl) {
                         var camera = getCameraRect(that.scene, that.map);
 
-                        var request = {
-                            version: '0.0.03',
-                            image: dataUrl,
-                            initSources: that.application.initSources.slice()
-                        };
-
-                        var initSources = request.initSources;
-
-                        // Add an init source with user-added catalog members.
-                        var userDataSerializeOptions = {
-                            userSuppliedOnly: true,
-                            skipItemsWithLocalData: true,
-                            itemsSkippedBecauseTheyHaveLocalData: []
-                        };
-
-                        var userAddedCatalog = that.application.catalog.serializeToJson(userDataSerializeOptions);
-                        if (userAddedCatalog.length > 0) {
-                            initSources.push({
-                                catalog: userAddedCatalog,
-                                catalogIsUserSupplied: true
+                        function createRequest() {
+                            var itemsSkippedBecauseTheyHaveLocalData = [];
+                            var request = that.application.createStartData({
+                                camera: camera,
+                                itemsSkippedBecauseTheyHaveLocalData: itemsSkippedBecauseTheyHaveLocalData
                             });
-                        }
+                            request.image = dataUrl;
 
-                        // Add an init source with the enabled/opened catalog members.
-                        var enabledAndOpenedCatalog = that.application.catalog.serializeToJson({
-                            enabledItemsOnly: true,
-                            skipItemsWithLocalData: true,
-                            serializeForSharing: true,
-                        });
-                        if (enabledAndOpenedCatalog.length > 0) {
-                            initSources.push({
-                                catalog: enabledAndOpenedCatalog,
-                                catalogOnlyUpdatesExistingItems: true
-                            });
+                            return {
+                                request: request,
+                                itemsSkippedBecauseTheyHaveLocalData: itemsSkippedBecauseTheyHaveLocalData
+                            };
                         }
 
-                        // Add an init source with the camera position.
-                        initSources.push({
-                            camera: {
-                                west: CesiumMath.toDegrees(camera.west),
-                                south: CesiumMath.toDegrees(camera.south),
-                                east: CesiumMath.toDegrees(camera.east),
-                                north: CesiumMath.toDegrees(camera.north)
-                            }
-                        });
-
+                        var shared = createRequest();
                         SharePanel.open({
-                            request: request,
+                            request: shared.request,
                             container: document.body,
-                            itemsSkippedBecauseTheyHaveLocalData: userDataSerializeOptions.itemsSkippedBecauseTheyHaveLocalData
+                            itemsSkippedBecauseTheyHaveLocalData: shared.itemsSkippedBecauseTheyHaveLocalData,
+                            uploadLocalData: function() {
+                                return that.application.catalog.uploadLocalData().then(createRequest).otherwise(function(e) {
+                                    raiseErrorToUser(that.application, e);
+                                    throw e;
+                                });
+                            }
                         });
                     };
                     that.captureCanvas();
                 }
             },
+            {
+                svg : {
+                    path : 'M 3,7 H 12 L 15,10 H 29 V 26 H 3 Z m 2,5 v 12 h 22 v -12 z',
+                    width : 32,
+                    height : 32
+                },
+                tooltip : 'Workspace',
+                callback : function() {
+                    WorkspacePanel.open({
+                        container: document.body,
+                        application: that.application
+                    });
+                }
+            },
             // {
             //     svg : {
             //         path : 'M26.33,15.836l-3.893-1.545l3.136-7.9c0.28-0.705-0.064-1.505-0.771-1.785c-0.707-0.28-1.506,0.065-1.785,0.771l-3.136,7.9l-4.88-1.937l3.135-7.9c0.281-0.706-0.064-1.506-0.77-1.786c-0.706-0.279-1.506,0.065-1.785,0.771l-3.136,7.9L8.554,8.781l-1.614,4.066l2.15,0.854l-2.537,6.391c-0.61,1.54,0.143,3.283,1.683,3.895l1.626,0.646L8.985,26.84c-0.407,1.025,0.095,2.188,1.122,2.596l0.93,0.369c1.026,0.408,2.188-0.095,2.596-1.121l0.877-2.207l1.858,0.737c1.54,0.611,3.284-0.142,3.896-1.682l2.535-6.391l1.918,0.761L26.33,15.836z',
@@ -303,6 +292,11 @@ If you\'re on a desktop or laptop, consider increasing the size of your window.'
         catalog : this.application.catalog
     });
 
+    this.featureInfoPanel = new FeatureInfoPanel({
+        container : document.body,
+        application : this.application
+    });
+
     this.selectViewer(this.webGlSupported);
 
     knockout.getObservable(this.application, 'viewerMode').subscribe(function() {
@@ -691,6 +685,12 @@ us via email at nationalmap@lists.nicta.com.au.'
         }
     }, ScreenSpaceEventType.MOUSE_MOVE);
 
+    // Show the features of the items where the user clicks.  The viewer's own handler selects entities.
+    this._featurePickingHandler = new ScreenSpaceEventHandler(scene.canvas);
+    this._featurePickingHandler.setInputAction(function(click) {
+        selectFeatureCesium(that, click.position);
+    }, ScreenSpaceEventType.LEFT_CLICK);
+
     return viewer;
 };
 
@@ -802,6 +802,8 @@ AusGlobeViewer.prototype.selectViewer = function(bCesium) {
             inputHandler.removeInputAction( ScreenSpaceEventType.LEFT_DOUBLE_CLICK );
             inputHandler.removeInputAction( ScreenSpaceEventType.LEFT_DOUBLE_CLICK, KeyboardEventModifier.SHIFT );
 
+            this._featurePickingHandler = this._featurePickingHandler.destroy();
+
             this.viewer.destroy();
             this.viewer = undefined;
         }
@@ -1404,208 +1406,74 @@ AusGlobeViewer.prototype.updateCameraFromRect = function(rect_in, flightTimeMill
     }
 };
 
-function getWmsFeatureInfo(baseUrl, useProxy, layers, extent, width, height, i, j, useWebMercator, wmsFeatureInfoFilter) {
-    var url = baseUrl;
-    var indexOfQuestionMark = url.indexOf('?');
-    if (indexOfQuestionMark >= 0 && indexOfQuestionMark < url.length - 1) {
-        if (url[url.length - 1] !== '&') {
-            url += '&';
-        }
-    } else if (indexOfQuestionMark < 0) {
-        url += '?';
-    }
-
-    var srs;
-    var sw;
-    var ne;
-    if (useWebMercator) {
-        srs = 'EPSG:3857';
-        
-        var projection = new WebMercatorProjection();
-        sw = projection.project(Rectangle.southwest(extent));
-        ne = projection.project(Rectangle.northeast(extent));
-    } else {
-        srs = 'EPSG:4326';
-        sw = new Cartesian3(CesiumMath.toDegrees(extent.west), CesiumMath.toDegrees(extent.south), 0.0);
-        ne = new Cartesian3(CesiumMath.toDegrees(extent.east), CesiumMath.toDegrees(extent.north), 0.0);
-    }
-
-    url += 'service=WMS&request=GetFeatureInfo&version=1.1.1&layers=' + layers + '&query_layers=' + layers + 
-           '&srs=' + srs + '&width=' + width + '&height=' + height + '&info_format=application/json' +
-           '&x=' + i + '&y=' + j + '&';
+// The number of pixels around a location picked in Cesium that features may be picked from.
+var cesiumPickRadius = 50;
 
-
-    var bbox = sw.x + ',' + sw.y + ',' + ne.x + ',' + ne.y;
-    url += 'bbox=' + bbox + '&';
-
-    if (useProxy) {
-        url = corsProxy.getURL(url);
-    }
-
-    return when(loadJson(url), function(json) {
-        if (defined(wmsFeatureInfoFilter)) {
-            json = wmsFeatureInfoFilter(json);
-        }
-        return json;
-    }, function (e) {
-        // If something goes wrong, try requesting XML instead of GeoJSON.  Then try to interpret it.
-        url = url.replace('info_format=application/json', 'info_format=text/xml');
-        return loadXML(url);
+function selectFeatureLeaflet(viewer, latlng) {
+    var pickedXY = viewer.map.latLngToContainerPoint(latlng, viewer.map.getZoom());
+    var bounds = viewer.map.getBounds();
+    var size = viewer.map.getSize();
+
+    pickFeatures(viewer, {
+        longitude : CesiumMath.toRadians(latlng.lng),
+        latitude : CesiumMath.toRadians(latlng.lat),
+        rectangle : new Rectangle(CesiumMath.toRadians(bounds.getWest()), CesiumMath.toRadians(bounds.getSouth()), CesiumMath.toRadians(bounds.getEast()), CesiumMath.toRadians(bounds.getNorth())),
+        width : size.x,
+        height : size.y,
+        x : pickedXY.x,
+        y : pickedXY.y
     });
 }
 
-function selectFeatureLeaflet(viewer, latlng) {
-    var dataSources = viewer.application.nowViewing.items;
+// The view of a 3D scene is not a rectangle in any map projection, so the features at a location picked in Cesium
+// are requested as if it were the centre of a small Web Mercator view with pixels the size of the screen's pixels there.
+function selectFeatureCesium(viewer, position) {
+    var scene = viewer.scene;
 
-    var pickedXY = viewer.map.latLngToContainerPoint(latlng, viewer.map.getZoom());
-    var bounds = viewer.map.getBounds();
-    var extent = new Rectangle(CesiumMath.toRadians(bounds.getWest()), CesiumMath.toRadians(bounds.getSouth()), CesiumMath.toRadians(bounds.getEast()), CesiumMath.toRadians(bounds.getNorth()));
-
-    var promises = [];
-    for (var i = dataSources.length - 1; i >=0 ; --i) {
-        var dataSource = dataSources[i];
-        if (dataSource.type === 'wms' || (dataSource.type === 'csv' && defined(dataSource.layers))) {
-            var useProxy = corsProxy.shouldUseProxy(dataSource.url);
-            promises.push(getWmsFeatureInfo(dataSource.url, useProxy, dataSource.layers, 
-                extent, viewer.map.getSize().x, viewer.map.getSize().y, pickedXY.x, pickedXY.y, true, 
-                dataSource.wmsFeatureInfoFilter));
-        }
+    // Entities are described by the info box instead.
+    if (defined(scene.pick(position))) {
+        viewer.featureInfoPanel.viewModel.close();
+        return;
     }
 
-    if (promises.length === 0) {
+    var ellipsoid = scene.globe.ellipsoid;
+    var picked = scene.camera.pickEllipsoid(position, ellipsoid);
+    var nextToPicked = scene.camera.pickEllipsoid(new Cartesian2(position.x + 1, position.y), ellipsoid);
+    if (!defined(picked) || !defined(nextToPicked)) {
         return;
     }
 
-    selectFeatures(promises, viewer.map, latlng);
+    var projection = new WebMercatorProjection(ellipsoid);
+    var cartographic = ellipsoid.cartesianToCartographic(picked);
+    var center = projection.project(cartographic);
+    var pixelSize = Cartesian3.distance(center, projection.project(ellipsoid.cartesianToCartographic(nextToPicked)));
+
+    var halfSize = (cesiumPickRadius + 0.5) * pixelSize;
+    var southwest = projection.unproject(new Cartesian3(center.x - halfSize, center.y - halfSize, 0.0));
+    var northeast = projection.unproject(new Cartesian3(center.x + halfSize, center.y + halfSize, 0.0));
+
+    pickFeatures(viewer, {
+        longitude : cartographic.longitude,
+        latitude : cartographic.latitude,
+        rectangle : new Rectangle(southwest.longitude, southwest.latitude, northeast.longitude, northeast.latitude),
+        width : 2 * cesiumPickRadius + 1,
+        height : 2 * cesiumPickRadius + 1,
+        x : cesiumPickRadius,
+        y : cesiumPickRadius
+    });
 }
 
+// Asks every shown item, from the top of the list down, for its features at the picked location, and shows them
+// in the feature info panel.
+function pickFeatures(viewer, options) {
+    var items = viewer.application.nowViewing.items.filter(function(item) {
+        return item.isShown;
+    });
 
-function selectFeatures(promises, viewer, latlng) {
-    var nextPromiseIndex = 0;
-
-    function waitForNextLayersResponse() {
-        if (nextPromiseIndex >= promises.length) {
-            updatePopup( 'None', 'No features found.');
-            return;
-        }
-
-        when(promises[nextPromiseIndex++], function(result) {
-            function findGoodIdProperty(properties) {
-                for (var key in properties) {
-                    if (properties.hasOwnProperty(key) && properties[key]) {
-                        if (/name/i.test(key) || /title/i.test(key)|| /id/i.test(key)) {
-                            return properties[key];
-                        }
-                    }
-                }
-
-                return undefined;
-            }
-
-            function describe(properties) {
-                var html = '<table class="cesium-infoBox-defaultTable">';
-                for ( var key in properties) {
-                    if (properties.hasOwnProperty(key)) {
-                        var value = properties[key];
-                        if (defined(value)) {
-                            if (typeof value === 'object') {
-                                html += '<tr><td>' + key + '</td><td>' + describe(value) + '</td></tr>';
-                            } else {
-                                html += '<tr><td>' + key + '</td><td>' + value + '</td></tr>';
-                            }
-                        }
-                    }
-                }
-                html += '</table>';
-                return html;
-            }
-
-            // Handle MapInfo MXP.  This is ugly.
-            if (result instanceof Document || defined(result.xml)) {
-                var json = $.xml2json(result);
-
-                // xml2json returns namespaced property names in IE9.
-                if (json['mxp:FeatureCollection']) {
-                    json.FeatureCollection = json['mxp:FeatureCollection'];
-                    if (json.FeatureCollection['mxp:FeatureMembers']) {
-                        json.FeatureCollection.FeatureMembers = json.FeatureCollection['mxp:FeatureMembers'];
-                        if (json.FeatureCollection.FeatureMembers['mxp:Feature']) {
-                            json.FeatureCollection.FeatureMembers.Feature = json.FeatureCollection.FeatureMembers['mxp:Feature'];
-                            if (json.FeatureCollection.FeatureMembers.Feature['mxp:Val']) {
-                                json.FeatureCollection.FeatureMembers.Feature.Val = json.FeatureCollection.FeatureMembers.Feature['mxp:Val'];
-                            }
-                        }
-                    }
-                }
-
-                var properties;
-                if (json.FeatureCollection &&
-                    json.FeatureCollection.FeatureMembers && 
-                    json.FeatureCollection.FeatureMembers.Feature && 
-                    json.FeatureCollection.FeatureMembers.Feature.Val) {
-
-                    properties = {};
-                    result = {
-                        features : [
-                            {
-                                properties : properties
-                            }
-                        ]
-                    };
-
-                    var vals = json.FeatureCollection.FeatureMembers.Feature.Val;
-                    for (var i = 0; i < vals.length; ++i) {
-                        properties[vals[i].ref] = vals[i].text;
-                    }
-                } else if (json.FIELDS) {
-                    properties = {};
-                    result = {
-                        features : [
-                            {
-                                properties : properties
-                            }
-                        ]
-                    };
-
-                    var fields = json.FIELDS;
-                    for (var field in fields) {
-                        if (fields.hasOwnProperty(field)) {
-                            properties[field] = fields[field];
-                        }
-                    }
-                }
-            }
-
-            if (!defined(result) || !defined(result.features) || result.features.length === 0) {
-                waitForNextLayersResponse();
-                return;
-            }
-
-            // Show information for the first selected feature.
-            var feature = result.features[0];
-            if (defined(feature)) {
-                updatePopup( findGoodIdProperty(feature.properties), describe(feature.properties) );
-            } else {
-                updatePopup( 'None', 'No features found.');
-            }
-        }, function() {
-            waitForNextLayersResponse();
-        });
-    }
-
-    waitForNextLayersResponse();
-
-        //create popup but don't show it
-    var popup = L.popup({maxHeight: 520 }).setLatLng(latlng);
-    function updatePopup(title, text) {
-        popup.setContent('<h3><center>'+title+'</center></h3>'+text);
+    var panelViewModel = viewer.featureInfoPanel.viewModel;
+    if (!panelViewModel.pickFeatures(items, options)) {
+        panelViewModel.close();
     }
-        // Show placeholder text to the infobox so the user knows something is happening.
-    updatePopup('', 'Loading WMS feature information...');
-
-        // Wait for .5 seconds to show to let double click through
-    setTimeout(function() { popup.openOn(viewer); }, 500);
-    
 }
 
 module.exports = AusGlobeViewer;
@@ -0,0 +1,212 @@
+"use strict";
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var getElement = require('../../third_party/cesium/Source/Widgets/getElement');
+
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+var ColorPalettes = require('../Map/ColorPalettes');
+var raiseErrorOnRejectedPromise = require('../ViewModels/raiseErrorOnRejectedPromise');
+
+var classificationMethods = [
+    { value : 'none', label : 'Continuous' },
+    { value : 'equalInterval', label : 'Equal interval' },
+    { value : 'quantile', label : 'Quantile' },
+    { value : 'jenks', label : 'Natural breaks (Jenks)' },
+    { value : 'standardDeviation', label : 'Standard deviation' },
+    { value : 'userDefined', label : 'User-defined breaks' }
+];
+
+function getPaletteOptions() {
+    var palettes = [{ name : '', label : 'Current colours' }];
+    for (var name in ColorPalettes) {
+        if (ColorPalettes.hasOwnProperty(name)) {
+            var palette = ColorPalettes[name];
+            palettes.push({
+                name : name,
+                label : name + ' (' + palette.type + (palette.colorBlindSafe ? ', colour-blind safe' : '') + ')'
+            });
+        }
+    }
+    return palettes;
+}
+
+function parseNumber(text) {
+    var value = parseFloat(text);
+    return isFinite(value) ? value : undefined;
+}
+
+/**
+ * A popup for changing the displayed variable, region column and type, palette and classification of a {@link CsvItemViewModel},
+ * and whether its regions are drawn as vector polygons.
+ * Each change is applied immediately with {@link CsvItemViewModel#updateTableStyle}.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Element|String} options.container The DOM element or ID that will contain the popup.
+ * @param {CsvItemViewModel} options.item The CSV item to style.
+ */
+var CsvStylePanel = function(options) {
+    var container = getElement(options.container);
+    var item = options.item;
+
+    var wrapper = document.createElement('div');
+    wrapper.className = 'ausglobe-info-container';
+    wrapper.setAttribute('data-bind', 'click: closeIfClickOnBackground');
+    container.appendChild(wrapper);
+
+    var panel = document.createElement('div');
+    panel.className = 'ausglobe-share';
+    panel.innerHTML = '\
+        <div class="ausglobe-info-header">\
+            <div class="ausglobe-info-close-button" data-bind="click: close">&times;</div>\
+            <h1 data-bind="text: \'Style \' + item.name"></h1>\
+        </div>\
+        <div class="ausglobe-info-content">\
+            <div class="ausglobe-csv-style-field">\
+                <label>Display variable<br/><select data-bind="options: variableNames, value: dataVariable"></select></label>\
+            </div>\
+            <!-- ko if: item.isRegionMapped -->\
+            <div class="ausglobe-csv-style-field">\
+                <label>Region column<br/><select data-bind="options: variableNames, value: regionVariable"></select></label>\
+            </div>\
+            <div class="ausglobe-csv-style-field">\
+                <label>Region type<br/><select data-bind="options: regionTypes, value: regionType, valueAllowUnset: true"></select></label>\
+            </div>\
+            <div class="ausglobe-csv-style-field" data-bind="visible: vectorRegionTypes.indexOf(regionType) !== -1">\
+                <label><input type="checkbox" data-bind="checked: useVectorRegionMapping" /> Draw regions as vector polygons</label>\
+            </div>\
+            <!-- /ko -->\
+            <div class="ausglobe-csv-style-field">\
+                <label>Palette<br/><select data-bind="options: palettes, optionsText: \'label\', optionsValue: \'name\', value: palette"></select></label>\
+                <label data-bind="visible: palette !== \'\'"><input type="checkbox" data-bind="checked: reversePalette" /> Reverse</label>\
+            </div>\
+            <div class="ausglobe-csv-style-field" data-bind="visible: isDivergingPalette">\
+                <label>Centre value (optional)<br/><input type="text" data-bind="value: paletteCenter" /></label>\
+            </div>\
+            <div class="ausglobe-csv-style-field">\
+                <label>Classification<br/><select data-bind="options: classificationMethods, optionsText: \'label\', optionsValue: \'value\', value: classificationMethod"></select></label>\
+            </div>\
+            <div class="ausglobe-csv-style-field" data-bind="visible: classificationMethod !== \'none\' && classificationMethod !== \'userDefined\'">\
+                <label>Number of classes<br/><input type="number" min="1" max="20" data-bind="value: classCount" /></label>\
+            </div>\
+            <div class="ausglobe-csv-style-field" data-bind="visible: classificationMethod === \'userDefined\'">\
+                <label>Class breaks, separated by commas<br/><input type="text" data-bind="value: classBreaks" /></label>\
+            </div>\
+        </div>\
+    ';
+    wrapper.appendChild(panel);
+
+    var table = (defined(item.style) && defined(item.style.table)) ? item.style.table : {};
+
+    var colorMap = table.colorMap;
+    if (typeof colorMap === 'string') {
+        colorMap = { name : colorMap };
+    }
+    var hasNamedPalette = defined(colorMap) && defined(colorMap.name);
+    var originalColorMap = table.colorMap;
+
+    var classification = table.classification;
+
+    var viewModel = this._viewModel = {
+        item : item,
+        variableNames : item.variableNames,
+        classificationMethods : classificationMethods,
+        palettes : getPaletteOptions(),
+        regionTypes : defined(table.regionType) ? [table.regionType] : [],
+        vectorRegionTypes : [],
+        useVectorRegionMapping : item.useVectorRegionMapping,
+        dataVariable : defined(table.data) ? table.data : item.currentVariable,
+        regionVariable : table.region,
+        regionType : table.regionType,
+        palette : hasNamedPalette ? colorMap.name : '',
+        reversePalette : hasNamedPalette && colorMap.reverse === true,
+        paletteCenter : (hasNamedPalette && defined(colorMap.center)) ? colorMap.center.toString() : '',
+        classificationMethod : defined(classification) ? classification.method : 'none',
+        classCount : (defined(classification) && defined(classification.classCount)) ? classification.classCount.toString() : '5',
+        classBreaks : (defined(classification) && defined(classification.breaks)) ? classification.breaks.join(', ') : ''
+    };
+
+    var trackedProperties = ['regionTypes', 'vectorRegionTypes', 'dataVariable', 'regionVariable', 'regionType',
+                             'useVectorRegionMapping', 'palette', 'reversePalette', 'paletteCenter',
+                             'classificationMethod', 'classCount', 'classBreaks'];
+    knockout.track(viewModel, trackedProperties);
+
+    knockout.defineProperty(viewModel, 'isDivergingPalette', function() {
+        return ColorPalettes.hasOwnProperty(viewModel.palette) && ColorPalettes[viewModel.palette].type === 'diverging';
+    });
+
+    if (item.isRegionMapped) {
+        item.application.getRegionMappingRegistry().then(function(registry) {
+            viewModel.regionTypes = registry.getRegionTypes();
+            viewModel.vectorRegionTypes = viewModel.regionTypes.filter(function(regionType) {
+                return defined(registry.getRegionDescriptor(regionType).vectorUrl);
+            });
+        });
+    }
+
+    function applyStyle() {
+        var changes = {
+            data : viewModel.dataVariable
+        };
+
+        if (item.isRegionMapped) {
+            changes.region = viewModel.regionVariable;
+            changes.regionType = viewModel.regionType;
+            item.useVectorRegionMapping = viewModel.useVectorRegionMapping;
+        }
+
+        if (viewModel.palette === '') {
+            changes.colorMap = originalColorMap;
+        } else {
+            changes.colorMap = {
+                name : viewModel.palette,
+                reverse : viewModel.reversePalette,
+                center : viewModel.isDivergingPalette ? parseNumber(viewModel.paletteCenter) : undefined
+            };
+        }
+
+        var method = viewModel.classificationMethod;
+        if (method === 'none') {
+            changes.classification = undefined;
+        } else if (method === 'userDefined') {
+            var breaks = [];
+            var parts = viewModel.classBreaks.split(',');
+            for (var i = 0; i < parts.length; ++i) {
+                var value = parseNumber(parts[i]);
+                if (defined(value)) {
+                    breaks.push(value);
+                }
+            }
+            changes.classification = { method : method, breaks : breaks };
+        } else {
+            changes.classification = { method : method, classCount : defined(parseNumber(viewModel.classCount)) ? parseNumber(viewModel.classCount) : 5 };
+        }
+
+        raiseErrorOnRejectedPromise(item.application, item.updateTableStyle(changes));
+    }
+
+    for (var i = 0; i < trackedProperties.length; ++i) {
+        if (trackedProperties[i] !== 'regionTypes' && trackedProperties[i] !== 'vectorRegionTypes') {
+            knockout.getObservable(viewModel, trackedProperties[i]).subscribe(applyStyle);
+        }
+    }
+
+    viewModel.close = function() {
+        container.removeChild(wrapper);
+    };
+    viewModel.closeIfClickOnBackground = function(viewModel, e) {
+        if (e.target === wrapper) {
+            viewModel.close();
+        }
+        return true;
+    };
+
+    knockout.applyBindings(this._viewModel, wrapper);
+};
+
+CsvStylePanel.open = function(options) {
+    return new CsvStylePanel(options);
+};
+
+module.exports = CsvStylePanel;
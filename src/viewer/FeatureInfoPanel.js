@@ -0,0 +1,67 @@
+"use strict";
+
+/*global require*/
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var getElement = require('../../third_party/cesium/Source/Widgets/getElement');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+var FeatureInfoPanelViewModel = require('./FeatureInfoPanelViewModel');
+
+/**
+ * A panel beside the map that shows the properties of the features found where the user clicked, one feature at a
+ * time, with buttons to page through the features and a list of the items that they came from.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Element|String} options.container The DOM element or ID that will contain the panel.
+ * @param {ApplicationViewModel} options.application The application.
+ * @constructor
+ */
+var FeatureInfoPanel = function(options) {
+    var container = getElement(options.container);
+    var viewModel = this._viewModel = new FeatureInfoPanelViewModel({
+        application : options.application
+    });
+
+    var wrapper = document.createElement('div');
+    wrapper.className = 'ausglobe-feature-info';
+    wrapper.setAttribute('data-bind', 'visible: isVisible');
+    wrapper.innerHTML = '\
+        <div class="ausglobe-feature-info-header">\
+            <div class="ausglobe-feature-info-close-button" data-bind="click: closeCommand">&times;</div>\
+            <span data-bind="visible: features.length > 0, text: (selectedIndex + 1) + \' of \' + features.length"></span>\
+            <span data-bind="visible: features.length === 0 && !isLoading">No features found</span>\
+            <span data-bind="visible: isLoading"> Loading...</span>\
+        </div>\
+        <div class="ausglobe-feature-info-groups" data-bind="foreach: groups">\
+            <div class="ausglobe-feature-info-group" data-bind="click: $parent.selectGroup, css: { \'ausglobe-feature-info-group-selected\': $parent.selectedFeature && $parent.selectedFeature.item === item }">\
+                <span data-bind="text: name"></span> (<span data-bind="text: count"></span>)\
+            </div>\
+        </div>\
+        <!-- ko with: selectedFeature -->\
+        <div class="ausglobe-feature-info-item" data-bind="text: itemName"></div>\
+        <div class="ausglobe-feature-info-title" data-bind="visible: title, text: title"></div>\
+        <div class="ausglobe-feature-info-content" data-bind="sanitizedHtml: description"></div>\
+        <!-- /ko -->\
+        <div class="ausglobe-feature-info-buttons" data-bind="visible: features.length > 1">\
+            <button data-bind="click: previous, enable: hasPrevious">&lt; Previous</button>\
+            <button data-bind="click: next, enable: hasNext">Next &gt;</button>\
+        </div>';
+    container.appendChild(wrapper);
+
+    knockout.applyBindings(viewModel, wrapper);
+};
+
+defineProperties(FeatureInfoPanel.prototype, {
+    /**
+     * Gets the view model of the panel.
+     * @memberOf FeatureInfoPanel.prototype
+     * @type {FeatureInfoPanelViewModel}
+     */
+    viewModel : {
+        get : function() {
+            return this._viewModel;
+        }
+    }
+});
+
+module.exports = FeatureInfoPanel;
@@ -0,0 +1,391 @@
+"use strict";
+
+/*global require*/
+
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var createCommand = require('../../third_party/cesium/Source/Widgets/createCommand');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+var GeoJsonItemViewModel = require('../ViewModels/GeoJsonItemViewModel');
+var raiseErrorOnRejectedPromise = require('../ViewModels/raiseErrorOnRejectedPromise');
+
+// The style in which the geometry of the selected feature is drawn over the item it came from.
+var highlightStyle = {
+    useSimpleStyle : false,
+    point : {
+        color : '#FFFF00',
+        size : 12,
+        outlineColor : '#000000',
+        outlineWidth : 2
+    },
+    line : {
+        color : '#FFFF00',
+        width : 4
+    },
+    polygon : {
+        fill : false,
+        outlineColor : '#FFFF00'
+    }
+};
+
+function findGoodIdProperty(properties) {
+    for (var key in properties) {
+        if (properties.hasOwnProperty(key) && properties[key]) {
+            if (/name/i.test(key) || /title/i.test(key)|| /id/i.test(key)) {
+                return properties[key];
+            }
+        }
+    }
+
+    return undefined;
+}
+
+function createEntry(item, featureCollection, feature) {
+    var properties = defined(feature.properties) && feature.properties !== null ? feature.properties : {};
+    var title = defined(feature.name) ? feature.name : findGoodIdProperty(properties);
+
+    return {
+        item : item,
+        itemName : item.name,
+        title : defined(title) ? String(title) : undefined,
+        description : item.describeFeature(properties),
+        feature : feature,
+        crs : featureCollection.crs
+    };
+}
+
+function removeHighlight(viewModel) {
+    var highlight = viewModel._highlight;
+    if (!defined(highlight)) {
+        return;
+    }
+
+    viewModel._highlight = undefined;
+    if (highlight.isShown) {
+        highlight.viewModel._hide();
+        highlight.viewModel._disable();
+    }
+    highlight.isRemoved = true;
+}
+
+// Draws the geometry of the selected feature, if it has one, with its own GeoJSON item that is not in the catalog.
+function highlightSelectedFeature(viewModel) {
+    var entry = viewModel.selectedFeature;
+    if (defined(viewModel._highlight) && defined(entry) && viewModel._highlight.feature === entry.feature) {
+        return;
+    }
+
+    removeHighlight(viewModel);
+
+    if (!viewModel.isVisible || !defined(entry) || !defined(entry.feature.geometry) || entry.feature.geometry === null) {
+        return;
+    }
+
+    var geoJson = {
+        type : 'FeatureCollection',
+        features : [{
+            type : 'Feature',
+            properties : {},
+            geometry : entry.feature.geometry
+        }]
+    };
+    if (defined(entry.crs)) {
+        geoJson.crs = entry.crs;
+    }
+
+    var geoJsonViewModel = new GeoJsonItemViewModel(viewModel.application);
+    geoJsonViewModel.name = entry.itemName;
+    geoJsonViewModel.style = highlightStyle;
+    geoJsonViewModel.data = geoJson;
+
+    var highlight = viewModel._highlight = {
+        viewModel : geoJsonViewModel,
+        feature : entry.feature,
+        isShown : false,
+        isRemoved : false
+    };
+
+    raiseErrorOnRejectedPromise(viewModel.application, when(geoJsonViewModel.load(), function() {
+        // Another feature may have been selected, or the panel closed, while the geometry was loading.
+        if (highlight.isRemoved) {
+            return;
+        }
+
+        geoJsonViewModel._enable();
+        geoJsonViewModel._show();
+        highlight.isShown = true;
+    }));
+}
+
+/**
+ * The view model for the {@link FeatureInfoPanel}, which lists the features found at a picked location by
+ * {@link CatalogItemViewModel#pickFeatures}.  The features of all items are collected in the order of the items
+ * and can be paged through one at a time, and the geometry of the selected feature is highlighted on the map.
+ *
+ * @alias FeatureInfoPanelViewModel
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {ApplicationViewModel} options.application The application.
+ */
+var FeatureInfoPanelViewModel = function(options) {
+    this.application = options.application;
+
+    /**
+     * Gets or sets a value indicating whether the panel is open.  This property is observable.
+     * @type {Boolean}
+     */
+    this.isVisible = false;
+
+    /**
+     * Gets a value indicating whether features are still being requested from some of the items.  This property is
+     * observable.
+     * @type {Boolean}
+     */
+    this.isLoading = false;
+
+    /**
+     * Gets the features found so far, in the order of the items they came from.  Each feature is described by an
+     * object with `item`, `itemName`, `title`, `description` (HTML from {@link CatalogItemViewModel#describeFeature},
+     * which must be sanitized before it is displayed) and `feature` (the GeoJSON feature) properties.  This property
+     * is observable.
+     * @type {Object[]}
+     */
+    this.features = [];
+
+    /**
+     * Gets or sets the index in {@link FeatureInfoPanelViewModel#features} of the feature that is shown.  This
+     * property is observable.
+     * @type {Number}
+     */
+    this.selectedIndex = 0;
+
+    this._pickId = 0;
+    this._highlight = undefined;
+
+    knockout.track(this, ['isVisible', 'isLoading', 'features', 'selectedIndex']);
+
+    /**
+     * Gets the description of the feature that is shown, or undefined if no features have been found.  This property
+     * is observable.
+     * @member {Object} selectedFeature
+     * @memberOf FeatureInfoPanelViewModel.prototype
+     */
+    knockout.defineProperty(this, 'selectedFeature', function() {
+        return this.features[this.selectedIndex];
+    });
+
+    /**
+     * Gets the items that features were found for, each with its `name`, the number of features found (`count`) and
+     * the index of its first feature (`firstIndex`).  This property is observable.
+     * @member {Object[]} groups
+     * @memberOf FeatureInfoPanelViewModel.prototype
+     */
+    knockout.defineProperty(this, 'groups', function() {
+        var groups = [];
+        var current;
+        for (var i = 0; i < this.features.length; ++i) {
+            var entry = this.features[i];
+            if (!defined(current) || current.item !== entry.item) {
+                current = {
+                    item : entry.item,
+                    name : entry.itemName,
+                    count : 0,
+                    firstIndex : i
+                };
+                groups.push(current);
+            }
+            ++current.count;
+        }
+        return groups;
+    });
+
+    knockout.defineProperty(this, 'hasPrevious', function() {
+        return this.selectedIndex > 0;
+    });
+
+    knockout.defineProperty(this, 'hasNext', function() {
+        return this.selectedIndex < this.features.length - 1;
+    });
+
+    var that = this;
+
+    this._previous = createCommand(function() {
+        if (that.hasPrevious) {
+            --that.selectedIndex;
+        }
+    });
+
+    this._next = createCommand(function() {
+        if (that.hasNext) {
+            ++that.selectedIndex;
+        }
+    });
+
+    this._selectGroup = createCommand(function(group) {
+        that.selectedIndex = group.firstIndex;
+    });
+
+    this._close = createCommand(function() {
+        that.close();
+    });
+
+    knockout.getObservable(this, 'selectedFeature').subscribe(function() {
+        highlightSelectedFeature(that);
+    });
+};
+
+defineProperties(FeatureInfoPanelViewModel.prototype, {
+    /**
+     * Gets a command that shows the previous feature.
+     * @memberOf FeatureInfoPanelViewModel.prototype
+     * @type {Command}
+     */
+    previous : {
+        get : function() {
+            return this._previous;
+        }
+    },
+
+    /**
+     * Gets a command that shows the next feature.
+     * @memberOf FeatureInfoPanelViewModel.prototype
+     * @type {Command}
+     */
+    next : {
+        get : function() {
+            return this._next;
+        }
+    },
+
+    /**
+     * Gets a command that shows the first feature of one of the {@link FeatureInfoPanelViewModel#groups}.
+     * @memberOf FeatureInfoPanelViewModel.prototype
+     * @type {Command}
+     */
+    selectGroup : {
+        get : function() {
+            return this._selectGroup;
+        }
+    },
+
+    /**
+     * Gets a command that closes the panel.
+     * @memberOf FeatureInfoPanelViewModel.prototype
+     * @type {Command}
+     */
+    closeCommand : {
+        get : function() {
+            return this._close;
+        }
+    }
+});
+
+/**
+ * Opens the panel and fills it with the features of some items at a location, replacing the features of the previous
+ * location.  The features of each item are added as they arrive, in the order of the items regardless of which
+ * item responds first.
+ *
+ * @param {CatalogItemViewModel[]} items The items to query, from the top layer down.
+ * @param {Object} options The location and the view in which it was picked, as described in
+ *        {@link CatalogItemViewModel#pickFeatures}.
+ * @return {Boolean} True if any of the items can pick features, so that the panel was opened; otherwise, false.
+ */
+FeatureInfoPanelViewModel.prototype.pickFeatures = function(items, options) {
+    var picks = [];
+    for (var i = 0; i < items.length; ++i) {
+        var promise = items[i].pickFeatures(options);
+        if (defined(promise)) {
+            picks.push({
+                item : items[i],
+                promise : promise,
+                result : undefined,
+                isDone : false
+            });
+        }
+    }
+
+    if (picks.length === 0) {
+        return false;
+    }
+
+    // Results from an earlier location that arrive late are ignored.
+    var pickId = ++this._pickId;
+    var that = this;
+
+    function update() {
+        if (that._pickId !== pickId) {
+            return;
+        }
+
+        var features = [];
+        var isLoading = false;
+        for (var i = 0; i < picks.length; ++i) {
+            var pick = picks[i];
+            if (!pick.isDone) {
+                isLoading = true;
+            } else if (defined(pick.result)) {
+                for (var j = 0; j < pick.result.features.length; ++j) {
+                    features.push(createEntry(pick.item, pick.result, pick.result.features[j]));
+                }
+            }
+        }
+
+        // Keep showing the same feature when features from an item higher in the list arrive.
+        var selected = that.selectedFeature;
+        var selectedIndex = 0;
+        if (defined(selected)) {
+            for (var k = 0; k < features.length; ++k) {
+                if (features[k].feature === selected.feature) {
+                    selectedIndex = k;
+                    break;
+                }
+            }
+        }
+
+        that.isLoading = isLoading;
+        that.features = features;
+        that.selectedIndex = selectedIndex;
+    }
+
+    function waitForPick(pick) {
+        when(pick.promise, function(result) {
+            if (defined(result) && defined(result.features)) {
+                pick.result = result;
+            }
+        }).always(function() {
+            pick.isDone = true;
+            update();
+        });
+    }
+
+    this.features = [];
+    this.selectedIndex = 0;
+    this.isVisible = true;
+
+    update();
+
+    for (var j = 0; j < picks.length; ++j) {
+        waitForPick(picks[j]);
+    }
+
+    return true;
+};
+
+/**
+ * Closes the panel and removes the highlight of the selected feature.  Features that are still being requested are
+ * ignored when they arrive.
+ */
+FeatureInfoPanelViewModel.prototype.close = function() {
+    ++this._pickId;
+    this.isVisible = false;
+    this.isLoading = false;
+    this.features = [];
+    this.selectedIndex = 0;
+    removeHighlight(this);
+};
+
+module.exports = FeatureInfoPanelViewModel;
@@ -0,0 +1,210 @@
+"use strict";
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var getElement = require('../../third_party/cesium/Source/Widgets/getElement');
+
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+var summarizeGeoJson = require('../Map/summarizeGeoJson');
+
+// The largest number of rows drawn in the table at once.  Filtering narrows down the rows to draw.
+var maximumRowCount = 500;
+
+function compareValues(a, b) {
+    // Features without a value are listed last.
+    if (!defined(a)) {
+        return defined(b) ? 1 : 0;
+    } else if (!defined(b)) {
+        return -1;
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a).localeCompare(String(b));
+}
+
+function formatValue(value) {
+    if (!defined(value)) {
+        return '';
+    } else if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * A popup that lists the features of a GeoJSON, WFS or OGR item and their properties in a table.  The rows can be
+ * sorted by clicking a column heading and filtered by the text of one or all of their properties, and clicking a row
+ * moves the camera to that feature.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Element|String} options.container The DOM element or ID that will contain the popup.
+ * @param {CatalogItemViewModel} options.item The item, which has the `features` property and the `zoomToFeature`
+ *        method of {@link GeoJsonItemViewModel}.
+ */
+var FeatureTablePanel = function(options) {
+    var container = getElement(options.container);
+    var item = options.item;
+
+    var wrapper = document.createElement('div');
+    wrapper.className = 'ausglobe-info-container';
+    wrapper.setAttribute('data-bind', 'click: closeIfClickOnBackground');
+    container.appendChild(wrapper);
+
+    var panel = document.createElement('div');
+    panel.className = 'ausglobe-info ausglobe-feature-table';
+    panel.innerHTML = '\
+        <div class="ausglobe-info-header">\
+            <div class="ausglobe-info-close-button" data-bind="click: close">&times;</div>\
+            <h1 data-bind="text: item.name"></h1>\
+        </div>\
+        <div class="ausglobe-info-content">\
+            <!-- ko if: isLoaded -->\
+            <div class="ausglobe-feature-table-filter">\
+                <label>Show features where <select data-bind="options: columns, optionsCaption: \'any property\', value: filterColumn"></select>\
+                contains <input type="text" data-bind="value: filterText, valueUpdate: \'afterkeydown\'" /></label>\
+            </div>\
+            <div class="ausglobe-feature-table-count" data-bind="text: countMessage"></div>\
+            <div class="ausglobe-feature-table-scroll">\
+                <table>\
+                    <thead>\
+                        <tr data-bind="foreach: columns">\
+                            <th data-bind="click: $root.sortBy, css: { \'ausglobe-feature-table-sorted\': $root.sortColumn === $data }">\
+                                <span data-bind="text: $data"></span><span data-bind="visible: $root.sortColumn === $data, text: $root.sortAscending ? \' \u25B2\' : \' \u25BC\'"></span>\
+                            </th>\
+                        </tr>\
+                    </thead>\
+                    <tbody data-bind="foreach: rows">\
+                        <tr title="Click to zoom to this feature" data-bind="click: $root.zoomToFeature, foreach: cells">\
+                            <td data-bind="text: $data"></td>\
+                        </tr>\
+                    </tbody>\
+                </table>\
+            </div>\
+            <!-- /ko -->\
+            <!-- ko ifnot: isLoaded -->\
+            <div>The features of this data source have not been loaded yet.</div>\
+            <!-- /ko -->\
+        </div>\
+    ';
+    wrapper.appendChild(panel);
+
+    var features = item.features;
+    var columns = [];
+    var allRows = [];
+
+    if (defined(features)) {
+        var summary = summarizeGeoJson({
+            type : 'FeatureCollection',
+            features : features
+        });
+        for (var c = 0; c < summary.properties.length; ++c) {
+            columns.push(summary.properties[c].name);
+        }
+
+        for (var i = 0; i < features.length; ++i) {
+            var properties = defined(features[i].properties) ? features[i].properties : {};
+            var values = [];
+            var cells = [];
+            for (var j = 0; j < columns.length; ++j) {
+                var value = properties[columns[j]];
+                values.push(value === '' ? undefined : value);
+                cells.push(formatValue(value));
+            }
+            allRows.push({
+                feature : features[i],
+                values : values,
+                cells : cells,
+                searchText : cells.join('\n').toLowerCase()
+            });
+        }
+    }
+
+    var viewModel = this._viewModel = {
+        item : item,
+        isLoaded : defined(features),
+        columns : columns,
+        filterColumn : undefined,
+        filterText : '',
+        sortColumn : undefined,
+        sortAscending : true
+    };
+
+    knockout.track(viewModel, ['filterColumn', 'filterText', 'sortColumn', 'sortAscending']);
+
+    knockout.defineProperty(viewModel, 'matchingRows', function() {
+        var text = viewModel.filterText.toLowerCase();
+        var columnIndex = columns.indexOf(viewModel.filterColumn);
+
+        var result = allRows;
+        if (text.length > 0) {
+            result = allRows.filter(function(row) {
+                if (columnIndex >= 0) {
+                    return row.cells[columnIndex].toLowerCase().indexOf(text) >= 0;
+                }
+                return row.searchText.indexOf(text) >= 0;
+            });
+        }
+
+        var sortIndex = columns.indexOf(viewModel.sortColumn);
+        if (sortIndex >= 0) {
+            var direction = viewModel.sortAscending ? 1 : -1;
+            result = result.slice();
+            result.sort(function(a, b) {
+                var aValue = a.values[sortIndex];
+                var bValue = b.values[sortIndex];
+                if (!defined(aValue) || !defined(bValue)) {
+                    return compareValues(aValue, bValue);
+                }
+                return direction * compareValues(aValue, bValue);
+            });
+        }
+
+        return result;
+    });
+
+    knockout.defineProperty(viewModel, 'rows', function() {
+        return viewModel.matchingRows.slice(0, maximumRowCount);
+    });
+
+    knockout.defineProperty(viewModel, 'countMessage', function() {
+        var matching = viewModel.matchingRows.length;
+        var message = matching + ' of ' + allRows.length + ' features';
+        if (matching > maximumRowCount) {
+            message += ', showing the first ' + maximumRowCount + '.  Filter the features to see the others.';
+        }
+        return message;
+    });
+
+    viewModel.sortBy = function(column) {
+        if (viewModel.sortColumn === column) {
+            viewModel.sortAscending = !viewModel.sortAscending;
+        } else {
+            viewModel.sortColumn = column;
+            viewModel.sortAscending = true;
+        }
+    };
+
+    viewModel.zoomToFeature = function(row) {
+        item.zoomToFeature(row.feature);
+    };
+
+    viewModel.close = function() {
+        container.removeChild(wrapper);
+    };
+    viewModel.closeIfClickOnBackground = function(viewModel, e) {
+        if (e.target === wrapper) {
+            viewModel.close();
+        }
+        return true;
+    };
+
+    knockout.applyBindings(this._viewModel, wrapper);
+};
+
+FeatureTablePanel.open = function(options) {
+    return new FeatureTablePanel(options);
+};
+
+module.exports = FeatureTablePanel;
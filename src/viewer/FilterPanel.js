@@ -0,0 +1,123 @@
+"use strict";
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var getElement = require('../../third_party/cesium/Source/Widgets/getElement');
+
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+var filterToCql = require('../Map/filterToCql');
+var filterToOgcXml = require('../Map/filterToOgcXml');
+var raiseErrorOnRejectedPromise = require('../ViewModels/raiseErrorOnRejectedPromise');
+
+var exampleFilter = {
+    and : [
+        { property : 'STATE', op : '=', value : 'NSW' },
+        { property : 'POPULATION', op : '>', value : 10000 }
+    ]
+};
+
+/**
+ * A popup for changing the attribute filter of a {@link WebFeatureServiceItemViewModel} or a
+ * {@link WebMapServiceItemViewModel}.  The filter is edited as JSON, in the language described by
+ * {@link filterToOgcXml}, and is checked before it is applied with the item's `updateFilter` method.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Element|String} options.container The DOM element or ID that will contain the popup.
+ * @param {CatalogItemViewModel} options.item The item to filter.
+ */
+var FilterPanel = function(options) {
+    var container = getElement(options.container);
+    var item = options.item;
+
+    var wrapper = document.createElement('div');
+    wrapper.className = 'ausglobe-info-container';
+    wrapper.setAttribute('data-bind', 'click: closeIfClickOnBackground');
+    container.appendChild(wrapper);
+
+    var panel = document.createElement('div');
+    panel.className = 'ausglobe-share';
+    panel.innerHTML = '\
+        <div class="ausglobe-info-header">\
+            <div class="ausglobe-info-close-button" data-bind="click: close">&times;</div>\
+            <h1 data-bind="text: \'Filter \' + item.name"></h1>\
+        </div>\
+        <div class="ausglobe-info-content">\
+            <div class="ausglobe-filter-help">\
+                Enter a filter as JSON to show only some of the features.  A condition compares a property with a value\
+                using one of the operators =, !=, &lt;, &lt;=, &gt;, &gt;=, like, between, in and isNull, and conditions\
+                can be combined with and, or and not.  For example:\
+                <pre data-bind="text: example"></pre>\
+            </div>\
+            <textarea class="ausglobe-filter-text" rows="10" data-bind="value: filterText, valueUpdate: \'afterkeydown\'"></textarea>\
+            <div class="ausglobe-filter-error" data-bind="visible: errorMessage, text: errorMessage"></div>\
+            <div class="ausglobe-filter-buttons">\
+                <button data-bind="click: apply, enable: !errorMessage">Apply</button>\
+                <button data-bind="click: clear, enable: item.filter !== undefined">Clear</button>\
+            </div>\
+        </div>\
+    ';
+    wrapper.appendChild(panel);
+
+    var viewModel = this._viewModel = {
+        item : item,
+        example : JSON.stringify(exampleFilter, undefined, 2),
+        filterText : defined(item.filter) ? JSON.stringify(item.filter, undefined, 2) : ''
+    };
+
+    knockout.track(viewModel, ['filterText']);
+
+    function parseFilter(text) {
+        if (text.trim().length === 0) {
+            return undefined;
+        }
+        var filter = JSON.parse(text);
+
+        // Throws if the filter is not valid.  It is translated as the item will translate it, because the languages
+        // differ: bounding box conditions, for instance, need a property in CQL but not in OGC XML.
+        if (item.type === 'wfs') {
+            filterToOgcXml(filter, { version : item.version });
+        } else {
+            filterToCql(filter);
+        }
+
+        return filter;
+    }
+
+    knockout.defineProperty(viewModel, 'errorMessage', function() {
+        try {
+            parseFilter(viewModel.filterText);
+            return '';
+        } catch (e) {
+            return e.message;
+        }
+    });
+
+    viewModel.apply = function() {
+        raiseErrorOnRejectedPromise(item.application, item.updateFilter(parseFilter(viewModel.filterText)));
+        viewModel.close();
+    };
+
+    viewModel.clear = function() {
+        viewModel.filterText = '';
+        raiseErrorOnRejectedPromise(item.application, item.updateFilter(undefined));
+    };
+
+    viewModel.close = function() {
+        container.removeChild(wrapper);
+    };
+    viewModel.closeIfClickOnBackground = function(viewModel, e) {
+        if (e.target === wrapper) {
+            viewModel.close();
+        }
+        return true;
+    };
+
+    knockout.applyBindings(this._viewModel, wrapper);
+};
+
+FilterPanel.open = function(options) {
+    return new FilterPanel(options);
+};
+
+module.exports = FilterPanel;
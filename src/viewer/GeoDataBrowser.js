@@ -88,6 +88,10 @@ var GeoDataBrowser = function(options) {
                             <img class="ausglobe-nowViewing-dragHandle" data-bind="visible: supportsReordering" draggable="false" src="images/Reorder.svg" width="12" height="24" alt="Drag to reorder data sources." title="Drag to reorder data sources." />\
                             <div class="ausglobe-accordion-category-item-checkbox" data-bind="click: toggleShown, cesiumSvgPath: { path: isShown ? $root._checkboxChecked : $root._checkboxUnchecked, width: 32, height: 32 }"></div>\
                             <div class="ausglobe-accordion-category-item-label" data-bind="text: name, click: zoomToAndUseClock"></div>\
+                            <div class="ausglobe-accordion-category-item-styleButton" data-bind="visible: type === \'csv\' && !isLoading, click: $root.showStyleForItem">style</div>\
+                            <div class="ausglobe-accordion-category-item-styleButton" data-bind="visible: (type === \'geojson\' || type === \'wfs\' || type === \'ogr\' || type === \'esri-featureServer\') && !isLoading, click: $root.showTableForItem">table</div>\
+                            <div class="ausglobe-accordion-category-item-filterButton" data-bind="visible: (type === \'wms\' || type === \'wfs\') && !isLoading, click: $root.showFilterForItem, css: { \'ausglobe-accordion-category-item-filtered\': $data.filter !== undefined }">filter</div>\
+                            <div class="ausglobe-accordion-category-item-progress" data-bind="visible: isLoading, text: loadingProgress !== undefined ? Math.round(loadingProgress * 100) + \'%\' : \'Loading...\'"></div>\
                             <div class="ausglobe-accordion-category-item-infoButton" data-bind="click: $root.showInfoForItem">info</div>\
                         </div>\
                     </div>\
@@ -138,7 +142,7 @@ var GeoDataBrowser = function(options) {
                         </div>\
                         <form class="ausglobe-user-service-form" data-bind="submit: addDataOrService">\
                             <label>\
-                                <div>Enter a web link to add a data file or WMS/WFS service (advanced):</div>\
+                                <div>Enter a web link to add a data file or WMS/WFS/WMTS/ArcGIS service (advanced):</div>\
                                 <input class="ausglobe-wfs-url-input" type="text" data-bind="value: addDataUrl" />\
                             </label>\
                             <div>\
@@ -148,6 +152,8 @@ var GeoDataBrowser = function(options) {
                                         <option value="File">Single data file</option>\
                                         <option value="wms-getCapabilities">WMS Server</option>\
                                         <option value="wfs-getCapabilities">WFS Server</option>\
+                                        <option value="wmts-getCapabilities">WMTS Server</option>\
+                                        <option value="esri-mapServer-group">ArcGIS MapServer</option>\
                                     </select>\
                                 </label>\
                                 <input class="ausglobe-button" type="submit" value="Add" />\
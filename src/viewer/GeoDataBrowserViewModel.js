@@ -20,6 +20,9 @@ var corsProxy = require('../Core/corsProxy');
 var createCatalogMemberFromType = require('../ViewModels/createCatalogMemberFromType');
 var createCatalogItemFromUrl = require('../ViewModels/createCatalogItemFromUrl');
 var CatalogGroupViewModel = require('../ViewModels/CatalogGroupViewModel');
+var CsvStylePanel = require('./CsvStylePanel');
+var FeatureTablePanel = require('./FeatureTablePanel');
+var FilterPanel = require('./FilterPanel');
 var GeoDataInfoPopup = require('./GeoDataInfoPopup');
 var PopupMessage = require('./PopupMessage');
 var raiseErrorOnRejectedPromise = require('../ViewModels/raiseErrorOnRejectedPromise');
@@ -115,6 +118,30 @@ var GeoDataBrowserViewModel = function(options) {
         });
     });
 
+    this._showStyleForItem = createCommand(function(item) {
+        ga('send', 'event', 'dataSource', 'style', item.name);
+        CsvStylePanel.open({
+            container : document.body,
+            item : item
+        });
+    });
+
+    this._showTableForItem = createCommand(function(item) {
+        ga('send', 'event', 'dataSource', 'table', item.name);
+        FeatureTablePanel.open({
+            container : document.body,
+            item : item
+        });
+    });
+
+    this._showFilterForItem = createCommand(function(item) {
+        ga('send', 'event', 'dataSource', 'filter', item.name);
+        FilterPanel.open({
+            container : document.body,
+            item : item
+        });
+    });
+
     this._addDataOrService = createCommand(function() {
         var newViewModel;
 
@@ -223,108 +250,160 @@ and the file will not be uploaded or added to the map.')) {
         }), 0));
     }
 
+    var application = this.catalog.application;
+    var defaultBaseMapName = 'Bing Maps Aerial With Labels';
+    var currentBaseMapName = defaultBaseMapName;
+
+    // Each function shows a base map in the current viewer, and returns false if it cannot be shown there.
+    var baseMaps = {
+        'Bing Maps Aerial With Labels' : function() {
+            switchToBingMaps(BingMapsStyle.AERIAL_WITH_LABELS);
+        },
+
+        'Bing Maps Aerial' : function() {
+            switchToBingMaps(BingMapsStyle.AERIAL);
+        },
+
+        'Bing Maps Roads' : function() {
+            switchToBingMaps(BingMapsStyle.ROAD);
+        },
+
+        'NASA Black Marble' : function() {
+            if (!that._viewer.isCesium()) {
+                var message = 'This imagery layer is not yet supported in 2D mode.';
+                alert(message);
+                return false;
+            }
+
+            removeBaseLayer();
+
+            var imageryLayers = that._viewer.scene.globe.imageryLayers;
+            currentBaseLayers.push(imageryLayers.addImageryProvider(new TileMapServiceImageryProvider({
+                url : '//cesiumjs.org/tilesets/imagery/blackmarble',
+                credit : '© Analytical Graphics, Inc.'
+            }), 0));
+        },
+
+        'Natural Earth II' : function() {
+            if (!that._viewer.isCesium()) {
+                var message = 'This imagery layer is not yet supported in 2D mode.';
+                alert(message);
+                return false;
+                  //This call works, but since the tiles are in graghic instead of spherical mercator only see western hemisphere
+//            this.mapBaseLayer = new L.tileLayer('http://cesiumjs.org/tilesets/imagery/naturalearthii/{z}/{x}/{y}.jpg', 
+//            {tms: true});
+            }
+
+            removeBaseLayer();
+
+            var imageryLayers = that._viewer.scene.globe.imageryLayers;
+            currentBaseLayers.push(imageryLayers.addImageryProvider(new TileMapServiceImageryProvider({
+                url : '//cesiumjs.org/tilesets/imagery/naturalearthii',
+                credit : '© Analytical Graphics, Inc.'
+            }), 0));
+        },
+
+        'Australian Topography' : function() {
+            removeBaseLayer();
+
+            if (!that._viewer.isCesium()) {
+                that._viewer.mapBaseLayer = new L.esri.tiledMapLayer('http://www.ga.gov.au/gis/rest/services/topography/Australian_Topography_2014_WM/MapServer');
+                that._viewer.map.addLayer(that._viewer.mapBaseLayer);
+                return;
+            }
+
+            var imageryLayers = that._viewer.scene.globe.imageryLayers;
+            currentBaseLayers.push(imageryLayers.addImageryProvider(new TileMapServiceImageryProvider({
+                url : '//cesiumjs.org/tilesets/imagery/naturalearthii',
+                credit : '© Analytical Graphics, Inc.'
+            }), 0));
+            currentBaseLayers.push(imageryLayers.addImageryProvider(new ArcGisMapServerImageryProvider({
+                url : 'http://www.ga.gov.au/gis/rest/services/topography/Australian_Topography_2014_WM/MapServer',
+                proxy : corsProxy
+            }), 1));
+        },
+
+        'Australian Hydrography' : function() {
+            if (!that._viewer.isCesium()) {
+                var message = 'This imagery layer is not yet supported in 2D mode.';
+                alert(message);
+                return false;
+            }
+
+            removeBaseLayer();
+
+            var imageryLayers = that._viewer.scene.globe.imageryLayers;
+            currentBaseLayers.push(imageryLayers.addImageryProvider(new TileMapServiceImageryProvider({
+                url : '//cesiumjs.org/tilesets/imagery/naturalearthii',
+                credit : '© Analytical Graphics, Inc.'
+            }), 0));
+            currentBaseLayers.push(imageryLayers.addImageryProvider(new ArcGisMapServerImageryProvider({
+                url : 'http://www.ga.gov.au/gis/rest/services/topography/AusHydro_WM/MapServer',
+                proxy : corsProxy
+            }), 1));
+        }
+    };
+
+    // The application's base map name is kept in step with the base map that is shown, so that it is saved with
+    // shared views and workspaces, and is put back if the base map cannot be shown.
+    function showBaseMap(name) {
+        var baseMap = baseMaps[name];
+        if (!defined(baseMap) || baseMap() === false) {
+            application.baseMapName = currentBaseMapName;
+            return;
+        }
+
+        currentBaseMapName = name;
+        application.baseMapName = name;
+    }
+
+    function activateBaseMap(name) {
+        ga('send', 'event', 'mapSettings', 'switchImagery', name);
+        showBaseMap(name);
+    }
+
     this._activateBingMapsAerialWithLabels = createCommand(function() {
-        ga('send', 'event', 'mapSettings', 'switchImagery', 'Bing Maps Aerial With Labels');
-        switchToBingMaps(BingMapsStyle.AERIAL_WITH_LABELS);
+        activateBaseMap('Bing Maps Aerial With Labels');
     });
 
     this._activateBingMapsAerial = createCommand(function() {
-        ga('send', 'event', 'mapSettings', 'switchImagery', 'Bing Maps Aerial');
-        switchToBingMaps(BingMapsStyle.AERIAL);
+        activateBaseMap('Bing Maps Aerial');
     });
 
     this._activateBingMapsRoads = createCommand(function() {
-        ga('send', 'event', 'mapSettings', 'switchImagery', 'Bing Maps Roads');
-        switchToBingMaps(BingMapsStyle.ROAD);
+        activateBaseMap('Bing Maps Roads');
     });
 
     this._activateNasaBlackMarble = createCommand(function() {
-        ga('send', 'event', 'mapSettings', 'switchImagery', 'NASA Black Marble');
-
-        if (!that._viewer.isCesium()) {
-            var message = 'This imagery layer is not yet supported in 2D mode.';
-            alert(message);
-            return;
-        }
-        
-        removeBaseLayer();
-
-        var imageryLayers = that._viewer.scene.globe.imageryLayers;
-        currentBaseLayers.push(imageryLayers.addImageryProvider(new TileMapServiceImageryProvider({
-            url : '//cesiumjs.org/tilesets/imagery/blackmarble',
-            credit : '© Analytical Graphics, Inc.'
-        }), 0));
+        activateBaseMap('NASA Black Marble');
     });
 
     this._activateNaturalEarthII = createCommand(function() {
-        ga('send', 'event', 'mapSettings', 'switchImagery', 'Natural Earth II');
-
-        if (!that._viewer.isCesium()) {
-            var message = 'This imagery layer is not yet supported in 2D mode.';
-            alert(message);
-            return;
-              //This call works, but since the tiles are in graghic instead of spherical mercator only see western hemisphere
-//        this.mapBaseLayer = new L.tileLayer('http://cesiumjs.org/tilesets/imagery/naturalearthii/{z}/{x}/{y}.jpg', 
-//        {tms: true});
-        }
-        
-        removeBaseLayer();
-
-        var imageryLayers = that._viewer.scene.globe.imageryLayers;
-        currentBaseLayers.push(imageryLayers.addImageryProvider(new TileMapServiceImageryProvider({
-            url : '//cesiumjs.org/tilesets/imagery/naturalearthii',
-            credit : '© Analytical Graphics, Inc.'
-        }), 0));
+        activateBaseMap('Natural Earth II');
     });
 
     this._activateAustralianTopography = createCommand(function() {
-        ga('send', 'event', 'mapSettings', 'switchImagery', 'Australian Topography');
-
-        removeBaseLayer();
-
-        if (!that._viewer.isCesium()) {
-            that._viewer.mapBaseLayer = new L.esri.tiledMapLayer('http://www.ga.gov.au/gis/rest/services/topography/Australian_Topography_2014_WM/MapServer');
-            that._viewer.map.addLayer(that._viewer.mapBaseLayer);
-            return;
-        }
-
-        var imageryLayers = that._viewer.scene.globe.imageryLayers;
-        currentBaseLayers.push(imageryLayers.addImageryProvider(new TileMapServiceImageryProvider({
-            url : '//cesiumjs.org/tilesets/imagery/naturalearthii',
-            credit : '© Analytical Graphics, Inc.'
-        }), 0));
-        currentBaseLayers.push(imageryLayers.addImageryProvider(new ArcGisMapServerImageryProvider({
-            url : 'http://www.ga.gov.au/gis/rest/services/topography/Australian_Topography_2014_WM/MapServer',
-            proxy : corsProxy
-        }), 1));
+        activateBaseMap('Australian Topography');
     });
 
     this._activateAustralianHydrography = createCommand(function() {
-        ga('send', 'event', 'mapSettings', 'switchImagery', 'Australian Hydrography');
+        activateBaseMap('Australian Hydrography');
+    });
 
-        if (!that._viewer.isCesium()) {
-            var message = 'This imagery layer is not yet supported in 2D mode.';
-            alert(message);
-            return;
+    // Show the base map of a shared view or workspace when it is loaded.
+    knockout.getObservable(application, 'baseMapName').subscribe(function(name) {
+        if (name !== currentBaseMapName) {
+            showBaseMap(name);
         }
-        
-        removeBaseLayer();
+    });
 
-        if (!that._viewer.isCesium()) {
-            that._viewer.mapBaseLayer = new L.esri.tiledMapLayer('http://www.ga.gov.au/gis/rest/services/topography/AusHydro_WM/MapServer');
-            that._viewer.map.addLayer(that._viewer.mapBaseLayer);
-            return;
+    // A new viewer starts with the default base map, so show the chosen one again.
+    application.afterViewerChanged.addEventListener(function() {
+        currentBaseLayers = undefined;
+        currentBaseMapName = defaultBaseMapName;
+        if (application.baseMapName !== defaultBaseMapName) {
+            showBaseMap(application.baseMapName);
         }
-
-        var imageryLayers = that._viewer.scene.globe.imageryLayers;
-        currentBaseLayers.push(imageryLayers.addImageryProvider(new TileMapServiceImageryProvider({
-            url : '//cesiumjs.org/tilesets/imagery/naturalearthii',
-            credit : '© Analytical Graphics, Inc.'
-        }), 0));
-        currentBaseLayers.push(imageryLayers.addImageryProvider(new ArcGisMapServerImageryProvider({
-            url : 'http://www.ga.gov.au/gis/rest/services/topography/AusHydro_WM/MapServer',
-            proxy : corsProxy
-        }), 1));
     });
 
     this._selectFileToUpload = createCommand(function() {
@@ -642,6 +721,24 @@ defineProperties(GeoDataBrowserViewModel.prototype, {
         }
     },
 
+    showStyleForItem : {
+        get : function() {
+            return this._showStyleForItem;
+        }
+    },
+
+    showTableForItem : {
+        get : function() {
+            return this._showTableForItem;
+        }
+    },
+
+    showFilterForItem : {
+        get : function() {
+            return this._showFilterForItem;
+        }
+    },
+
     activateBingMapsAerialWithLabels : {
         get : function() {
             return this._activateBingMapsAerialWithLabels;
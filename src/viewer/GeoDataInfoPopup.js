@@ -106,7 +106,7 @@ var GeoDataInfoPopup = function(options) {
                         <tr>\
                             <td class="ausglobe-info-properties-name-cell ausglobe-info-properties-level1">\
                                 <div class="ausglobe-info-properties-arrow"></div>\
-                                <div class="ausglobe-info-properties-name" data-bind="text: dataSource.metadata.dataSourceErrorMessage"></div>\
+                                <div class="ausglobe-info-properties-name" data-bind="html: dataSource.metadata.dataSourceErrorMessage"></div>\
                             </td>\
                         </tr>\
                     </table>\
@@ -125,7 +125,7 @@ var GeoDataInfoPopup = function(options) {
                         <tr>\
                             <td class="ausglobe-info-properties-name-cell ausglobe-info-properties-level1">\
                                 <div class="ausglobe-info-properties-arrow"></div>\
-                                <div class="ausglobe-info-properties-name" data-bind="text: dataSource.metadata.serviceErrorMessage"></div>\
+                                <div class="ausglobe-info-properties-name" data-bind="html: dataSource.metadata.serviceErrorMessage"></div>\
                             </td>\
                         </tr>\
                     </table>\
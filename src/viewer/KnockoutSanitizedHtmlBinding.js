@@ -4,6 +4,9 @@
 
 var defined = require('../../third_party/cesium/Source/Core/defined');
 
+var escapeHtml = require('../Core/escapeHtml');
+var sanitizeHtml = require('../Core/sanitizeHtml');
+
 var KnockoutSanitizedHtmlBinding = {
     register : function(knockout) {
         knockout.bindingHandlers.sanitizedHtml= {
@@ -18,25 +21,18 @@ var KnockoutSanitizedHtmlBinding = {
     }
 };
 
-// TODO: use a proper HTML sanitizer instead of this hackery.
+// Converts Markdown style links (such as: [Link Text](http://link.url.com) ) to actual links, and then removes
+// anything unsafe.
 function sanitize(html) {
-    // Escape HTML
-    var div = document.createElement('div');
-    
-    if (defined(div.textContent)) {
-        div.textContent = html;
-    } else {
-        div.innerText = html;
+    if (!defined(html) || html === null) {
+        return '';
     }
 
-    // Replace Markdown style links (such as: [Link Text](http://link.url.com) ) with actual links.
-    var escaped = div.innerHTML;
-    var fixedLinks = escaped.replace(/\[([^\]]+)\]\(([^\)]+)\)/g, function(match, name, href) {
-        return '<a href="' + href + '" target="_blank">' + name + '</a>';
+    var withLinks = String(html).replace(/\[([^\]]+)\]\(([^\)]+)\)/g, function(match, name, href) {
+        return '<a href="' + escapeHtml(href) + '" target="_blank">' + name + '</a>';
     });
 
-    // Replace '<br/>' with actual an <br/> tag.
-    return fixedLinks.replace(/&lt;br\/&gt;/g, '<br/>');
+    return sanitizeHtml(withLinks);
 }
 
 module.exports = KnockoutSanitizedHtmlBinding;
\ No newline at end of file
@@ -1,7 +1,9 @@
 "use strict";
 
 /*global require,URI*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
 var getElement = require('../../third_party/cesium/Source/Widgets/getElement');
+var loadWithXhr = require('../../third_party/cesium/Source/Core/loadWithXhr');
 
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 
@@ -32,6 +34,16 @@ var SharePanel = function(options) {
                     <ul data-bind="foreach: itemsSkippedBecauseTheyHaveLocalData">\
                         <li data-bind="text: name"></li>\
                     </ul>\
+                    <div data-bind="visible: canUploadLocalData">\
+                        Alternatively, upload a copy of this data to the National Map server so that anyone with the link can see it.\
+                        <button data-bind="click: uploadLocalData, enable: !isUploading">Upload and share this data</button>\
+                    </div>\
+                </div>\
+                <div class="ausglobe-share-label" data-bind="visible: isUploading">\
+                    Uploading local data...\
+                </div>\
+                <div class="ausglobe-share-label" data-bind="visible: isShortening">\
+                    Creating a short link...\
                 </div>\
                 <div class="ausglobe-share-label">\
                     To <strong>copy</strong> to clipboard, click the link below and press CTRL+C or &#8984;+C:\
@@ -49,19 +61,60 @@ var SharePanel = function(options) {
     var uri = new URI(window.location);
     var visServer = uri.protocol() + '://' + uri.host();
 
-    var request = options.request;
-    
-    var img = request.image;
-    request.image = undefined;
-    var requestStr = JSON.stringify(request);
-    var url = visServer + '#start=' + encodeURIComponent(requestStr);
-    request.image = img;
-
     var viewModel = this._viewModel = {
         request : options.request,
-        url : url,
+        url : undefined,
+        isShortening : false,
         itemsSkippedBecauseTheyHaveLocalData : options.itemsSkippedBecauseTheyHaveLocalData,
-        embedCode : '<iframe style="width: 720px; height: 405px; border: none;" src="' + url + '" allowFullScreen mozAllowFullScreen webkitAllowFullScreen></iframe>'
+        canUploadLocalData : defined(options.uploadLocalData),
+        isUploading : false
+    };
+
+    knockout.track(viewModel, ['request', 'url', 'isShortening', 'itemsSkippedBecauseTheyHaveLocalData', 'isUploading']);
+
+    knockout.defineProperty(viewModel, 'embedCode', function() {
+        return '<iframe style="width: 720px; height: 405px; border: none;" src="' + viewModel.url + '" allowFullScreen mozAllowFullScreen webkitAllowFullScreen></iframe>';
+    });
+
+    function share(request) {
+        var img = request.image;
+        request.image = undefined;
+        var requestStr = JSON.stringify(request);
+        viewModel.url = visServer + '#start=' + encodeURIComponent(requestStr);
+        request.image = img;
+
+        // Store the request on the server so that we can offer a short URL.  If that fails, the long URL still works.
+        viewModel.isShortening = true;
+        loadWithXhr({
+            url : '/upload',
+            method : 'POST',
+            data : requestStr,
+            headers : {
+                'Content-Type' : 'application/json'
+            }
+        }).then(function(response) {
+            if (viewModel.request === request) {
+                viewModel.url = visServer + '#share=' + encodeURIComponent(JSON.parse(response).id);
+            }
+        }).always(function() {
+            if (viewModel.request === request) {
+                viewModel.isShortening = false;
+            }
+        });
+    }
+
+    share(viewModel.request);
+
+    // Uploading the local data changes the request, so share it again.
+    viewModel.uploadLocalData = function() {
+        viewModel.isUploading = true;
+        options.uploadLocalData().then(function(result) {
+            viewModel.request = result.request;
+            viewModel.itemsSkippedBecauseTheyHaveLocalData = result.itemsSkippedBecauseTheyHaveLocalData;
+            share(viewModel.request);
+        }).always(function() {
+            viewModel.isUploading = false;
+        });
     };
 
     viewModel.close = function() {
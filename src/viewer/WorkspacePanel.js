@@ -0,0 +1,104 @@
+"use strict";
+
+/*global require,URI*/
+var getElement = require('../../third_party/cesium/Source/Widgets/getElement');
+
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+var raiseErrorToUser = require('../ViewModels/raiseErrorToUser');
+
+var WorkspacePanel = function(options) {
+    var container = getElement(options.container);
+    var application = options.application;
+
+    var wrapper = document.createElement('div');
+    wrapper.className = 'ausglobe-info-container';
+    wrapper.setAttribute('data-bind', 'click: closeIfClickOnBackground');
+    container.appendChild(wrapper);
+
+    var info = document.createElement('div');
+    info.className = 'ausglobe-workspace';
+    info.innerHTML = '\
+        <div class="ausglobe-info-header">\
+            <div class="ausglobe-info-close-button" data-bind="click: close">&times;</div>\
+            <h1>Workspace</h1>\
+        </div>\
+        <div class="ausglobe-info-content">\
+            <div class="ausglobe-share-label">\
+                Save the data you have added, the data you are viewing, the view and the base map under a name, so that\
+                you can load them again later.  Saving a workspace uploads a copy of the files you have added from this\
+                local system to the National Map server, where anyone who knows the name of the workspace can see them.\
+                To replace a workspace saved in an earlier session, enter the edit key you were given when you first saved it.\
+            </div>\
+            <div class="ausglobe-share-label">\
+                <input type="text" data-bind="value: name, valueUpdate: \'afterkeydown\'" size="40" placeholder="Workspace name" />\
+                <button data-bind="click: save, enable: name.length > 0 && !isSaving">Save</button>\
+                <button data-bind="click: load, enable: name.length > 0 && !isSaving">Load</button>\
+            </div>\
+            <div class="ausglobe-share-label">\
+                <input type="text" data-bind="value: editToken" size="40" placeholder="Edit key (optional)" />\
+            </div>\
+            <div class="ausglobe-share-label" data-bind="visible: isSaving">\
+                Saving the workspace...\
+            </div>\
+            <div class="ausglobe-share-label" data-bind="visible: url">\
+                The workspace is saved.  To load it again, open this link:\
+                <input readonly type="text" data-bind="value: url" size="60" onclick="this.select();" />\
+                Keep this edit key, which you will need to replace the workspace in a later session:\
+                <input readonly type="text" data-bind="value: savedEditToken" size="40" onclick="this.select();" />\
+            </div>\
+        </div>\
+    ';
+    wrapper.appendChild(info);
+
+    var uri = new URI(window.location);
+    var visServer = uri.protocol() + '://' + uri.host();
+
+    var viewModel = this._viewModel = {
+        name : '',
+        editToken : '',
+        isSaving : false,
+        url : undefined,
+        savedEditToken : undefined
+    };
+
+    knockout.track(viewModel, ['name', 'editToken', 'isSaving', 'url', 'savedEditToken']);
+
+    viewModel.save = function() {
+        var name = viewModel.name;
+        viewModel.isSaving = true;
+        viewModel.url = undefined;
+        application.saveWorkspace(name, viewModel.editToken).then(function(editToken) {
+            viewModel.url = visServer + '#workspace=' + encodeURIComponent(name);
+            viewModel.savedEditToken = editToken;
+        }).otherwise(function(e) {
+            raiseErrorToUser(application, e);
+        }).always(function() {
+            viewModel.isSaving = false;
+        });
+    };
+
+    // Loading the workspace is left to the application, which watches the hash portion of the URL.
+    viewModel.load = function() {
+        window.location.hash = 'workspace=' + encodeURIComponent(viewModel.name);
+        viewModel.close();
+    };
+
+    viewModel.close = function() {
+        container.removeChild(wrapper);
+    };
+    viewModel.closeIfClickOnBackground = function(viewModel, e) {
+        if (e.target === wrapper) {
+            viewModel.close();
+        }
+        return true;
+    };
+
+    knockout.applyBindings(this._viewModel, wrapper);
+};
+
+WorkspacePanel.open = function(options) {
+    return new WorkspacePanel(options);
+};
+
+module.exports = WorkspacePanel;